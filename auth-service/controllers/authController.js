@@ -1,4 +1,6 @@
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Application = require('../models/Application');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
@@ -43,7 +45,7 @@ exports.register = async (req, res) => {
       });
     }
     
-    const { email, password, firstName, lastName, organization } = req.body;
+    const { email, password, firstName, lastName, inviteToken } = req.body;
     
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -54,6 +56,20 @@ exports.register = async (req, res) => {
       });
     }
     
+    // Organization membership only comes from an invitation issued for this email;
+    // without one, an administrator adds the user to their organization later
+    let organization;
+    if (inviteToken) {
+      organization = await Organization.redeemInvitation(inviteToken, email);
+      
+      if (!organization) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired invitation'
+        });
+      }
+    }
+    
     // Generate verification token
     const verificationToken = crypto.randomBytes(32).toString('hex');
     
@@ -63,7 +79,7 @@ exports.register = async (req, res) => {
       password,
       firstName,
       lastName,
-      organization,
+      organization: organization?._id,
       verificationToken,
       role: 'user' // Default role
     });
@@ -297,7 +313,17 @@ exports.logout = (req, res) => {
  */
 exports.generateApiKey = async (req, res) => {
   try {
+    // Validate request body
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
     const userId = req.user.id;
+    const appIds = [...new Set(req.body.appIds || [])];
     
     // Get user
     const user = await User.findById(userId);
@@ -309,12 +335,32 @@ exports.generateApiKey = async (req, res) => {
       });
     }
     
+    // Application IDs are owned by organizations, whose membership administrators control
+    if (appIds.length > 0 && !user.organization) {
+      return res.status(403).json({
+        success: false,
+        message: 'You must belong to an organization to bind application IDs'
+      });
+    }
+    
+    // Keys may only be bound to applications an administrator registered for the organization
+    const owned = await Application.filterOwned(appIds, user.organization);
+    const unregistered = appIds.filter(appId => !owned.includes(appId));
+    
+    if (unregistered.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Application ID ${unregistered.join(', ')} is not registered to your organization`
+      });
+    }
+    
     // Generate API key
-    const apiKey = await user.generateApiKey();
+    const apiKey = await user.generateApiKey(appIds);
     
     res.status(200).json({
       success: true,
       apiKey,
+      appIds,
       expiresAt: user.apiKeyExpiry
     });
   } catch (error) {
@@ -330,6 +376,136 @@ exports.generateApiKey = async (req, res) => {
   }
 };
 
+/**
+ * Verify an API key on behalf of another service
+ * @route POST /internal/api-keys/verify
+ */
+exports.verifyApiKey = async (req, res) => {
+  try {
+    // Validate request body
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const user = await User.findByApiKey(req.body.apiKey);
+    
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        organization: user.organization
+      },
+      // Only the applications the key owner's organization still owns
+      appIds: await Application.filterOwned(user.apiKeyApps, user.organization),
+      expiresAt: user.apiKeyExpiry
+    });
+  } catch (error) {
+    logger.error(`API key verification error: ${error.message}`, { 
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while verifying API key'
+    });
+  }
+};
+
+/**
+ * List the applications an organization owns, on behalf of another service
+ * An application belongs to the organization an administrator registered it for
+ * @route GET /internal/organizations/:organizationId/apps
+ */
+exports.getOrganizationApps = async (req, res) => {
+  try {
+    // Validate request parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const { organizationId } = req.params;
+    const appIds = await Application.distinct('appId', { organization: organizationId });
+    
+    res.status(200).json({
+      success: true,
+      organization: organizationId,
+      appIds: appIds.sort()
+    });
+  } catch (error) {
+    logger.error(`Organization apps lookup error: ${error.message}`, { 
+      stack: error.stack,
+      organization: req.params.organizationId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while listing organization applications'
+    });
+  }
+};
+
+/**
+ * Look up an active user by email on behalf of another service
+ * @route GET /internal/users/lookup
+ */
+exports.lookupUser = async (req, res) => {
+  try {
+    // Validate request parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const user = await User.findOne({ email: req.query.email, isActive: true });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        organization: user.organization
+      }
+    });
+  } catch (error) {
+    logger.error(`User lookup error: ${error.message}`, { 
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while looking up user'
+    });
+  }
+};
+
 /**
  * Request password reset
  * @route POST /api/auth/forgot-password
@@ -0,0 +1,316 @@
+const Organization = require('../models/Organization');
+const Application = require('../models/Application');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { createLogger, format, transports } = require('winston');
+
+// Configure logger
+const logger = createLogger({
+  level: 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'auth-service' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/auth-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/auth-combined.log' })
+  ]
+});
+
+/**
+ * Create an organization
+ * @route POST /api/organizations
+ */
+exports.createOrganization = async (req, res) => {
+  try {
+    // Validate request body
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const { name } = req.body;
+    
+    // Check if organization already exists
+    const existing = await Organization.findOne({ name });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Organization with this name already exists'
+      });
+    }
+    
+    const organization = await Organization.create({ name, createdBy: req.user.id });
+    
+    res.status(201).json({
+      success: true,
+      organization: {
+        id: organization._id,
+        name: organization.name
+      }
+    });
+  } catch (error) {
+    logger.error(`Organization creation error: ${error.message}`, { 
+      stack: error.stack,
+      name: req.body.name
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while creating organization'
+    });
+  }
+};
+
+/**
+ * List organizations
+ * @route GET /api/organizations
+ */
+exports.listOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({ isActive: true }).sort({ name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      organizations: organizations.map(organization => ({
+        id: organization._id,
+        name: organization.name,
+        createdAt: organization.createdAt
+      }))
+    });
+  } catch (error) {
+    logger.error(`Organization listing error: ${error.message}`, { 
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while listing organizations'
+    });
+  }
+};
+
+/**
+ * Add an existing user to an organization
+ * A user belongs to one organization; adding them moves them out of the previous one
+ * @route POST /api/organizations/:organizationId/members
+ */
+exports.addMember = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const organization = await Organization.findOne({ _id: req.params.organizationId, isActive: true });
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+    
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // A key bound to the previous organization's applications must not follow the user
+    if (user.organization && !user.organization.equals(organization._id)) {
+      user.revokeApiKey();
+    }
+    user.organization = organization._id;
+    await user.save();
+    
+    logger.info(`User ${user.email} added to organization ${organization.name}`, {
+      addedBy: req.user.id
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${user.email} is now a member of ${organization.name}`
+    });
+  } catch (error) {
+    logger.error(`Add organization member error: ${error.message}`, { 
+      stack: error.stack,
+      organizationId: req.params.organizationId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while adding organization member'
+    });
+  }
+};
+
+/**
+ * Remove a user from an organization, revoking their API key
+ * @route DELETE /api/organizations/:organizationId/members/:userId
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    // Validate request parameters
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const user = await User.findOne({ _id: req.params.userId, organization: req.params.organizationId });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this organization'
+      });
+    }
+    
+    user.organization = undefined;
+    user.revokeApiKey();
+    await user.save();
+    
+    logger.info(`User ${user.email} removed from organization ${req.params.organizationId}`, {
+      removedBy: req.user.id
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `${user.email} is no longer a member of this organization`
+    });
+  } catch (error) {
+    logger.error(`Remove organization member error: ${error.message}`, { 
+      stack: error.stack,
+      organizationId: req.params.organizationId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while removing organization member'
+    });
+  }
+};
+
+/**
+ * Invite an email address to join an organization when registering
+ * @route POST /api/organizations/:organizationId/invitations
+ */
+exports.inviteMember = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const organization = await Organization.findOne({ _id: req.params.organizationId, isActive: true });
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+    
+    const { email } = req.body;
+    const { token, expiresAt } = await organization.createInvitation(email, req.user.id);
+    
+    // TODO: Send invitation email with token
+    
+    res.status(201).json({
+      success: true,
+      email,
+      inviteToken: token,
+      expiresAt
+    });
+  } catch (error) {
+    logger.error(`Organization invitation error: ${error.message}`, { 
+      stack: error.stack,
+      organizationId: req.params.organizationId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while inviting organization member'
+    });
+  }
+};
+
+/**
+ * Register application IDs for an organization
+ * Members can only bind API keys to applications registered this way
+ * @route POST /api/organizations/:organizationId/apps
+ */
+exports.registerApps = async (req, res) => {
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        success: false, 
+        errors: errors.array() 
+      });
+    }
+    
+    const organization = await Organization.findOne({ _id: req.params.organizationId, isActive: true });
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+    
+    const appIds = [...new Set(req.body.appIds)];
+    const taken = await Application.register(appIds, organization._id, req.user.id);
+    
+    if (taken.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Application ID ${taken.join(', ')} belongs to another organization`
+      });
+    }
+    
+    logger.info(`Applications ${appIds.join(', ')} registered for organization ${organization.name}`, {
+      registeredBy: req.user.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      organization: organization._id,
+      appIds
+    });
+  } catch (error) {
+    logger.error(`Application registration error: ${error.message}`, { 
+      stack: error.stack,
+      organizationId: req.params.organizationId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while registering applications'
+    });
+  }
+};
\ No newline at end of file
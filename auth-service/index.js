@@ -1,3 +1,6 @@
+// Tracing first, so the modules it instruments are patched as they load
+require('./tracing');
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -7,6 +10,8 @@ const rateLimit = require('express-rate-limit');
 const dotenv = require('dotenv');
 const { createLogger, format, transports } = require('winston');
 const authRoutes = require('./routes/authRoutes');
+const internalRoutes = require('./routes/internalRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 
 // Load environment variables
 dotenv.config();
@@ -74,6 +79,10 @@ app.use('/api/auth', limiter);
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/organizations', organizationRoutes);
+
+// Internal routes are not rate limited: services verify keys on behalf of many clients
+app.use('/internal', internalRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Application = require('../models/Application');
 const { createLogger, format, transports } = require('winston');
 
 // Configure logger
@@ -89,10 +91,8 @@ exports.validateApiKey = async (req, res, next) => {
       });
     }
     
-    // Find user with API key
-    const user = await User.findOne({ 
-      apiKeyExpiry: { $gt: Date.now() } 
-    }).select('+apiKeyHash');
+    // Find the user the API key belongs to and verify it
+    const user = await User.findByApiKey(apiKey);
     
     if (!user) {
       return res.status(401).json({
@@ -101,22 +101,13 @@ exports.validateApiKey = async (req, res, next) => {
       });
     }
     
-    // Verify API key
-    const isValidKey = await user.verifyApiKey(apiKey);
-    
-    if (!isValidKey) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid API key'
-      });
-    }
-    
     // Set user in request
     req.user = {
       id: user._id,
       email: user.email,
       role: user.role,
-      organization: user.organization
+      organization: user.organization,
+      appIds: await Application.filterOwned(user.apiKeyApps, user.organization)
     };
     
     next();
@@ -130,6 +121,23 @@ exports.validateApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to protect service-to-service routes with a shared token
+ */
+exports.requireServiceToken = (req, res, next) => {
+  const expected = Buffer.from(process.env.INTERNAL_SERVICE_TOKEN || '');
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/, ''));
+  
+  if (!expected.length || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+  
+  next();
+};
+
 /**
  * Middleware to restrict access to specific roles
  * @param {...string} roles - Roles allowed to access the route
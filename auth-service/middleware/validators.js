@@ -1,4 +1,4 @@
-const { check } = require('express-validator');
+const { check, param, query } = require('express-validator');
 
 /**
  * Validation for user registration
@@ -27,10 +27,10 @@ exports.registerValidator = [
     .withMessage('Last name is required')
     .trim(),
   
-  check('organization')
-    .notEmpty()
-    .withMessage('Organization is required')
-    .trim()
+  check('inviteToken')
+    .optional()
+    .isHexadecimal()
+    .withMessage('Invalid invitation token')
 ];
 
 /**
@@ -68,4 +68,104 @@ exports.resetPasswordValidator = [
     .withMessage('Password must contain at least one number')
     .matches(/[!@#$%^&*(),.?":{}|<>]/)
     .withMessage('Password must contain at least one special character')
+];
+
+/**
+ * Validation for API key generation
+ */
+exports.apiKeyValidator = [
+  check('appIds')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('appIds must be an array of at most 50 application IDs'),
+  
+  check('appIds.*')
+    .matches(/^[A-Za-z0-9_.-]{1,64}$/)
+    .withMessage('Application IDs may only contain letters, digits, dots, dashes and underscores')
+];
+
+/**
+ * Validation for API key verification
+ */
+exports.verifyApiKeyValidator = [
+  check('apiKey')
+    .isString()
+    .notEmpty()
+    .withMessage('API key is required')
+];
+
+/**
+ * Validation for organization application lookup
+ */
+exports.organizationAppsValidator = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID')
+];
+
+/**
+ * Validation for organization creation
+ */
+exports.createOrganizationValidator = [
+  check('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Organization name must be 1 to 100 characters long')
+];
+
+/**
+ * Validation for registering application IDs for an organization
+ */
+exports.registerAppsValidator = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  
+  check('appIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('appIds must be an array of 1 to 50 application IDs'),
+  
+  check('appIds.*')
+    .matches(/^[A-Za-z0-9_.-]{1,64}$/)
+    .withMessage('Application IDs may only contain letters, digits, dots, dashes and underscores')
+    .not()
+    .isIn(['default'])
+    .withMessage('default is reserved for transactions published without an application ID')
+];
+
+/**
+ * Validation for adding a member or inviting one to an organization
+ */
+exports.organizationMemberValidator = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  
+  check('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+];
+
+/**
+ * Validation for removing a member from an organization
+ */
+exports.removeMemberValidator = [
+  param('organizationId')
+    .isMongoId()
+    .withMessage('Invalid organization ID'),
+  
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+/**
+ * Validation for user lookup
+ */
+exports.lookupUserValidator = [
+  query('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
 ];
\ No newline at end of file
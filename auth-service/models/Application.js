@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Application schema
+ * An application ID belongs to the organization an administrator registers
+ * it for. Only keys of that organization's members may publish for the
+ * application, and only its members see its metrics.
+ */
+const applicationSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: [true, 'Application ID is required'],
+    unique: true,
+    trim: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required'],
+    index: true
+  },
+  registeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Register application IDs for an organization
+ * IDs the organization already owns stay as they are; none is registered if
+ * any belongs to another organization.
+ * @param {Array<string>} appIds - Application IDs
+ * @param {string} organization - ID of the owning organization
+ * @param {string} registeredBy - ID of the registering administrator
+ * @returns {Promise<Array<string>>} - IDs owned by other organizations; empty if all are now the organization's
+ */
+applicationSchema.statics.register = async function(appIds, organization, registeredBy) {
+  const owned = await this.find({ appId: { $in: appIds } });
+  const taken = owned
+    .filter(application => !application.organization.equals(organization))
+    .map(application => application.appId);
+  
+  if (taken.length > 0) {
+    return taken;
+  }
+  
+  const unregistered = appIds.filter(appId => !owned.some(application => application.appId === appId));
+  
+  try {
+    await this.insertMany(
+      unregistered.map(appId => ({ appId, organization, registeredBy })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // One of them was registered for another organization concurrently; the unique index kept it theirs
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  
+  const registered = await this.find({ appId: { $in: appIds }, organization });
+  return appIds.filter(appId => !registered.some(application => application.appId === appId));
+};
+
+/**
+ * Keep the application IDs an organization still owns
+ * @param {Array<string>} appIds - Application IDs
+ * @param {string} organization - Organization ID
+ * @returns {Promise<Array<string>>} - The IDs owned by the organization
+ */
+applicationSchema.statics.filterOwned = async function(appIds, organization) {
+  if (!organization || appIds.length === 0) {
+    return [];
+  }
+  
+  const owned = await this.distinct('appId', { appId: { $in: appIds }, organization });
+  return appIds.filter(appId => owned.includes(appId));
+};
+
+const Application = mongoose.model('Application', applicationSchema);
+
+module.exports = Application;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long an invitation to join an organization stays valid
+const INVITATION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash an invitation token for storage and lookup
+ * @param {string} token - Invitation token
+ * @returns {string} - SHA-256 hash of the token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Organization schema
+ * Users only become members through an administrator, either directly or by
+ * registering with an invitation the administrator issued for their email.
+ * Metrics and application ownership are isolated per organization, so
+ * membership is never taken from user input.
+ */
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    unique: true,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitations: [{
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    tokenHash: String,
+    expiresAt: Date,
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+/**
+ * Invite an email address to join the organization
+ * Replaces any earlier invitation for the same address
+ * @param {string} email - Email address of the invitee
+ * @param {string} invitedBy - ID of the inviting administrator
+ * @returns {Promise<Object>} - { token, expiresAt }; only a hash of the token is stored
+ */
+organizationSchema.methods.createInvitation = async function(email, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL);
+  
+  this.invitations = this.invitations.filter(invitation =>
+    invitation.email !== email && invitation.expiresAt > Date.now());
+  this.invitations.push({ email, tokenHash: hashToken(token), expiresAt, invitedBy });
+  
+  await this.save();
+  
+  return { token, expiresAt };
+};
+
+/**
+ * Redeem an invitation, which can only be used once and only by the invited email
+ * @param {string} token - Invitation token
+ * @param {string} email - Email address of the user redeeming it
+ * @returns {Promise<Object|null>} - Organization, or null if the invitation is unknown, expired or for another email
+ */
+organizationSchema.statics.redeemInvitation = async function(token, email) {
+  const tokenHash = hashToken(token);
+  
+  return await this.findOneAndUpdate(
+    {
+      isActive: true,
+      invitations: {
+        $elemMatch: { tokenHash, email, expiresAt: { $gt: Date.now() } }
+      }
+    },
+    { $pull: { invitations: { tokenHash } } },
+    { new: true }
+  );
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
\ No newline at end of file
@@ -35,10 +35,11 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin', 'superadmin'],
     default: 'user'
   },
+  // Set by an administrator or an invitation, never by the user
   organization: {
-    type: String,
-    required: [true, 'Organization is required'],
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
   },
   isActive: {
     type: Boolean,
@@ -47,6 +48,11 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  apiKeyId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
   apiKeyHash: {
     type: String,
     select: false
@@ -54,6 +60,10 @@ const userSchema = new mongoose.Schema({
   apiKeyExpiry: {
     type: Date
   },
+  apiKeyApps: [{
+    type: String,
+    trim: true
+  }],
   passwordResetToken: String,
   passwordResetExpires: Date,
   verificationToken: String,
@@ -117,14 +127,20 @@ userSchema.methods.generateAuthToken = function() {
 
 /**
  * Generate API key for programmatic access
+ * The key is "<key ID>.<secret>"; the key ID locates the user, the secret is only stored hashed
+ * @param {Array<string>} appIds - Application IDs the key may publish for
  */
-userSchema.methods.generateApiKey = async function() {
+userSchema.methods.generateApiKey = async function(appIds = []) {
+  const crypto = require('crypto');
+  
   // Generate a random API key
-  const apiKey = require('crypto').randomBytes(32).toString('hex');
+  this.apiKeyId = crypto.randomBytes(8).toString('hex');
+  const apiKey = `${this.apiKeyId}.${crypto.randomBytes(32).toString('hex')}`;
   
   // Hash the API key for storage
   const salt = await bcrypt.genSalt(10);
   this.apiKeyHash = await bcrypt.hash(apiKey, salt);
+  this.apiKeyApps = appIds;
   
   // Set expiry to 90 days in the future
   this.apiKeyExpiry = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
@@ -134,6 +150,17 @@ userSchema.methods.generateApiKey = async function() {
   return apiKey;
 };
 
+/**
+ * Revoke the user's API key, e.g. when they leave their organization
+ * The caller saves the user
+ */
+userSchema.methods.revokeApiKey = function() {
+  this.apiKeyId = undefined;
+  this.apiKeyHash = undefined;
+  this.apiKeyExpiry = undefined;
+  this.apiKeyApps = [];
+};
+
 /**
  * Verify API key
  * @param {string} apiKey - The API key to verify
@@ -148,6 +175,30 @@ userSchema.methods.verifyApiKey = async function(apiKey) {
   return await bcrypt.compare(apiKey, this.apiKeyHash);
 };
 
+/**
+ * Find the active user an API key belongs to
+ * @param {string} apiKey - The API key to look up
+ * @returns {Promise<Object|null>} - User or null if the key is unknown, expired or wrong
+ */
+userSchema.statics.findByApiKey = async function(apiKey) {
+  const [apiKeyId] = String(apiKey || '').split('.');
+  if (!apiKeyId || apiKeyId === apiKey) {
+    return null;
+  }
+  
+  const user = await this.findOne({
+    apiKeyId,
+    isActive: true,
+    apiKeyExpiry: { $gt: Date.now() }
+  }).select('+apiKeyHash');
+  
+  if (!user || !(await user.verifyApiKey(apiKey))) {
+    return null;
+  }
+  
+  return user;
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
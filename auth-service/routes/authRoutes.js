@@ -6,7 +6,8 @@ const {
   registerValidator,
   loginValidator,
   forgotPasswordValidator,
-  resetPasswordValidator
+  resetPasswordValidator,
+  apiKeyValidator
 } = require('../middleware/validators');
 
 // Public routes
@@ -22,7 +23,7 @@ router.use(protect); // All routes below this line require authentication
 
 router.get('/me', authController.getCurrentUser);
 router.post('/logout', authController.logout);
-router.post('/api-key', authController.generateApiKey);
+router.post('/api-key', apiKeyValidator, authController.generateApiKey);
 
 // Admin only routes
 router.get('/users', restrictTo('admin', 'superadmin'), (req, res) => {
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireServiceToken } = require('../middleware/auth');
+const {
+  verifyApiKeyValidator,
+  organizationAppsValidator,
+  lookupUserValidator
+} = require('../middleware/validators');
+
+// Service-to-service routes, called by other CERTIHASH services with INTERNAL_SERVICE_TOKEN
+router.use(requireServiceToken);
+
+router.post('/api-keys/verify', verifyApiKeyValidator, authController.verifyApiKey);
+router.get('/organizations/:organizationId/apps', organizationAppsValidator, authController.getOrganizationApps);
+router.get('/users/lookup', lookupUserValidator, authController.lookupUser);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { protect, restrictTo } = require('../middleware/auth');
+const {
+  createOrganizationValidator,
+  organizationMemberValidator,
+  removeMemberValidator,
+  registerAppsValidator
+} = require('../middleware/validators');
+
+// Organizations and their membership are managed by administrators only
+router.use(protect);
+router.use(restrictTo('admin', 'superadmin'));
+
+router.post('/', createOrganizationValidator, organizationController.createOrganization);
+router.get('/', organizationController.listOrganizations);
+router.post('/:organizationId/members', organizationMemberValidator, organizationController.addMember);
+router.delete('/:organizationId/members/:userId', removeMemberValidator, organizationController.removeMember);
+router.post('/:organizationId/invitations', organizationMemberValidator, organizationController.inviteMember);
+router.post('/:organizationId/apps', registerAppsValidator, organizationController.registerApps);
+
+module.exports = router;
\ No newline at end of file
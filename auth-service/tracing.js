@@ -0,0 +1,46 @@
+const dotenv = require('dotenv');
+const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { MongoDBInstrumentation } = require('@opentelemetry/instrumentation-mongodb');
+const { WinstonInstrumentation } = require('@opentelemetry/instrumentation-winston');
+
+// OTEL_* settings may come from .env, which index.js has not loaded yet
+dotenv.config();
+
+/**
+ * OpenTelemetry tracing for the auth service
+ * Required first in index.js. Requests from the UI backend and from the
+ * metrics service's API key checks continue the caller's trace, user and
+ * key lookups show up as MongoDB spans, and log records get trace_id and
+ * span_id fields. Spans are exported over OTLP to
+ * OTEL_EXPORTER_OTLP_ENDPOINT; OTEL_SDK_DISABLED=true turns tracing off.
+ */
+const sdk = new NodeSDK({
+  serviceName: process.env.OTEL_SERVICE_NAME || 'certihash-auth-service',
+  traceExporter: new OTLPTraceExporter(),
+  // Traces only; logs stay with winston
+  metricReaders: [],
+  logRecordProcessors: [],
+  instrumentations: [
+    new HttpInstrumentation({
+      ignoreIncomingRequestHook: (req) => req.url === '/health'
+    }),
+    new ExpressInstrumentation(),
+    new MongoDBInstrumentation(),
+    // Correlate logs with traces only; logs are not shipped over OTLP
+    new WinstonInstrumentation({ disableLogSending: true })
+  ]
+});
+
+sdk.start();
+
+// Flush buffered spans before the container stops
+process.on('SIGTERM', () => {
+  sdk.shutdown()
+    .catch(error => console.error('Error shutting down tracing:', error.message))
+    .finally(() => process.exit(0));
+});
+
+module.exports = sdk;
\ No newline at end of file
@@ -0,0 +1,145 @@
+const bsv = require('bsv');
+const BSVSignature = require('../bsv_signature');
+
+// Bitcoin Signed Message vector of the bsv library's message tests
+const BSM_VECTOR = {
+  wif: 'cPBn5A4ikZvBTQ8D7NnvHZYCAxzDZ5Z2TSGW2LkyPiLxqYaJPBW4',
+  address: 'n1ZCYg9YXtB5XCZazLxSmPDa8iwJRZHhGx',
+  message: 'hello, world',
+  signature: 'H/DIn8uA1scAuKLlCx+/9LnAcJtwQQ0PmcPrJUq90aboLv3fH5fFvY+vmbfOSFEtGarznYli6ShPr9RXwY9UrIY=',
+  badSignature: 'H69qZ4mbZCcvXk7CWjptD5ypnYVLvQ3eMXLM8+1gX21SLH/GaFnAjQrDn37+TDw79i9zHhbiMMwhtvTwnPigZ6k='
+};
+
+// BRC-42 key derivation vectors from the specification, which BRC-77 signing keys are derived with
+const BRC42_PRIVATE_VECTOR = {
+  senderPublicKey: '033f9160df035156f1c48e75eae99914fa1a1546bec19781e8eddb900200bff9d1',
+  recipientPrivateKey: '6a1751169c111b4667a6539ee1be6b7cd9f6e9c8fe011a5f2fe31e03a15e0ede',
+  invoiceNumber: 'f3WCaUmnN9U=',
+  privateKey: '761656715bbfa172f8f9f58f5af95d9d0dfd69014cfdcacc9a245a10ff8893ef'
+};
+const BRC42_PUBLIC_VECTOR = {
+  senderPrivateKey: '583755110a8c059de5cd81b8a04e1be884c46083ade3f779c1e022f6f89da94c',
+  recipientPublicKey: '02c0c1e1a1f7d247827d1bcf399f0ef2deef7695c322fd91a01a91378f101b6ffc',
+  invoiceNumber: 'IBioA4D/OaE=',
+  publicKey: '03c1bf5baadee39721ae8c9882b3cf324f0bf3b9eb3fc1b8af8089ca7a7c2e669f'
+};
+
+// Keys and message of the BRC-77 specification's examples
+const SENDER = new bsv.PrivateKey(new bsv.crypto.BN(15));
+const RECIPIENT = new bsv.PrivateKey(new bsv.crypto.BN(21));
+const MESSAGE = Buffer.from([1, 2, 4, 8, 16, 32]);
+
+/**
+ * Private key from a hex scalar
+ * @param {string} hex - Private key hex
+ * @returns {bsv.PrivateKey} - Private key
+ */
+const privateKeyFromHex = hex => new bsv.PrivateKey(new bsv.crypto.BN(hex, 16));
+
+/**
+ * Flip one bit of a base64 signature
+ * @param {string} signature - Base64 signature
+ * @param {number} index - Byte to change, from the end when negative
+ * @returns {string} - Tampered signature
+ */
+function tamper(signature, index) {
+  const buf = Buffer.from(signature, 'base64');
+  const offset = index < 0 ? buf.length + index : index;
+  buf[offset] ^= 0x01;
+  return buf.toString('base64');
+}
+
+describe('BSVSignature', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('Bitcoin Signed Message', () => {
+    test('verifies the known signature and recovers its public key', () => {
+      const publicKey = bsv.PrivateKey.fromWIF(BSM_VECTOR.wif).toPublicKey().toString();
+      
+      expect(BSVSignature.verifyBSM(BSM_VECTOR.message, BSM_VECTOR.signature, BSM_VECTOR.address)).toBe(true);
+      expect(BSVSignature.recoverPublicKey(BSM_VECTOR.message, BSM_VECTOR.signature)).toBe(publicKey);
+      expect(BSVSignature.detectFormat(BSM_VECTOR.signature)).toBe(BSVSignature.FORMAT.BSM);
+      expect(BSVSignature.verifyAuthor(BSM_VECTOR.message, BSM_VECTOR.signature, publicKey)).toBe(true);
+    });
+    
+    test('rejects a tampered message or signature', () => {
+      expect(BSVSignature.verifyBSM('hello, world!', BSM_VECTOR.signature, BSM_VECTOR.address)).toBe(false);
+      expect(BSVSignature.verifyBSM(BSM_VECTOR.message, BSM_VECTOR.badSignature, BSM_VECTOR.address)).toBe(false);
+      expect(BSVSignature.verifyBSM(BSM_VECTOR.message, tamper(BSM_VECTOR.signature, 10), BSM_VECTOR.address)).toBe(false);
+    });
+    
+    test('rejects a signature made with another key', () => {
+      const signature = BSVSignature.signBSM(BSM_VECTOR.message, SENDER.toWIF());
+      
+      expect(BSVSignature.verifyBSM(BSM_VECTOR.message, signature, SENDER.toPublicKey().toString())).toBe(true);
+      expect(BSVSignature.verifyBSM(BSM_VECTOR.message, signature, BSM_VECTOR.address)).toBe(false);
+      expect(BSVSignature.verifyAuthor(BSM_VECTOR.message, signature, RECIPIENT.toPublicKey().toString())).toBe(false);
+    });
+  });
+  
+  describe('BRC-77', () => {
+    test('derives the BRC-42 specification keys', () => {
+      const childPrivateKey = BSVSignature.deriveChildPrivateKey(
+        privateKeyFromHex(BRC42_PRIVATE_VECTOR.recipientPrivateKey),
+        bsv.PublicKey.fromString(BRC42_PRIVATE_VECTOR.senderPublicKey),
+        BRC42_PRIVATE_VECTOR.invoiceNumber
+      );
+      expect(childPrivateKey.bn.toString(16, 64)).toBe(BRC42_PRIVATE_VECTOR.privateKey);
+      
+      const childPublicKey = BSVSignature.deriveChildPublicKey(
+        bsv.PublicKey.fromString(BRC42_PUBLIC_VECTOR.recipientPublicKey),
+        privateKeyFromHex(BRC42_PUBLIC_VECTOR.senderPrivateKey),
+        BRC42_PUBLIC_VECTOR.invoiceNumber
+      );
+      expect(childPublicKey.toString()).toBe(BRC42_PUBLIC_VECTOR.publicKey);
+    });
+    
+    test('signs in the specification layout for anyone to verify', () => {
+      const signature = BSVSignature.signBRC77(MESSAGE, SENDER.toWIF());
+      const buf = Buffer.from(signature, 'base64');
+      
+      expect(buf.subarray(0, 4).toString('hex')).toBe('42423301');
+      expect(buf.subarray(4, 37).toString('hex')).toBe(SENDER.toPublicKey().toString());
+      expect(buf[37]).toBe(0);
+      expect(BSVSignature.parseBRC77(signature)).toMatchObject({
+        signerPublicKey: SENDER.toPublicKey().toString(),
+        recipientPublicKey: null
+      });
+      expect(BSVSignature.detectFormat(signature)).toBe(BSVSignature.FORMAT.BRC77);
+      expect(BSVSignature.verifyBRC77(MESSAGE, signature)).toBe(true);
+      expect(BSVSignature.verifyAuthor(MESSAGE, signature, SENDER.toPublicKey().toAddress().toString())).toBe(true);
+    });
+    
+    test('rejects a tampered message, key ID or signature', () => {
+      const signature = BSVSignature.signBRC77(MESSAGE, SENDER.toWIF());
+      
+      expect(BSVSignature.verifyBRC77(Buffer.from([1, 2, 4, 8, 16, 64]), signature)).toBe(false);
+      expect(BSVSignature.verifyBRC77(MESSAGE, tamper(signature, 40))).toBe(false);
+      expect(BSVSignature.verifyBRC77(MESSAGE, tamper(signature, -1))).toBe(false);
+    });
+    
+    test('rejects a signature claimed for another signer', () => {
+      const signature = BSVSignature.signBRC77(MESSAGE, SENDER.toWIF());
+      const buf = Buffer.from(signature, 'base64');
+      RECIPIENT.toPublicKey().toBuffer().copy(buf, 4);
+      
+      expect(BSVSignature.verifyBRC77(MESSAGE, buf.toString('base64'))).toBe(false);
+      expect(BSVSignature.verifyAuthor(MESSAGE, signature, RECIPIENT.toPublicKey().toString())).toBe(false);
+    });
+    
+    test('lets only the recipient verify a signature made for them', () => {
+      const signature = BSVSignature.signBRC77(MESSAGE, SENDER.toWIF(), RECIPIENT.toPublicKey().toString());
+      
+      expect(BSVSignature.parseBRC77(signature).recipientPublicKey).toBe(RECIPIENT.toPublicKey().toString());
+      expect(BSVSignature.verifyBRC77(MESSAGE, signature, RECIPIENT.toWIF())).toBe(true);
+      expect(BSVSignature.verifyBRC77(MESSAGE, signature)).toBe(false);
+      expect(BSVSignature.verifyBRC77(MESSAGE, signature, new bsv.PrivateKey(new bsv.crypto.BN(22)).toWIF())).toBe(false);
+    });
+  });
+});
\ No newline at end of file
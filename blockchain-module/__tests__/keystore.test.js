@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Keystore = require('../keystore');
+const BSVSignature = require('../bsv_signature');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+describe('Keystore', () => {
+  let dir;
+  let keystorePath;
+  let keystore;
+  
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'keystore-'));
+    keystorePath = path.join(dir, 'keystore.json');
+    keystore = new Keystore({ path: keystorePath, passphrase: PASSPHRASE, network: 'test' });
+    await keystore.createMasterKey({ label: 'master' });
+  });
+  
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+  
+  test('gives concurrently created applications their own account index', async () => {
+    const [a, b, c, again] = await Promise.all([
+      keystore.getAppKey('app-a'),
+      keystore.getAppKey('app-b'),
+      keystore.getAppKey('app-c'),
+      keystore.getAppKey('app-a')
+    ]);
+    
+    expect(new Set([a.appIndex, b.appIndex, c.appIndex])).toEqual(new Set([0, 1, 2]));
+    expect(new Set([a.id, b.id, c.id]).size).toBe(3);
+    expect(again.id).toBe(a.id);
+    
+    // Every application still resolves to its own key after a reload
+    const reloaded = await new Keystore({ path: keystorePath, passphrase: PASSPHRASE, network: 'test' }).load();
+    expect(reloaded.data.apps).toEqual({
+      'app-a': { index: a.appIndex, keyId: a.id },
+      'app-b': { index: b.appIndex, keyId: b.id },
+      'app-c': { index: c.appIndex, keyId: c.id }
+    });
+    expect(reloaded.listKeys({ type: 'derived' })).toHaveLength(3);
+  });
+  
+  test('rotates an application key and retires the old one', async () => {
+    const old = await keystore.getAppKey('app-a');
+    const key = await keystore.rotateKey('app-a');
+    
+    expect(key.id).not.toBe(old.id);
+    expect(key).toMatchObject({ appId: 'app-a', appIndex: old.appIndex, rotation: 1, status: 'active' });
+    expect(key.path).toBe(`m/44'/236'/${old.appIndex}'/0'/1'`);
+    expect(keystore.getKey(old.id)).toMatchObject({ status: 'retired', rotatedTo: key.id });
+    expect((await keystore.getAppKey('app-a')).id).toBe(key.id);
+    
+    // Only the new key signs; the retired one keeps its public key for verification
+    const signature = await keystore.sign(key.id, 'hello');
+    expect(BSVSignature.verify('hello', signature, key.publicKey)).toBe(true);
+    await expect(keystore.sign(old.id, 'hello')).rejects.toThrow(`Key ${old.id} is retired`);
+    await expect(keystore.rotateKey(old.id)).rejects.toThrow('already retired');
+  });
+  
+  test('refuses to sign with the wrong passphrase', async () => {
+    const key = await keystore.getAppKey('app-a');
+    
+    const wrong = await new Keystore({ path: keystorePath, passphrase: 'wrong', network: 'test' }).load();
+    await expect(wrong.verifyKey(key.id)).rejects.toThrow('Failed to decrypt key: wrong passphrase or KMS key');
+    await expect(wrong.sign(key.id, 'hello')).rejects.toThrow('Failed to decrypt key');
+    await expect(wrong.getAppKey('app-b')).rejects.toThrow('Failed to decrypt key');
+    expect(wrong.data.apps['app-b']).toBeUndefined();
+  });
+  
+  test('keeps deriving application keys after a failed derivation', async () => {
+    await expect(keystore.getAppKey('app-a', { masterKeyId: 'key_unknown' })).rejects.toThrow('Unknown master key');
+    await expect(keystore.getAppKey('app-a')).resolves.toMatchObject({ appId: 'app-a', appIndex: 0 });
+  });
+  
+  test('never exposes encrypted key material', async () => {
+    const key = await keystore.getAppKey('app-a');
+    
+    expect(key.crypto).toBeUndefined();
+    expect(keystore.listKeys().every(metadata => metadata.crypto === undefined)).toBe(true);
+    expect(JSON.stringify(keystore.listKeys())).not.toContain('xprv');
+  });
+});
\ No newline at end of file
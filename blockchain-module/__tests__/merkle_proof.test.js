@@ -0,0 +1,174 @@
+const bsv = require('bsv');
+const MerkleProof = require('../merkle_proof');
+
+// Five transactions, so two levels end in an odd node: 5 -> 3 -> 2 -> 1
+const TXIDS = [1, 2, 3, 4, 5].map(n => bsv.crypto.Hash.sha256sha256(Buffer.from([n])).toString('hex'));
+
+/**
+ * Build the levels of a Merkle tree, leaves first and the root last
+ * @param {Array<string>} txids - Leaves
+ * @returns {Array<Array<string>>} - Levels
+ */
+function buildTree(txids) {
+  const levels = [txids];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const parents = [];
+    for (let i = 0; i < level.length; i += 2) {
+      parents.push(MerkleProof.hashPair(level[i], level[i + 1] || level[i]));
+    }
+    levels.push(parents);
+  }
+  
+  return levels;
+}
+
+const TREE = buildTree(TXIDS);
+const ROOT = TREE[TREE.length - 1][0];
+
+/**
+ * Build the TSC proof of a leaf
+ * @param {number} index - Leaf index
+ * @returns {Object} - TSC proof
+ */
+function tscProof(index) {
+  const nodes = TREE.slice(0, -1).map((level, height) => {
+    const offset = (index >> height) ^ 1;
+    return offset < level.length ? level[offset] : '*';
+  });
+  
+  return { index, txOrId: TXIDS[index], nodes, target: ROOT, targetType: 'merkleRoot' };
+}
+
+/**
+ * Encode a BUMP from its levels
+ * @param {Array<Array<Object>>} path - Levels of { offset, hash, duplicate, txid }
+ * @returns {string} - BUMP hex
+ */
+function encodeBump(path) {
+  const writer = new bsv.encoding.BufferWriter();
+  writer.writeVarintNum(800000);
+  writer.writeUInt8(path.length);
+  
+  path.forEach(level => {
+    writer.writeVarintNum(level.length);
+    level.forEach(({ offset, hash, duplicate, txid }) => {
+      writer.writeVarintNum(offset);
+      writer.writeUInt8((duplicate ? 0x01 : 0) | (txid ? 0x02 : 0));
+      if (!duplicate) {
+        writer.writeReverse(Buffer.from(hash, 'hex'));
+      }
+    });
+  });
+  
+  return writer.toBuffer().toString('hex');
+}
+
+/**
+ * Build the single path BUMP levels of a leaf
+ * @param {number} index - Leaf index
+ * @returns {Array<Array<Object>>} - Levels
+ */
+function bumpPath(index) {
+  return TREE.slice(0, -1).map((level, height) => {
+    const offset = (index >> height) ^ 1;
+    const sibling = offset < level.length
+      ? { offset, hash: level[offset] }
+      : { offset, duplicate: true };
+    
+    return height === 0 ? [{ offset: index, hash: TXIDS[index], txid: true }, sibling] : [sibling];
+  });
+}
+
+describe('MerkleProof', () => {
+  describe('TSC proofs', () => {
+    test.each(TXIDS.map((txid, index) => [index]))('compute the block root for leaf %i', index => {
+      expect(MerkleProof.computeRoot(tscProof(index), 'tsc', TXIDS[index])).toBe(ROOT);
+    });
+    
+    test('reject a duplicate standing in for a left sibling', () => {
+      // The last transaction claimed at the position its duplicate would take
+      const proof = { ...tscProof(4), index: 5 };
+      proof.nodes = ['*', ...proof.nodes.slice(1)];
+      
+      expect(() => MerkleProof.computeRoot(proof, 'tsc', TXIDS[4])).toThrow(/duplicates a left sibling/);
+    });
+    
+    test('reject a right sibling above the last node of a level', () => {
+      const proof = tscProof(4);
+      proof.nodes[1] = TREE[1][0];
+      
+      expect(() => MerkleProof.computeRoot(proof, 'tsc', TXIDS[4])).toThrow(/right sibling at height 1/);
+    });
+    
+    test('reject a proof missing its upper nodes', () => {
+      const proof = tscProof(4);
+      proof.nodes.pop();
+      
+      expect(() => MerkleProof.computeRoot(proof, 'tsc', TXIDS[4])).toThrow(/missing the nodes above height 1/);
+    });
+    
+    test('reject a proof for another transaction', () => {
+      expect(() => MerkleProof.computeRoot(tscProof(1), 'tsc', TXIDS[0])).toThrow(/not/);
+    });
+  });
+  
+  describe('BUMP proofs', () => {
+    test.each(TXIDS.map((txid, index) => [index]))('compute the block root for leaf %i', index => {
+      expect(MerkleProof.computeRoot(encodeBump(bumpPath(index)), 'bump', TXIDS[index])).toBe(ROOT);
+    });
+    
+    test('compute the root of a compound BUMP for every transaction it holds', () => {
+      const bump = encodeBump([
+        [...TXIDS.map((hash, offset) => ({ offset, hash, txid: true })), { offset: 5, duplicate: true }],
+        [{ offset: 3, duplicate: true }],
+        []
+      ]);
+      
+      TXIDS.forEach(txid => {
+        expect(MerkleProof.computeRoot(bump, 'bump', txid)).toBe(ROOT);
+      });
+    });
+    
+    test('parse the block height', () => {
+      expect(MerkleProof.parseBump(encodeBump(bumpPath(0))).blockHeight).toBe(800000);
+    });
+    
+    test('reject a duplicate flag on a left node', () => {
+      const path = bumpPath(3);
+      path[0][1] = { offset: 2, duplicate: true };
+      
+      expect(() => MerkleProof.computeRoot(encodeBump(path), 'bump', TXIDS[3])).toThrow(/left node as duplicate/);
+    });
+    
+    test('reject a duplicate flag with nodes to its right', () => {
+      const path = bumpPath(0);
+      path[0][1] = { offset: 1, duplicate: true };
+      path[0].push({ offset: 2, hash: TXIDS[2] });
+      
+      expect(() => MerkleProof.computeRoot(encodeBump(path), 'bump', TXIDS[0])).toThrow(/right of the duplicate/);
+    });
+    
+    test('reject a duplicate flag above nodes it would cover', () => {
+      const path = bumpPath(0);
+      path[1].push({ offset: 3, duplicate: true });
+      path[0].push({ offset: 6, hash: TXIDS[2] });
+      
+      expect(() => MerkleProof.computeRoot(encodeBump(path), 'bump', TXIDS[0])).toThrow(/right of the duplicate/);
+    });
+    
+    test('reject a level missing the sibling of the path', () => {
+      const path = bumpPath(2);
+      path[1] = [];
+      
+      expect(() => MerkleProof.computeRoot(encodeBump(path), 'bump', TXIDS[2])).toThrow(/missing the node/);
+    });
+    
+    test('reject a leaf outside the tree', () => {
+      const path = bumpPath(0);
+      path[0].push({ offset: 8, hash: TXIDS[4] });
+      
+      expect(() => MerkleProof.computeRoot(encodeBump(path), 'bump', TXIDS[0])).toThrow(/outside a tree of height 3/);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+const http = require('http');
+const NodeRpcClient = require('../node_rpc_client');
+
+const TXID = 'e5'.repeat(32);
+const BLOCK_HASH = '00'.repeat(4) + 'aa'.repeat(28);
+
+/**
+ * Create an RPC error as bitcoind reports it
+ * @param {number} code - RPC error code
+ * @param {string} message - Error message
+ * @returns {Object} - RPC error
+ */
+function rpcError(code, message) {
+  return { rpcError: { code, message } };
+}
+
+// Stub node methods, each answering with a result or an rpcError
+const METHODS = {
+  sendrawtransaction: ([txHex]) => txHex === 'spent' ? rpcError(-26, 'txn-mempool-conflict') : TXID,
+  getrawtransaction: ([txid]) => txid === TXID
+    ? { txid, blockhash: BLOCK_HASH, confirmations: 3 }
+    : rpcError(-5, 'No such mempool or blockchain transaction'),
+  getmerkleproof: ([txid]) => ({ index: 1, txOrId: txid, target: { hash: BLOCK_HASH, height: 800000 }, nodes: ['*'] }),
+  getblockchaininfo: () => ({ blocks: 800000, bestblockhash: BLOCK_HASH }),
+  getmempoolinfo: () => rpcError(-28, 'Loading block index...'),
+  listunspent: () => [{ txid: TXID, vout: 0, amount: 0.00012345 }]
+};
+
+describe('NodeRpcClient', () => {
+  let server;
+  let requests;
+  let client;
+  
+  // JSON-RPC stub answering errors with HTTP 500, as bitcoind does
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const { id, method, params } = JSON.parse(body);
+        requests.push({ method, params, authorization: req.headers.authorization });
+        
+        const result = METHODS[method]?.(params) ?? rpcError(-32601, 'Method not found');
+        res.statusCode = result.rpcError ? 500 : 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(result.rpcError
+          ? { id, result: null, error: result.rpcError }
+          : { id, result, error: null }));
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+  
+  afterAll(done => {
+    server.close(done);
+  });
+  
+  beforeEach(() => {
+    requests = [];
+    client = new NodeRpcClient(`http://127.0.0.1:${server.address().port}`, { username: 'rpc', password: 'secret' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('broadcasts with basic auth', async () => {
+    await expect(client.broadcastTransaction('0100')).resolves.toEqual({ success: true, txid: TXID });
+    
+    expect(requests).toEqual([{
+      method: 'sendrawtransaction',
+      params: ['0100'],
+      authorization: `Basic ${Buffer.from('rpc:secret').toString('base64')}`
+    }]);
+  });
+  
+  test('reports a rejected transaction as a 422', async () => {
+    await expect(client.broadcastTransaction('spent')).resolves.toEqual({
+      success: false,
+      error: 'txn-mempool-conflict',
+      code: -26,
+      status: 422
+    });
+  });
+  
+  test('looks up transactions, reporting unknown ones as a 404', async () => {
+    await expect(client.getTransaction(TXID)).resolves.toMatchObject({
+      success: true,
+      transaction: { blockhash: BLOCK_HASH, confirmations: 3 }
+    });
+    await expect(client.getTransaction('f6'.repeat(32))).resolves.toMatchObject({ success: false, status: 404 });
+    expect(requests[0].params).toEqual([TXID, 1]);
+  });
+  
+  test('turns the node\'s Merkle proof into a TSC proof', async () => {
+    await expect(client.getMerkleProof(TXID)).resolves.toEqual({
+      success: true,
+      proof: { index: 1, txOrId: TXID, target: BLOCK_HASH, nodes: ['*'] },
+      format: 'tsc',
+      blockHash: BLOCK_HASH,
+      blockHeight: 800000
+    });
+  });
+  
+  test('reports the chain tip and a warming up node as a 503', async () => {
+    await expect(client.getChainInfo()).resolves.toEqual({ success: true, height: 800000, bestBlockHash: BLOCK_HASH });
+    await expect(client.getMempoolInfo()).resolves.toMatchObject({ success: false, code: -28, status: 503 });
+  });
+  
+  test('lists unspent outputs in satoshis', async () => {
+    await expect(client.getUtxos('1BitcoinEaterAddressDontSendf59kuE')).resolves.toEqual({
+      success: true,
+      utxos: [{ txId: TXID, outputIndex: 0, satoshis: 12345 }]
+    });
+  });
+  
+  test('reports an unreachable node without a status', async () => {
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+    
+    const unreachable = new NodeRpcClient(`http://127.0.0.1:${port}`);
+    await expect(unreachable.getChainInfo()).resolves.toMatchObject({ success: false, code: 'ECONNREFUSED', status: undefined });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,230 @@
+const ProviderChain = require('../provider_chain');
+
+const { CircuitBreaker } = ProviderChain;
+const TXID = 'ab'.repeat(32);
+
+/**
+ * Provider client answering each call with the next of the given results
+ * @param {Array<Object|Error>} results - Results or errors to throw, the last repeated
+ * @returns {Object} - Client whose methods are jest mocks
+ */
+function client(results) {
+  let calls = 0;
+  const next = jest.fn(async () => {
+    const result = results[Math.min(calls++, results.length - 1)];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  });
+  
+  return { broadcastTransaction: next, getTransaction: next, getMerkleProof: next };
+}
+
+/**
+ * Chain with fast retries
+ * @param {Array<Object>} providers - [{ name, client }]
+ * @param {Object} options - Chain options
+ * @returns {ProviderChain} - Chain
+ */
+function chain(providers, options = {}) {
+  return new ProviderChain(providers, { retryBaseDelay: 1, retryMaxDelay: 2, ...options });
+}
+
+describe('CircuitBreaker', () => {
+  let now;
+  
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('opens after the failure threshold and stays open until the reset timeout', () => {
+    const onStateChange = jest.fn();
+    const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 1000, onStateChange });
+    
+    breaker.recordFailure();
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitBreaker.STATE.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+    
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitBreaker.STATE.OPEN);
+    expect(onStateChange).toHaveBeenLastCalledWith(CircuitBreaker.STATE.OPEN);
+    
+    now += 999;
+    expect(breaker.allowRequest()).toBe(false);
+  });
+  
+  test('lets a single trial through while half open', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+    breaker.recordFailure();
+    now += 1000;
+    
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.state).toBe(CircuitBreaker.STATE.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.allowRequest()).toBe(false);
+    
+    breaker.recordSuccess();
+    expect(breaker.state).toBe(CircuitBreaker.STATE.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+  
+  test('reopens when the trial fails', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 5, resetTimeout: 1000 });
+    for (let i = 0; i < 5; i++) {
+      breaker.recordFailure();
+    }
+    now += 1000;
+    
+    expect(breaker.allowRequest()).toBe(true);
+    breaker.recordFailure();
+    expect(breaker.state).toBe(CircuitBreaker.STATE.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    
+    // The next trial is free again after another reset timeout
+    now += 1000;
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+  });
+});
+
+describe('ProviderChain', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('retries transient failures on the same provider', async () => {
+    const primary = client([{ success: false, status: 503, error: 'unavailable' }, new Error('socket hang up'), { success: true, txid: TXID }]);
+    const providers = chain([{ name: 'arc', client: primary }], { retries: 2 });
+    const requests = [];
+    providers.on('request', request => requests.push(request));
+    
+    const result = await providers.broadcastTransaction('00');
+    
+    expect(result).toMatchObject({ success: true, txid: TXID, provider: 'arc' });
+    expect(primary.broadcastTransaction).toHaveBeenCalledTimes(3);
+    expect(requests.map(({ outcome, attempt }) => [outcome, attempt])).toEqual([['error', 0], ['error', 1], ['success', 2]]);
+    expect(providers.getHealth()[0]).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+  
+  test('falls back to the next provider once retries are exhausted', async () => {
+    const primary = client([{ success: false, status: 502, error: 'bad gateway' }]);
+    const secondary = client([{ success: true, txid: TXID }]);
+    const providers = chain([{ name: 'arc', client: primary }, { name: 'woc', client: secondary }], { retries: 1 });
+    
+    const result = await providers.broadcastTransaction('00');
+    
+    expect(result).toMatchObject({ success: true, provider: 'woc' });
+    expect(primary.broadcastTransaction).toHaveBeenCalledTimes(2);
+    expect(providers.getHealth()[0]).toMatchObject({ state: 'closed', consecutiveFailures: 2 });
+  });
+  
+  test('does not retry authentication errors', async () => {
+    const primary = client([{ success: false, status: 401, error: 'unauthorized' }]);
+    const secondary = client([{ success: true, txid: TXID }]);
+    const providers = chain([{ name: 'arc', client: primary }, { name: 'woc', client: secondary }], { retries: 3 });
+    
+    await expect(providers.broadcastTransaction('00')).resolves.toMatchObject({ provider: 'woc' });
+    expect(primary.broadcastTransaction).toHaveBeenCalledTimes(1);
+  });
+  
+  test('returns rejections without trying other providers', async () => {
+    const primary = client([{ success: false, status: 400, error: 'mandatory-script-verify-flag-failed' }]);
+    const secondary = client([{ success: true, txid: TXID }]);
+    const providers = chain([{ name: 'arc', client: primary }, { name: 'woc', client: secondary }]);
+    
+    await expect(providers.broadcastTransaction('00')).resolves.toMatchObject({ success: false, status: 400, provider: 'arc' });
+    expect(primary.broadcastTransaction).toHaveBeenCalledTimes(1);
+    expect(secondary.broadcastTransaction).not.toHaveBeenCalled();
+  });
+  
+  test('looks up transactions a provider does not know on the next one', async () => {
+    const primary = client([{ success: false, status: 404, error: 'not found' }]);
+    const secondary = client([{ success: true, txid: TXID }]);
+    const providers = chain([{ name: 'arc', client: primary }, { name: 'woc', client: secondary }], { failureThreshold: 1 });
+    
+    await expect(providers.getTransaction(TXID)).resolves.toMatchObject({ success: true, provider: 'woc' });
+    
+    // A 404 is a definitive answer, not an outage
+    expect(primary.getTransaction).toHaveBeenCalledTimes(1);
+    expect(providers.getHealth()[0]).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+  
+  test('reports notFound only when every provider answered 404', async () => {
+    const notFound = chain([
+      { name: 'arc', client: client([{ success: false, status: 404, error: 'not found' }]) },
+      { name: 'woc', client: client([{ success: false, status: 404, error: 'not found' }]) }
+    ]);
+    await expect(notFound.getMerkleProof(TXID)).resolves.toMatchObject({ success: false, notFound: true, provider: 'woc' });
+    
+    const outage = chain([
+      { name: 'arc', client: client([{ success: false, status: 404, error: 'not found' }]) },
+      { name: 'woc', client: client([new Error('connect ECONNREFUSED')]) }
+    ], { retries: 0 });
+    await expect(outage.getMerkleProof(TXID)).resolves.toMatchObject({ success: false, notFound: false, provider: 'woc' });
+  });
+  
+  test('skips a provider with an open circuit and sends one trial after the reset timeout', async () => {
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    
+    let answerTrial;
+    const trial = new Promise(resolve => {
+      answerTrial = resolve;
+    });
+    const primary = client([new Error('timeout of 10000ms exceeded')]);
+    const secondary = client([{ success: true, txid: TXID }]);
+    const providers = chain([{ name: 'arc', client: primary }, { name: 'woc', client: secondary }], {
+      retries: 0,
+      failureThreshold: 1,
+      resetTimeout: 1000
+    });
+    const states = [];
+    providers.on('circuit', ({ provider, state }) => states.push(`${provider}:${state}`));
+    
+    await providers.broadcastTransaction('00');
+    expect(states).toEqual(['arc:open']);
+    
+    await providers.broadcastTransaction('00');
+    expect(primary.broadcastTransaction).toHaveBeenCalledTimes(1);
+    
+    // Only the first request after the reset timeout reaches the recovering provider
+    now += 1000;
+    primary.broadcastTransaction.mockImplementationOnce(() => trial);
+    const first = providers.broadcastTransaction('00');
+    const second = await providers.broadcastTransaction('00');
+    
+    expect(second).toMatchObject({ success: true, provider: 'woc' });
+    expect(primary.broadcastTransaction).toHaveBeenCalledTimes(2);
+    
+    answerTrial({ success: true, txid: TXID });
+    await expect(first).resolves.toMatchObject({ success: true, provider: 'arc' });
+    expect(states).toEqual(['arc:open', 'arc:half_open', 'arc:closed']);
+  });
+  
+  test('backs off exponentially with jitter up to the maximum delay', () => {
+    const providers = new ProviderChain([], { retryBaseDelay: 200, retryMaxDelay: 1000 });
+    
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect([0, 1, 2, 3].map(attempt => providers.getBackoffDelay(attempt))).toEqual([200, 400, 800, 1000]);
+    
+    Math.random.mockReturnValue(0);
+    expect([0, 1, 2, 3].map(attempt => providers.getBackoffDelay(attempt))).toEqual([100, 200, 400, 500]);
+  });
+  
+  test('classifies provider failures', () => {
+    expect(ProviderChain.isProviderFailure({ success: false, error: 'ECONNRESET' })).toBe(true);
+    expect(ProviderChain.isProviderFailure({ success: false, status: 429 })).toBe(true);
+    expect(ProviderChain.isProviderFailure({ success: false, status: 404 })).toBe(false);
+    expect(ProviderChain.isProviderFailure({ success: false, status: 500, txStatus: 'REJECTED' })).toBe(false);
+    expect(ProviderChain.isRetryable({ success: false, status: 403 })).toBe(false);
+    expect(ProviderChain.isRetryable({ success: false, status: 503 })).toBe(true);
+  });
+});
\ No newline at end of file
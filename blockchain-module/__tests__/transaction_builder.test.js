@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bsv = require('bsv');
+const Keystore = require('../keystore');
+const TransactionBuilder = require('../transaction_builder');
+
+// ARC's default policy: 1 satoshi per 1000 bytes, and a rate a busy miner might ask
+const ARC_DEFAULT_FEES = { policy: { miningFee: { satoshis: 1, bytes: 1000 } } };
+const ARC_HIGH_FEES = { policy: { miningFee: { satoshis: 50, bytes: 1000 } } };
+
+/**
+ * Blockchain client stub holding the funding address's UTXOs
+ * @param {Object} fees - ARC fee policy, or null when ARC cannot be reached
+ * @returns {Object} - Client with jest mocks and its utxos list
+ */
+function blockchainClient(fees = ARC_DEFAULT_FEES) {
+  const client = {
+    bsvNetwork: bsv.Networks.testnet,
+    utxos: [],
+    getUtxos: jest.fn(async () => client.utxos),
+    broadcastTransaction: jest.fn(async txHex => ({ success: true, txid: new bsv.Transaction(txHex).id })),
+    arcClient: {
+      getFees: jest.fn(async () => (fees ? { success: true, fees } : { success: false, error: 'unavailable' }))
+    }
+  };
+  return client;
+}
+
+/**
+ * Random outpoint at the funding address
+ * @param {TransactionBuilder} builder - Builder whose address receives it
+ * @param {number} satoshis - Value
+ * @returns {Object} - UTXO as reported by providers
+ */
+function utxo(builder, satoshis) {
+  return { txId: crypto.randomBytes(32).toString('hex'), outputIndex: 0, satoshis, script: builder.script };
+}
+
+describe('TransactionBuilder', () => {
+  let dir;
+  let keystore;
+  let keyId;
+  let client;
+  let builder;
+  
+  beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transaction-builder-'));
+    keystore = new Keystore({ path: path.join(dir, 'keystore.json'), passphrase: 'funding', network: 'test' });
+    keyId = (await keystore.importKey(bsv.PrivateKey.fromRandom(bsv.Networks.testnet).toWIF(), { label: 'funding' })).id;
+  });
+  
+  afterAll(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+  
+  beforeEach(() => {
+    client = blockchainClient();
+    builder = new TransactionBuilder(client, keystore, keyId, { feePerKb: 500 });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  describe('fees', () => {
+    test('reads the mining fee from every ARC policy shape', () => {
+      const miningFee = { satoshis: 5, bytes: 100 };
+      
+      expect(TransactionBuilder.parseFeeRate({ policy: { miningFee } })).toBe(50);
+      expect(TransactionBuilder.parseFeeRate({ miningFee })).toBe(50);
+      expect(TransactionBuilder.parseFeeRate({
+        fees: [{ feeType: 'data', miningFee: { satoshis: 1, bytes: 1000 } }, { feeType: 'standard', miningFee }]
+      })).toBe(50);
+      expect(TransactionBuilder.parseFeeRate({ policy: { miningFee: { satoshis: 1, bytes: 0 } } })).toBeNull();
+      expect(TransactionBuilder.parseFeeRate({})).toBeNull();
+    });
+    
+    test('pays the ARC fee rate for the signed size', async () => {
+      for (const fees of [ARC_DEFAULT_FEES, ARC_HIGH_FEES]) {
+        client = blockchainClient(fees);
+        builder = new TransactionBuilder(client, keystore, keyId);
+        client.utxos = [utxo(builder, 100000)];
+        
+        const tx = await builder.buildDataTransaction(JSON.stringify({ hash: 'ab'.repeat(32) }));
+        const rate = TransactionBuilder.parseFeeRate(fees);
+        const minimum = Math.ceil(tx.toBuffer().length * rate / 1000);
+        
+        expect(tx.isFullySigned()).toBe(true);
+        expect(tx.getFee()).toBeGreaterThanOrEqual(minimum);
+        expect(tx.getFee()).toBeLessThanOrEqual(minimum + Math.ceil(rate / 10));
+      }
+    });
+    
+    test('caches the ARC rate and falls back to the configured rate', async () => {
+      await builder.getFeeRate();
+      await expect(builder.getFeeRate()).resolves.toBe(1);
+      expect(client.arcClient.getFees).toHaveBeenCalledTimes(1);
+      
+      const offline = new TransactionBuilder(blockchainClient(null), keystore, keyId, { feePerKb: 500 });
+      await expect(offline.getFeeRate()).resolves.toBe(500);
+    });
+  });
+  
+  describe('UTXO reservation', () => {
+    test('gives concurrent builds different inputs', async () => {
+      client.utxos = [utxo(builder, 5000), utxo(builder, 5000)];
+      
+      const [a, b] = await Promise.all([builder.buildDataTransaction('a'), builder.buildDataTransaction('b')]);
+      
+      expect(TransactionBuilder.getInputKeys(a)).not.toEqual(TransactionBuilder.getInputKeys(b));
+      expect(builder.getStats()).toMatchObject({ utxos: 2, available: 0, reserved: 2 });
+      
+      // Reserved outputs stay reserved even after asking the provider again
+      const refreshes = client.getUtxos.mock.calls.length;
+      await expect(builder.buildDataTransaction('c')).rejects.toThrow('Insufficient funds');
+      expect(client.getUtxos).toHaveBeenCalledTimes(refreshes + 1);
+    });
+    
+    test('prefers the smallest sufficient output', async () => {
+      const small = utxo(builder, 1000);
+      const large = utxo(builder, 100000);
+      client.utxos = [large, small];
+      
+      const tx = await builder.buildDataTransaction('a');
+      
+      expect(TransactionBuilder.getInputKeys(tx)).toEqual([TransactionBuilder.getKey(small.txId, 0)]);
+    });
+    
+    test('spends the inputs of an accepted transaction and makes its change spendable', async () => {
+      client.utxos = [utxo(builder, 5000)];
+      const tx = await builder.buildDataTransaction('a');
+      
+      builder.settle(tx, { success: true, txid: tx.id });
+      
+      const change = tx.outputs.findIndex(output => output.script.toHex() === builder.script);
+      expect(builder.getAvailableUtxos()).toEqual([
+        expect.objectContaining({ txId: tx.id, outputIndex: change, satoshis: tx.outputs[change].satoshis, local: true })
+      ]);
+      
+      // The provider still reports the spent input until it sees the transaction
+      await builder.refreshUtxos();
+      expect(builder.getAvailableUtxos().map(({ txId }) => txId)).toEqual([tx.id]);
+    });
+    
+    test('drops inputs spent elsewhere', async () => {
+      client.utxos = [utxo(builder, 5000)];
+      const tx = await builder.buildDataTransaction('a');
+      
+      builder.settle(tx, { success: false, txStatus: 'DOUBLE_SPEND_ATTEMPTED' });
+      await builder.refreshUtxos();
+      
+      expect(builder.getStats()).toMatchObject({ utxos: 0 });
+    });
+    
+    test('keeps inputs reserved after a timeout or when the broadcast will be retried', async () => {
+      client.utxos = [utxo(builder, 5000), utxo(builder, 5000)];
+      const timedOut = await builder.buildDataTransaction('a');
+      const retried = await builder.buildDataTransaction('b');
+      
+      builder.settle(timedOut, { success: false, error: 'timeout of 10000ms exceeded', code: 'ECONNABORTED' });
+      builder.settle(retried, { success: false, status: 503, error: 'unavailable' }, true);
+      
+      expect(builder.getStats()).toMatchObject({ available: 0, reserved: 2 });
+    });
+    
+    test('releases inputs after a definitive failure', async () => {
+      client.utxos = [utxo(builder, 5000)];
+      const tx = await builder.buildDataTransaction('a');
+      
+      builder.settle(tx, { success: false, status: 400, error: 'mandatory-script-verify-flag-failed' });
+      
+      expect(builder.getStats()).toMatchObject({ available: 1, reserved: 0 });
+    });
+    
+    test('holds the inputs of a transaction signed before a restart', async () => {
+      client.utxos = [utxo(builder, 5000)];
+      const tx = await builder.buildDataTransaction('a');
+      
+      const restarted = new TransactionBuilder(client, keystore, keyId);
+      restarted.hold(new bsv.Transaction(tx.toString()));
+      
+      expect(restarted.getStats()).toMatchObject({ utxos: 1, reserved: 1, satoshis: 0 });
+      await restarted.refreshUtxos();
+      expect(restarted.getStats()).toMatchObject({ reserved: 1, satoshis: 5000 });
+      
+      restarted.release(tx);
+      expect(restarted.getStats()).toMatchObject({ available: 1, availableSatoshis: 5000 });
+    });
+  });
+  
+  describe('split', () => {
+    test('splits funds into outputs back to the funding address', async () => {
+      client.utxos = [utxo(builder, 100000)];
+      
+      const result = await builder.splitUtxos(3, 2000);
+      
+      expect(result.success).toBe(true);
+      const tx = new bsv.Transaction(client.broadcastTransaction.mock.calls[0][0]);
+      expect(tx.outputs.slice(0, 3).map(output => [output.satoshis, output.script.toHex()])).toEqual(
+        Array(3).fill([2000, builder.script])
+      );
+      expect(builder.getStats()).toMatchObject({ available: 4, reserved: 0 });
+    });
+    
+    test('tops up the spendable outputs only when there are too few', async () => {
+      client.utxos = [utxo(builder, 100000)];
+      
+      // Three split outputs plus the change
+      await expect(builder.ensureUtxos(4, 2000)).resolves.toMatchObject({ success: true, split: true, available: 4 });
+      expect(client.broadcastTransaction).toHaveBeenCalledTimes(1);
+      
+      await expect(builder.ensureUtxos(4, 2000)).resolves.toEqual({ success: true, split: false, available: 4 });
+      expect(client.broadcastTransaction).toHaveBeenCalledTimes(1);
+    });
+    
+    test('refuses invalid split sizes', async () => {
+      await expect(builder.buildSplitTransaction(0)).rejects.toThrow('Invalid split count');
+      await expect(builder.buildSplitTransaction(2, 1)).rejects.toThrow('at least');
+    });
+  });
+});
\ No newline at end of file
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const { getNetwork } = require('./networks');
 
 /**
  * Arc Transaction Client for BSV blockchain
@@ -7,15 +8,24 @@ const axios = require('axios');
 class ArcClient {
   /**
    * Constructor
-   * @param {string} apiUrl - Arc API endpoint
+   * @param {string} apiUrl - Arc API endpoint, defaults to the network's ARC endpoint
    * @param {string} apiKey - Arc API key
+   * @param {Object} options - { callbackUrl, callbackToken, waitFor, timeout, network }
    */
-  constructor(apiUrl, apiKey) {
-    this.apiUrl = apiUrl || process.env.ARC_API_URL || 'https://api.arc.io/v1';
+  constructor(apiUrl, apiKey, options = {}) {
+    this.network = getNetwork(options.network);
+    this.apiUrl = apiUrl || process.env.ARC_API_URL || this.network.arcApiUrl;
+    if (!this.apiUrl) {
+      throw new Error(`No default ARC endpoint for ${this.network.name}, an API URL is required`);
+    }
     this.apiKey = apiKey || process.env.ARC_API_KEY;
+    this.callbackUrl = options.callbackUrl || process.env.ARC_CALLBACK_URL;
+    this.callbackToken = options.callbackToken || process.env.ARC_CALLBACK_TOKEN;
+    this.waitFor = options.waitFor || process.env.ARC_WAIT_FOR;
     
     this.httpClient = axios.create({
       baseURL: this.apiUrl,
+      timeout: options.timeout || 30000,
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${this.apiKey}`
@@ -23,28 +33,82 @@ class ArcClient {
     });
   }
   
+  /**
+   * Build ARC broadcast headers for callbacks and wait modes
+   * @param {Object} options - { callbackUrl, callbackToken, waitFor, maxTimeout, fullStatusUpdates }
+   * @returns {Object} - Request headers
+   */
+  buildBroadcastHeaders(options = {}) {
+    const headers = {};
+    const callbackUrl = options.callbackUrl || this.callbackUrl;
+    const callbackToken = options.callbackToken || this.callbackToken;
+    const waitFor = options.waitFor || this.waitFor;
+    
+    if (waitFor) {
+      if (!ArcClient.TX_STATUS[waitFor]) {
+        throw new Error(`Invalid waitFor status: ${waitFor}`);
+      }
+      headers['X-WaitFor'] = waitFor;
+    }
+    if (options.maxTimeout) {
+      headers['X-MaxTimeout'] = String(options.maxTimeout);
+    }
+    if (callbackUrl) {
+      headers['X-CallbackUrl'] = callbackUrl;
+      if (callbackToken) {
+        headers['X-CallbackToken'] = callbackToken;
+      }
+      if (options.fullStatusUpdates) {
+        headers['X-FullStatusUpdates'] = 'true';
+      }
+    }
+    
+    return headers;
+  }
+  
   /**
    * Broadcast a transaction to the BSV network
    * @param {string} txHex - Raw transaction hex
-   * @returns {Promise<Object>} - Response with txid
+   * @param {Object} options - { callbackUrl, callbackToken, waitFor, maxTimeout, fullStatusUpdates }
+   * @returns {Promise<Object>} - Typed status result with txid
    */
-  async broadcastTransaction(txHex) {
+  async broadcastTransaction(txHex, options = {}) {
     try {
-      const response = await this.httpClient.post('/transactions', {
+      const response = await this.httpClient.post('/tx', {
         rawTx: txHex
+      }, {
+        headers: this.buildBroadcastHeaders(options)
       });
       
       return {
-        success: true,
-        txid: response.data.txid,
+        ...ArcClient.toStatusResult(response.data),
         message: 'Transaction broadcast successfully'
       };
     } catch (error) {
       console.error('Transaction broadcast error:', error.message);
+      return ArcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Broadcast several transactions in one request
+   * @param {Array<string>} txHexes - Raw transaction hexes
+   * @param {Object} options - { callbackUrl, callbackToken, waitFor, maxTimeout, fullStatusUpdates }
+   * @returns {Promise<Object>} - { success, results } with one typed status result per transaction
+   */
+  async broadcastTransactions(txHexes, options = {}) {
+    try {
+      const response = await this.httpClient.post('/txs', txHexes.map(rawTx => ({ rawTx })), {
+        headers: this.buildBroadcastHeaders(options)
+      });
+      
       return {
-        success: false,
-        error: error.response?.data?.message || error.message
+        success: true,
+        results: response.data.map(item => ArcClient.toStatusResult(item))
       };
+    } catch (error) {
+      console.error('Batch broadcast error:', error.message);
+      return ArcClient.toErrorResult(error);
     }
   }
   
@@ -55,17 +119,58 @@ class ArcClient {
    */
   async getTransaction(txid) {
     try {
-      const response = await this.httpClient.get(`/transactions/${txid}`);
+      const response = await this.httpClient.get(`/tx/${txid}`);
       return {
         success: true,
         transaction: response.data
       };
     } catch (error) {
       console.error('Get transaction error:', error.message);
+      return ArcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get the Merkle proof of a mined transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - { success, proof, format, blockHash, blockHeight }, with proof as a BUMP hex string
+   */
+  async getMerkleProof(txid) {
+    try {
+      const response = await this.httpClient.get(`/tx/${txid}`);
+      if (!response.data.merklePath) {
+        return {
+          success: false,
+          error: 'Transaction is not mined yet',
+          status: 404
+        };
+      }
+      
       return {
-        success: false,
-        error: error.response?.data?.message || error.message
+        success: true,
+        proof: response.data.merklePath,
+        format: 'bump',
+        blockHash: response.data.blockHash || null,
+        blockHeight: response.data.blockHeight || null
       };
+    } catch (error) {
+      console.error('Get Merkle proof error:', error.message);
+      return ArcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get the lifecycle status of a transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - Typed status result
+   */
+  async getTransactionStatus(txid) {
+    try {
+      const response = await this.httpClient.get(`/tx/${txid}`);
+      return ArcClient.toStatusResult(response.data);
+    } catch (error) {
+      console.error('Get transaction status error:', error.message);
+      return ArcClient.toErrorResult(error);
     }
   }
   
@@ -90,4 +195,68 @@ class ArcClient {
   }
 }
 
+/**
+ * Transaction statuses reported by ARC, in lifecycle order
+ */
+ArcClient.TX_STATUS = Object.freeze({
+  UNKNOWN: 'UNKNOWN',
+  QUEUED: 'QUEUED',
+  RECEIVED: 'RECEIVED',
+  STORED: 'STORED',
+  ANNOUNCED_TO_NETWORK: 'ANNOUNCED_TO_NETWORK',
+  REQUESTED_BY_NETWORK: 'REQUESTED_BY_NETWORK',
+  SENT_TO_NETWORK: 'SENT_TO_NETWORK',
+  ACCEPTED_BY_NETWORK: 'ACCEPTED_BY_NETWORK',
+  SEEN_IN_ORPHAN_MEMPOOL: 'SEEN_IN_ORPHAN_MEMPOOL',
+  SEEN_ON_NETWORK: 'SEEN_ON_NETWORK',
+  DOUBLE_SPEND_ATTEMPTED: 'DOUBLE_SPEND_ATTEMPTED',
+  REJECTED: 'REJECTED',
+  MINED: 'MINED'
+});
+
+/**
+ * Statuses after which a transaction will not progress any further
+ */
+ArcClient.FINAL_STATUSES = Object.freeze(['MINED', 'REJECTED', 'DOUBLE_SPEND_ATTEMPTED']);
+
+/**
+ * Statuses that mean the transaction failed
+ */
+ArcClient.FAILED_STATUSES = Object.freeze(['REJECTED', 'DOUBLE_SPEND_ATTEMPTED']);
+
+/**
+ * Convert an ARC transaction status response into a typed result
+ * @param {Object} data - ARC response body or callback payload
+ * @returns {Object} - { success, txid, txStatus, final, blockHash, blockHeight, extraInfo, competingTxs, timestamp }
+ */
+ArcClient.toStatusResult = (data = {}) => {
+  const txStatus = ArcClient.TX_STATUS[data.txStatus] || ArcClient.TX_STATUS.UNKNOWN;
+  const failed = ArcClient.FAILED_STATUSES.includes(txStatus);
+  
+  return {
+    success: !failed,
+    txid: data.txid,
+    txStatus,
+    final: ArcClient.FINAL_STATUSES.includes(txStatus),
+    blockHash: data.blockHash || null,
+    blockHeight: data.blockHeight || null,
+    extraInfo: data.extraInfo || null,
+    competingTxs: data.competingTxs || [],
+    timestamp: data.timestamp || new Date().toISOString(),
+    ...(failed && { error: data.extraInfo || txStatus })
+  };
+};
+
+/**
+ * Convert an ARC request failure into an error result
+ * @param {Error} error - Axios error
+ * @returns {Object} - { success, error, code, status }
+ */
+ArcClient.toErrorResult = (error) => ({
+  success: false,
+  error: error.response?.data?.detail || error.response?.data?.message || error.message,
+  code: error.code,
+  status: error.response?.status
+});
+
 module.exports = ArcClient;
\ No newline at end of file
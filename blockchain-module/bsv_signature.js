@@ -1,4 +1,11 @@
 const bsv = require('bsv');
+const Message = require('bsv/message');
+
+// BRC-77 signed message version prefix
+const BRC77_VERSION = Buffer.from('42423301', 'hex');
+
+// Well-known private key used when a BRC-77 message can be verified by anyone
+const BRC77_ANYONE = new bsv.PrivateKey(new bsv.crypto.BN(1));
 
 /**
  * BSVSignature class for handling Bitcoin SV signatures and verification
@@ -45,18 +52,257 @@ class BSVSignature {
   }
   
   /**
-   * Generate a new key pair
-   * @returns {Object} - { privateKey, publicKey }
+   * Sign a message in Bitcoin Signed Message (BSM) format, as used by BSV wallets
+   * @param {string|Buffer} message - The message to sign
+   * @param {string} privateKey - The private key to sign with
+   * @returns {string} - Base64 compact recoverable signature
+   */
+  static signBSM(message, privateKey) {
+    try {
+      return new Message(message).sign(bsv.PrivateKey.fromString(privateKey));
+    } catch (error) {
+      console.error('BSM signing error:', error.message);
+      throw new Error('Failed to sign message');
+    }
+  }
+  
+  /**
+   * Verify a Bitcoin Signed Message signature against an address or public key
+   * @param {string|Buffer} message - The message that was signed
+   * @param {string} signature - Base64 compact signature
+   * @param {string} addressOrPublicKey - Address or public key of the expected signer
+   * @returns {boolean} - True if the signature was made by the key behind the address
    */
-  static generateKeyPair() {
-    const privateKey = bsv.PrivateKey.fromRandom();
-    const publicKey = privateKey.toPublicKey();
+  static verifyBSM(message, signature, addressOrPublicKey) {
+    try {
+      return new Message(message).verify(BSVSignature.toAddress(addressOrPublicKey), signature);
+    } catch (error) {
+      console.error('BSM verification error:', error.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Recover the signer's public key from a Bitcoin Signed Message signature
+   * @param {string|Buffer} message - The message that was signed
+   * @param {string} signature - Base64 compact signature
+   * @returns {string} - Public key hex
+   * @throws {Error} - If no public key can be recovered
+   */
+  static recoverPublicKey(message, signature) {
+    const ecdsa = new bsv.crypto.ECDSA();
+    ecdsa.hashbuf = new Message(message).magicHash();
+    ecdsa.sig = bsv.crypto.Signature.fromCompact(Buffer.from(signature, 'base64'));
+    
+    return ecdsa.toPublicKey().toString();
+  }
+  
+  /**
+   * Sign a message with the BRC-77 message signing protocol
+   * @param {string|Buffer} message - The message to sign
+   * @param {string} privateKey - The signer's private key
+   * @param {string} recipientPublicKey - Public key of the only party able to verify, or omit to let anyone verify
+   * @returns {string} - Base64 BRC-77 signature
+   */
+  static signBRC77(message, privateKey, recipientPublicKey = null) {
+    try {
+      const privKey = bsv.PrivateKey.fromString(privateKey);
+      const recipient = recipientPublicKey ? bsv.PublicKey.fromString(recipientPublicKey) : BRC77_ANYONE.toPublicKey();
+      const keyId = bsv.crypto.Random.getRandomBuffer(32);
+      
+      const signingKey = BSVSignature.deriveChildPrivateKey(privKey, recipient, BSVSignature.getBRC77InvoiceNumber(keyId));
+      const signature = bsv.crypto.ECDSA.sign(bsv.crypto.Hash.sha256(Buffer.from(message)), signingKey);
+      
+      return Buffer.concat([
+        BRC77_VERSION,
+        privKey.toPublicKey().toBuffer(),
+        recipientPublicKey ? recipient.toBuffer() : Buffer.from([0]),
+        keyId,
+        signature.toDER()
+      ]).toString('base64');
+    } catch (error) {
+      console.error('BRC-77 signing error:', error.message);
+      throw new Error('Failed to sign message');
+    }
+  }
+  
+  /**
+   * Verify a BRC-77 signature
+   * @param {string|Buffer} message - The message that was signed
+   * @param {string} signature - Base64 BRC-77 signature
+   * @param {string} recipientPrivateKey - Verifier's private key, required when the message was signed for a specific recipient
+   * @returns {boolean} - True if signature is valid
+   */
+  static verifyBRC77(message, signature, recipientPrivateKey = null) {
+    try {
+      const parsed = BSVSignature.parseBRC77(signature);
+      
+      let recipient = BRC77_ANYONE;
+      if (parsed.recipientPublicKey) {
+        if (!recipientPrivateKey) {
+          throw new Error(`Signature can only be verified by the holder of ${parsed.recipientPublicKey}`);
+        }
+        recipient = bsv.PrivateKey.fromString(recipientPrivateKey);
+        if (recipient.toPublicKey().toString() !== parsed.recipientPublicKey) {
+          throw new Error(`Signature requires recipient ${parsed.recipientPublicKey}`);
+        }
+      }
+      
+      const signingKey = BSVSignature.deriveChildPublicKey(
+        bsv.PublicKey.fromString(parsed.signerPublicKey),
+        recipient,
+        BSVSignature.getBRC77InvoiceNumber(Buffer.from(parsed.keyId, 'base64'))
+      );
+      
+      return bsv.crypto.ECDSA.verify(
+        bsv.crypto.Hash.sha256(Buffer.from(message)),
+        bsv.crypto.Signature.fromDER(Buffer.from(parsed.signature, 'hex')),
+        signingKey
+      );
+    } catch (error) {
+      console.error('BRC-77 verification error:', error.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Split a BRC-77 signature into its parts
+   * @param {string} signature - Base64 BRC-77 signature
+   * @returns {Object} - { signerPublicKey, recipientPublicKey, keyId, signature }
+   * @throws {Error} - If the signature is not a BRC-77 signature
+   */
+  static parseBRC77(signature) {
+    const buf = Buffer.from(signature, 'base64');
+    if (buf.length < 4 + 33 + 1 + 32 || !buf.subarray(0, 4).equals(BRC77_VERSION)) {
+      throw new Error('Not a BRC-77 signature');
+    }
+    
+    const signerPublicKey = buf.subarray(4, 37).toString('hex');
+    const anyone = buf[37] === 0;
+    const keyIdOffset = anyone ? 38 : 70;
     
     return {
-      privateKey: privateKey.toString(),
-      publicKey: publicKey.toString()
+      signerPublicKey,
+      recipientPublicKey: anyone ? null : buf.subarray(37, 70).toString('hex'),
+      keyId: buf.subarray(keyIdOffset, keyIdOffset + 32).toString('base64'),
+      signature: buf.subarray(keyIdOffset + 32).toString('hex')
     };
   }
+  
+  /**
+   * Detect the format of a signature string
+   * @param {string} signature - Signature to inspect
+   * @returns {string} - One of BSVSignature.FORMAT
+   */
+  static detectFormat(signature) {
+    if (/^[0-9a-f]+$/i.test(signature)) {
+      return BSVSignature.FORMAT.DER;
+    }
+    
+    const buf = Buffer.from(signature, 'base64');
+    if (buf.length > 4 && buf.subarray(0, 4).equals(BRC77_VERSION)) {
+      return BSVSignature.FORMAT.BRC77;
+    }
+    
+    return buf.length === 65 ? BSVSignature.FORMAT.BSM : null;
+  }
+  
+  /**
+   * Verify that a message was signed by a public key or address in any supported format
+   * DER signatures need a public key; BSM and anyone-verifiable BRC-77 signatures
+   * also accept an address
+   * @param {string|Buffer} message - The message that was signed
+   * @param {string} signature - DER hex, BSM base64 or BRC-77 base64 signature
+   * @param {string} signer - Public key or address of the expected signer
+   * @returns {boolean} - True if signature is valid and made by the signer
+   */
+  static verifyAuthor(message, signature, signer) {
+    try {
+      switch (BSVSignature.detectFormat(signature)) {
+        case BSVSignature.FORMAT.DER:
+          return BSVSignature.verify(message, signature, signer);
+        case BSVSignature.FORMAT.BSM:
+          return BSVSignature.verifyBSM(message, signature, signer);
+        case BSVSignature.FORMAT.BRC77: {
+          const { signerPublicKey } = BSVSignature.parseBRC77(signature);
+          // Compare key hashes so addresses of any network match
+          return BSVSignature.toAddress(signerPublicKey).hashBuffer.equals(BSVSignature.toAddress(signer).hashBuffer) &&
+            BSVSignature.verifyBRC77(message, signature);
+        }
+        default:
+          return false;
+      }
+    } catch (error) {
+      console.error('Signature verification error:', error.message);
+      return false;
+    }
+  }
+  
+  /**
+   * BRC-42 child private key for a counterparty and invoice number
+   * @param {bsv.PrivateKey} privateKey - Own private key
+   * @param {bsv.PublicKey} counterpartyPublicKey - Counterparty public key
+   * @param {string} invoiceNumber - Invoice number
+   * @returns {bsv.PrivateKey} - Child private key
+   */
+  static deriveChildPrivateKey(privateKey, counterpartyPublicKey, invoiceNumber) {
+    const hmac = BSVSignature.getInvoiceHmac(counterpartyPublicKey.point.mul(privateKey.bn), invoiceNumber);
+    return new bsv.PrivateKey(privateKey.bn.add(hmac).umod(bsv.crypto.Point.getN()));
+  }
+  
+  /**
+   * BRC-42 child public key for a counterparty and invoice number
+   * @param {bsv.PublicKey} publicKey - Owner's public key
+   * @param {bsv.PrivateKey} counterpartyPrivateKey - Counterparty private key
+   * @param {string} invoiceNumber - Invoice number
+   * @returns {bsv.PublicKey} - Child public key
+   */
+  static deriveChildPublicKey(publicKey, counterpartyPrivateKey, invoiceNumber) {
+    const hmac = BSVSignature.getInvoiceHmac(publicKey.point.mul(counterpartyPrivateKey.bn), invoiceNumber);
+    return bsv.PublicKey.fromPoint(publicKey.point.add(bsv.crypto.Point.getG().mul(hmac)));
+  }
+  
+  /**
+   * HMAC of a BRC-42 invoice number keyed by the ECDH shared secret
+   * @param {bsv.crypto.Point} sharedSecret - Shared secret point
+   * @param {string} invoiceNumber - Invoice number
+   * @returns {bsv.crypto.BN} - HMAC as a scalar
+   */
+  static getInvoiceHmac(sharedSecret, invoiceNumber) {
+    const key = bsv.PublicKey.fromPoint(sharedSecret, true).toBuffer();
+    return bsv.crypto.BN.fromBuffer(bsv.crypto.Hash.sha256hmac(Buffer.from(invoiceNumber, 'utf8'), key));
+  }
+  
+  /**
+   * BRC-77 invoice number for a key ID
+   * @param {Buffer} keyId - 32 byte key ID
+   * @returns {string} - Invoice number
+   */
+  static getBRC77InvoiceNumber(keyId) {
+    return `2-message signing-${keyId.toString('base64')}`;
+  }
+  
+  /**
+   * Convert a public key or address string to an address
+   * Addresses keep the network they were encoded for
+   * @param {string} addressOrPublicKey - Address or public key hex
+   * @param {string|bsv.Networks.Network} network - Network to encode public keys for, defaults to mainnet
+   * @returns {bsv.Address} - Address
+   */
+  static toAddress(addressOrPublicKey, network = bsv.Networks.livenet) {
+    return /^(02|03)[0-9a-f]{64}$|^04[0-9a-f]{128}$/i.test(addressOrPublicKey)
+      ? bsv.PublicKey.fromString(addressOrPublicKey).toAddress(network)
+      : bsv.Address.fromString(addressOrPublicKey);
+  }
 }
 
+/**
+ * Supported signature formats
+ */
+BSVSignature.FORMAT = Object.freeze({
+  DER: 'der',
+  BSM: 'bsm',
+  BRC77: 'brc77'
+});
+
 module.exports = BSVSignature;
\ No newline at end of file
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const TransactionBuilder = require('./transaction_builder');
+
+/**
+ * FixtureNetworkProvider for CERTIHASH
+ * Serves network data from a local fixture instead of the network, with the
+ * same interface as NetworkProvider
+ *
+ * Fixture format:
+ * {
+ *   "blocks": [{ "height", "hash", "time", "size", "txCount" }],
+ *   "mempool": { "size", "bytes" },
+ *   "fees": <ARC GET /fees response>
+ * }
+ * The highest block is the chain tip. Blocks can be appended with addBlock to
+ * simulate the chain advancing.
+ */
+class FixtureNetworkProvider {
+  /**
+   * Constructor
+   * @param {Object} options - { file } to load a fixture file, or { fixture } to pass one directly
+   */
+  constructor(options = {}) {
+    const fixture = options.file
+      ? JSON.parse(fs.readFileSync(options.file, 'utf8'))
+      : options.fixture || {};
+    
+    this.blocks = new Map((fixture.blocks || []).map(block => [block.height, block]));
+    this.mempool = fixture.mempool || null;
+    this.fees = fixture.fees || null;
+  }
+  
+  /**
+   * Add a block, making it the tip if it is the highest
+   * @param {Object} block - { height, hash, time, size, txCount }
+   */
+  addBlock(block) {
+    this.blocks.set(block.height, block);
+  }
+  
+  /**
+   * Get the highest fixture block
+   * @returns {Promise<Object>} - { success, height, bestBlockHash }
+   */
+  async getChainInfo() {
+    if (this.blocks.size === 0) {
+      return FixtureNetworkProvider.notFound('Fixture has no blocks');
+    }
+    
+    const height = Math.max(...this.blocks.keys());
+    return {
+      success: true,
+      height,
+      bestBlockHash: this.blocks.get(height).hash
+    };
+  }
+  
+  /**
+   * Get a fixture block by height
+   * @param {number} height - Block height
+   * @returns {Promise<Object>} - { success, block }
+   */
+  async getBlock(height) {
+    const block = this.blocks.get(height);
+    return block
+      ? { success: true, block }
+      : FixtureNetworkProvider.notFound(`Fixture has no block at height ${height}`);
+  }
+  
+  /**
+   * Get the fixture mempool
+   * @returns {Promise<Object>} - { success, size, bytes }
+   */
+  async getMempoolInfo() {
+    return this.mempool
+      ? { success: true, ...this.mempool }
+      : FixtureNetworkProvider.notFound('Fixture has no mempool');
+  }
+  
+  /**
+   * Get the fixture mining fee rate
+   * @returns {Promise<Object>} - { success, feePerKb }
+   */
+  async getFeeRate() {
+    const feePerKb = this.fees ? TransactionBuilder.parseFeeRate(this.fees) : null;
+    return feePerKb === null
+      ? FixtureNetworkProvider.notFound('Fixture has no mining fee')
+      : { success: true, feePerKb };
+  }
+  
+  /**
+   * Build a not found result
+   * @param {string} error - Error message
+   * @returns {Object} - { success, error, status }
+   */
+  static notFound(error) {
+    return {
+      success: false,
+      error,
+      status: 404
+    };
+  }
+}
+
+module.exports = FixtureNetworkProvider;
\ No newline at end of file
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const bsv = require('bsv');
+
+// Serialized block header size in bytes
+const HEADER_SIZE = 80;
+
+/**
+ * HeaderStore for CERTIHASH
+ * Lightweight in-memory store of BSV block headers used for SPV checks
+ *
+ * Headers are validated as they are added: the hash is computed from the raw
+ * header, the proof of work must meet the header's own target, and headers
+ * with known neighbours must link to them. Seed it from a file so Merkle
+ * proofs can be verified offline.
+ */
+class HeaderStore {
+  /**
+   * Constructor
+   * @param {Object} options - { file, startHeight, verifyPow }
+   */
+  constructor(options = {}) {
+    this.options = {
+      verifyPow: true,
+      ...options
+    };
+    
+    this.byHash = new Map();
+    this.byHeight = new Map();
+    this.byMerkleRoot = new Map();
+    
+    if (this.options.file) {
+      this.loadFromFile(this.options.file, { startHeight: this.options.startHeight });
+    }
+  }
+  
+  /**
+   * Number of stored headers
+   * @returns {number} - Header count
+   */
+  get size() {
+    return this.byHash.size;
+  }
+  
+  /**
+   * Add a raw block header
+   * @param {string|Buffer} header - 80 byte raw header (hex or Buffer)
+   * @param {number} height - Block height, if known
+   * @returns {Object} - Stored header { hash, height, version, prevHash, merkleRoot, time, bits, nonce }
+   * @throws {Error} - If the header is malformed, fails proof of work or does not link to its neighbours
+   */
+  addHeader(header, height = null) {
+    const entry = { ...HeaderStore.parseHeader(header), height };
+    
+    if (this.options.verifyPow && !HeaderStore.checkProofOfWork(entry.hash, entry.bits)) {
+      throw new Error(`Header ${entry.hash} does not meet its proof of work target`);
+    }
+    
+    if (height !== null) {
+      const previous = this.byHeight.get(height - 1);
+      if (previous && previous.hash !== entry.prevHash) {
+        throw new Error(`Header ${entry.hash} does not link to block ${previous.hash} at height ${height - 1}`);
+      }
+      
+      const next = this.byHeight.get(height + 1);
+      if (next && next.prevHash !== entry.hash) {
+        throw new Error(`Header ${entry.hash} is not the parent of block ${next.hash} at height ${height + 1}`);
+      }
+      
+      this.byHeight.set(height, entry);
+    }
+    
+    this.byHash.set(entry.hash, entry);
+    this.byMerkleRoot.set(entry.merkleRoot, entry);
+    
+    return entry;
+  }
+  
+  /**
+   * Add consecutive raw headers
+   * @param {Array<string|Buffer>} headers - Raw headers in chain order
+   * @param {number} startHeight - Height of the first header, if known
+   * @returns {number} - Number of headers added
+   */
+  addHeaders(headers, startHeight = null) {
+    headers.forEach((header, i) => {
+      this.addHeader(header, startHeight === null ? null : startHeight + i);
+    });
+    
+    return headers.length;
+  }
+  
+  /**
+   * Seed the store from a file
+   * Accepts JSON ({ startHeight, headers: [hex] }, [{ height, header }] or [hex])
+   * or a binary file of concatenated 80 byte headers
+   * @param {string} file - File path
+   * @param {Object} options - { startHeight } for files that do not record heights
+   * @returns {number} - Number of headers loaded
+   */
+  loadFromFile(file, options = {}) {
+    const content = fs.readFileSync(file);
+    const startHeight = options.startHeight ?? null;
+    
+    let data;
+    try {
+      data = JSON.parse(content.toString('utf8'));
+    } catch (error) {
+      // Not JSON, treat as concatenated binary headers
+      if (content.length % HEADER_SIZE !== 0) {
+        throw new Error(`Header file ${file} is neither JSON nor a multiple of ${HEADER_SIZE} bytes`);
+      }
+      
+      const headers = [];
+      for (let offset = 0; offset < content.length; offset += HEADER_SIZE) {
+        headers.push(content.subarray(offset, offset + HEADER_SIZE));
+      }
+      return this.addHeaders(headers, startHeight);
+    }
+    
+    if (Array.isArray(data)) {
+      if (data.every(item => typeof item === 'string')) {
+        return this.addHeaders(data, startHeight);
+      }
+      
+      data.forEach(item => this.addHeader(item.header, item.height ?? null));
+      return data.length;
+    }
+    
+    return this.addHeaders(data.headers || [], data.startHeight ?? startHeight);
+  }
+  
+  /**
+   * Write the stored headers to a JSON file that loadFromFile accepts
+   * @param {string} file - File path
+   */
+  saveToFile(file) {
+    const headers = Array.from(this.byHash.values())
+      .sort((a, b) => (a.height ?? Infinity) - (b.height ?? Infinity))
+      .map(({ raw, height }) => ({ height, header: raw }));
+    
+    fs.writeFileSync(file, JSON.stringify(headers));
+  }
+  
+  /**
+   * Get a header by block hash or height
+   * @param {string|number} hashOrHeight - Block hash or height
+   * @returns {Object|null} - Stored header or null if unknown
+   */
+  getHeader(hashOrHeight) {
+    return (typeof hashOrHeight === 'number'
+      ? this.byHeight.get(hashOrHeight)
+      : this.byHash.get(hashOrHeight)) || null;
+  }
+  
+  /**
+   * Get the header committing to a Merkle root
+   * @param {string} merkleRoot - Merkle root
+   * @returns {Object|null} - Stored header or null if unknown
+   */
+  findByMerkleRoot(merkleRoot) {
+    return this.byMerkleRoot.get(merkleRoot) || null;
+  }
+  
+  /**
+   * Get the highest header with a known height
+   * @returns {Object|null} - Stored header or null if no heights are known
+   */
+  getTip() {
+    if (this.byHeight.size === 0) {
+      return null;
+    }
+    
+    return this.byHeight.get(Math.max(...this.byHeight.keys()));
+  }
+  
+  /**
+   * Parse a raw block header
+   * @param {string|Buffer} header - 80 byte raw header (hex or Buffer)
+   * @returns {Object} - { raw, hash, version, prevHash, merkleRoot, time, bits, nonce }
+   * @throws {Error} - If the header is not 80 bytes
+   */
+  static parseHeader(header) {
+    const buf = Buffer.isBuffer(header) ? header : Buffer.from(header, 'hex');
+    if (buf.length !== HEADER_SIZE) {
+      throw new Error(`Block header must be ${HEADER_SIZE} bytes, got ${buf.length}`);
+    }
+    
+    return {
+      raw: buf.toString('hex'),
+      hash: bsv.crypto.Hash.sha256sha256(buf).reverse().toString('hex'),
+      version: buf.readInt32LE(0),
+      prevHash: Buffer.from(buf.subarray(4, 36)).reverse().toString('hex'),
+      merkleRoot: Buffer.from(buf.subarray(36, 68)).reverse().toString('hex'),
+      time: buf.readUInt32LE(68),
+      bits: buf.readUInt32LE(72),
+      nonce: buf.readUInt32LE(76)
+    };
+  }
+  
+  /**
+   * Whether a block hash meets the target encoded in its compact bits
+   * @param {string} hash - Block hash
+   * @param {number} bits - Compact target
+   * @returns {boolean} - True if the hash is at or below the target
+   */
+  static checkProofOfWork(hash, bits) {
+    const exponent = BigInt(bits >>> 24);
+    const mantissa = BigInt(bits & 0x007fffff);
+    const target = exponent <= 3n
+      ? mantissa >> (8n * (3n - exponent))
+      : mantissa << (8n * (exponent - 3n));
+    
+    return target > 0n && BigInt(`0x${hash}`) <= target;
+  }
+}
+
+module.exports = HeaderStore;
\ No newline at end of file
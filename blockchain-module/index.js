@@ -1,6 +1,17 @@
-const axios = require('axios');
+const bsv = require('bsv');
 const BSVSignature = require('./bsv_signature');
 const ArcClient = require('./arc_client');
+const WhatsOnChainClient = require('./whatsonchain_client');
+const NodeRpcClient = require('./node_rpc_client');
+const ProviderChain = require('./provider_chain');
+const TransactionIndex = require('./transaction_index');
+const TransactionBuilder = require('./transaction_builder');
+const MerkleProof = require('./merkle_proof');
+const HeaderStore = require('./header_store');
+const Keystore = require('./keystore');
+const NetworkProvider = require('./network_provider');
+const FixtureNetworkProvider = require('./fixture_network_provider');
+const { NETWORKS, getNetwork, getBsvNetwork } = require('./networks');
 
 /**
  * BlockchainClient for CERTIHASH
@@ -12,64 +23,214 @@ class BlockchainClient {
    * @param {Object} config - Configuration options
    */
   constructor(config = {}) {
+    // Network for provider endpoints and address and key encoding (BSV_NETWORK, default main)
+    this.network = getNetwork(config.network);
+    this.bsvNetwork = getBsvNetwork(this.network);
+    
     this.config = {
-      whatsonchainUrl: 'https://api.whatsonchain.com/v1/bsv/main',
+      whatsonchainUrl: process.env.WHATSONCHAIN_URL || this.network.whatsonchainUrl,
       arcApiUrl: process.env.ARC_API_URL,
       arcApiKey: process.env.ARC_API_KEY,
-      ...config
+      nodeRpcUrl: process.env.NODE_RPC_URL,
+      nodeRpcUser: process.env.NODE_RPC_USER,
+      nodeRpcPassword: process.env.NODE_RPC_PASSWORD,
+      ...config,
+      network: this.network.name
     };
     
+    if (!this.config.whatsonchainUrl && !this.config.nodeRpcUrl) {
+      throw new Error(`WhatsOnChain has no ${this.network.name} API, set whatsonchainUrl or nodeRpcUrl`);
+    }
+    
+    const providers = [];
+    
+    // A self-hosted node goes first so public APIs are only a fallback
+    if (this.config.nodeRpcUrl) {
+      this.nodeClient = new NodeRpcClient(this.config.nodeRpcUrl, {
+        username: this.config.nodeRpcUser,
+        password: this.config.nodeRpcPassword
+      });
+      providers.push({ name: 'node', client: this.nodeClient });
+    }
+    
     // Initialize Arc client if credentials available
     if (this.config.arcApiUrl && this.config.arcApiKey) {
-      this.arcClient = new ArcClient(this.config.arcApiUrl, this.config.arcApiKey);
+      this.arcClient = new ArcClient(this.config.arcApiUrl, this.config.arcApiKey, {
+        callbackUrl: this.config.arcCallbackUrl,
+        callbackToken: this.config.arcCallbackToken,
+        waitFor: this.config.arcWaitFor,
+        network: this.network
+      });
+      providers.push({ name: 'arc', client: this.arcClient });
+    }
+    
+    // WhatsOnChain is the fallback wherever the network has a public API
+    if (this.config.whatsonchainUrl) {
+      this.whatsonchainClient = new WhatsOnChainClient(this.config.whatsonchainUrl, { network: this.network });
+      providers.push({ name: 'whatsonchain', client: this.whatsonchainClient });
+    }
+    
+    // Retry, backoff and circuit breaking across providers
+    this.providerChain = new ProviderChain(providers, this.config.providerOptions);
+    
+    // Optional per-application transaction index
+    this.transactionIndex = this.config.transactionIndex || null;
+    
+    // Optional block headers for SPV verification
+    this.headerStore = this.config.headerStore || null;
+    
+    // Optional encrypted keystore for signing by key ID
+    this.keystore = this.config.keystore || null;
+    if (this.keystore && this.keystore.network.name !== this.network.name) {
+      throw new Error(`Keystore is for ${this.keystore.network.name}, but the client is on ${this.network.name}`);
     }
   }
   
   /**
    * Verify a transaction on the blockchain
    * @param {string} txid - Transaction ID to verify
-   * @returns {Promise<Object>} - Transaction details
+   * @returns {Promise<Object>} - Transaction details, with notFound set if no provider knows the txid
    */
   async verifyTransaction(txid) {
+    const result = await this.providerChain.getTransaction(txid);
+    
+    if (!result.success) {
+      console.error('Transaction verification error:', result.error);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get the Merkle proof of a mined transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - { success, proof, format, blockHash, blockHeight, provider }, with notFound set until the transaction is mined
+   */
+  async getMerkleProof(txid) {
+    const result = await this.providerChain.getMerkleProof(txid);
+    
+    if (!result.success && !result.notFound) {
+      console.error('Merkle proof error:', result.error);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Verify a Merkle proof against the header store, without any network access
+   * @param {string} txid - Transaction ID
+   * @param {Object|string} proof - TSC proof object or BUMP hex string
+   * @param {string} format - 'tsc' or 'bump'
+   * @returns {Object} - { success, verified, txid, merkleRoot, blockHash, blockHeight, error }
+   */
+  verifyMerkleProof(txid, proof, format) {
     try {
-      // Try Arc client first if available
-      if (this.arcClient) {
-        const arcResult = await this.arcClient.getTransaction(txid);
-        if (arcResult.success) {
-          return arcResult.transaction;
-        }
+      if (!this.headerStore) {
+        throw new Error('Header store is not configured');
+      }
+      
+      const merkleRoot = MerkleProof.computeRoot(proof, format, txid);
+      const header = this.findProofHeader(proof, format) || this.headerStore.findByMerkleRoot(merkleRoot);
+      
+      if (!header) {
+        return {
+          success: false,
+          verified: false,
+          txid,
+          merkleRoot,
+          error: 'Block header is not in the header store'
+        };
       }
       
-      // Fallback to WhatsOnChain
-      const response = await axios.get(`${this.config.whatsonchainUrl}/tx/${txid}`);
+      const verified = header.merkleRoot === merkleRoot;
+      
       return {
         success: true,
-        transaction: response.data
+        verified,
+        txid,
+        merkleRoot,
+        blockHash: header.hash,
+        blockHeight: header.height,
+        ...(!verified && { error: 'Merkle root does not match the block header' })
       };
     } catch (error) {
-      console.error('Transaction verification error:', error.message);
+      console.error('Merkle proof verification error:', error.message);
       return {
         success: false,
-        error: error.response?.data?.message || error.message
+        verified: false,
+        txid,
+        error: error.message
       };
     }
   }
   
+  /**
+   * Prove a transaction was mined with SPV: fetch its Merkle proof and check it against the header store
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - verifyMerkleProof result with the proof and the provider that supplied it
+   */
+  async verifyInclusion(txid) {
+    const result = await this.getMerkleProof(txid);
+    if (!result.success) {
+      return { ...result, verified: false };
+    }
+    
+    return {
+      ...this.verifyMerkleProof(txid, result.proof, result.format),
+      format: result.format,
+      proof: result.proof,
+      provider: result.provider
+    };
+  }
+  
+  /**
+   * Look up the block header a proof names
+   * @param {Object|string} proof - TSC proof object or BUMP hex string
+   * @param {string} format - 'tsc' or 'bump'
+   * @returns {Object|null} - Stored header or null if not in the header store
+   */
+  findProofHeader(proof, format) {
+    if (format === 'bump') {
+      return this.headerStore.getHeader(MerkleProof.parseBump(proof).blockHeight);
+    }
+    
+    switch (proof.targetType) {
+      case 'header':
+        return this.headerStore.getHeader(HeaderStore.parseHeader(proof.target).hash);
+      case 'merkleRoot':
+        return this.headerStore.findByMerkleRoot(proof.target);
+      default:
+        return this.headerStore.getHeader(proof.target);
+    }
+  }
+  
   /**
    * Get transaction metrics for a specific application
    * @param {string} appId - Application identifier
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options { page, limit, from, to }
    * @returns {Promise<Object>} - Transaction metrics
    */
   async getAppTransactions(appId, options = {}) {
     try {
-      // This would connect to a BSV indexing service or custom API
-      // For demo purposes, we're mocking the response
+      if (!this.transactionIndex) {
+        throw new Error('Transaction index is not configured');
+      }
+      
+      const [stats, listing] = await Promise.all([
+        this.transactionIndex.getStats(appId, options),
+        this.transactionIndex.find(appId, options)
+      ]);
+      
       const metrics = {
         appId,
-        totalTransactions: Math.floor(Math.random() * 1000000),
-        averageTps: Math.random() * 100,
-        recentTransactions: []
+        totalTransactions: stats.totalTransactions,
+        averageTps: stats.averageTps,
+        firstTimestamp: stats.firstTimestamp,
+        lastTimestamp: stats.lastTimestamp,
+        recentTransactions: listing.transactions,
+        page: listing.page,
+        limit: listing.limit,
+        totalPages: listing.totalPages
       };
       
       return {
@@ -85,29 +246,191 @@ class BlockchainClient {
     }
   }
   
+  /**
+   * Add a published transaction to the per-application index
+   * @param {string} appId - Application identifier
+   * @param {string} txid - Transaction ID
+   * @param {Object} details - { timestamp, status, processingTime, blockHash, blockHeight, confirmedAt }
+   * @returns {Promise<boolean>} - True if the transaction was indexed
+   */
+  async indexTransaction(appId, txid, details = {}) {
+    if (!this.transactionIndex) {
+      return false;
+    }
+    
+    try {
+      await this.transactionIndex.record(appId, txid, details);
+      return true;
+    } catch (error) {
+      console.error('Index transaction error:', error.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Update an indexed transaction, e.g. once it has been mined
+   * @param {string} txid - Transaction ID
+   * @param {Object} details - { status, blockHash, blockHeight, confirmedAt }
+   * @returns {Promise<boolean>} - True if an indexed transaction was updated
+   */
+  async updateIndexedTransaction(txid, details) {
+    if (!this.transactionIndex) {
+      return false;
+    }
+    
+    try {
+      return Boolean(await this.transactionIndex.update(txid, details));
+    } catch (error) {
+      console.error('Update indexed transaction error:', error.message);
+      return false;
+    }
+  }
+  
+  /**
+   * List indexed transactions still waiting to be confirmed
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} - { txid, appId, timestamp } of each, empty without an index
+   */
+  async getPendingTransactions(options = {}) {
+    if (!this.transactionIndex) {
+      return [];
+    }
+    
+    try {
+      return await this.transactionIndex.findPending(options);
+    } catch (error) {
+      console.error('List pending transactions error:', error.message);
+      return [];
+    }
+  }
+  
   /**
    * Broadcast a signed transaction
+   * Providers are tried in order (ARC, then WhatsOnChain) with retries and circuit breaking
    * @param {string} txHex - Raw transaction hex
+   * @param {Object} options - ARC options { callbackUrl, callbackToken, waitFor, maxTimeout }
    * @returns {Promise<Object>} - Broadcast result
    */
-  async broadcastTransaction(txHex) {
-    // Use Arc client if available
-    if (this.arcClient) {
-      return await this.arcClient.broadcastTransaction(txHex);
+  async broadcastTransaction(txHex, options = {}) {
+    return await this.providerChain.broadcastTransaction(txHex, options);
+  }
+  
+  /**
+   * Broadcast several signed transactions
+   * @param {Array<string>} txHexes - Raw transaction hexes
+   * @param {Object} options - ARC options { callbackUrl, callbackToken, waitFor, maxTimeout }
+   * @returns {Promise<Object>} - { success, results } with one broadcast result per transaction
+   */
+  async broadcastTransactions(txHexes, options = {}) {
+    // ARC accepts batches in a single request, other providers get one request per transaction
+    const batchResult = await this.providerChain.call('broadcastTransactions', [txHexes, options]);
+    if (batchResult.success) {
+      return batchResult;
+    }
+    
+    const results = [];
+    for (const txHex of txHexes) {
+      results.push(await this.broadcastTransaction(txHex, options));
     }
     
-    // Fallback to WhatsOnChain
+    return {
+      success: true,
+      results
+    };
+  }
+  
+  /**
+   * Get spendable outputs for an address
+   * @param {string} address - BSV address
+   * @returns {Promise<Array>} - UTXOs in bsv.Transaction.from() format
+   * @throws {Error} - If no provider can list the address's outputs
+   */
+  async getUtxos(address) {
+    const result = await this.providerChain.call('getUtxos', [address]);
+    if (!result.success) {
+      throw new Error(`Failed to get UTXOs for ${address}: ${result.error}`);
+    }
+    
+    const script = bsv.Script.buildPublicKeyHashOut(bsv.Address.fromString(address)).toHex();
+    
+    return result.utxos.map(utxo => ({ ...utxo, script }));
+  }
+  
+  /**
+   * Get a raw block header, e.g. to feed the header store from a local node
+   * @param {string|number} hashOrHeight - Block hash or height
+   * @returns {Promise<Object>} - { success, header, hash, height, provider }
+   */
+  async getBlockHeader(hashOrHeight) {
+    const result = await this.providerChain.call('getBlockHeader', [hashOrHeight], { fallbackOnNotFound: true });
+    
+    if (!result.success) {
+      console.error('Get block header error:', result.error);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Parse and sanity-check a raw transaction
+   * @param {string} txHex - Raw transaction hex
+   * @returns {bsv.Transaction} - Parsed transaction
+   * @throws {Error} - If the hex is not a valid transaction
+   */
+  parseTransaction(txHex) {
+    const tx = new bsv.Transaction(txHex);
+    const verification = tx.verify();
+    if (verification !== true) {
+      throw new Error(`Invalid transaction: ${verification}`);
+    }
+    
+    return tx;
+  }
+  
+  /**
+   * Create a builder that manages the UTXOs of a keystore funding key
+   * Reuse one builder per key so concurrent transactions never spend the same output
+   * @param {string} keyId - Key ID
+   * @param {Object} options - { feePerKb, feeCacheTtl, dustLimit, splitSatoshis }
+   * @returns {Promise<TransactionBuilder>} - Transaction builder
+   * @throws {Error} - If the key is unknown or cannot be decrypted
+   */
+  async createTransactionBuilderForKey(keyId, options = {}) {
+    const keystore = this.requireKeystore();
+    await keystore.verifyKey(keyId);
+    return new TransactionBuilder(this, keystore, keyId, options);
+  }
+  
+  /**
+   * Create a provider of network-wide chain, block, mempool and fee data
+   * @returns {NetworkProvider} - Network provider using the local node (or WhatsOnChain) and ARC
+   */
+  createNetworkProvider() {
+    return new NetworkProvider(this.nodeClient || this.whatsonchainClient, this.arcClient || null);
+  }
+  
+  /**
+   * Build and sign a transaction carrying data in an OP_RETURN output
+   * @param {string} data - Data to embed (e.g. a JSON payload)
+   * @param {string} keyId - Funding key ID
+   * @returns {Promise<bsv.Transaction>} - Signed transaction
+   */
+  async createDataTransaction(data, keyId) {
+    return await (await this.createTransactionBuilderForKey(keyId)).buildDataTransaction(data);
+  }
+  
+  /**
+   * Publish data in an OP_RETURN output funded by the given key
+   * @param {string} data - Data to embed (e.g. a JSON payload)
+   * @param {string} keyId - Funding key ID
+   * @returns {Promise<Object>} - Broadcast result
+   */
+  async publishData(data, keyId) {
     try {
-      const response = await axios.post(`${this.config.whatsonchainUrl}/tx/raw`, {
-        txhex: txHex
-      });
-      
-      return {
-        success: true,
-        txid: response.data
-      };
+      const tx = await this.createDataTransaction(data, keyId);
+      return await this.broadcastTransaction(tx.toString());
     } catch (error) {
-      console.error('Transaction broadcast error:', error.message);
+      console.error('Publish data error:', error.message);
       return {
         success: false,
         error: error.response?.data?.message || error.message
@@ -127,22 +450,96 @@ class BlockchainClient {
   }
   
   /**
-   * Sign a message
+   * Verify that a message was signed by a public key or address
+   * Accepts DER, Bitcoin Signed Message and BRC-77 signatures
+   * @param {string} message - Original message
+   * @param {string} signature - Signature to verify
+   * @param {string} signer - Public key or address of the expected signer
+   * @returns {boolean} - Verification result
+   */
+  verifyAuthor(message, signature, signer) {
+    return BSVSignature.verifyAuthor(message, signature, signer);
+  }
+  
+  /**
+   * Recover the signer's public key from a Bitcoin Signed Message signature
+   * @param {string} message - Original message
+   * @param {string} signature - Base64 compact signature
+   * @returns {string} - Public key
+   */
+  recoverPublicKey(message, signature) {
+    return BSVSignature.recoverPublicKey(message, signature);
+  }
+  
+  /**
+   * Sign a message with a keystore key
+   * @param {string} keyId - Key ID
    * @param {string} message - Message to sign
-   * @param {string} privateKey - Private key
-   * @returns {string} - Signature
+   * @param {string} format - BSVSignature.FORMAT value, defaults to DER
+   * @returns {Promise<Object>} - { success, signature, keyId, publicKey, error }
    */
-  signMessage(message, privateKey) {
-    return BSVSignature.sign(message, privateKey);
+  async signWithKey(keyId, message, format = BSVSignature.FORMAT.DER) {
+    try {
+      const keystore = this.requireKeystore();
+      const signature = await keystore.sign(keyId, message, format);
+      
+      return {
+        success: true,
+        signature,
+        keyId,
+        publicKey: keystore.getKey(keyId).publicKey
+      };
+    } catch (error) {
+      console.error('Sign with key error:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Get an application's signing key, deriving it on first use
+   * @param {string} appId - Application identifier
+   * @returns {Promise<Object>} - Key metadata { id, publicKey, address, path, status }
+   */
+  async getAppKey(appId) {
+    return await this.requireKeystore().getAppKey(appId);
+  }
+  
+  /**
+   * Rotate a key, retiring the old one
+   * @param {string} keyIdOrAppId - Key ID or application identifier
+   * @returns {Promise<Object>} - Metadata of the new key
+   */
+  async rotateKey(keyIdOrAppId) {
+    return await this.requireKeystore().rotateKey(keyIdOrAppId);
   }
   
   /**
-   * Generate a new key pair
-   * @returns {Object} - { privateKey, publicKey }
+   * Get the configured keystore
+   * @returns {Keystore} - Keystore
+   * @throws {Error} - If no keystore is configured
    */
-  generateKeyPair() {
-    return BSVSignature.generateKeyPair();
+  requireKeystore() {
+    if (!this.keystore) {
+      throw new Error('No keystore configured');
+    }
+    
+    return this.keystore;
   }
 }
 
+BlockchainClient.TransactionIndex = TransactionIndex;
+BlockchainClient.TransactionBuilder = TransactionBuilder;
+BlockchainClient.BSVSignature = BSVSignature;
+BlockchainClient.MerkleProof = MerkleProof;
+BlockchainClient.HeaderStore = HeaderStore;
+BlockchainClient.Keystore = Keystore;
+BlockchainClient.NetworkProvider = NetworkProvider;
+BlockchainClient.NodeRpcClient = NodeRpcClient;
+BlockchainClient.FixtureNetworkProvider = FixtureNetworkProvider;
+BlockchainClient.NETWORKS = NETWORKS;
+BlockchainClient.getNetwork = getNetwork;
+
 module.exports = BlockchainClient;
\ No newline at end of file
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+const Keystore = require('./keystore');
+
+const USAGE = `Usage: KEYSTORE_PATH=... KEYSTORE_PASSPHRASE=... node keystore-cli.js <command>
+
+Commands:
+  init [label]          Create a master key for application keys
+  import <wif> [label]  Import an existing private key (e.g. a funding key)
+  app <appId>           Show an application's key, deriving it on first use
+  rotate <keyId|appId>  Replace a key and retire the old one
+  list                  List keys`;
+
+/**
+ * Run a keystore command
+ * Private keys are never printed, only key IDs, public keys and addresses
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Promise<Object|Array<Object>>} - Key metadata
+ */
+async function run([command, ...args]) {
+  const keystore = await new Keystore({
+    path: process.env.KEYSTORE_PATH,
+    passphrase: process.env.KEYSTORE_PASSPHRASE
+  }).load();
+  
+  switch (command) {
+    case 'init':
+      return await keystore.createMasterKey({ label: args[0] });
+    case 'import':
+      return await keystore.importKey(args[0], { label: args[1] });
+    case 'app':
+      return await keystore.getAppKey(args[0]);
+    case 'rotate':
+      return await keystore.rotateKey(args[0]);
+    case 'list':
+      return keystore.listKeys();
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+if (!process.env.KEYSTORE_PATH || !process.argv[2]) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+run(process.argv.slice(2)).then(result => {
+  console.log(JSON.stringify(result, null, 2));
+}).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,497 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bsv = require('bsv');
+const BSVSignature = require('./bsv_signature');
+const { getNetwork, getBsvNetwork } = require('./networks');
+
+// Passphrases, KMS clients and unlocked keys, kept out of reach of callers
+const secrets = new WeakMap();
+
+// Hardened BIP32 path for an application's key; 236 is the BSV coin type
+const getAppKeyPath = (appIndex, rotation) => `m/44'/236'/${appIndex}'/0'/${rotation}'`;
+
+/**
+ * Decrypt or derive the private key for a key ID
+ * @param {Keystore} keystore - Keystore holding the key
+ * @param {string} keyId - Key ID
+ * @returns {Promise<bsv.PrivateKey>} - Private key
+ * @throws {Error} - If the key is unknown, retired or cannot be decrypted
+ */
+async function unlock(keystore, keyId) {
+  const key = keystore.data.keys[keyId];
+  if (!key) {
+    throw new Error(`Unknown key: ${keyId}`);
+  }
+  if (key.status !== 'active') {
+    throw new Error(`Key ${keyId} is retired`);
+  }
+  
+  const { unlocked } = secrets.get(keystore);
+  if (!unlocked.has(keyId)) {
+    unlocked.set(keyId, await decryptKey(keystore, key));
+  }
+  
+  return unlocked.get(keyId);
+}
+
+/**
+ * Get the private key for a stored key
+ * @param {Keystore} keystore - Keystore holding the key
+ * @param {Object} key - Stored key
+ * @returns {Promise<bsv.PrivateKey>} - Private key
+ */
+async function decryptKey(keystore, key) {
+  if (key.type === 'imported') {
+    return bsv.PrivateKey.fromString(await decrypt(keystore, key.crypto));
+  }
+  
+  const master = key.type === 'derived' ? keystore.data.keys[key.masterKeyId] : key;
+  let hdKey = bsv.HDPrivateKey.fromString(await decrypt(keystore, master.crypto));
+  if (key.type === 'derived') {
+    hdKey = hdKey.deriveChild(key.path);
+  }
+  
+  // bsv encodes HD child keys for mainnet regardless of the extended key's network
+  return new bsv.PrivateKey(hdKey.privateKey.bn, keystore.bsvNetwork);
+}
+
+/**
+ * Decrypt an encrypted record
+ * @param {Keystore} keystore - Keystore whose passphrase or KMS encrypted the record
+ * @param {Object} record - Encrypted record
+ * @returns {Promise<string>} - Secret
+ * @throws {Error} - If the passphrase or KMS cannot decrypt it
+ */
+async function decrypt(keystore, record) {
+  const { passphrase, kms } = secrets.get(keystore);
+  
+  let dataKey;
+  if (record.kms) {
+    if (!kms) {
+      throw new Error(`Key is encrypted with KMS key ${record.kms.keyId}, but no KMS is configured`);
+    }
+    dataKey = Buffer.from(await kms.decrypt(Buffer.from(record.kms.encryptedKey, 'base64')));
+  } else {
+    if (!passphrase) {
+      throw new Error('Key is encrypted with a passphrase, but no passphrase is configured');
+    }
+    dataKey = await Keystore.deriveKey(passphrase, Buffer.from(record.salt, 'base64'));
+  }
+  
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, Buffer.from(record.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    
+    return Buffer.concat([
+      decipher.update(Buffer.from(record.ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error('Failed to decrypt key: wrong passphrase or KMS key');
+  }
+}
+
+/**
+ * Keystore for CERTIHASH
+ * Holds private keys encrypted on disk and signs messages and transactions by
+ * key ID; keys are only decrypted by this module's private functions, so raw
+ * keys never leave it
+ *
+ * Keys are either:
+ * - master: a BIP32 root from which every application gets its own key
+ * - derived: an application key, re-derived from its master on demand
+ * - imported: a standalone key, e.g. an existing funding WIF
+ *
+ * Secrets are encrypted with AES-256-GCM, using either a key stretched from a
+ * passphrase with scrypt or a per-key data key wrapped by a KMS (envelope
+ * encryption). A KMS is any object with { keyId, encrypt(Buffer), decrypt(Buffer) }.
+ */
+class Keystore {
+  /**
+   * Constructor
+   * @param {Object} options - { path, passphrase, kms, network }
+   */
+  constructor(options = {}) {
+    if (!options.passphrase && !options.kms) {
+      throw new Error('Keystore requires a passphrase or a KMS');
+    }
+    
+    this.path = options.path || process.env.KEYSTORE_PATH;
+    this.network = getNetwork(options.network);
+    this.bsvNetwork = getBsvNetwork(this.network);
+    this.data = { version: 1, network: this.network.name, keys: {}, apps: {} };
+    this.saving = Promise.resolve();
+    this.deriving = Promise.resolve();
+    
+    secrets.set(this, {
+      passphrase: options.passphrase,
+      kms: options.kms,
+      unlocked: new Map()
+    });
+  }
+  
+  /**
+   * Load keys from disk, starting empty if the file does not exist yet
+   * @returns {Promise<Keystore>} - This keystore
+   */
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return this;
+    }
+    
+    // Keystores written before networks were recorded hold mainnet keys
+    const network = getNetwork(data.network || 'main');
+    if (network.name !== this.network.name) {
+      throw new Error(`Keystore ${this.path} holds ${network.name} keys, but ${this.network.name} was requested`);
+    }
+    
+    this.data = { ...data, network: network.name };
+    return this;
+  }
+  
+  /**
+   * Write keys to disk, readable by the owner only
+   * @returns {Promise<void>}
+   */
+  async save() {
+    // Serialize writes and replace the file atomically
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      const tmpPath = `${this.path}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+      await fs.promises.rename(tmpPath, this.path);
+    });
+    
+    return await this.saving;
+  }
+  
+  /**
+   * Create a BIP32 master key for deriving application keys
+   * @param {Object} options - { label }
+   * @returns {Promise<Object>} - Key metadata
+   */
+  async createMasterKey(options = {}) {
+    const hdKey = bsv.HDPrivateKey.fromRandom(this.bsvNetwork);
+    
+    const key = await this.addKey({
+      type: 'master',
+      label: options.label,
+      publicKey: hdKey.publicKey.toString(),
+      xpub: hdKey.hdPublicKey.toString()
+    }, hdKey.toString());
+    
+    await this.save();
+    return key;
+  }
+  
+  /**
+   * Import an existing private key
+   * @param {string} wif - Private key (WIF)
+   * @param {Object} options - { label }
+   * @returns {Promise<Object>} - Key metadata
+   */
+  async importKey(wif, options = {}) {
+    const privateKey = bsv.PrivateKey.fromString(wif);
+    if (privateKey.network.privatekey !== this.bsvNetwork.privatekey) {
+      throw new Error(`Key is a ${privateKey.network.name} key, but the keystore is for ${this.network.name}`);
+    }
+    
+    const existing = this.data.keys[Keystore.getKeyId(privateKey.toPublicKey().toString())];
+    if (existing) {
+      return Keystore.toMetadata(existing);
+    }
+    
+    const key = await this.addKey({
+      type: 'imported',
+      label: options.label,
+      publicKey: privateKey.toPublicKey().toString()
+    }, privateKey.toWIF());
+    
+    await this.save();
+    return key;
+  }
+  
+  /**
+   * Get an application's active key, deriving one from the master key on first use
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { masterKeyId }
+   * @returns {Promise<Object>} - Key metadata
+   */
+  async getAppKey(appId, options = {}) {
+    const app = this.data.apps[appId];
+    if (app) {
+      return Keystore.toMetadata(this.data.keys[app.keyId]);
+    }
+    
+    // Serialize first uses: deriving yields while the master key is decrypted,
+    // and concurrent new applications must not take the same account index
+    this.deriving = this.deriving.catch(() => {}).then(async () => {
+      const existing = this.data.apps[appId];
+      if (existing) {
+        return Keystore.toMetadata(this.data.keys[existing.keyId]);
+      }
+      
+      const master = this.getMasterKey(options.masterKeyId);
+      const appIndex = Object.keys(this.data.apps).length;
+      const key = await this.deriveAppKey(master, appId, appIndex, 0);
+      
+      this.data.apps[appId] = { index: appIndex, keyId: key.id };
+      await this.save();
+      return key;
+    });
+    
+    return await this.deriving;
+  }
+  
+  /**
+   * Replace a key with a new one and retire the old key
+   * Retired keys keep their public key for verification but can no longer sign
+   * @param {string} keyIdOrAppId - Key ID or application identifier
+   * @returns {Promise<Object>} - Metadata of the new key
+   */
+  async rotateKey(keyIdOrAppId) {
+    const app = this.data.apps[keyIdOrAppId];
+    const old = this.data.keys[app ? app.keyId : keyIdOrAppId];
+    if (!old) {
+      throw new Error(`Unknown key: ${keyIdOrAppId}`);
+    }
+    if (old.status !== 'active') {
+      throw new Error(`Key ${old.id} is already retired`);
+    }
+    
+    let key;
+    if (old.type === 'derived') {
+      const master = this.getMasterKey(old.masterKeyId);
+      key = await this.deriveAppKey(master, old.appId, old.appIndex, old.rotation + 1);
+      this.data.apps[old.appId].keyId = key.id;
+    } else if (old.type === 'master') {
+      const hdKey = bsv.HDPrivateKey.fromRandom(this.bsvNetwork);
+      key = await this.addKey({
+        type: 'master',
+        label: old.label,
+        publicKey: hdKey.publicKey.toString(),
+        xpub: hdKey.hdPublicKey.toString()
+      }, hdKey.toString());
+    } else {
+      const privateKey = bsv.PrivateKey.fromRandom(this.bsvNetwork);
+      key = await this.addKey({
+        type: 'imported',
+        label: old.label,
+        publicKey: privateKey.toPublicKey().toString()
+      }, privateKey.toWIF());
+    }
+    
+    // Application keys of a retired master keep working until they are rotated themselves
+    old.status = 'retired';
+    old.retiredAt = new Date().toISOString();
+    old.rotatedTo = key.id;
+    secrets.get(this).unlocked.delete(old.id);
+    
+    await this.save();
+    return key;
+  }
+  
+  /**
+   * Sign a message with a stored key
+   * @param {string} keyId - Key ID
+   * @param {string|Buffer} message - Message to sign
+   * @param {string} format - BSVSignature.FORMAT value, defaults to DER
+   * @returns {Promise<string>} - Signature
+   */
+  async sign(keyId, message, format = BSVSignature.FORMAT.DER) {
+    const wif = (await unlock(this, keyId)).toWIF();
+    
+    switch (format) {
+      case BSVSignature.FORMAT.BSM:
+        return BSVSignature.signBSM(message, wif);
+      case BSVSignature.FORMAT.BRC77:
+        return BSVSignature.signBRC77(message, wif);
+      default:
+        return BSVSignature.sign(message, wif);
+    }
+  }
+  
+  /**
+   * Sign a transaction's inputs with a stored key
+   * @param {string} keyId - Key ID
+   * @param {bsv.Transaction} tx - Transaction spending outputs of the key's address
+   * @returns {Promise<bsv.Transaction>} - The transaction, signed
+   */
+  async signTransaction(keyId, tx) {
+    return tx.sign(await unlock(this, keyId));
+  }
+  
+  /**
+   * Check that a key can sign, decrypting it ahead of its first use
+   * @param {string} keyId - Key ID
+   * @returns {Promise<Object>} - Key metadata
+   * @throws {Error} - If the key is unknown, retired or cannot be decrypted
+   */
+  async verifyKey(keyId) {
+    await unlock(this, keyId);
+    return this.getKey(keyId);
+  }
+  
+  /**
+   * Get a key's metadata
+   * @param {string} keyId - Key ID
+   * @returns {Object|null} - Key metadata or null if unknown
+   */
+  getKey(keyId) {
+    const key = this.data.keys[keyId];
+    return key ? Keystore.toMetadata(key) : null;
+  }
+  
+  /**
+   * List key metadata
+   * @param {Object} filter - { appId, type, status }
+   * @returns {Array<Object>} - Key metadata
+   */
+  listKeys(filter = {}) {
+    return Object.values(this.data.keys)
+      .filter(key => Object.entries(filter).every(([field, value]) => value === undefined || key[field] === value))
+      .map(Keystore.toMetadata);
+  }
+  
+  /**
+   * Find the master key to derive from
+   * @param {string} masterKeyId - Master key ID, defaults to the newest active master
+   * @returns {Object} - Stored master key
+   * @throws {Error} - If there is no such master key
+   */
+  getMasterKey(masterKeyId) {
+    const master = masterKeyId
+      ? this.data.keys[masterKeyId]
+      : Object.values(this.data.keys)
+        .filter(key => key.type === 'master' && key.status === 'active')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+    
+    if (!master || master.type !== 'master') {
+      throw new Error(masterKeyId ? `Unknown master key: ${masterKeyId}` : 'Keystore has no master key');
+    }
+    
+    return master;
+  }
+  
+  /**
+   * Derive and record an application key
+   * @param {Object} master - Stored master key
+   * @param {string} appId - Application identifier
+   * @param {number} appIndex - Application's account index
+   * @param {number} rotation - Rotation counter
+   * @returns {Promise<Object>} - Key metadata
+   */
+  async deriveAppKey(master, appId, appIndex, rotation) {
+    const keyPath = getAppKeyPath(appIndex, rotation);
+    const hdKey = bsv.HDPrivateKey.fromString(await decrypt(this, master.crypto)).deriveChild(keyPath);
+    
+    return await this.addKey({
+      type: 'derived',
+      appId,
+      appIndex,
+      rotation,
+      masterKeyId: master.id,
+      path: keyPath,
+      publicKey: hdKey.publicKey.toString()
+    });
+  }
+  
+  /**
+   * Record a new key, encrypting its secret if it has one
+   * @param {Object} fields - Key fields
+   * @param {string} secret - Private key material to encrypt
+   * @returns {Promise<Object>} - Key metadata
+   */
+  async addKey(fields, secret = null) {
+    const key = {
+      id: Keystore.getKeyId(fields.publicKey),
+      ...fields,
+      address: bsv.PublicKey.fromString(fields.publicKey).toAddress(this.bsvNetwork).toString(),
+      status: 'active',
+      createdAt: new Date().toISOString(),
+      ...(secret && { crypto: await this.encrypt(secret) })
+    };
+    
+    this.data.keys[key.id] = key;
+    return Keystore.toMetadata(key);
+  }
+  
+  /**
+   * Encrypt a secret with the passphrase or a KMS wrapped data key
+   * @param {string} secret - Secret to encrypt
+   * @returns {Promise<Object>} - Encrypted record
+   */
+  async encrypt(secret) {
+    const { passphrase, kms } = secrets.get(this);
+    const iv = crypto.randomBytes(12);
+    
+    let dataKey;
+    const record = { cipher: 'aes-256-gcm', iv: iv.toString('base64') };
+    
+    if (kms) {
+      dataKey = crypto.randomBytes(32);
+      record.kms = {
+        keyId: kms.keyId,
+        encryptedKey: Buffer.from(await kms.encrypt(dataKey)).toString('base64')
+      };
+    } else {
+      const salt = crypto.randomBytes(16);
+      dataKey = await Keystore.deriveKey(passphrase, salt);
+      record.kdf = 'scrypt';
+      record.salt = salt.toString('base64');
+    }
+    
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    record.ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]).toString('base64');
+    record.tag = cipher.getAuthTag().toString('base64');
+    
+    return record;
+  }
+  
+  /**
+   * Stretch a passphrase into an encryption key
+   * @param {string} passphrase - Passphrase
+   * @param {Buffer} salt - Salt
+   * @returns {Promise<Buffer>} - 32 byte key
+   */
+  static deriveKey(passphrase, salt) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(passphrase, salt, 32, { N: 16384, r: 8, p: 1 }, (error, key) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(key);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Key ID for a public key
+   * @param {string} publicKey - Public key hex
+   * @returns {string} - Key ID
+   */
+  static getKeyId(publicKey) {
+    return `key_${crypto.createHash('sha256').update(publicKey).digest('hex').substring(0, 16)}`;
+  }
+  
+  /**
+   * Strip encrypted material from a stored key
+   * @param {Object} key - Stored key
+   * @returns {Object} - Key metadata
+   */
+  static toMetadata(key) {
+    const metadata = { ...key };
+    delete metadata.crypto;
+    return metadata;
+  }
+}
+
+module.exports = Keystore;
\ No newline at end of file
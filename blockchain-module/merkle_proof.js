@@ -0,0 +1,260 @@
+const bsv = require('bsv');
+
+// BUMP (BRC-74) leaf flags
+const BUMP_FLAG_DUPLICATE = 0x01;
+const BUMP_FLAG_TXID = 0x02;
+
+// Node hashes of TSC proofs
+const HASH = /^[0-9a-f]{64}$/i;
+
+/**
+ * MerkleProof for CERTIHASH
+ * Computes Merkle roots from TSC and BUMP (BRC-74) proofs so a txid's
+ * inclusion in a block can be checked against a block header
+ *
+ * Hashes are hex strings in display (reversed) byte order, as shown by
+ * block explorers, unless stated otherwise.
+ */
+class MerkleProof {
+  /**
+   * Compute the Merkle root a proof commits to
+   * @param {Object|string} proof - TSC proof object or BUMP hex string
+   * @param {string} format - 'tsc' or 'bump'
+   * @param {string} txid - Transaction ID to prove
+   * @returns {string} - Merkle root
+   * @throws {Error} - If the proof is malformed or does not contain the txid
+   */
+  static computeRoot(proof, format, txid) {
+    switch (format) {
+      case 'tsc':
+        return MerkleProof.computeRootFromTsc(proof, txid);
+      case 'bump':
+        return MerkleProof.computeRootFromBump(MerkleProof.parseBump(proof), txid);
+      default:
+        throw new Error(`Unsupported Merkle proof format: ${format}`);
+    }
+  }
+  
+  /**
+   * Compute the Merkle root of a TSC proof
+   * @param {Object} proof - { index, txOrId, nodes, target, targetType }
+   * @param {string} txid - Transaction ID to prove
+   * @returns {string} - Merkle root
+   */
+  static computeRootFromTsc(proof, txid) {
+    if (proof.composite || (proof.proofType && proof.proofType !== 'branch')) {
+      throw new Error('Only single branch TSC proofs are supported');
+    }
+    
+    // txOrId holds either the txid or the full raw transaction
+    const provenTxid = proof.txOrId.length === 64 ? proof.txOrId : new bsv.Transaction(proof.txOrId).id;
+    if (provenTxid !== txid) {
+      throw new Error(`Proof is for transaction ${provenTxid}, not ${txid}`);
+    }
+    
+    if (!Number.isInteger(proof.index) || proof.index < 0 || !Array.isArray(proof.nodes)) {
+      throw new Error('Proof needs a transaction index and a list of nodes');
+    }
+    
+    let hash = txid;
+    let index = proof.index;
+    let last = false;
+    
+    proof.nodes.forEach((node, height) => {
+      if (node === '*') {
+        MerkleProof.checkDuplicate(index, height);
+        last = true;
+      } else if (!HASH.test(node)) {
+        throw new Error(`Proof has an invalid node at height ${height}`);
+      } else if (last && index % 2 === 0) {
+        // Once a node is the last of its level, so are its ancestors
+        throw new Error(`Proof has a right sibling at height ${height} after the last node of a lower level`);
+      }
+      
+      const sibling = node === '*' ? hash : node;
+      hash = index % 2 ? MerkleProof.hashPair(sibling, hash) : MerkleProof.hashPair(hash, sibling);
+      index = Math.floor(index / 2);
+    });
+    
+    if (index !== 0) {
+      throw new Error(`Proof is missing the nodes above height ${proof.nodes.length - 1}`);
+    }
+    
+    return hash;
+  }
+  
+  /**
+   * Compute the Merkle root of a BUMP for one of the txids it contains
+   * @param {Object} bump - Parsed BUMP from parseBump
+   * @param {string} txid - Transaction ID to prove
+   * @returns {string} - Merkle root
+   */
+  static computeRootFromBump(bump, txid) {
+    MerkleProof.checkBumpPath(bump.path);
+    
+    const leaf = bump.path[0].find(item => item.hash === txid);
+    if (!leaf) {
+      throw new Error(`BUMP does not contain transaction ${txid}`);
+    }
+    
+    let hash = txid;
+    let offset = leaf.offset;
+    let last = false;
+    
+    bump.path.forEach((level, height) => {
+      const sibling = MerkleProof.getBumpNode(bump.path, height, offset ^ 1);
+      if (sibling === null) {
+        MerkleProof.checkDuplicate(offset, height);
+        last = true;
+      } else if (last && offset % 2 === 0) {
+        // Once a node is the last of its level, so are its ancestors
+        throw new Error(`BUMP has a right sibling at height ${height} after the last node of a lower level`);
+      }
+      
+      const siblingHash = sibling === null ? hash : sibling;
+      hash = offset % 2 ? MerkleProof.hashPair(siblingHash, hash) : MerkleProof.hashPair(hash, siblingHash);
+      offset = offset >> 1;
+    });
+    
+    return hash;
+  }
+  
+  /**
+   * Check that a node may have a duplicate as its sibling
+   * Only the last node of a level is paired with itself, and being last it is
+   * always a left node. Accepting a duplicate anywhere else would let a proof
+   * place a transaction at a position the block does not have.
+   * @param {number} offset - Offset of the node within its level
+   * @param {number} height - Tree height of the node
+   * @throws {Error} - If the node is a right node
+   */
+  static checkDuplicate(offset, height) {
+    if (offset % 2) {
+      throw new Error(`Proof duplicates a left sibling at height ${height}, offset ${offset}`);
+    }
+  }
+  
+  /**
+   * Check the levels of a BUMP path for nodes the tree cannot have
+   * A duplicate must be the last node of its level, so no level may hold a
+   * node to its right, or beneath it.
+   * @param {Array<Array<Object>>} path - Parsed BUMP path
+   * @throws {Error} - If the path is empty, repeats an offset or misplaces a duplicate
+   */
+  static checkBumpPath(path) {
+    if (path.length === 0) {
+      throw new Error('BUMP has no levels');
+    }
+    
+    path.forEach((level, height) => {
+      const offsets = new Set();
+      const width = 2 ** (path.length - height);
+      
+      level.forEach(({ offset, duplicate }) => {
+        if (offsets.has(offset)) {
+          throw new Error(`BUMP repeats the node at height ${height}, offset ${offset}`);
+        }
+        if (offset >= width) {
+          throw new Error(`BUMP has a node at height ${height}, offset ${offset} outside a tree of height ${path.length}`);
+        }
+        offsets.add(offset);
+        
+        if (!duplicate) {
+          return;
+        }
+        if (offset % 2 === 0) {
+          throw new Error(`BUMP marks a left node as duplicate at height ${height}, offset ${offset}`);
+        }
+        
+        // Nodes at or right of the duplicate's position, on its level or below, do not exist
+        path.slice(0, height + 1).forEach((lower, lowerHeight) => {
+          const end = offset * 2 ** (height - lowerHeight);
+          if (lower.some(item => item.offset > end || (item.offset === end && lowerHeight < height))) {
+            throw new Error(`BUMP has nodes right of the duplicate at height ${height}, offset ${offset}`);
+          }
+        });
+      });
+    });
+  }
+  
+  /**
+   * Get a node of a BUMP, computing it from the level below when a compound
+   * BUMP leaves it out
+   * @param {Array<Array<Object>>} path - Parsed BUMP path
+   * @param {number} height - Tree height of the node
+   * @param {number} offset - Offset of the node within its level
+   * @returns {string|null} - Node hash, or null if the node duplicates its left sibling
+   */
+  static getBumpNode(path, height, offset) {
+    const leaf = path[height].find(item => item.offset === offset);
+    if (leaf) {
+      return leaf.duplicate ? null : leaf.hash;
+    }
+    if (height === 0) {
+      throw new Error(`BUMP is missing the node at height ${height}, offset ${offset}`);
+    }
+    
+    const left = MerkleProof.getBumpNode(path, height - 1, offset * 2);
+    const right = MerkleProof.getBumpNode(path, height - 1, offset * 2 + 1);
+    if (left === null) {
+      throw new Error(`BUMP marks a left node as duplicate at height ${height - 1}, offset ${offset * 2}`);
+    }
+    
+    return MerkleProof.hashPair(left, right === null ? left : right);
+  }
+  
+  /**
+   * Parse a BUMP (BRC-74) binary Merkle path
+   * @param {string} hex - BUMP hex string
+   * @returns {Object} - { blockHeight, path }, with path a list of levels of { offset, hash, txid, duplicate }
+   */
+  static parseBump(hex) {
+    const reader = new bsv.encoding.BufferReader(Buffer.from(hex, 'hex'));
+    const blockHeight = reader.readVarintNum();
+    const treeHeight = reader.readUInt8();
+    const path = [];
+    
+    for (let height = 0; height < treeHeight; height++) {
+      const level = [];
+      const count = reader.readVarintNum();
+      
+      for (let i = 0; i < count; i++) {
+        const offset = reader.readVarintNum();
+        const flags = reader.readUInt8();
+        const duplicate = Boolean(flags & BUMP_FLAG_DUPLICATE);
+        
+        level.push({
+          offset,
+          hash: duplicate ? null : reader.readReverse(32).toString('hex'),
+          txid: Boolean(flags & BUMP_FLAG_TXID),
+          duplicate
+        });
+      }
+      
+      path.push(level);
+    }
+    
+    if (!reader.finished()) {
+      throw new Error('Unexpected trailing data in BUMP');
+    }
+    
+    return { blockHeight, path };
+  }
+  
+  /**
+   * Hash two Merkle tree nodes
+   * @param {string} left - Left node
+   * @param {string} right - Right node
+   * @returns {string} - Parent node
+   */
+  static hashPair(left, right) {
+    const buf = Buffer.concat([
+      Buffer.from(left, 'hex').reverse(),
+      Buffer.from(right, 'hex').reverse()
+    ]);
+    
+    return bsv.crypto.Hash.sha256sha256(buf).reverse().toString('hex');
+  }
+}
+
+module.exports = MerkleProof;
\ No newline at end of file
@@ -0,0 +1,73 @@
+const TransactionBuilder = require('./transaction_builder');
+
+/**
+ * NetworkProvider for CERTIHASH
+ * Network-wide chain, block, mempool and fee data for comparing CERTIHASH
+ * throughput with network conditions
+ *
+ * Chain, block and mempool data come from WhatsOnChain or a local node; fee
+ * rates come from ARC when configured. Any object with the same four methods can be used in
+ * its place, e.g. FixtureNetworkProvider for local runs.
+ */
+class NetworkProvider {
+  /**
+   * Constructor
+   * @param {WhatsOnChainClient|NodeRpcClient} chainClient - Client for chain, block and mempool data
+   * @param {ArcClient} arcClient - Client for fee rates, if configured
+   */
+  constructor(chainClient, arcClient = null) {
+    this.chainClient = chainClient;
+    this.arcClient = arcClient;
+  }
+  
+  /**
+   * Get the current chain tip
+   * @returns {Promise<Object>} - { success, height, bestBlockHash }
+   */
+  async getChainInfo() {
+    return await this.chainClient.getChainInfo();
+  }
+  
+  /**
+   * Get a block's details by height
+   * @param {number} height - Block height
+   * @returns {Promise<Object>} - { success, block: { height, hash, time, size, txCount } }
+   */
+  async getBlock(height) {
+    return await this.chainClient.getBlockByHeight(height);
+  }
+  
+  /**
+   * Get mempool size
+   * @returns {Promise<Object>} - { success, size, bytes }
+   */
+  async getMempoolInfo() {
+    return await this.chainClient.getMempoolInfo();
+  }
+  
+  /**
+   * Get the standard mining fee rate
+   * @returns {Promise<Object>} - { success, feePerKb } in satoshis per 1000 bytes, with unsupported set without ARC
+   */
+  async getFeeRate() {
+    if (!this.arcClient) {
+      return {
+        success: false,
+        error: 'ARC is not configured',
+        unsupported: true
+      };
+    }
+    
+    const result = await this.arcClient.getFees();
+    if (!result.success) {
+      return result;
+    }
+    
+    const feePerKb = TransactionBuilder.parseFeeRate(result.fees);
+    return feePerKb === null
+      ? { success: false, error: 'ARC returned no mining fee' }
+      : { success: true, feePerKb };
+  }
+}
+
+module.exports = NetworkProvider;
\ No newline at end of file
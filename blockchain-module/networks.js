@@ -0,0 +1,77 @@
+const bsv = require('bsv');
+
+/**
+ * BSV networks supported by CERTIHASH
+ * Each network names the bsv library network used for address and key
+ * encoding and the default provider endpoints. Regtest has no public
+ * endpoints, so its provider URLs must be configured explicitly.
+ */
+const NETWORKS = Object.freeze({
+  main: Object.freeze({
+    name: 'main',
+    bsvNetwork: 'livenet',
+    whatsonchainUrl: 'https://api.whatsonchain.com/v1/bsv/main',
+    arcApiUrl: 'https://api.arc.io/v1'
+  }),
+  test: Object.freeze({
+    name: 'test',
+    bsvNetwork: 'testnet',
+    whatsonchainUrl: 'https://api.whatsonchain.com/v1/bsv/test',
+    arcApiUrl: 'https://arc-test.taal.com/v1'
+  }),
+  stn: Object.freeze({
+    name: 'stn',
+    bsvNetwork: 'stn',
+    whatsonchainUrl: 'https://api.whatsonchain.com/v1/bsv/stn',
+    arcApiUrl: null
+  }),
+  regtest: Object.freeze({
+    name: 'regtest',
+    bsvNetwork: 'regtest',
+    whatsonchainUrl: null,
+    arcApiUrl: null
+  })
+});
+
+// Other spellings accepted in configuration
+const ALIASES = {
+  mainnet: 'main',
+  livenet: 'main',
+  testnet: 'test',
+  scalingtestnet: 'stn'
+};
+
+/**
+ * Look up a network by name or alias
+ * @param {string|Object} network - Network name, alias or network definition, defaults to BSV_NETWORK or main
+ * @returns {Object} - Network definition { name, bsvNetwork, whatsonchainUrl, arcApiUrl }
+ * @throws {Error} - If the network is unknown
+ */
+function getNetwork(network) {
+  if (network && typeof network === 'object') {
+    return network;
+  }
+  
+  const name = String(network || process.env.BSV_NETWORK || 'main').toLowerCase();
+  const definition = NETWORKS[ALIASES[name] || name];
+  if (!definition) {
+    throw new Error(`Unknown BSV network: ${network}. Expected one of ${Object.keys(NETWORKS).join(', ')}`);
+  }
+  
+  return definition;
+}
+
+/**
+ * Get the bsv library network for address and key encoding
+ * @param {string|Object} network - Network name, alias or network definition
+ * @returns {bsv.Networks.Network} - bsv network
+ */
+function getBsvNetwork(network) {
+  return bsv.Networks.get(getNetwork(network).bsvNetwork);
+}
+
+module.exports = {
+  NETWORKS,
+  getNetwork,
+  getBsvNetwork
+};
\ No newline at end of file
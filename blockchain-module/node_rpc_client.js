@@ -0,0 +1,296 @@
+const axios = require('axios');
+
+// bitcoind RPC error codes
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
+const RPC_VERIFY_ERROR = -25;
+const RPC_VERIFY_REJECTED = -26;
+const RPC_VERIFY_ALREADY_IN_CHAIN = -27;
+const RPC_IN_WARMUP = -28;
+
+/**
+ * Node RPC Client for BSV blockchain
+ * Talks to a bitcoind-compatible node (e.g. SV Node) over JSON-RPC, so the
+ * overlay can run without public APIs, or against a regtest node or RPC stub
+ *
+ * Implements the same provider interface as ArcClient and WhatsOnChainClient:
+ * every method resolves to { success, ... } on success or
+ * { success: false, error, code, status } on failure, with status 404 when the
+ * node does not know the transaction and 5xx when the node is unavailable.
+ */
+class NodeRpcClient {
+  /**
+   * Constructor
+   * @param {string} rpcUrl - Node RPC endpoint, e.g. http://localhost:8332
+   * @param {Object} options - { username, password, timeout }
+   */
+  constructor(rpcUrl, options = {}) {
+    this.rpcUrl = rpcUrl || process.env.NODE_RPC_URL;
+    if (!this.rpcUrl) {
+      throw new Error('Node RPC URL is required');
+    }
+    
+    const username = options.username || process.env.NODE_RPC_USER;
+    const password = options.password || process.env.NODE_RPC_PASSWORD;
+    
+    this.httpClient = axios.create({
+      baseURL: this.rpcUrl,
+      timeout: options.timeout || 30000,
+      headers: { 'Content-Type': 'application/json' },
+      ...(username && { auth: { username, password } })
+    });
+    this.requestId = 0;
+  }
+  
+  /**
+   * Call a JSON-RPC method
+   * @param {string} method - RPC method name
+   * @param {Array} params - Method parameters
+   * @returns {Promise<any>} - Method result
+   * @throws {Error} - Axios error, or an error with rpcCode for RPC errors
+   */
+  async call(method, params = []) {
+    let response;
+    try {
+      response = await this.httpClient.post('/', {
+        jsonrpc: '1.0',
+        id: ++this.requestId,
+        method,
+        params
+      });
+    } catch (error) {
+      // bitcoind answers RPC errors with HTTP 500 and a JSON error body
+      if (!error.response?.data?.error) {
+        throw error;
+      }
+      response = error.response;
+    }
+    
+    if (response.data.error) {
+      const error = new Error(response.data.error.message);
+      error.rpcCode = response.data.error.code;
+      throw error;
+    }
+    
+    return response.data.result;
+  }
+  
+  /**
+   * Broadcast a transaction to the BSV network
+   * @param {string} txHex - Raw transaction hex
+   * @returns {Promise<Object>} - Response with txid
+   */
+  async broadcastTransaction(txHex) {
+    try {
+      return {
+        success: true,
+        txid: await this.call('sendrawtransaction', [txHex])
+      };
+    } catch (error) {
+      console.error('Transaction broadcast error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get transaction details
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - Transaction details, including blockhash and confirmations once mined
+   */
+  async getTransaction(txid) {
+    try {
+      return {
+        success: true,
+        transaction: await this.call('getrawtransaction', [txid, 1])
+      };
+    } catch (error) {
+      console.error('Get transaction error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get the Merkle proof of a mined transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - { success, proof, format, blockHash, blockHeight }, with proof in TSC JSON format
+   */
+  async getMerkleProof(txid) {
+    try {
+      const proof = await this.call('getmerkleproof', [txid]);
+      
+      // The node embeds the block header as the target, TSC proofs name it by hash
+      const target = typeof proof.target === 'object' ? proof.target : { hash: proof.target };
+      
+      return {
+        success: true,
+        proof: {
+          index: proof.index,
+          txOrId: proof.txOrId,
+          target: target.hash,
+          nodes: proof.nodes
+        },
+        format: 'tsc',
+        blockHash: target.hash,
+        blockHeight: target.height ?? null
+      };
+    } catch (error) {
+      console.error('Get Merkle proof error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get a raw block header
+   * @param {string|number} hashOrHeight - Block hash or height
+   * @returns {Promise<Object>} - { success, header, hash, height }, header being the 80 byte raw header in hex
+   */
+  async getBlockHeader(hashOrHeight) {
+    try {
+      const hash = typeof hashOrHeight === 'number'
+        ? await this.call('getblockhash', [hashOrHeight])
+        : hashOrHeight;
+      const [header, details] = await Promise.all([
+        this.call('getblockheader', [hash, false]),
+        this.call('getblockheader', [hash, true])
+      ]);
+      
+      return {
+        success: true,
+        header,
+        hash,
+        height: details.height
+      };
+    } catch (error) {
+      console.error('Get block header error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get the current chain tip
+   * @returns {Promise<Object>} - { success, height, bestBlockHash }
+   */
+  async getChainInfo() {
+    try {
+      const info = await this.call('getblockchaininfo');
+      return {
+        success: true,
+        height: info.blocks,
+        bestBlockHash: info.bestblockhash
+      };
+    } catch (error) {
+      console.error('Get chain info error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get a block's header details by height
+   * Size is only reported when the node includes it in getblockheader
+   * @param {number} height - Block height
+   * @returns {Promise<Object>} - { success, block: { height, hash, time, size, txCount } }
+   */
+  async getBlockByHeight(height) {
+    try {
+      const hash = await this.call('getblockhash', [height]);
+      const header = await this.call('getblockheader', [hash, true]);
+      return {
+        success: true,
+        block: {
+          height: header.height,
+          hash: header.hash,
+          time: header.time,
+          size: header.size,
+          txCount: header.num_tx
+        }
+      };
+    } catch (error) {
+      console.error('Get block error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get mempool size
+   * @returns {Promise<Object>} - { success, size, bytes }, size being the transaction count
+   */
+  async getMempoolInfo() {
+    try {
+      const info = await this.call('getmempoolinfo');
+      return {
+        success: true,
+        size: info.size,
+        bytes: info.bytes
+      };
+    } catch (error) {
+      console.error('Get mempool info error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get spendable outputs for an address watched by the node's wallet
+   * The address must be imported into the node wallet (importaddress)
+   * @param {string} address - BSV address
+   * @returns {Promise<Object>} - { success, utxos: [{ txId, outputIndex, satoshis }] }
+   */
+  async getUtxos(address) {
+    try {
+      const unspent = await this.call('listunspent', [0, 9999999, [address]]);
+      return {
+        success: true,
+        utxos: unspent.map(utxo => ({
+          txId: utxo.txid,
+          outputIndex: utxo.vout,
+          satoshis: Math.round(utxo.amount * 1e8)
+        }))
+      };
+    } catch (error) {
+      console.error('Get UTXOs error:', error.message);
+      return NodeRpcClient.toErrorResult(error);
+    }
+  }
+}
+
+/**
+ * Convert a failed RPC call into an error result
+ * RPC errors get an HTTP-like status so ProviderChain can tell a missing or
+ * rejected transaction from an unavailable node
+ * @param {Error} error - Axios error or RPC error
+ * @returns {Object} - { success, error, code, status }
+ */
+NodeRpcClient.toErrorResult = (error) => {
+  if (error.rpcCode === undefined) {
+    return {
+      success: false,
+      error: error.message,
+      code: error.code,
+      status: error.response?.status
+    };
+  }
+  
+  let status;
+  switch (error.rpcCode) {
+    case RPC_INVALID_ADDRESS_OR_KEY:
+      status = 404;
+      break;
+    case RPC_VERIFY_ERROR:
+    case RPC_VERIFY_REJECTED:
+    case RPC_VERIFY_ALREADY_IN_CHAIN:
+      status = 422;
+      break;
+    case RPC_IN_WARMUP:
+      status = 503;
+      break;
+    default:
+      status = 400;
+  }
+  
+  return {
+    success: false,
+    error: error.message,
+    code: error.rpcCode,
+    status
+  };
+};
+
+module.exports = NodeRpcClient;
\ No newline at end of file
@@ -0,0 +1,335 @@
+const EventEmitter = require('events');
+const bsv = require('bsv');
+const { trace, context, SpanStatusCode } = require('@opentelemetry/api');
+
+// A no-op tracer unless the host process has registered the OpenTelemetry SDK
+const tracer = trace.getTracer('certihash-blockchain-module');
+
+/**
+ * Circuit breaker for a single blockchain provider
+ * Opens after repeated failures and lets a single trial request through
+ * once the reset timeout has elapsed
+ */
+class CircuitBreaker {
+  /**
+   * Constructor
+   * @param {Object} options - { failureThreshold, resetTimeout, onStateChange }
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000;
+    this.onStateChange = options.onStateChange || (() => {});
+    
+    this.state = CircuitBreaker.STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+  
+  /**
+   * Whether a request may be sent to the provider
+   * A true answer while half open claims the single trial; every allowed
+   * request must be settled with recordSuccess or recordFailure
+   * @returns {boolean} - True if the circuit is closed or the trial is free
+   */
+  allowRequest() {
+    if (this.state === CircuitBreaker.STATE.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.setState(CircuitBreaker.STATE.HALF_OPEN);
+    }
+    
+    if (this.state === CircuitBreaker.STATE.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+    
+    return this.state !== CircuitBreaker.STATE.OPEN;
+  }
+  
+  /**
+   * Record a healthy response
+   */
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.setState(CircuitBreaker.STATE.CLOSED);
+  }
+  
+  /**
+   * Record a provider failure
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    
+    if (this.state === CircuitBreaker.STATE.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.setState(CircuitBreaker.STATE.OPEN);
+    }
+  }
+  
+  /**
+   * Change state and notify listeners
+   * @param {string} state - New state
+   */
+  setState(state) {
+    if (this.state !== state) {
+      this.state = state;
+      this.onStateChange(state);
+    }
+  }
+}
+
+CircuitBreaker.STATE = Object.freeze({
+  CLOSED: 'closed',
+  HALF_OPEN: 'half_open',
+  OPEN: 'open'
+});
+
+/**
+ * ProviderChain for CERTIHASH
+ * Sends blockchain requests to an ordered list of providers with per-provider
+ * retry/backoff and circuit breakers
+ *
+ * Emits:
+ * - 'request' { provider, operation, outcome, duration, attempt } for every provider call
+ * - 'circuit' { provider, state } when a provider's circuit changes state
+ */
+class ProviderChain extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Array<Object>} providers - Ordered list of { name, client }
+   * @param {Object} options - { retries, retryBaseDelay, retryMaxDelay, failureThreshold, resetTimeout }
+   */
+  constructor(providers = [], options = {}) {
+    super();
+    
+    this.options = {
+      retries: 2,
+      retryBaseDelay: 200,
+      retryMaxDelay: 5000,
+      failureThreshold: 5,
+      resetTimeout: 30000,
+      ...options
+    };
+    
+    this.providers = providers.map(({ name, client }) => ({
+      name,
+      client,
+      breaker: new CircuitBreaker({
+        failureThreshold: this.options.failureThreshold,
+        resetTimeout: this.options.resetTimeout,
+        onStateChange: (state) => this.emit('circuit', { provider: name, state })
+      })
+    }));
+  }
+  
+  /**
+   * Broadcast a transaction through the first healthy provider
+   * Rebroadcasting a transaction the network already knows counts as success
+   * @param {string} txHex - Raw transaction hex
+   * @param {Object} options - Provider specific broadcast options
+   * @returns {Promise<Object>} - Broadcast result with the provider that handled it
+   */
+  async broadcastTransaction(txHex, options = {}) {
+    const result = await this.call('broadcastTransaction', [txHex, options], { fallbackOnNotFound: false });
+    
+    if (!result.success && ProviderChain.isAlreadyKnown(result)) {
+      const txid = ProviderChain.getTxid(txHex);
+      if (txid) {
+        return {
+          success: true,
+          txid,
+          alreadyKnown: true,
+          provider: result.provider,
+          message: 'Transaction already known to the network'
+        };
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Get transaction details from the first provider that knows the transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - Transaction details, or a result with notFound set
+   */
+  async getTransaction(txid) {
+    const result = await this.call('getTransaction', [txid], { fallbackOnNotFound: true });
+    
+    return result.success ? result : { ...result, notFound: result.status === 404 };
+  }
+  
+  /**
+   * Get the Merkle proof of a mined transaction from the first provider that has it
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - Merkle proof, or a result with notFound set
+   */
+  async getMerkleProof(txid) {
+    const result = await this.call('getMerkleProof', [txid], { fallbackOnNotFound: true });
+    
+    return result.success ? result : { ...result, notFound: result.status === 404 };
+  }
+  
+  /**
+   * Call an operation on each provider in order until one gives a definitive answer
+   * @param {string} operation - Provider method name
+   * @param {Array} args - Method arguments
+   * @param {Object} options - { fallbackOnNotFound }
+   * @returns {Promise<Object>} - Provider result with provider name
+   */
+  async call(operation, args, options = {}) {
+    let lastResult = {
+      success: false,
+      error: 'All blockchain providers are unavailable'
+    };
+    
+    for (const provider of this.providers) {
+      if (typeof provider.client[operation] !== 'function' || !provider.breaker.allowRequest()) {
+        continue;
+      }
+      
+      const result = { ...await this.callWithRetry(provider, operation, args), provider: provider.name };
+      if (result.success) {
+        return result;
+      }
+      
+      lastResult = result;
+      const notFound = result.status === 404;
+      if (!ProviderChain.isProviderFailure(result) && !(notFound && options.fallbackOnNotFound)) {
+        return result;
+      }
+    }
+    
+    return lastResult;
+  }
+  
+  /**
+   * Call a provider, retrying transient failures with exponential backoff
+   * @param {Object} provider - Provider entry
+   * @param {string} operation - Provider method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} - Provider result
+   */
+  async callWithRetry(provider, operation, args) {
+    for (let attempt = 0; ; attempt++) {
+      const startTime = Date.now();
+      const span = tracer.startSpan(`provider.${operation}`, {
+        attributes: { 'certihash.provider': provider.name, 'certihash.provider.attempt': attempt }
+      });
+      let result;
+      
+      try {
+        result = await context.with(trace.setSpan(context.active(), span), () => provider.client[operation](...args));
+      } catch (error) {
+        span.recordException(error);
+        result = { success: false, error: error.message, code: error.code };
+      }
+      
+      const failure = ProviderChain.isProviderFailure(result);
+      const outcome = result.success ? 'success' : failure ? 'error' : 'rejected';
+      this.emit('request', {
+        provider: provider.name,
+        operation,
+        outcome,
+        duration: Date.now() - startTime,
+        attempt
+      });
+      
+      span.setAttribute('certihash.provider.outcome', outcome);
+      if (!result.success) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: result.error });
+      }
+      span.end();
+      
+      // Any definitive answer, even a rejection, means the provider is healthy
+      if (!failure) {
+        provider.breaker.recordSuccess();
+        return result;
+      }
+      
+      provider.breaker.recordFailure();
+      
+      if (!ProviderChain.isRetryable(result) || attempt >= this.options.retries || !provider.breaker.allowRequest()) {
+        return result;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, this.getBackoffDelay(attempt)));
+    }
+  }
+  
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempt - Zero-based attempt number
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const delay = Math.min(this.options.retryBaseDelay * Math.pow(2, attempt), this.options.retryMaxDelay);
+    return Math.round(delay * (0.5 + Math.random() / 2));
+  }
+  
+  /**
+   * Get circuit breaker state for every provider
+   * @returns {Array<Object>} - [{ name, state, consecutiveFailures, openedAt }]
+   */
+  getHealth() {
+    return this.providers.map(({ name, breaker }) => ({
+      name,
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null
+    }));
+  }
+  
+  /**
+   * Whether a failed result points at the provider rather than the request
+   * @param {Object} result - Provider result
+   * @returns {boolean} - True for network errors, timeouts, auth errors, throttling and 5xx
+   */
+  static isProviderFailure(result) {
+    if (result.success || result.txStatus) {
+      return false;
+    }
+    if (!result.status) {
+      return true;
+    }
+    return result.status >= 500 || [401, 403, 408, 429].includes(result.status);
+  }
+  
+  /**
+   * Whether a failed request is worth retrying against the same provider
+   * @param {Object} result - Provider result
+   * @returns {boolean} - True for network errors, timeouts, throttling and 5xx
+   */
+  static isRetryable(result) {
+    return ProviderChain.isProviderFailure(result) && ![401, 403].includes(result.status);
+  }
+  
+  /**
+   * Whether a broadcast failed only because the transaction is already known
+   * @param {Object} result - Provider result
+   * @returns {boolean} - True if rebroadcasting was a no-op
+   */
+  static isAlreadyKnown(result) {
+    return /already.?known|already in (the )?(mempool|block ?chain)|already exists|txn-already/i.test(String(result.error || ''));
+  }
+  
+  /**
+   * Compute the txid of a raw transaction
+   * @param {string} txHex - Raw transaction hex
+   * @returns {string|null} - Transaction ID or null if the hex cannot be parsed
+   */
+  static getTxid(txHex) {
+    try {
+      return new bsv.Transaction(txHex).id;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+ProviderChain.CircuitBreaker = CircuitBreaker;
+
+module.exports = ProviderChain;
\ No newline at end of file
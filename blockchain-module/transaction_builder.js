@@ -0,0 +1,467 @@
+const bsv = require('bsv');
+
+// Serialized size of a signed P2PKH input and of a P2PKH output, in bytes
+const P2PKH_INPUT_SIZE = 148;
+const P2PKH_OUTPUT_SIZE = 34;
+
+/**
+ * TransactionBuilder for CERTIHASH
+ * Manages the UTXOs of a funding wallet and builds signed transactions that
+ * carry CERTIHASH payloads in OP_RETURN outputs
+ *
+ * Inputs are reserved while a transaction is in flight so concurrent builds
+ * never spend the same output. Once a broadcast is accepted the spent inputs
+ * are dropped and the change (and split) outputs become spendable right away,
+ * without waiting for the provider to report them. A broadcast that timed out
+ * may still reach the network, so its inputs stay reserved rather than being
+ * spent again by a conflicting transaction.
+ */
+class TransactionBuilder {
+  /**
+   * Constructor
+   * The builder only knows the funding key's ID; the keystore signs with it
+   * @param {BlockchainClient} blockchainClient - Client used for UTXOs, fees and broadcasting
+   * @param {Keystore} keystore - Keystore holding the funding key, on the client's network
+   * @param {string} keyId - Funding key ID
+   * @param {Object} options - { feePerKb, feeCacheTtl, dustLimit, splitSatoshis }
+   */
+  constructor(blockchainClient, keystore, keyId, options = {}) {
+    const key = keystore.getKey(keyId);
+    if (!key) {
+      throw new Error(`Unknown key: ${keyId}`);
+    }
+    
+    this.blockchainClient = blockchainClient;
+    this.keystore = keystore;
+    this.keyId = keyId;
+    
+    const network = blockchainClient.bsvNetwork || bsv.Networks.livenet;
+    this.address = bsv.PublicKey.fromString(key.publicKey).toAddress(network);
+    this.script = bsv.Script.buildPublicKeyHashOut(this.address).toHex();
+    
+    this.options = {
+      feePerKb: parseInt(process.env.TX_FEE_PER_KB) || bsv.Transaction.FEE_PER_KB,
+      feeCacheTtl: 5 * 60 * 1000,
+      dustLimit: bsv.Transaction.DUST_AMOUNT,
+      splitSatoshis: 10000,
+      ...options
+    };
+    
+    this.utxos = new Map();
+    this.spent = new Set();
+    this.feeRate = null;
+    this.feeRateFetchedAt = 0;
+  }
+  
+  /**
+   * Reload the funding address's UTXOs from the provider
+   * Reserved outputs and outputs created locally are kept
+   * @returns {Promise<number>} - Number of spendable outputs
+   */
+  async refreshUtxos() {
+    const utxos = await this.blockchainClient.getUtxos(this.address.toString());
+    const reported = new Set();
+    
+    utxos.forEach(utxo => {
+      const key = TransactionBuilder.getKey(utxo.txId, utxo.outputIndex);
+      reported.add(key);
+      
+      if (this.spent.has(key)) {
+        return;
+      }
+      
+      const existing = this.utxos.get(key);
+      if (existing) {
+        // Held inputs of transactions signed before a restart learn their value here
+        Object.assign(existing, { satoshis: utxo.satoshis, script: utxo.script, local: false });
+      } else {
+        this.utxos.set(key, { ...utxo, reserved: false, local: false });
+      }
+    });
+    
+    for (const [key, utxo] of this.utxos) {
+      if (!utxo.reserved && !utxo.local && !reported.has(key)) {
+        this.utxos.delete(key);
+      }
+    }
+    
+    // Once the provider stops reporting a spent output it no longer needs to be remembered
+    for (const key of this.spent) {
+      if (!reported.has(key)) {
+        this.spent.delete(key);
+      }
+    }
+    
+    return this.getAvailableUtxos().length;
+  }
+  
+  /**
+   * Get the mining fee rate, preferring ARC's current policy
+   * @returns {Promise<number>} - Fee rate in satoshis per kilobyte
+   */
+  async getFeeRate() {
+    if (this.feeRate && Date.now() - this.feeRateFetchedAt < this.options.feeCacheTtl) {
+      return this.feeRate;
+    }
+    
+    const arcClient = this.blockchainClient.arcClient;
+    const result = arcClient ? await arcClient.getFees() : { success: false };
+    const feeRate = result.success ? TransactionBuilder.parseFeeRate(result.fees) : null;
+    
+    if (feeRate) {
+      this.feeRate = feeRate;
+      this.feeRateFetchedAt = Date.now();
+      return feeRate;
+    }
+    
+    return this.feeRate || this.options.feePerKb;
+  }
+  
+  /**
+   * Build a signed transaction carrying data in an OP_RETURN output
+   * @param {string} data - Data to embed (e.g. a JSON payload)
+   * @returns {Promise<bsv.Transaction>} - Signed transaction with its inputs reserved
+   */
+  async buildDataTransaction(data) {
+    return await this.build(tx => tx.addSafeData(['CERTIHASH', data]));
+  }
+  
+  /**
+   * Build a signed transaction that splits funds into equal outputs back to the funding address
+   * @param {number} count - Number of outputs to create
+   * @param {number} satoshis - Value of each output
+   * @returns {Promise<bsv.Transaction>} - Signed transaction with its inputs reserved
+   */
+  async buildSplitTransaction(count, satoshis = this.options.splitSatoshis) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid split count: ${count}`);
+    }
+    if (satoshis < this.options.dustLimit) {
+      throw new Error(`Split outputs must be at least ${this.options.dustLimit} satoshis`);
+    }
+    
+    return await this.build(tx => {
+      for (let i = 0; i < count; i++) {
+        tx.to(this.address, satoshis);
+      }
+    });
+  }
+  
+  /**
+   * Select inputs, add change and sign
+   * @param {Function} addOutputs - Adds the payload outputs to an empty transaction
+   * @returns {Promise<bsv.Transaction>} - Signed transaction with its inputs reserved
+   * @throws {Error} - If the funding address cannot cover the outputs and fee
+   */
+  async build(addOutputs) {
+    const feePerKb = Math.max(await this.getFeeRate(), 1);
+    
+    const tx = new bsv.Transaction();
+    addOutputs(tx);
+    
+    // Size of everything but the inputs, including a change output
+    const baseSize = tx.toBuffer().length + P2PKH_OUTPUT_SIZE;
+    const estimateFee = (inputCount) => Math.ceil((baseSize + inputCount * P2PKH_INPUT_SIZE) / 1000 * feePerKb);
+    
+    let selected = this.selectUtxos(tx.outputAmount, estimateFee);
+    if (!selected) {
+      await this.refreshUtxos();
+      selected = this.selectUtxos(tx.outputAmount, estimateFee);
+    }
+    if (!selected) {
+      throw new Error(`Insufficient funds in funding address ${this.address}`);
+    }
+    
+    // Reserve before anything else can run so concurrent builds pick other outputs
+    selected.forEach(utxo => {
+      utxo.reserved = true;
+    });
+    
+    try {
+      tx
+        .from(selected.map(({ txId, outputIndex, satoshis, script }) => ({ txId, outputIndex, satoshis, script })))
+        .feePerKb(feePerKb)
+        .change(this.address);
+      return await this.keystore.signTransaction(this.keyId, tx);
+    } catch (error) {
+      selected.forEach(utxo => {
+        utxo.reserved = false;
+      });
+      throw error;
+    }
+  }
+  
+  /**
+   * Pick unreserved outputs covering an amount plus fee
+   * Prefers the smallest single output that is large enough, so large outputs
+   * stay available for other builds, then falls back to combining the largest
+   * @param {number} amount - Satoshis needed by the outputs
+   * @param {Function} estimateFee - Fee for a given number of inputs
+   * @returns {Array<Object>|null} - Selected UTXOs or null if funds are insufficient
+   */
+  selectUtxos(amount, estimateFee) {
+    const available = this.getAvailableUtxos().sort((a, b) => a.satoshis - b.satoshis);
+    
+    const single = available.find(utxo => utxo.satoshis >= amount + estimateFee(1));
+    if (single) {
+      return [single];
+    }
+    
+    const selected = [];
+    let total = 0;
+    for (const utxo of available.reverse()) {
+      selected.push(utxo);
+      total += utxo.satoshis;
+      if (total >= amount + estimateFee(selected.length)) {
+        return selected;
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Broadcast a built transaction and settle its inputs
+   * @param {bsv.Transaction} tx - Transaction from one of the build methods
+   * @param {Object} options - Broadcast options passed to BlockchainClient
+   * @returns {Promise<Object>} - Broadcast result
+   */
+  async broadcast(tx, options = {}) {
+    let result;
+    try {
+      result = await this.blockchainClient.broadcastTransaction(tx.toString(), options);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    
+    this.settle(tx, result);
+    return result;
+  }
+  
+  /**
+   * Settle a transaction's inputs after a broadcast
+   * Inputs are released for other builds only when the broadcast failed for
+   * sure and the transaction won't be sent again. After a timeout, or when
+   * the caller will rebroadcast the same transaction, they stay reserved.
+   * @param {bsv.Transaction} tx - Built transaction
+   * @param {Object} result - Broadcast result
+   * @param {boolean} retry - Whether the caller will broadcast the same transaction again
+   */
+  settle(tx, result, retry = false) {
+    if (result.success) {
+      this.commit(tx);
+    } else if (TransactionBuilder.isSpentInputError(result)) {
+      this.discard(tx);
+    } else if (!retry && !TransactionBuilder.isTimeoutError(result)) {
+      this.release(tx);
+    }
+  }
+  
+  /**
+   * Build and broadcast a data transaction
+   * @param {string} data - Data to embed (e.g. a JSON payload)
+   * @param {Object} options - Broadcast options passed to BlockchainClient
+   * @returns {Promise<Object>} - Broadcast result
+   */
+  async publishData(data, options = {}) {
+    try {
+      const tx = await this.buildDataTransaction(data);
+      return await this.broadcast(tx, options);
+    } catch (error) {
+      console.error('Publish data error:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Split funds into equal outputs so many transactions can be built in parallel
+   * @param {number} count - Number of outputs to create
+   * @param {number} satoshis - Value of each output
+   * @returns {Promise<Object>} - Broadcast result
+   */
+  async splitUtxos(count, satoshis = this.options.splitSatoshis) {
+    try {
+      const tx = await this.buildSplitTransaction(count, satoshis);
+      return await this.broadcast(tx);
+    } catch (error) {
+      console.error('Split UTXOs error:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  
+  /**
+   * Split funds only when fewer than the given number of outputs are spendable
+   * @param {number} minCount - Minimum number of spendable outputs
+   * @param {number} satoshis - Value of each new output
+   * @returns {Promise<Object>} - { success, split, available } plus the broadcast result when a split was sent
+   */
+  async ensureUtxos(minCount, satoshis = this.options.splitSatoshis) {
+    const available = await this.refreshUtxos();
+    if (available >= minCount) {
+      return { success: true, split: false, available };
+    }
+    
+    const result = await this.splitUtxos(minCount - available, satoshis);
+    return { ...result, split: result.success, available: this.getAvailableUtxos().length };
+  }
+  
+  /**
+   * Mark a transaction's inputs as spent and add its outputs to the funding address as spendable
+   * @param {bsv.Transaction} tx - Accepted transaction
+   */
+  commit(tx) {
+    this.discard(tx);
+    
+    tx.outputs.forEach((output, outputIndex) => {
+      if (output.script.toHex() === this.script) {
+        this.utxos.set(TransactionBuilder.getKey(tx.id, outputIndex), {
+          txId: tx.id,
+          outputIndex,
+          satoshis: output.satoshis,
+          script: this.script,
+          reserved: false,
+          local: true
+        });
+      }
+    });
+  }
+  
+  /**
+   * Drop a transaction's inputs, e.g. after they were spent elsewhere
+   * @param {bsv.Transaction} tx - Built transaction
+   */
+  discard(tx) {
+    TransactionBuilder.getInputKeys(tx).forEach(key => {
+      this.utxos.delete(key);
+      this.spent.add(key);
+    });
+  }
+  
+  /**
+   * Reserve the inputs of a transaction built earlier, e.g. by a process that restarted
+   * while it was waiting to be broadcast again
+   * @param {bsv.Transaction} tx - Signed transaction
+   */
+  hold(tx) {
+    TransactionBuilder.getInputKeys(tx).forEach((key, index) => {
+      const utxo = this.utxos.get(key);
+      if (utxo) {
+        utxo.reserved = true;
+        return;
+      }
+      
+      const input = tx.inputs[index];
+      this.utxos.set(key, {
+        txId: input.prevTxId.toString('hex'),
+        outputIndex: input.outputIndex,
+        satoshis: input.output ? input.output.satoshis : 0,
+        script: this.script,
+        reserved: true,
+        local: false
+      });
+    });
+  }
+  
+  /**
+   * Make a transaction's inputs spendable again after a failed broadcast
+   * @param {bsv.Transaction} tx - Built transaction
+   */
+  release(tx) {
+    TransactionBuilder.getInputKeys(tx).forEach(key => {
+      const utxo = this.utxos.get(key);
+      if (utxo) {
+        utxo.reserved = false;
+      }
+    });
+  }
+  
+  /**
+   * Get unreserved outputs
+   * @returns {Array<Object>} - Spendable UTXOs
+   */
+  getAvailableUtxos() {
+    return Array.from(this.utxos.values()).filter(utxo => !utxo.reserved);
+  }
+  
+  /**
+   * Summarize the funding wallet
+   * @returns {Object} - { address, utxos, available, reserved, satoshis, availableSatoshis }
+   */
+  getStats() {
+    const utxos = Array.from(this.utxos.values());
+    const available = utxos.filter(utxo => !utxo.reserved);
+    const sum = list => list.reduce((total, utxo) => total + utxo.satoshis, 0);
+    
+    return {
+      address: this.address.toString(),
+      utxos: utxos.length,
+      available: available.length,
+      reserved: utxos.length - available.length,
+      satoshis: sum(utxos),
+      availableSatoshis: sum(available)
+    };
+  }
+  
+  /**
+   * Read a fee rate from an ARC fee policy response
+   * Accepts { policy: { miningFee } }, { miningFee } and { fees: [{ feeType, miningFee }] }
+   * @param {Object} fees - ARC fee response
+   * @returns {number|null} - Satoshis per kilobyte or null if no mining fee is present
+   */
+  static parseFeeRate(fees = {}) {
+    const miningFee = fees.policy?.miningFee || fees.miningFee ||
+      (Array.isArray(fees.fees) && (fees.fees.find(fee => fee.feeType === 'standard') || fees.fees[0])?.miningFee);
+    
+    if (!miningFee || !(miningFee.bytes > 0) || !(miningFee.satoshis >= 0)) {
+      return null;
+    }
+    
+    return miningFee.satoshis * 1000 / miningFee.bytes;
+  }
+  
+  /**
+   * Whether a failed broadcast means the transaction's inputs are already spent
+   * @param {Object} result - Broadcast result
+   * @returns {boolean} - True for double spends and missing inputs
+   */
+  static isSpentInputError(result) {
+    return result.txStatus === 'DOUBLE_SPEND_ATTEMPTED' ||
+      /double.?spend|mempool-conflict|missing inputs|missingorspent/i.test(String(result.error || ''));
+  }
+  
+  /**
+   * Whether a failed broadcast timed out, leaving it unknown whether the network got the transaction
+   * @param {Object} result - Broadcast result
+   * @returns {boolean} - True for timeouts
+   */
+  static isTimeoutError(result) {
+    return ['ECONNABORTED', 'ETIMEDOUT'].includes(result.code) || /timeout/i.test(String(result.error || ''));
+  }
+  
+  /**
+   * Keys of the outputs a transaction spends
+   * @param {bsv.Transaction} tx - Transaction
+   * @returns {Array<string>} - Outpoint keys
+   */
+  static getInputKeys(tx) {
+    return tx.inputs.map(input => TransactionBuilder.getKey(input.prevTxId.toString('hex'), input.outputIndex));
+  }
+  
+  /**
+   * Outpoint key for an output
+   * @param {string} txId - Transaction ID
+   * @param {number} outputIndex - Output index
+   * @returns {string} - Key in txid:index form
+   */
+  static getKey(txId, outputIndex) {
+    return `${txId}:${outputIndex}`;
+  }
+}
+
+module.exports = TransactionBuilder;
\ No newline at end of file
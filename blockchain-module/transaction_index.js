@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+
+/**
+ * Indexed transaction published on behalf of an application
+ */
+const appTransactionSchema = new mongoose.Schema({
+  txid: {
+    type: String,
+    required: [true, 'Transaction ID is required'],
+    unique: true,
+    match: [/^[0-9a-f]{64}$/, 'Transaction ID must be 64 hex characters']
+  },
+  appId: {
+    type: String,
+    required: [true, 'Application ID is required'],
+    trim: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  processingTime: Number,
+  blockHash: String,
+  blockHeight: Number,
+  confirmedAt: Date
+}, {
+  timestamps: true
+});
+
+// Serves per-app listings and time-range filters
+appTransactionSchema.index({ appId: 1, timestamp: -1 });
+
+// Serves the pending transactions confirmation trackers resume on start
+appTransactionSchema.index({ status: 1, timestamp: -1 });
+
+/**
+ * TransactionIndex for CERTIHASH
+ * Stores the txids published for each application in MongoDB
+ */
+class TransactionIndex {
+  /**
+   * Constructor
+   * @param {Object} options - { uri, connection }
+   */
+  constructor(options = {}) {
+    this.connection = options.connection ||
+      mongoose.createConnection(options.uri || process.env.TX_INDEX_MONGO_URI || process.env.MONGO_URI);
+    this.AppTransaction = this.connection.model('AppTransaction', appTransactionSchema);
+    
+    this.connection.on('error', (error) => {
+      console.error('Transaction index connection error:', error.message);
+    });
+  }
+  
+  /**
+   * Add a published transaction to the index
+   * @param {string} appId - Application identifier
+   * @param {string} txid - Transaction ID
+   * @param {Object} details - { timestamp, status, processingTime }
+   * @returns {Promise<Object>} - Stored document
+   */
+  async record(appId, txid, details = {}) {
+    return await this.AppTransaction.findOneAndUpdate(
+      { txid },
+      { $setOnInsert: { appId, txid, timestamp: details.timestamp || new Date() }, $set: this.pick(details) },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+  
+  /**
+   * Update an indexed transaction, e.g. once it has been mined
+   * @param {string} txid - Transaction ID
+   * @param {Object} details - { status, blockHash, blockHeight, confirmedAt }
+   * @returns {Promise<Object|null>} - Updated document or null if not indexed
+   */
+  async update(txid, details) {
+    return await this.AppTransaction.findOneAndUpdate(
+      { txid },
+      { $set: this.pick(details) },
+      { new: true }
+    ).lean();
+  }
+  
+  /**
+   * List transactions still waiting to be confirmed, newest first
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} - { txid, appId, timestamp } of each pending transaction
+   */
+  async findPending(options = {}) {
+    return await this.AppTransaction.find({ status: 'pending' })
+      .sort({ timestamp: -1 })
+      .limit(options.limit || 10000)
+      .select('txid appId timestamp -_id')
+      .lean();
+  }
+  
+  /**
+   * Page through an application's transactions, newest first
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { page, limit, from, to }
+   * @returns {Promise<Object>} - { transactions, total, page, limit, totalPages }
+   */
+  async find(appId, options = {}) {
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 500);
+    const filter = this.buildFilter(appId, options);
+    
+    const [transactions, total] = await Promise.all([
+      this.AppTransaction.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-_id -__v')
+        .lean(),
+      this.AppTransaction.countDocuments(filter)
+    ]);
+    
+    return {
+      transactions,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+  
+  /**
+   * Aggregate an application's transaction count and average TPS
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { from, to }
+   * @returns {Promise<Object>} - { totalTransactions, averageTps, firstTimestamp, lastTimestamp }
+   */
+  async getStats(appId, options = {}) {
+    const [stats] = await this.AppTransaction.aggregate([
+      { $match: this.buildFilter(appId, options) },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          first: { $min: '$timestamp' },
+          last: { $max: '$timestamp' }
+        }
+      }
+    ]);
+    
+    if (!stats) {
+      return { totalTransactions: 0, averageTps: 0, firstTimestamp: null, lastTimestamp: null };
+    }
+    
+    // Average over the requested window when given, otherwise over the stored span
+    const start = options.from ? TransactionIndex.toDate(options.from) : stats.first;
+    const end = options.to ? TransactionIndex.toDate(options.to) : stats.last;
+    const seconds = (end - start) / 1000;
+    
+    return {
+      totalTransactions: stats.count,
+      averageTps: seconds > 0 ? stats.count / seconds : 0,
+      firstTimestamp: stats.first,
+      lastTimestamp: stats.last
+    };
+  }
+  
+  /**
+   * Build a MongoDB filter for an application and optional time range
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { from, to } as dates, ISO strings or epoch milliseconds
+   * @returns {Object} - MongoDB filter
+   */
+  buildFilter(appId, options = {}) {
+    const filter = { appId };
+    
+    if (options.from || options.to) {
+      filter.timestamp = {};
+      if (options.from) {
+        filter.timestamp.$gte = TransactionIndex.toDate(options.from);
+      }
+      if (options.to) {
+        filter.timestamp.$lte = TransactionIndex.toDate(options.to);
+      }
+    }
+    
+    return filter;
+  }
+  
+  /**
+   * Keep only indexable fields that are set
+   * @param {Object} details - Transaction details
+   * @returns {Object} - Fields to store
+   */
+  pick(details) {
+    const fields = {};
+    ['status', 'processingTime', 'blockHash', 'blockHeight', 'confirmedAt'].forEach(key => {
+      if (details[key] !== undefined && details[key] !== null) {
+        fields[key] = details[key];
+      }
+    });
+    
+    return fields;
+  }
+  
+  /**
+   * Close the MongoDB connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.connection.close();
+  }
+  
+  /**
+   * Parse a date given as a Date, ISO string or epoch milliseconds
+   * @param {Date|string|number} value - Date value
+   * @returns {Date} - Parsed date
+   * @throws {Error} - If the value is not a valid date
+   */
+  static toDate(value) {
+    const date = value instanceof Date ? value : new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+    
+    return date;
+  }
+}
+
+module.exports = TransactionIndex;
\ No newline at end of file
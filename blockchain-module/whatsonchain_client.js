@@ -0,0 +1,191 @@
+const axios = require('axios');
+const { getNetwork } = require('./networks');
+
+/**
+ * WhatsOnChain Client for BSV blockchain
+ * Handles interaction with the WhatsOnChain API for transaction broadcasting and fetching
+ */
+class WhatsOnChainClient {
+  /**
+   * Constructor
+   * @param {string} apiUrl - WhatsOnChain API endpoint, defaults to the network's public API
+   * @param {Object} options - { timeout, network }
+   */
+  constructor(apiUrl, options = {}) {
+    this.network = getNetwork(options.network);
+    this.apiUrl = apiUrl || process.env.WHATSONCHAIN_URL || this.network.whatsonchainUrl;
+    if (!this.apiUrl) {
+      throw new Error(`WhatsOnChain has no ${this.network.name} API, an API URL is required`);
+    }
+    
+    this.httpClient = axios.create({
+      baseURL: this.apiUrl,
+      timeout: options.timeout || 30000
+    });
+  }
+  
+  /**
+   * Broadcast a transaction to the BSV network
+   * @param {string} txHex - Raw transaction hex
+   * @returns {Promise<Object>} - Response with txid
+   */
+  async broadcastTransaction(txHex) {
+    try {
+      const response = await this.httpClient.post('/tx/raw', {
+        txhex: txHex
+      });
+      
+      return {
+        success: true,
+        txid: response.data
+      };
+    } catch (error) {
+      console.error('Transaction broadcast error:', error.message);
+      return WhatsOnChainClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get transaction details
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - Transaction details
+   */
+  async getTransaction(txid) {
+    try {
+      const response = await this.httpClient.get(`/tx/${txid}`);
+      return {
+        success: true,
+        transaction: response.data
+      };
+    } catch (error) {
+      console.error('Get transaction error:', error.message);
+      return WhatsOnChainClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get the Merkle proof of a mined transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - { success, proof, format, blockHash }, with proof in TSC JSON format
+   */
+  async getMerkleProof(txid) {
+    try {
+      const response = await this.httpClient.get(`/tx/${txid}/proof/tsc`);
+      const proof = Array.isArray(response.data) ? response.data[0] : response.data;
+      if (!proof) {
+        return {
+          success: false,
+          error: 'Transaction is not mined yet',
+          status: 404
+        };
+      }
+      
+      return {
+        success: true,
+        proof,
+        format: 'tsc',
+        blockHash: proof.target || null
+      };
+    } catch (error) {
+      console.error('Get Merkle proof error:', error.message);
+      return WhatsOnChainClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get spendable outputs for an address
+   * @param {string} address - BSV address
+   * @returns {Promise<Object>} - { success, utxos: [{ txId, outputIndex, satoshis }] }
+   */
+  async getUtxos(address) {
+    try {
+      const response = await this.httpClient.get(`/address/${address}/unspent`);
+      return {
+        success: true,
+        utxos: response.data.map(utxo => ({
+          txId: utxo.tx_hash,
+          outputIndex: utxo.tx_pos,
+          satoshis: utxo.value
+        }))
+      };
+    } catch (error) {
+      console.error('Get UTXOs error:', error.message);
+      return WhatsOnChainClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get the current chain tip
+   * @returns {Promise<Object>} - { success, height, bestBlockHash }
+   */
+  async getChainInfo() {
+    try {
+      const response = await this.httpClient.get('/chain/info');
+      return {
+        success: true,
+        height: response.data.blocks,
+        bestBlockHash: response.data.bestblockhash
+      };
+    } catch (error) {
+      console.error('Get chain info error:', error.message);
+      return WhatsOnChainClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get a block's header details by height
+   * @param {number} height - Block height
+   * @returns {Promise<Object>} - { success, block: { height, hash, time, size, txCount } }
+   */
+  async getBlockByHeight(height) {
+    try {
+      const response = await this.httpClient.get(`/block/height/${height}`);
+      return {
+        success: true,
+        block: {
+          height: response.data.height,
+          hash: response.data.hash,
+          time: response.data.time,
+          size: response.data.size,
+          txCount: response.data.txcount
+        }
+      };
+    } catch (error) {
+      console.error('Get block error:', error.message);
+      return WhatsOnChainClient.toErrorResult(error);
+    }
+  }
+  
+  /**
+   * Get mempool size
+   * @returns {Promise<Object>} - { success, size, bytes }, size being the transaction count
+   */
+  async getMempoolInfo() {
+    try {
+      const response = await this.httpClient.get('/mempool/info');
+      return {
+        success: true,
+        size: response.data.size,
+        bytes: response.data.bytes
+      };
+    } catch (error) {
+      console.error('Get mempool info error:', error.message);
+      return WhatsOnChainClient.toErrorResult(error);
+    }
+  }
+}
+
+/**
+ * Convert a WhatsOnChain request failure into an error result
+ * @param {Error} error - Axios error
+ * @returns {Object} - { success, error, code, status }
+ */
+WhatsOnChainClient.toErrorResult = (error) => ({
+  success: false,
+  error: (typeof error.response?.data === 'string' && error.response.data) ||
+    error.response?.data?.message || error.message,
+  code: error.code,
+  status: error.response?.status
+});
+
+module.exports = WhatsOnChainClient;
\ No newline at end of file
@@ -0,0 +1,145 @@
+const http = require('http');
+const ApiKeyVerifier = require('../apiKeyVerifier');
+
+const SERVICE_TOKEN = 'internal-token';
+const VALID_KEY = 'key1.secret';
+
+/**
+ * Start an auth-service stub answering API key verification
+ * @param {Function} handler - (apiKey) => { status, body }
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+async function startAuthService(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const { apiKey } = JSON.parse(body || '{}');
+      requests.push({ url: req.url, authorization: req.headers.authorization, apiKey });
+      
+      const { status, body: response } = handler(apiKey);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Verification answer of auth-service for a valid key
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - { status, body }
+ */
+function verified(fields = {}) {
+  return {
+    status: 200,
+    body: {
+      success: true,
+      user: { id: 'user1', email: 'dev@example.com', role: 'user', organization: 'org1' },
+      appIds: ['app-a', 'app-b'],
+      expiresAt: new Date(Date.now() + 3600000).toISOString(),
+      ...fields
+    }
+  };
+}
+
+describe('ApiKeyVerifier', () => {
+  let authService;
+  
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    if (authService) {
+      await authService.close();
+      authService = null;
+    }
+  });
+  
+  test('is not configured without an auth-service URL', () => {
+    expect(new ApiKeyVerifier({ authServiceUrl: '' }).isConfigured()).toBe(false);
+  });
+  
+  test('verifies a key with the service token and caches the owner', async () => {
+    authService = await startAuthService(apiKey => apiKey === VALID_KEY
+      ? verified()
+      : { status: 401, body: { success: false, message: 'Invalid API key' } });
+    const verifier = new ApiKeyVerifier({ authServiceUrl: authService.url, serviceToken: SERVICE_TOKEN });
+    
+    const result = await verifier.verify(VALID_KEY);
+    
+    expect(result).toEqual({
+      valid: true,
+      principal: { userId: 'user1', organization: 'org1', role: 'user', appIds: ['app-a', 'app-b'] }
+    });
+    expect(authService.requests).toEqual([
+      { url: '/internal/api-keys/verify', authorization: `Bearer ${SERVICE_TOKEN}`, apiKey: VALID_KEY }
+    ]);
+    
+    await expect(verifier.verify(VALID_KEY)).resolves.toEqual(result);
+    expect(authService.requests).toHaveLength(1);
+  });
+  
+  test('rejects and briefly caches unknown keys', async () => {
+    authService = await startAuthService(() => ({ status: 401, body: { success: false, message: 'Invalid API key' } }));
+    const verifier = new ApiKeyVerifier({ authServiceUrl: authService.url, negativeCacheTtl: 50 });
+    
+    await expect(verifier.verify('key2.wrong')).resolves.toEqual({ valid: false, reason: 'invalid_key' });
+    await verifier.verify('key2.wrong');
+    expect(authService.requests).toHaveLength(1);
+    
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await verifier.verify('key2.wrong');
+    expect(authService.requests).toHaveLength(2);
+  });
+  
+  test('reports auth-service outages without caching them', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    authService = await startAuthService(() => ({ status: 500, body: { success: false } }));
+    const verifier = new ApiKeyVerifier({ authServiceUrl: authService.url });
+    
+    await expect(verifier.verify(VALID_KEY)).resolves.toMatchObject({ valid: false, unavailable: true });
+    await verifier.verify(VALID_KEY);
+    expect(authService.requests).toHaveLength(2);
+  });
+  
+  test('does not cache a key past its expiry', async () => {
+    authService = await startAuthService(() => verified({ expiresAt: new Date(Date.now() - 1000).toISOString() }));
+    const verifier = new ApiKeyVerifier({ authServiceUrl: authService.url });
+    
+    await verifier.verify(VALID_KEY);
+    await verifier.verify(VALID_KEY);
+    expect(authService.requests).toHaveLength(2);
+  });
+  
+  describe('resolveAppId', () => {
+    const principal = { userId: 'user1', organization: 'org1', role: 'user', appIds: ['app-a', 'app-b'] };
+    
+    test('accepts the applications the key is bound to', () => {
+      expect(ApiKeyVerifier.resolveAppId(principal, 'app-b')).toEqual({ appId: 'app-b' });
+    });
+    
+    test('refuses other applications, including default', () => {
+      expect(ApiKeyVerifier.resolveAppId(principal, 'app-c')).toEqual({
+        error: 'API key is not allowed to publish for app-c',
+        reason: 'app_not_allowed'
+      });
+      expect(ApiKeyVerifier.resolveAppId(principal, 'default')).toMatchObject({ reason: 'app_not_allowed' });
+      expect(ApiKeyVerifier.resolveAppId({ ...principal, appIds: [] }, 'app-a')).toMatchObject({ reason: 'app_not_allowed' });
+    });
+    
+    test('defaults to the only application of a single-application key', () => {
+      expect(ApiKeyVerifier.resolveAppId({ ...principal, appIds: ['app-a'] })).toEqual({ appId: 'app-a' });
+      expect(ApiKeyVerifier.resolveAppId(principal)).toEqual({ error: 'app_id is required', reason: 'missing_app_id' });
+      expect(ApiKeyVerifier.resolveAppId({ ...principal, appIds: [] })).toMatchObject({ reason: 'missing_app_id' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,138 @@
+const http = require('http');
+const BlockchainClient = require('certihash-blockchain-module');
+const ConfirmationTracker = require('../confirmationTracker');
+
+const TXID = 'a1'.repeat(32);
+const OTHER_TXID = 'b2'.repeat(32);
+const UNKNOWN_TXID = 'c3'.repeat(32);
+const BLOCK_HASH = '00'.repeat(4) + 'ff'.repeat(28);
+
+/**
+ * In-memory stand-in for the MongoDB transaction index
+ */
+class MemoryIndex {
+  constructor(docs = []) {
+    this.docs = new Map(docs.map(doc => [doc.txid, { status: 'pending', ...doc }]));
+  }
+  
+  async update(txid, details) {
+    const doc = this.docs.get(txid);
+    if (!doc) {
+      return null;
+    }
+    
+    Object.entries(details).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        doc[key] = value;
+      }
+    });
+    return doc;
+  }
+  
+  async findPending() {
+    return [...this.docs.values()]
+      .filter(doc => doc.status === 'pending')
+      .map(({ txid, appId, timestamp }) => ({ txid, appId, timestamp }));
+  }
+}
+
+describe('ConfirmationTracker', () => {
+  let server;
+  let mined;
+  let transactionIndex;
+  let tracker;
+  
+  // WhatsOnChain stub answering GET /tx/:txid from the mined set
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      const txid = req.url.split('/').pop();
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(mined.has(txid)
+        ? { txid, blockhash: BLOCK_HASH, blockheight: 800000, confirmations: 1 }
+        : { txid, confirmations: 0 }));
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+  
+  afterAll(done => {
+    server.close(done);
+  });
+  
+  beforeEach(() => {
+    mined = new Set();
+    transactionIndex = new MemoryIndex([
+      { txid: TXID, appId: 'app-1', timestamp: new Date() },
+      { txid: OTHER_TXID, appId: 'app-2', timestamp: new Date(Date.now() - 60000) }
+    ]);
+    
+    const blockchainClient = new BlockchainClient({
+      whatsonchainUrl: `http://127.0.0.1:${server.address().port}`,
+      transactionIndex,
+      providerOptions: { retries: 0 }
+    });
+    tracker = new ConfirmationTracker(blockchainClient, { pollInterval: 60000 });
+  });
+  
+  test('polls a tracked transaction until it is mined', async () => {
+    tracker.track(TXID, 'app-1');
+    
+    await tracker.poll();
+    expect(tracker.getStatus(TXID).status).toBe('pending');
+    expect(tracker.getStatus(TXID).checks).toBe(1);
+    
+    mined.add(TXID);
+    await tracker.poll();
+    
+    const entry = tracker.getStatus(TXID);
+    expect(entry.status).toBe('confirmed');
+    expect(entry.blockHash).toBe(BLOCK_HASH);
+    expect(entry.blockHeight).toBe(800000);
+    expect(transactionIndex.docs.get(TXID)).toMatchObject({ status: 'confirmed', blockHeight: 800000 });
+  });
+  
+  test('records callbacks for tracked transactions in their history', async () => {
+    tracker.track(TXID, 'app-1', 'SEEN_ON_NETWORK');
+    
+    const result = await tracker.recordCallback(TXID, 'MINED', { blockHash: BLOCK_HASH, blockHeight: 800001 });
+    
+    expect(result).toEqual({ tracked: true, indexed: true });
+    const entry = tracker.getStatus(TXID);
+    expect(entry.status).toBe('confirmed');
+    expect(entry.history.map(({ txStatus, source }) => [txStatus, source])).toEqual([
+      ['SEEN_ON_NETWORK', 'broadcast'],
+      ['MINED', 'callback']
+    ]);
+    expect(transactionIndex.docs.get(TXID).blockHeight).toBe(800001);
+  });
+  
+  test('stores final callback statuses of untracked transactions in the index', async () => {
+    const confirmed = await tracker.recordCallback(OTHER_TXID, 'MINED', { blockHash: BLOCK_HASH, blockHeight: 800002 });
+    const rejected = await tracker.recordCallback(TXID, 'REJECTED', { extraInfo: 'double spend' });
+    
+    expect(confirmed).toEqual({ tracked: false, indexed: true });
+    expect(rejected).toEqual({ tracked: false, indexed: true });
+    expect(transactionIndex.docs.get(OTHER_TXID)).toMatchObject({ status: 'confirmed', blockHash: BLOCK_HASH });
+    expect(transactionIndex.docs.get(TXID).status).toBe('rejected');
+    expect(tracker.getStatus(OTHER_TXID)).toBeNull();
+  });
+  
+  test('ignores callbacks for txids nobody published', async () => {
+    await expect(tracker.recordCallback(UNKNOWN_TXID, 'MINED', {})).resolves.toEqual({ tracked: false, indexed: false });
+    await expect(tracker.recordCallback(TXID, 'SEEN_ON_NETWORK', {})).resolves.toEqual({ tracked: false, indexed: false });
+  });
+  
+  test('resumes pending transactions from the index after a restart', async () => {
+    await expect(tracker.restore()).resolves.toBe(2);
+    
+    const entry = tracker.getStatus(OTHER_TXID);
+    expect(entry).toMatchObject({ appId: 'app-2', status: 'pending' });
+    expect(entry.publishedAt).toBe(transactionIndex.docs.get(OTHER_TXID).timestamp.getTime());
+    
+    mined.add(OTHER_TXID);
+    await tracker.poll();
+    
+    expect(tracker.getStatus(OTHER_TXID).status).toBe('confirmed');
+    expect(tracker.getStatus(TXID).status).toBe('pending');
+    expect(transactionIndex.docs.get(OTHER_TXID).status).toBe('confirmed');
+  });
+});
\ No newline at end of file
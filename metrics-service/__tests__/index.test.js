@@ -0,0 +1,197 @@
+const http = require('http');
+const axios = require('axios');
+
+const TXID = 'e5'.repeat(32);
+const SERVICE_TOKEN = 'internal-token';
+
+// Applications each test API key is bound to
+const API_KEYS = {
+  'key-a': ['app-a'],
+  'key-b': ['app-b']
+};
+
+const mockPublish = jest.fn();
+
+jest.mock('../tracing', () => ({}));
+
+// The real queue in memory, publishing through mockPublish
+jest.mock('../publisher', () => {
+  const PublishQueue = require('../publishQueue');
+  const QueueJournal = require('../queueJournal');
+  
+  return {
+    isPayloadPublishingEnabled: () => false,
+    publishQueue: new PublishQueue((item, hooks) => mockPublish(item, hooks), {
+      journal: new QueueJournal({ file: null }),
+      maxSize: 3,
+      maxBatchSize: 3,
+      concurrency: 1
+    }),
+    blockchainClient: {},
+    confirmationTracker: {},
+    networkExporter: {},
+    getTransactionBuilder: () => null,
+    init: async () => {}
+  };
+});
+
+/**
+ * Wait until the publish queue has nothing queued or in flight
+ * @param {PublishQueue} queue - Queue
+ * @returns {Promise<void>}
+ */
+async function waitForIdle(queue) {
+  const deadline = Date.now() + 2000;
+  while (queue.size > 0 || queue.active > 0) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the publish queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('batch publishing API', () => {
+  let authService;
+  let server;
+  let client;
+  let publishQueue;
+  
+  beforeAll(async () => {
+    // auth-service stub verifying the test API keys
+    authService = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const appIds = API_KEYS[JSON.parse(body).apiKey];
+        res.writeHead(appIds ? 200 : 401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(appIds
+          ? { success: true, user: { id: 'user1', role: 'user', organization: 'org1' }, appIds }
+          : { success: false, message: 'Invalid API key' }));
+      });
+    });
+    await new Promise(resolve => authService.listen(0, '127.0.0.1', resolve));
+    
+    process.env.AUTH_SERVICE_URL = `http://127.0.0.1:${authService.address().port}`;
+    process.env.INTERNAL_SERVICE_TOKEN = SERVICE_TOKEN;
+    
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = require('../index');
+    ({ publishQueue } = require('../publisher'));
+    await publishQueue.init();
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    client = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  });
+  
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    server.closeAllConnections();
+    authService.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => authService.close(resolve));
+    delete process.env.AUTH_SERVICE_URL;
+    delete process.env.INTERNAL_SERVICE_TOKEN;
+  });
+  
+  beforeEach(() => {
+    mockPublish.mockReset();
+    mockPublish.mockResolvedValue({ success: true, outcome: 'accepted', txid: TXID, processingTime: 5 });
+  });
+  
+  afterEach(async () => {
+    await waitForIdle(publishQueue);
+  });
+  
+  /**
+   * Queue a batch
+   * @param {Object} headers - Request headers
+   * @param {Array<Object>} items - Batch items
+   * @returns {Promise<Object>} - Axios response
+   */
+  function postBatch(headers, items = [{ app_id: 'app-a', txHex: '00' }]) {
+    return client.post('/publish/batch', { items }, { headers });
+  }
+  
+  test('queues a batch and reports its results', async () => {
+    const queued = await postBatch({ Authorization: `Bearer ${SERVICE_TOKEN}` });
+    
+    expect(queued.status).toBe(202);
+    expect(queued.headers.location).toBe(`/publish/batch/${queued.data.batchId}`);
+    
+    await waitForIdle(publishQueue);
+    const batch = await client.get(queued.headers.location, { headers: { Authorization: `Bearer ${SERVICE_TOKEN}` } });
+    
+    expect(batch.status).toBe(200);
+    expect(batch.data).toMatchObject({ status: 'success', state: 'completed', total: 1, succeeded: 1 });
+    expect(batch.data.results[0]).toMatchObject({ index: 0, status: 'success', txid: TXID });
+  });
+  
+  test('requires credentials to read a batch', async () => {
+    const queued = await postBatch({ Authorization: `Bearer ${SERVICE_TOKEN}` });
+    
+    const anonymous = await client.get(`/publish/batch/${queued.data.batchId}`);
+    expect(anonymous.status).toBe(401);
+    
+    const invalid = await client.get(`/publish/batch/${queued.data.batchId}`, { headers: { 'X-API-Key': 'key-x' } });
+    expect(invalid.status).toBe(401);
+  });
+  
+  test('shows a batch only to API keys of its applications', async () => {
+    const queued = await postBatch({ 'X-API-Key': 'key-a' });
+    expect(queued.status).toBe(202);
+    
+    const own = await client.get(`/publish/batch/${queued.data.batchId}`, { headers: { 'X-API-Key': 'key-a' } });
+    expect(own.status).toBe(200);
+    
+    const other = await client.get(`/publish/batch/${queued.data.batchId}`, { headers: { 'X-API-Key': 'key-b' } });
+    expect(other.status).toBe(404);
+    expect(other.data).toEqual({ status: 'error', error: 'Unknown or expired batch' });
+  });
+  
+  test('refuses items for applications the API key is not bound to', async () => {
+    const response = await postBatch({ 'X-API-Key': 'key-a' }, [
+      { app_id: 'app-a', txHex: '00' },
+      { app_id: 'app-b', txHex: '00' }
+    ]);
+    
+    expect(response.status).toBe(403);
+    expect(response.data.error).toBe('Item 1: API key is not allowed to publish for app-b');
+    expect(mockPublish).not.toHaveBeenCalled();
+  });
+  
+  test('refuses batches larger than the batch limit', async () => {
+    const response = await postBatch({ Authorization: `Bearer ${SERVICE_TOKEN}` }, Array(4).fill({ app_id: 'app-a', txHex: '00' }));
+    
+    expect(response.status).toBe(413);
+    expect(mockPublish).not.toHaveBeenCalled();
+  });
+  
+  test('answers 429 with Retry-After when the batch does not fit into the queue', async () => {
+    // Hold the first item in flight so the rest stays queued
+    let release;
+    mockPublish.mockImplementationOnce(() => new Promise(resolve => {
+      release = () => resolve({ success: true, outcome: 'accepted', txid: TXID, processingTime: 5 });
+    }));
+    const headers = { Authorization: `Bearer ${SERVICE_TOKEN}` };
+    
+    const first = await postBatch(headers, Array(3).fill({ app_id: 'app-a', txHex: '00' }));
+    expect(first.status).toBe(202);
+    expect(publishQueue.size).toBe(2);
+    
+    const full = await postBatch(headers, Array(2).fill({ app_id: 'app-a', txHex: '00' }));
+    expect(full.status).toBe(429);
+    expect(Number(full.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+    expect(full.data).toEqual({ status: 'error', error: 'Publish queue is full', retryAfter: Number(full.headers['retry-after']) });
+    
+    // A batch that still fits is accepted
+    const fits = await postBatch(headers);
+    expect(fits.status).toBe(202);
+    
+    release();
+    await waitForIdle(publishQueue);
+    expect(mockPublish).toHaveBeenCalledTimes(4);
+  });
+});
\ No newline at end of file
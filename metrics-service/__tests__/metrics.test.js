@@ -0,0 +1,23 @@
+const { tpsWindow, recordTransaction } = require('../metrics');
+
+describe('recordTransaction', () => {
+  beforeEach(() => {
+    jest.spyOn(tpsWindow, 'record').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('counts accepted transactions towards TPS', () => {
+    recordTransaction('app-1', 120, 'accepted');
+    
+    expect(tpsWindow.record).toHaveBeenCalledTimes(1);
+  });
+  
+  test.each(['rejected', 'double_spend', 'timeout'])('leaves %s publishes out of TPS', outcome => {
+    recordTransaction('app-1', 120, outcome);
+    
+    expect(tpsWindow.record).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+const path = require('path');
+const { FixtureNetworkProvider } = require('certihash-blockchain-module');
+const NetworkExporter = require('../networkExporter');
+const { register } = require('../metrics');
+
+const FIXTURE = path.join(path.dirname(require.resolve('certihash-blockchain-module')), 'fixtures', 'network.json');
+
+/**
+ * Read the current value of a gauge or counter
+ * @param {string} name - Metric name
+ * @param {Object} labels - Labels of the series, if any
+ * @returns {Promise<number|undefined>} - Value
+ */
+async function metricValue(name, labels = {}) {
+  const { values } = await register.getSingleMetric(name).get();
+  return values.find(value => Object.entries(labels).every(([key, label]) => value.labels[key] === label))?.value;
+}
+
+describe('NetworkExporter', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('exports the network conditions of a fixture', async () => {
+    const exporter = new NetworkExporter(new FixtureNetworkProvider({ file: FIXTURE }));
+    
+    const stats = await exporter.poll();
+    
+    expect(stats).toMatchObject({ height: 850002, blockInterval: 537, feePerKb: 1, mempool: { size: 48213, bytes: 15820417 } });
+    await expect(metricValue('certihash_network_tip_height')).resolves.toBe(850002);
+    await expect(metricValue('certihash_network_block_tx_count')).resolves.toBe(121907);
+    await expect(metricValue('certihash_network_block_interval_seconds')).resolves.toBe(537);
+    await expect(metricValue('certihash_network_fee_rate_sat_per_kb')).resolves.toBe(1);
+    await expect(metricValue('certihash_network_mempool_bytes')).resolves.toBe(15820417);
+  });
+  
+  test('follows the tip as blocks are added, reusing the previous tip as the parent', async () => {
+    const provider = new FixtureNetworkProvider({ file: FIXTURE });
+    const exporter = new NetworkExporter(provider);
+    await exporter.poll();
+    
+    jest.spyOn(provider, 'getBlock');
+    provider.addBlock({ height: 850003, hash: 'ab'.repeat(32), time: 1719001749, size: 1000, txCount: 5 });
+    const stats = await exporter.poll();
+    
+    expect(stats).toMatchObject({ height: 850003, blockInterval: 600 });
+    expect(provider.getBlock).toHaveBeenCalledTimes(1);
+    await expect(metricValue('certihash_network_block_size_bytes')).resolves.toBe(1000);
+    
+    // An unchanged tip is not fetched again
+    await exporter.poll();
+    expect(provider.getBlock).toHaveBeenCalledTimes(1);
+  });
+  
+  test('counts sources the fixture cannot serve and keeps the others', async () => {
+    const exporter = new NetworkExporter(new FixtureNetworkProvider({
+      fixture: { blocks: [{ height: 1, hash: 'cd'.repeat(32), time: 1, size: 10, txCount: 1 }] }
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const before = await metricValue('certihash_network_poll_errors_total', { source: 'mempool' }) || 0;
+    
+    const stats = await exporter.poll();
+    
+    expect(stats).toMatchObject({ height: 1, blockInterval: null, mempool: null, feePerKb: null });
+    await expect(metricValue('certihash_network_poll_errors_total', { source: 'mempool' })).resolves.toBe(before + 1);
+    await expect(metricValue('certihash_network_poll_errors_total', { source: 'fees' })).resolves.toBeGreaterThanOrEqual(1);
+  });
+});
\ No newline at end of file
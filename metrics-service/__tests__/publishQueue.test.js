@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PublishQueue = require('../publishQueue');
+const QueueJournal = require('../queueJournal');
+
+const TXID = 'd4'.repeat(32);
+
+/**
+ * Wait until a condition holds and the queue's workers, journal writes included, are idle
+ * @param {PublishQueue} queue - Queue
+ * @param {Function} condition - Checked every few milliseconds
+ * @returns {Promise<void>}
+ */
+async function waitUntil(queue, condition) {
+  const deadline = Date.now() + 2000;
+  while (!condition() || queue.active > 0) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the publish queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Publisher answering each attempt with the next of the given results
+ * The first attempt signs the payload, later ones must send it again.
+ * @param {Array<Object>} results - Partial publish results, the last repeated
+ * @returns {Function} - jest mock of publish(item, hooks)
+ */
+function publisher(results) {
+  let calls = 0;
+  return jest.fn(async (item, { onSigned }) => {
+    if (!item.signedTxHex) {
+      await onSigned(`signed:${item.payload.n}`, TXID);
+    }
+    
+    const result = results[Math.min(calls++, results.length - 1)];
+    return result.success
+      ? { outcome: 'accepted', txid: TXID, processingTime: 5, ...result }
+      : { outcome: 'rejected', processingTime: 5, error: result.reason, ...result };
+  });
+}
+
+describe('PublishQueue', () => {
+  let dir;
+  let file;
+  
+  /**
+   * Create and start a queue on the test journal
+   * @param {Function} publish - Publish function
+   * @param {Object} options - Extra queue options
+   * @returns {Promise<PublishQueue>} - Started queue
+   */
+  async function createQueue(publish, options = {}) {
+    const queue = new PublishQueue(publish, {
+      journal: new QueueJournal({ file }),
+      concurrency: 1,
+      maxAttempts: 3,
+      retryBaseDelay: 10,
+      retryMaxDelay: 20,
+      ...options
+    });
+    await queue.init();
+    return queue;
+  }
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publish-queue-'));
+    file = path.join(dir, 'queue.jsonl');
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('retries a transient failure with the transaction signed on the first attempt', async () => {
+    const publish = publisher([{ reason: 'timeout', outcome: 'timeout' }, { success: true }]);
+    const queue = await createQueue(publish);
+    
+    const { batch } = await queue.enqueue([{ appId: 'app-1', payload: { n: 1 } }]);
+    const first = await queue.waitForBatch(batch.id);
+    expect(first.results[0]).toMatchObject({ status: 'retrying', reason: 'timeout', attempts: 1 });
+    
+    await waitUntil(queue, () => queue.getBatch(batch.id).state === 'completed');
+    
+    expect(queue.getBatch(batch.id).results[0]).toMatchObject({ status: 'success', attempts: 2, txid: TXID });
+    expect(publish).toHaveBeenCalledTimes(2);
+    expect(publish.mock.calls[1][0].signedTxHex).toBe('signed:1');
+    await expect(new QueueJournal({ file }).load()).resolves.toEqual({ pending: [], dead: [] });
+  });
+  
+  test('dead-letters an item once its attempts are used up', async () => {
+    const queue = await createQueue(publisher([{ reason: 'provider_unavailable' }]));
+    
+    const { batch } = await queue.enqueue([{ appId: 'app-1', payload: { n: 2 } }]);
+    await waitUntil(queue, () => queue.getBatch(batch.id).state === 'completed');
+    
+    expect(queue.getBatch(batch.id).results[0]).toMatchObject({ status: 'error', attempts: 3, deadLettered: true });
+    const [deadLetter] = queue.listDeadLetters();
+    expect(deadLetter).toMatchObject({ appId: 'app-1', txid: TXID, attempts: 3, reason: 'provider_unavailable' });
+    expect(queue.getDeadLetter(deadLetter.id)).toMatchObject({ txHex: 'signed:2', payload: { n: 2 } });
+  });
+  
+  test('dead-letters permanent failures without retrying and completes input errors', async () => {
+    const queue = await createQueue(publisher([{ reason: 'provider_rejected' }, { reason: 'invalid_payload' }]));
+    
+    const { batch } = await queue.enqueue([{ appId: 'app-1', payload: { n: 3 } }, { appId: 'app-1', payload: { n: 4 } }]);
+    await waitUntil(queue, () => queue.getBatch(batch.id).state === 'completed');
+    
+    expect(queue.listDeadLetters().map(({ reason, attempts }) => ({ reason, attempts }))).toEqual([
+      { reason: 'provider_rejected', attempts: 1 }
+    ]);
+    expect(queue.getBatch(batch.id).results[1]).toMatchObject({ status: 'error', reason: 'invalid_payload' });
+  });
+  
+  test('replays a dead letter with a fresh retry budget', async () => {
+    const publish = publisher([{ reason: 'provider_rejected' }, { success: true }]);
+    const queue = await createQueue(publish);
+    
+    const { batch } = await queue.enqueue([{ appId: 'app-1', payload: { n: 5 } }]);
+    await waitUntil(queue, () => queue.listDeadLetters().length === 1);
+    
+    const [{ id }] = queue.listDeadLetters();
+    await expect(queue.replay([id, 'unknown'])).resolves.toEqual([id]);
+    await waitUntil(queue, () => queue.getBatch(batch.id).state === 'completed');
+    
+    expect(queue.listDeadLetters()).toEqual([]);
+    expect(queue.getBatch(batch.id).results[0]).toMatchObject({ status: 'success', attempts: 1 });
+    expect(publish.mock.calls[1][0].signedTxHex).toBe('signed:5');
+  });
+  
+  test('restores queued and dead items from the journal and discards dead letters', async () => {
+    const queue = await createQueue(publisher([{ reason: 'provider_rejected' }]));
+    await queue.enqueue([{ appId: 'app-1', payload: { n: 6 } }]);
+    await waitUntil(queue, () => queue.listDeadLetters().length === 1);
+    
+    const onRestore = jest.fn();
+    const onDiscard = jest.fn();
+    const restarted = await createQueue(publisher([{ success: true }]), { onRestore, onDiscard });
+    
+    const [{ id }] = restarted.listDeadLetters();
+    expect(onRestore).toHaveBeenCalledWith(expect.objectContaining({ id, signedTxHex: 'signed:6' }));
+    
+    await expect(restarted.discard([id])).resolves.toEqual([id]);
+    expect(onDiscard).toHaveBeenCalledWith(expect.objectContaining({ id }));
+    await expect(new QueueJournal({ file }).load()).resolves.toEqual({ pending: [], dead: [] });
+  });
+  
+  test('skips a half-written journal line', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const item = { id: 'item-1', appId: 'app-1', payload: { n: 9 }, attempts: 0 };
+    fs.writeFileSync(file, `${JSON.stringify({ op: 'enqueue', item })}\n{"op":"done","i`);
+    
+    await expect(new QueueJournal({ file }).load()).resolves.toEqual({ pending: [item], dead: [] });
+  });
+  
+  test('refuses a batch that does not fit', async () => {
+    const queue = await createQueue(publisher([{ success: true }]), { maxSize: 1 });
+    
+    const result = await queue.enqueue([{ payload: { n: 7 } }, { payload: { n: 8 } }]);
+    
+    expect(result.accepted).toBe(false);
+    expect(result.retryAfter).toBeGreaterThanOrEqual(1);
+  });
+});
\ No newline at end of file
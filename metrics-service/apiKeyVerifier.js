@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * ApiKeyVerifier checks publishing API keys against auth-service
+ * Keys are issued by auth-service (POST /api/auth/api-key) and bound to the
+ * owner's organization and a list of application IDs. Verification results
+ * are cached by key hash, so publishing does not cost a round trip and a
+ * bcrypt comparison per request; rejected keys are cached for a shorter time.
+ */
+class ApiKeyVerifier {
+  /**
+   * Constructor
+   * @param {Object} options - { authServiceUrl, serviceToken, cacheTtl, negativeCacheTtl, timeout }
+   */
+  constructor(options = {}) {
+    this.options = {
+      authServiceUrl: process.env.AUTH_SERVICE_URL,
+      serviceToken: process.env.INTERNAL_SERVICE_TOKEN,
+      cacheTtl: parseInt(process.env.API_KEY_CACHE_TTL_MS) || 60000,
+      negativeCacheTtl: 10000,
+      timeout: 5000,
+      ...options
+    };
+    
+    this.cache = new Map();
+    this.httpClient = this.options.authServiceUrl
+      ? axios.create({
+        baseURL: this.options.authServiceUrl,
+        timeout: this.options.timeout,
+        headers: { Authorization: `Bearer ${this.options.serviceToken}` }
+      })
+      : null;
+  }
+  
+  /**
+   * Whether keys can be verified
+   * @returns {boolean} - True when auth-service is configured
+   */
+  isConfigured() {
+    return Boolean(this.httpClient);
+  }
+  
+  /**
+   * Verify an API key
+   * @param {string} apiKey - API key from the request
+   * @returns {Promise<Object>} - { valid: true, principal: { userId, organization, role, appIds } },
+   *   { valid: false, reason } for a rejected key or { valid: false, unavailable: true, error } when auth-service cannot be reached
+   */
+  async verify(apiKey) {
+    const cacheKey = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+    
+    let result;
+    try {
+      const response = await this.httpClient.post('/internal/api-keys/verify', { apiKey });
+      const { user, appIds, expiresAt } = response.data;
+      result = {
+        valid: true,
+        principal: {
+          userId: String(user.id),
+          organization: user.organization,
+          role: user.role,
+          appIds: appIds || []
+        }
+      };
+      
+      // Never trust a cached key beyond its own expiry
+      const ttl = Math.min(this.options.cacheTtl, new Date(expiresAt).getTime() - Date.now() || Infinity);
+      this.remember(cacheKey, result, ttl);
+    } catch (error) {
+      if (error.response?.status === 401 || error.response?.status === 400) {
+        result = { valid: false, reason: 'invalid_key' };
+        this.remember(cacheKey, result, this.options.negativeCacheTtl);
+      } else {
+        console.error('API key verification failed:', error.message);
+        result = { valid: false, unavailable: true, error: error.message };
+      }
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Cache a verification result
+   * @param {string} cacheKey - Hash of the API key
+   * @param {Object} result - Verification result
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  remember(cacheKey, result, ttl) {
+    // Drop expired entries now and then so rejected keys cannot grow the cache forever
+    if (this.cache.size >= 10000) {
+      const now = Date.now();
+      for (const [key, entry] of this.cache) {
+        if (entry.expiresAt <= now) {
+          this.cache.delete(key);
+        }
+      }
+    }
+    
+    if (ttl > 0) {
+      this.cache.set(cacheKey, { result, expiresAt: Date.now() + ttl });
+    }
+  }
+  
+  /**
+   * Resolve the application a request publishes for
+   * A key bound to a single application may omit app_id
+   * @param {Object} principal - Verified key owner
+   * @param {string} appId - app_id from the request, if any
+   * @returns {Object} - { appId } or { error, reason } when the key may not publish for it
+   */
+  static resolveAppId(principal, appId) {
+    if (!appId) {
+      return principal.appIds.length === 1
+        ? { appId: principal.appIds[0] }
+        : { error: 'app_id is required', reason: 'missing_app_id' };
+    }
+    
+    if (!principal.appIds.includes(appId)) {
+      return { error: `API key is not allowed to publish for ${appId}`, reason: 'app_not_allowed' };
+    }
+    
+    return { appId };
+  }
+}
+
+module.exports = ApiKeyVerifier;
\ No newline at end of file
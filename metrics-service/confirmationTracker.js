@@ -0,0 +1,340 @@
+const { recordConfirmation, recordStatusTransition, setPending } = require('./metrics');
+
+/**
+ * ConfirmationTracker follows published transactions until they are mined
+ * Polls BlockchainClient.verifyTransaction for every pending txid and
+ * records ARC status transitions delivered by callbacks
+ */
+class ConfirmationTracker {
+  /**
+   * Constructor
+   * @param {BlockchainClient} blockchainClient - Client used to look up transactions
+   * @param {Object} options - Tracker options
+   */
+  constructor(blockchainClient, options = {}) {
+    this.blockchainClient = blockchainClient;
+    this.options = {
+      pollInterval: parseInt(process.env.CONFIRMATION_POLL_INTERVAL_MS) || 30000,
+      maxPendingAge: parseInt(process.env.CONFIRMATION_MAX_PENDING_MS) || 24 * 60 * 60 * 1000,
+      retention: parseInt(process.env.CONFIRMATION_RETENTION_MS) || 60 * 60 * 1000,
+      concurrency: 10,
+      ...options
+    };
+    
+    this.transactions = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+  
+  /**
+   * Start polling in the background
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.options.pollInterval);
+    }
+  }
+  
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Resume tracking the transactions the index still lists as pending
+   * Transactions published before a restart, or by a replica that has since
+   * gone, are followed until they are mined like any other.
+   * @returns {Promise<number>} - Number of transactions resumed
+   */
+  async restore() {
+    const pending = await this.blockchainClient.getPendingTransactions();
+    const resumed = pending.filter(({ txid }) => !this.transactions.has(txid));
+    
+    resumed.forEach(({ txid, appId, timestamp }) => {
+      this.transactions.set(txid, this.createEntry(txid, appId, new Date(timestamp).getTime()));
+    });
+    this.updatePendingGauge();
+    
+    return resumed.length;
+  }
+  
+  /**
+   * Start tracking a published transaction
+   * @param {string} txid - Transaction ID
+   * @param {string} appId - Application identifier
+   * @param {string} txStatus - Initial ARC status, if known
+   * @returns {Object} - Tracked entry
+   */
+  track(txid, appId = 'default', txStatus = null) {
+    if (!this.transactions.has(txid)) {
+      this.transactions.set(txid, this.createEntry(txid, appId, Date.now()));
+      
+      if (txStatus) {
+        this.recordStatus(txid, txStatus, { source: 'broadcast' });
+      }
+      this.updatePendingGauge();
+    }
+    
+    return this.transactions.get(txid);
+  }
+  
+  /**
+   * Create the entry of a newly tracked transaction
+   * @param {string} txid - Transaction ID
+   * @param {string} appId - Application identifier
+   * @param {number} publishedAt - Publish time in epoch milliseconds
+   * @returns {Object} - Pending entry
+   */
+  createEntry(txid, appId, publishedAt) {
+    return {
+      txid,
+      appId,
+      status: 'pending',
+      txStatus: null,
+      history: [],
+      publishedAt,
+      lastCheckedAt: null,
+      checks: 0,
+      confirmedAt: null,
+      confirmationSeconds: null,
+      blockHash: null,
+      blockHeight: null
+    };
+  }
+  
+  /**
+   * Record a lifecycle status transition for a tracked transaction
+   * @param {string} txid - Transaction ID
+   * @param {string} txStatus - ARC status (e.g. SEEN_ON_NETWORK, MINED, REJECTED)
+   * @param {Object} details - { source, blockHash, blockHeight, extraInfo, timestamp }
+   * @returns {Object|null} - Updated entry or null if the txid is not tracked
+   */
+  recordStatus(txid, txStatus, details = {}) {
+    const entry = this.transactions.get(txid);
+    if (!entry) {
+      return null;
+    }
+    
+    if (entry.txStatus !== txStatus) {
+      entry.txStatus = txStatus;
+      entry.history.push({
+        txStatus,
+        source: details.source || 'poll',
+        extraInfo: details.extraInfo || null,
+        at: details.timestamp || new Date().toISOString()
+      });
+      recordStatusTransition(entry.appId, txStatus);
+    }
+    
+    if (entry.status !== 'pending') {
+      return entry;
+    }
+    
+    const status = ConfirmationTracker.getFinalStatus(txStatus);
+    if (!status) {
+      return entry;
+    }
+    
+    entry.status = status;
+    entry.confirmedAt = Date.now();
+    if (status === 'confirmed') {
+      entry.confirmationSeconds = (entry.confirmedAt - entry.publishedAt) / 1000;
+      entry.blockHash = details.blockHash || null;
+      entry.blockHeight = details.blockHeight || null;
+      recordConfirmation(entry.appId, entry.confirmationSeconds);
+    }
+    
+    this.updatePendingGauge();
+    this.updateIndex(entry);
+    return entry;
+  }
+  
+  /**
+   * Record a status delivered by an ARC callback
+   * Callbacks may arrive for transactions this process is not tracking, such
+   * as those published by another replica or before a restart. Final
+   * statuses of those go straight to the shared transaction index.
+   * @param {string} txid - Transaction ID
+   * @param {string} txStatus - ARC status
+   * @param {Object} details - { blockHash, blockHeight, extraInfo, timestamp }
+   * @returns {Promise<Object>} - { tracked, indexed }
+   */
+  async recordCallback(txid, txStatus, details = {}) {
+    const entry = this.recordStatus(txid, txStatus, { ...details, source: 'callback' });
+    if (entry) {
+      return { tracked: true, indexed: entry.status !== 'pending' };
+    }
+    
+    const status = ConfirmationTracker.getFinalStatus(txStatus);
+    if (!status) {
+      return { tracked: false, indexed: false };
+    }
+    
+    const indexed = await this.blockchainClient.updateIndexedTransaction(txid, {
+      status,
+      blockHash: status === 'confirmed' ? details.blockHash : null,
+      blockHeight: status === 'confirmed' ? details.blockHeight : null,
+      confirmedAt: status === 'confirmed' ? new Date(details.timestamp || Date.now()) : null
+    });
+    
+    return { tracked: false, indexed };
+  }
+  
+  /**
+   * Persist a finished entry to the transaction index
+   * @param {Object} entry - Tracked entry
+   * @returns {Promise<boolean>} - True if an indexed transaction was updated
+   */
+  updateIndex(entry) {
+    return this.blockchainClient.updateIndexedTransaction(entry.txid, {
+      status: entry.status,
+      blockHash: entry.blockHash,
+      blockHeight: entry.blockHeight,
+      confirmedAt: entry.status === 'confirmed' ? new Date(entry.confirmedAt) : null
+    });
+  }
+  
+  /**
+   * Get the tracked status of a transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Object|null} - Tracked entry or null if unknown
+   */
+  getStatus(txid) {
+    return this.transactions.get(txid) || null;
+  }
+  
+  /**
+   * Look up a transaction that is not being tracked
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<Object>} - { txid, status, blockHash, blockHeight }
+   */
+  async lookup(txid) {
+    const result = await this.blockchainClient.verifyTransaction(txid);
+    if (!result.success) {
+      return { txid, status: 'unknown', error: result.error };
+    }
+    
+    const block = ConfirmationTracker.getBlockInfo(result.transaction);
+    return {
+      txid,
+      status: block ? 'confirmed' : 'pending',
+      blockHash: block?.blockHash || null,
+      blockHeight: block?.blockHeight || null
+    };
+  }
+  
+  /**
+   * Check every pending transaction once
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    
+    try {
+      const now = Date.now();
+      const pending = [];
+      
+      for (const entry of this.transactions.values()) {
+        if (entry.status === 'pending') {
+          if (now - entry.publishedAt > this.options.maxPendingAge) {
+            entry.status = 'expired';
+            this.updateIndex(entry);
+          } else {
+            pending.push(entry);
+          }
+        } else if (now - (entry.confirmedAt || entry.publishedAt) > this.options.retention) {
+          this.transactions.delete(entry.txid);
+        }
+      }
+      
+      for (let i = 0; i < pending.length; i += this.options.concurrency) {
+        const batch = pending.slice(i, i + this.options.concurrency);
+        await Promise.all(batch.map(entry => this.check(entry)));
+      }
+    } finally {
+      this.updatePendingGauge();
+      this.polling = false;
+    }
+  }
+  
+  /**
+   * Check a single pending transaction
+   * @param {Object} entry - Tracked entry
+   * @returns {Promise<void>}
+   */
+  async check(entry) {
+    entry.checks++;
+    entry.lastCheckedAt = Date.now();
+    
+    try {
+      const result = await this.blockchainClient.verifyTransaction(entry.txid);
+      if (!result.success) {
+        return;
+      }
+      
+      const block = ConfirmationTracker.getBlockInfo(result.transaction);
+      if (block) {
+        this.recordStatus(entry.txid, 'MINED', block);
+      } else if (result.transaction.txStatus) {
+        this.recordStatus(entry.txid, result.transaction.txStatus, {
+          extraInfo: result.transaction.extraInfo
+        });
+      }
+    } catch (error) {
+      console.error(`Confirmation check failed for ${entry.txid}:`, error.message);
+    }
+  }
+  
+  /**
+   * Publish the number of pending transactions per application
+   */
+  updatePendingGauge() {
+    const counts = {};
+    for (const entry of this.transactions.values()) {
+      counts[entry.appId] = (counts[entry.appId] || 0) + (entry.status === 'pending' ? 1 : 0);
+    }
+    
+    Object.entries(counts).forEach(([appId, count]) => setPending(appId, count));
+  }
+  
+  /**
+   * Map an ARC status to the final status of a transaction
+   * @param {string} txStatus - ARC status
+   * @returns {string|null} - 'confirmed' or 'rejected', or null while still pending
+   */
+  static getFinalStatus(txStatus) {
+    if (txStatus === 'MINED') {
+      return 'confirmed';
+    }
+    if (txStatus === 'REJECTED' || txStatus === 'DOUBLE_SPEND_ATTEMPTED') {
+      return 'rejected';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Extract block information from an ARC or WhatsOnChain transaction response
+   * @param {Object} transaction - Provider transaction details
+   * @returns {Object|null} - { blockHash, blockHeight } or null if not mined
+   */
+  static getBlockInfo(transaction = {}) {
+    const blockHash = transaction.blockhash || transaction.blockHash;
+    const blockHeight = transaction.blockheight || transaction.blockHeight;
+    const mined = transaction.txStatus
+      ? transaction.txStatus === 'MINED'
+      : Boolean(blockHash) || transaction.confirmations > 0;
+    
+    return mined ? { blockHash: blockHash || null, blockHeight: blockHeight || null } : null;
+  }
+}
+
+module.exports = ConfirmationTracker;
\ No newline at end of file
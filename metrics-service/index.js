@@ -1,45 +1,704 @@
+// Tracing first, so the modules it instruments are patched as they load
+require('./tracing');
+
+const crypto = require('crypto');
 const express = require('express');
 const morgan = require('morgan');
-const { register, metrics, recordTransaction } = require('./metrics');
+const { register, recordUnauthorizedPublish } = require('./metrics');
+const ApiKeyVerifier = require('./apiKeyVerifier');
+const {
+  isPayloadPublishingEnabled,
+  confirmationTracker,
+  networkExporter,
+  publishQueue,
+  blockchainClient,
+  getTransactionBuilder,
+  init
+} = require('./publisher');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(express.json());
-app.use(morgan('dev'));
+// Middleware, with room for batches of thousands of items
+app.use(express.json({ limit: process.env.REQUEST_BODY_LIMIT || '5mb' }));
+app.use(morgan('dev', { skip: () => process.env.NODE_ENV === 'test' }));
+
+/**
+ * Check a request's bearer token in constant time
+ * @param {Object} req - Express request
+ * @param {string} token - Expected token
+ * @returns {boolean} - False when no token is configured or it does not match
+ */
+function hasBearerToken(req, token) {
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/, ''));
+  const expected = Buffer.from(token || '');
+  
+  return Boolean(token) && provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Reply with the outcome of an item published through the queue
+ * @param {Object} res - Express response
+ * @param {Object} queued - Result of publishQueue.publishOne
+ * @param {Object} fields - Extra response fields
+ */
+function sendQueuedResult(res, queued, fields = {}) {
+  if (!queued.accepted) {
+    if (queued.retryAfter) {
+      res.set('Retry-After', String(queued.retryAfter));
+    }
+    return res.status(queued.retryAfter ? 429 : 503).json({
+      status: 'error',
+      error: queued.error || 'Publish queue is full',
+      retryAfter: queued.retryAfter
+    });
+  }
+  
+  const { result } = queued;
+  
+  // Transient failure: the queue keeps retrying in the background
+  if (result.status === 'retrying') {
+    return res.status(202).json({
+      status: 'queued',
+      id: result.id,
+      attempts: result.attempts,
+      nextAttemptAt: result.nextAttemptAt,
+      reason: result.reason,
+      error: result.error,
+      ...fields
+    });
+  }
+  
+  if (result.status === 'error') {
+    return res.status(result.reason === 'invalid_tx' || result.reason === 'invalid_payload' ? 400 : 502).json({
+      status: 'error',
+      id: result.id,
+      outcome: result.outcome,
+      reason: result.reason,
+      error: result.error,
+      processingTime: result.processingTime,
+      deadLettered: Boolean(result.deadLettered)
+    });
+  }
+  
+  res.json({
+    status: 'success',
+    txid: result.txid,
+    processingTime: result.processingTime,
+    ...fields
+  });
+}
+
+// Publishing API keys are verified with auth-service; PUBLISH_AUTH=disabled turns this off for local development
+const apiKeyVerifier = new ApiKeyVerifier();
+const PUBLISH_AUTH_DISABLED = process.env.PUBLISH_AUTH === 'disabled';
+
+// Token other CERTIHASH services (e.g. the UI backend) present instead of an API key
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN;
+
+/**
+ * Reject an unauthorized publishing request and count it
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} reason - Metric reason
+ * @param {string} error - Error message
+ */
+function rejectPublish(res, status, reason, error) {
+  recordUnauthorizedPublish(reason);
+  res.status(status).json({ status: 'error', error });
+}
+
+/**
+ * Require an API key issued by auth-service (X-API-Key header)
+ * The verified key owner is set as req.principal. Services holding the
+ * internal service token authenticate their own users and may publish for any app_id.
+ */
+async function authenticatePublisher(req, res, next) {
+  if (PUBLISH_AUTH_DISABLED || hasBearerToken(req, INTERNAL_SERVICE_TOKEN)) {
+    return next();
+  }
+  
+  if (!apiKeyVerifier.isConfigured()) {
+    return res.status(503).json({
+      status: 'error',
+      error: 'Publishing authentication is not configured'
+    });
+  }
+  
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    return rejectPublish(res, 401, 'missing_key', 'API key is required');
+  }
+  
+  const verified = await apiKeyVerifier.verify(apiKey);
+  if (verified.unavailable) {
+    return res.status(503).json({
+      status: 'error',
+      error: 'Authentication service is unavailable'
+    });
+  }
+  if (!verified.valid) {
+    return rejectPublish(res, 401, verified.reason, 'Invalid API key');
+  }
+  
+  req.principal = verified.principal;
+  next();
+}
+
+/**
+ * Resolve the application a request publishes for, bound to the API key's applications
+ * @param {Object} req - Express request
+ * @param {string} appId - Requested app_id
+ * @param {string} fallback - app_id used when publishing without authentication
+ * @returns {Object} - { appId } or { error, reason }
+ */
+function resolveAppId(req, appId, fallback) {
+  if (!req.principal) {
+    return { appId: appId || fallback };
+  }
+  return ApiKeyVerifier.resolveAppId(req.principal, appId);
+}
+
+/**
+ * Reply to an app_id the API key may not use
+ * @param {Object} res - Express response
+ * @param {Object} resolved - Result of resolveAppId
+ * @param {string} prefix - Error message prefix, e.g. the item position
+ */
+function rejectAppId(res, resolved, prefix = '') {
+  if (resolved.reason === 'app_not_allowed') {
+    return rejectPublish(res, 403, resolved.reason, prefix + resolved.error);
+  }
+  res.status(400).json({ status: 'error', error: prefix + resolved.error });
+}
 
 // Prometheus metrics endpoint
 app.get('/metrics', async (req, res) => {
-  res.set('Content-Type', register.contentType);
-  res.end(await register.metrics());
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    console.error('Metrics export failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Transaction publishing endpoint
+app.post('/publish', authenticatePublisher, async (req, res) => {
+  try {
+    const { txHex, payload } = req.body;
+    const resolved = resolveAppId(req, req.body.app_id, 'default');
+    if (resolved.error) {
+      return rejectAppId(res, resolved);
+    }
+    const { appId } = resolved;
+    
+    if (!txHex && payload === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Either txHex or payload is required'
+      });
+    }
+    
+    if (!txHex && !isPayloadPublishingEnabled()) {
+      return res.status(503).json({
+        status: 'error',
+        error: 'Payload publishing is not configured'
+      });
+    }
+    
+    sendQueuedResult(res, await publishQueue.publishOne({ appId, txHex, payload }));
+  } catch (error) {
+    console.error('Publish failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Batch publishing endpoint
+app.post('/publish/batch', authenticatePublisher, async (req, res) => {
+  try {
+    const { items, wait } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'items must be a non-empty array'
+      });
+    }
+    
+    if (items.length > publishQueue.options.maxBatchSize) {
+      return res.status(413).json({
+        status: 'error',
+        error: `A batch can hold at most ${publishQueue.options.maxBatchSize} items`
+      });
+    }
+    
+    const invalid = items.findIndex(item => !item || (!item.txHex && item.payload === undefined));
+    if (invalid !== -1) {
+      return res.status(400).json({
+        status: 'error',
+        error: `Item ${invalid}: either txHex or payload is required`
+      });
+    }
+    
+    if (!isPayloadPublishingEnabled() && items.some(item => !item.txHex)) {
+      return res.status(503).json({
+        status: 'error',
+        error: 'Payload publishing is not configured'
+      });
+    }
+    
+    // Every item must be for an application the API key is bound to
+    const appIds = [];
+    for (const [index, item] of items.entries()) {
+      const resolved = resolveAppId(req, item.app_id || req.body.app_id, 'default');
+      if (resolved.error) {
+        return rejectAppId(res, resolved, `Item ${index}: `);
+      }
+      appIds.push(resolved.appId);
+    }
+    
+    const queued = await publishQueue.enqueue(items.map((item, index) => ({
+      appId: appIds[index],
+      txHex: item.txHex,
+      payload: item.payload
+    })));
+    
+    if (queued.error) {
+      return res.status(503).json({
+        status: 'error',
+        error: queued.error
+      });
+    }
+    
+    if (!queued.accepted) {
+      res.set('Retry-After', String(queued.retryAfter));
+      return res.status(429).json({
+        status: 'error',
+        error: 'Publish queue is full',
+        retryAfter: queued.retryAfter
+      });
+    }
+    
+    // Either wait for every result or hand back the batch ID to poll
+    if (wait) {
+      const batch = await publishQueue.waitForBatch(queued.batch.id);
+      return res.json({ status: 'success', ...batch });
+    }
+    
+    const batch = publishQueue.getBatch(queued.batch.id);
+    res.status(202).location(`/publish/batch/${batch.batchId}`).json({ status: 'success', ...batch });
+  } catch (error) {
+    console.error('Batch publish failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Batch publishing status and per-item results; API keys only see batches of their own applications
+app.get('/publish/batch/:batchId', authenticatePublisher, (req, res) => {
+  const batch = publishQueue.getBatch(req.params.batchId, req.principal ? req.principal.appIds : null);
+  if (!batch) {
+    return res.status(404).json({
+      status: 'error',
+      error: 'Unknown or expired batch'
+    });
+  }
+  
+  res.json({ status: 'success', ...batch });
+});
+
+// Keystore ID of the key countersigning certified document hashes
+const CERTIFY_KEY_ID = process.env.CERTIFY_KEY_ID;
+
+// Document certification endpoint
+app.post('/certify', authenticatePublisher, async (req, res) => {
+  try {
+    const { hash, signature, signer, sign } = req.body;
+    const resolved = resolveAppId(req, req.body.app_id, 'certify');
+    if (resolved.error) {
+      return rejectAppId(res, resolved);
+    }
+    const { appId } = resolved;
+    
+    if (!/^[0-9a-fA-F]{64}$/.test(hash || '')) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'hash must be a SHA-256 hex digest'
+      });
+    }
+    
+    if (!isPayloadPublishingEnabled()) {
+      return res.status(503).json({
+        status: 'error',
+        error: 'Payload publishing is not configured'
+      });
+    }
+    
+    const certificate = {
+      type: 'certihash.certification',
+      algorithm: 'sha256',
+      hash: hash.toLowerCase(),
+      timestamp: new Date().toISOString()
+    };
+    
+    if (signature) {
+      // Signed by the author, e.g. with their own BSV wallet
+      if (!signer || !blockchainClient.verifyAuthor(certificate.hash, signature, signer)) {
+        return res.status(400).json({
+          status: 'error',
+          error: 'Signature does not match hash and signer'
+        });
+      }
+      certificate.signature = signature;
+      certificate.signer = signer;
+    } else if (sign) {
+      if (!CERTIFY_KEY_ID) {
+        return res.status(503).json({
+          status: 'error',
+          error: 'Certification signing is not configured'
+        });
+      }
+      
+      const signed = await blockchainClient.signWithKey(CERTIFY_KEY_ID, certificate.hash, 'bsm');
+      if (!signed.success) {
+        return res.status(503).json({
+          status: 'error',
+          error: `Certification signing failed: ${signed.error}`
+        });
+      }
+      certificate.signature = signed.signature;
+      certificate.signer = signed.publicKey;
+    }
+    
+    sendQueuedResult(res, await publishQueue.publishOne({ appId, payload: certificate }), { certificate });
+  } catch (error) {
+    console.error('Certification failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Merkle proof of a mined transaction
+app.get('/tx/:txid/proof', async (req, res) => {
+  try {
+    const { txid } = req.params;
+    
+    if (!/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid txid'
+      });
+    }
+    
+    const result = await blockchainClient.getMerkleProof(txid);
+    
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 502).json({
+        status: 'error',
+        error: result.error
+      });
+    }
+    
+    // Check the proof against our own block headers when we have them
+    const spv = blockchainClient.headerStore
+      ? blockchainClient.verifyMerkleProof(txid, result.proof, result.format)
+      : null;
+    
+    res.json({
+      status: 'success',
+      txid,
+      blockHash: result.blockHash || spv?.blockHash || null,
+      blockHeight: result.blockHeight || spv?.blockHeight || null,
+      format: result.format,
+      proof: result.proof,
+      spv: spv && {
+        verified: spv.verified,
+        merkleRoot: spv.merkleRoot || null,
+        error: spv.error || null
+      }
+    });
+  } catch (error) {
+    console.error('Merkle proof lookup failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Transaction confirmation status
+app.get('/tx/:txid/status', async (req, res) => {
+  try {
+    const { txid } = req.params;
+    
+    if (!/^[0-9a-fA-F]{64}$/.test(txid)) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Invalid txid'
+      });
+    }
+    
+    const tracked = confirmationTracker.getStatus(txid);
+    if (tracked) {
+      return res.json({ tracked: true, ...tracked });
+    }
+    
+    // Not published through this instance, ask the network directly
+    const result = await confirmationTracker.lookup(txid);
+    res.json({ tracked: false, ...result });
+  } catch (error) {
+    console.error('Transaction status lookup failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Indexed transactions for an application, readable with the internal token or an API key bound to it
+app.get('/apps/:appId/transactions', authenticatePublisher, async (req, res) => {
+  try {
+    const resolved = resolveAppId(req, req.params.appId);
+    if (resolved.error) {
+      return rejectAppId(res, resolved);
+    }
+    
+    if (!blockchainClient.transactionIndex) {
+      return res.status(503).json({
+        status: 'error',
+        error: 'Transaction index is not configured'
+      });
+    }
+    
+    const { page, limit, from, to } = req.query;
+    const result = await blockchainClient.getAppTransactions(resolved.appId, { page, limit, from, to });
+    
+    if (!result.success) {
+      return res.status(/^Invalid date/.test(result.error) ? 400 : 500).json({
+        status: 'error',
+        error: result.error
+      });
+    }
+    
+    res.json({ status: 'success', ...result.metrics });
+  } catch (error) {
+    console.error('Transaction index lookup failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
 });
 
-// Sample endpoint for transaction publishing
-app.post('/publish', (req, res) => {
-  const startTime = Date.now();
+// Token ARC sends back with every status callback
+const ARC_CALLBACK_TOKEN = process.env.ARC_CALLBACK_TOKEN;
+
+// ARC status callback receiver
+app.post('/arc/callback', async (req, res) => {
+  if (!hasBearerToken(req, ARC_CALLBACK_TOKEN)) {
+    return res.status(401).json({
+      status: 'error',
+      error: 'Invalid callback token'
+    });
+  }
   
-  // Simulate transaction processing
-  setTimeout(() => {
-    // Record the transaction with app ID and processing time
-    const appId = req.body.app_id || 'default';
-    const processingTime = Date.now() - startTime;
-    recordTransaction(appId, processingTime);
+  try {
+    const { txid, txStatus, blockHash, blockHeight, extraInfo, timestamp } = req.body;
+    if (!txid || !txStatus) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'txid and txStatus are required'
+      });
+    }
     
-    res.json({ 
-      status: 'success', 
-      txid: `sample-tx-${Date.now()}`,
-      processingTime: processingTime
+    const { tracked, indexed } = await confirmationTracker.recordCallback(txid, txStatus, {
+      blockHash,
+      blockHeight,
+      extraInfo,
+      timestamp
+    });
+    
+    res.json({ status: 'success', tracked, indexed });
+  } catch (error) {
+    console.error('ARC callback failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Token required by the admin endpoints
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
+// Admin endpoints are disabled until a token is configured
+app.use('/admin', (req, res, next) => {
+  if (!hasBearerToken(req, ADMIN_API_TOKEN)) {
+    return res.status(401).json({
+      status: 'error',
+      error: 'Invalid admin token'
     });
-  }, Math.random() * 100); // Random processing time for simulation
+  }
+  next();
+});
+
+// Dead-lettered publish items, optionally filtered by app_id and reason
+app.get('/admin/dead-letters', (req, res) => {
+  const items = publishQueue.listDeadLetters({ appId: req.query.app_id, reason: req.query.reason });
+  res.json({ status: 'success', total: items.length, items });
+});
+
+// A dead-lettered item, including its payload or raw transaction
+app.get('/admin/dead-letters/:id', (req, res) => {
+  const item = publishQueue.getDeadLetter(req.params.id);
+  if (!item) {
+    return res.status(404).json({
+      status: 'error',
+      error: 'Unknown dead-letter item'
+    });
+  }
+  
+  res.json({ status: 'success', item });
+});
+
+// Queue a dead-lettered item again
+app.post('/admin/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const [id] = await publishQueue.replay([req.params.id]);
+    if (!id) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Unknown dead-letter item'
+      });
+    }
+    
+    res.json({ status: 'success', replayed: [id] });
+  } catch (error) {
+    console.error('Dead-letter replay failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Drop a dead-lettered item
+app.delete('/admin/dead-letters/:id', async (req, res) => {
+  try {
+    const [id] = await publishQueue.discard([req.params.id]);
+    if (!id) {
+      return res.status(404).json({
+        status: 'error',
+        error: 'Unknown dead-letter item'
+      });
+    }
+    
+    res.json({ status: 'success', discarded: [id] });
+  } catch (error) {
+    console.error('Dead-letter discard failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+/**
+ * Select dead-lettered items by IDs or by app_id and reason
+ * @param {Object} body - { ids, app_id, reason }
+ * @returns {Array<string>} - Item IDs
+ */
+function selectDeadLetters({ ids, app_id: appId, reason } = {}) {
+  if (Array.isArray(ids)) {
+    return ids;
+  }
+  return publishQueue.listDeadLetters({ appId, reason }).map(item => item.id);
+}
+
+// Replay dead-lettered items in bulk, e.g. after a provider outage; all of them without a filter
+app.post('/admin/dead-letters/replay', async (req, res) => {
+  try {
+    const replayed = await publishQueue.replay(selectDeadLetters(req.body));
+    res.json({ status: 'success', replayed });
+  } catch (error) {
+    console.error('Dead-letter replay failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Discard dead-lettered items in bulk; needs ids, app_id or reason
+app.post('/admin/dead-letters/discard', async (req, res) => {
+  try {
+    const { ids, app_id: appId, reason } = req.body || {};
+    if (!Array.isArray(ids) && !appId && !reason) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'ids, app_id or reason is required'
+      });
+    }
+    
+    const discarded = await publishQueue.discard(selectDeadLetters(req.body));
+    res.json({ status: 'success', discarded });
+  } catch (error) {
+    console.error('Dead-letter discard failed:', error.message);
+    res.status(500).json({ status: 'error', error: error.message });
+  }
+});
+
+// Latest BSV network conditions
+app.get('/network', (req, res) => {
+  res.json(networkExporter.getStats());
 });
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'UP' });
+  res.json({ status: 'UP', network: blockchainClient.network.name });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Metrics service running on port ${PORT}`);
-});
\ No newline at end of file
+// Blockchain provider health
+app.get('/health/providers', (req, res) => {
+  res.json({ providers: blockchainClient.providerChain.getHealth() });
+});
+
+// Funding wallet UTXOs
+app.get('/health/wallet', (req, res) => {
+  const transactionBuilder = getTransactionBuilder();
+  if (!transactionBuilder) {
+    return res.status(503).json({ status: 'error', error: 'Payload publishing is not configured' });
+  }
+  
+  res.json(transactionBuilder.getStats());
+});
+
+// Batch publish queue
+app.get('/health/queue', (req, res) => {
+  res.json(publishQueue.getStats());
+});
+
+// Keystore key metadata (public keys and addresses only)
+app.get('/health/keys', (req, res) => {
+  const { keystore } = blockchainClient;
+  if (!keystore) {
+    return res.status(503).json({ status: 'error', error: 'Keystore is not configured' });
+  }
+  
+  res.json({ keys: keystore.listKeys() });
+});
+
+// Start server once the keystore is unlocked, unless loaded by tests
+if (require.main === module) {
+  init().then(() => app.listen(PORT, () => {
+    confirmationTracker.restore().then(count => {
+      if (count > 0) {
+        console.log(`Resumed tracking ${count} pending transactions`);
+      }
+    }).catch(error => {
+      console.error('Resuming pending transactions failed:', error.message);
+    });
+    confirmationTracker.start();
+    if (process.env.NETWORK_EXPORTER_ENABLED !== 'false') {
+      networkExporter.start();
+    }
+    
+    // Pre-split the funding wallet so payloads can be published in parallel
+    const transactionBuilder = getTransactionBuilder();
+    const minUtxos = parseInt(process.env.PUBLISH_MIN_UTXOS);
+    if (transactionBuilder && minUtxos > 0) {
+      transactionBuilder.ensureUtxos(minUtxos).then(result => {
+        if (!result.success) {
+          console.error('Funding wallet split failed:', result.error);
+        }
+      }).catch(error => {
+        console.error('Funding wallet split failed:', error.message);
+      });
+    }
+    
+    console.log(`Metrics service running on port ${PORT}`);
+  })).catch(error => {
+    console.error('Failed to start metrics service:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -1,61 +1,355 @@
 const client = require('prom-client');
+const TpsWindow = require('./tpsWindow');
 
-// Create a Registry to register metrics
-const register = new client.Registry();
+// Create a Registry to register metrics, exposed as OpenMetrics so exemplars are included
+const register = new client.Registry(client.Registry.OPENMETRICS_CONTENT_TYPE);
 
 // Add default metrics (CPU, memory usage, etc.)
 client.collectDefaultMetrics({ register });
 
+// Transaction outcomes reported by the broadcast pipeline
+const OUTCOMES = ['accepted', 'rejected', 'double_spend', 'timeout'];
+
+// Stages a published transaction goes through
+const STAGES = ['validate', 'sign', 'broadcast'];
+
+// Circuit breaker states, in gauge value order
+const CIRCUIT_STATES = ['closed', 'half_open', 'open'];
+
+/**
+ * Exemplar labels linking an observation to its transaction and trace
+ * @param {Object} exemplar - { txid, traceId }
+ * @returns {Object} - Labels for the values that are known
+ */
+function toExemplarLabels({ txid, traceId }) {
+  const labels = {};
+  if (txid) {
+    labels.txid = txid;
+  }
+  if (traceId) {
+    labels.trace_id = traceId;
+  }
+  return labels;
+}
+
 // Define custom metrics for CERTIHASH
 const txCounter = new client.Counter({
   name: 'certihash_transactions_total',
   help: 'Total number of transactions published',
-  labelNames: ['app_id']
+  labelNames: ['app_id', 'outcome']
 });
 
 const txProcessingTime = new client.Histogram({
   name: 'certihash_tx_processing_time',
   help: 'Transaction processing time in milliseconds',
-  buckets: [10, 50, 100, 200, 500, 1000, 2000, 5000]
+  labelNames: ['app_id'],
+  buckets: [10, 50, 100, 200, 500, 1000, 2000, 5000],
+  // Each bucket keeps the txid and trace ID of its latest observation
+  enableExemplars: true,
+  // Kept out of the global registry, which is not OpenMetrics and would refuse exemplars
+  registers: []
+});
+
+const txStageDuration = new client.Histogram({
+  name: 'certihash_tx_stage_duration_ms',
+  help: 'Time spent in each transaction publishing stage in milliseconds',
+  labelNames: ['app_id', 'stage'],
+  buckets: [1, 5, 10, 50, 100, 200, 500, 1000, 2000, 5000]
+});
+
+const txFailureCounter = new client.Counter({
+  name: 'certihash_tx_failures_total',
+  help: 'Total number of failed transactions by reason',
+  labelNames: ['app_id', 'reason']
+});
+
+const txConfirmationTime = new client.Histogram({
+  name: 'certihash_tx_confirmation_seconds',
+  help: 'Time from publishing a transaction until it is mined, in seconds',
+  labelNames: ['app_id'],
+  buckets: [60, 300, 600, 900, 1200, 1800, 3600, 7200, 14400]
+});
+
+const txStatusTransitions = new client.Counter({
+  name: 'certihash_tx_status_transitions_total',
+  help: 'Transaction lifecycle status transitions reported by ARC',
+  labelNames: ['app_id', 'status']
+});
+
+const txPendingGauge = new client.Gauge({
+  name: 'certihash_tx_pending',
+  help: 'Number of published transactions awaiting confirmation',
+  labelNames: ['app_id']
+});
+
+const providerRequests = new client.Counter({
+  name: 'certihash_provider_requests_total',
+  help: 'Requests sent to blockchain providers by outcome',
+  labelNames: ['provider', 'operation', 'outcome']
 });
 
+const providerRetries = new client.Counter({
+  name: 'certihash_provider_retries_total',
+  help: 'Retried requests to blockchain providers',
+  labelNames: ['provider', 'operation']
+});
+
+const providerRequestDuration = new client.Histogram({
+  name: 'certihash_provider_request_duration_ms',
+  help: 'Blockchain provider request duration in milliseconds',
+  labelNames: ['provider', 'operation'],
+  buckets: [10, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 30000]
+});
+
+const providerCircuitState = new client.Gauge({
+  name: 'certihash_provider_circuit_state',
+  help: 'Blockchain provider circuit breaker state (0 = closed, 1 = half open, 2 = open)',
+  labelNames: ['provider']
+});
+
+// Sliding TPS windows, shared across replicas through Redis when configured
+const tpsWindow = new TpsWindow();
+
 const tpsGauge = new client.Gauge({
   name: 'certihash_tps',
-  help: 'Current transactions per second'
+  help: 'Current transactions per second, by sliding window',
+  labelNames: ['window'],
+  async collect() {
+    const rates = await tpsWindow.getRates();
+    rates.forEach(({ label, tps }) => this.set({ window: label }, tps));
+  }
+});
+
+const networkTipHeight = new client.Gauge({
+  name: 'certihash_network_tip_height',
+  help: 'Height of the BSV chain tip'
+});
+
+const networkBlockInterval = new client.Gauge({
+  name: 'certihash_network_block_interval_seconds',
+  help: 'Seconds between the chain tip and its parent block'
+});
+
+const networkBlockSize = new client.Gauge({
+  name: 'certihash_network_block_size_bytes',
+  help: 'Size of the chain tip block in bytes'
+});
+
+const networkBlockTxCount = new client.Gauge({
+  name: 'certihash_network_block_tx_count',
+  help: 'Number of transactions in the chain tip block'
+});
+
+const networkFeeRate = new client.Gauge({
+  name: 'certihash_network_fee_rate_sat_per_kb',
+  help: 'Standard mining fee rate in satoshis per 1000 bytes'
+});
+
+const networkMempoolTxCount = new client.Gauge({
+  name: 'certihash_network_mempool_tx_count',
+  help: 'Number of transactions in the mempool'
+});
+
+const networkMempoolBytes = new client.Gauge({
+  name: 'certihash_network_mempool_bytes',
+  help: 'Size of the mempool in bytes'
+});
+
+const networkPollErrors = new client.Counter({
+  name: 'certihash_network_poll_errors_total',
+  help: 'Failed network data requests by source',
+  labelNames: ['source']
+});
+
+const publishQueueDepth = new client.Gauge({
+  name: 'certihash_publish_queue_depth',
+  help: 'Batch items waiting to be published'
+});
+
+const publishQueueWait = new client.Histogram({
+  name: 'certihash_publish_queue_wait_seconds',
+  help: 'Time batch items spend in the publish queue before publishing starts, in seconds',
+  buckets: [0.1, 0.5, 1, 5, 10, 30, 60, 120, 300, 600]
+});
+
+const publishQueueRejected = new client.Counter({
+  name: 'certihash_publish_queue_rejected_total',
+  help: 'Batches refused because the publish queue was full'
+});
+
+const publishRetries = new client.Counter({
+  name: 'certihash_publish_retries_total',
+  help: 'Queued publish attempts that failed and were scheduled for retry, by reason',
+  labelNames: ['reason']
+});
+
+const deadLetterCounter = new client.Counter({
+  name: 'certihash_publish_dead_letters_total',
+  help: 'Queued items moved to the dead-letter list, by reason',
+  labelNames: ['reason']
+});
+
+const deadLetterSize = new client.Gauge({
+  name: 'certihash_publish_dead_letter_size',
+  help: 'Items currently in the dead-letter list'
+});
+
+const unauthorizedPublishes = new client.Counter({
+  name: 'certihash_publish_unauthorized_total',
+  help: 'Publishing requests rejected for a missing or invalid API key or an app_id the key may not use',
+  labelNames: ['reason']
 });
 
 // Register all metrics
 register.registerMetric(txCounter);
 register.registerMetric(txProcessingTime);
+register.registerMetric(txStageDuration);
+register.registerMetric(txFailureCounter);
+register.registerMetric(txConfirmationTime);
+register.registerMetric(txStatusTransitions);
+register.registerMetric(txPendingGauge);
+register.registerMetric(providerRequests);
+register.registerMetric(providerRetries);
+register.registerMetric(providerRequestDuration);
+register.registerMetric(providerCircuitState);
 register.registerMetric(tpsGauge);
-
-// TPS calculation variables
-let txCount = 0;
-let lastCalculated = Date.now();
-
-// Calculate TPS every second
-setInterval(() => {
-  const now = Date.now();
-  const elapsed = (now - lastCalculated) / 1000;
-  if (elapsed > 0) {
-    const currentTps = txCount / elapsed;
-    tpsGauge.set(currentTps);
-    txCount = 0;
-    lastCalculated = now;
-  }
-}, 1000);
+register.registerMetric(networkTipHeight);
+register.registerMetric(networkBlockInterval);
+register.registerMetric(networkBlockSize);
+register.registerMetric(networkBlockTxCount);
+register.registerMetric(networkFeeRate);
+register.registerMetric(networkMempoolTxCount);
+register.registerMetric(networkMempoolBytes);
+register.registerMetric(networkPollErrors);
+register.registerMetric(publishQueueDepth);
+register.registerMetric(publishQueueWait);
+register.registerMetric(publishQueueRejected);
+register.registerMetric(publishRetries);
+register.registerMetric(deadLetterCounter);
+register.registerMetric(deadLetterSize);
+register.registerMetric(unauthorizedPublishes);
 
 // Export metrics and functions
 module.exports = {
   register,
+  tpsWindow,
+  OUTCOMES,
+  STAGES,
   metrics: {
     txCounter,
     txProcessingTime,
-    tpsGauge
+    txStageDuration,
+    txFailureCounter,
+    txConfirmationTime,
+    txStatusTransitions,
+    txPendingGauge,
+    providerRequests,
+    providerRetries,
+    providerRequestDuration,
+    providerCircuitState,
+    tpsGauge,
+    networkTipHeight,
+    networkBlockInterval,
+    networkBlockSize,
+    networkBlockTxCount,
+    networkFeeRate,
+    networkMempoolTxCount,
+    networkMempoolBytes,
+    networkPollErrors,
+    publishQueueDepth,
+    publishQueueWait,
+    publishQueueRejected,
+    publishRetries,
+    deadLetterCounter,
+    deadLetterSize,
+    unauthorizedPublishes
+  },
+  recordTransaction: (appId = 'default', processingTime = 0, outcome = 'accepted', exemplar = {}) => {
+    txCounter.inc({ app_id: appId, outcome });
+    txProcessingTime.observe({
+      labels: { app_id: appId },
+      value: processingTime,
+      exemplarLabels: toExemplarLabels(exemplar)
+    });
+    
+    // TPS counts the transactions that made it onto the network
+    if (outcome === 'accepted') {
+      tpsWindow.record();
+    }
+  },
+  recordStage: (appId = 'default', stage, duration) => {
+    txStageDuration.observe({ app_id: appId, stage }, duration);
+  },
+  recordFailure: (appId = 'default', reason = 'unknown') => {
+    txFailureCounter.inc({ app_id: appId, reason });
+  },
+  recordConfirmation: (appId = 'default', confirmationTime = 0) => {
+    txConfirmationTime.observe({ app_id: appId }, confirmationTime);
+  },
+  recordStatusTransition: (appId = 'default', status) => {
+    txStatusTransitions.inc({ app_id: appId, status });
+  },
+  setPending: (appId = 'default', count = 0) => {
+    txPendingGauge.set({ app_id: appId }, count);
+  },
+  recordProviderRequest: ({ provider, operation, outcome, duration, attempt }) => {
+    providerRequests.inc({ provider, operation, outcome });
+    providerRequestDuration.observe({ provider, operation }, duration);
+    if (attempt > 0) {
+      providerRetries.inc({ provider, operation });
+    }
+  },
+  setNetwork: (network) => {
+    // Every series carries the BSV network so testnet and regtest traffic stays out of mainnet dashboards
+    register.setDefaultLabels({ network });
+    tpsWindow.setNetwork(network);
+  },
+  setProviderCircuitState: ({ provider, state }) => {
+    providerCircuitState.set({ provider }, CIRCUIT_STATES.indexOf(state));
+  },
+  setNetworkBlock: ({ height, size, txCount, interval }) => {
+    networkTipHeight.set(height);
+    if (size !== undefined) {
+      networkBlockSize.set(size);
+    }
+    if (txCount !== undefined) {
+      networkBlockTxCount.set(txCount);
+    }
+    if (interval !== null && interval !== undefined) {
+      networkBlockInterval.set(interval);
+    }
+  },
+  setNetworkFeeRate: (feePerKb) => {
+    networkFeeRate.set(feePerKb);
+  },
+  setNetworkMempool: ({ size, bytes }) => {
+    networkMempoolTxCount.set(size);
+    if (bytes !== undefined) {
+      networkMempoolBytes.set(bytes);
+    }
+  },
+  recordNetworkPollError: (source) => {
+    networkPollErrors.inc({ source });
+  },
+  setPublishQueueDepth: (depth) => {
+    publishQueueDepth.set(depth);
+  },
+  recordPublishQueueWait: (seconds) => {
+    publishQueueWait.observe(seconds);
+  },
+  recordPublishQueueRejected: () => {
+    publishQueueRejected.inc();
+  },
+  recordPublishRetry: (reason = 'unknown') => {
+    publishRetries.inc({ reason });
+  },
+  recordDeadLetter: (reason = 'unknown') => {
+    deadLetterCounter.inc({ reason });
+  },
+  setDeadLetterSize: (size) => {
+    deadLetterSize.set(size);
   },
-  recordTransaction: (appId = 'default', processingTime = 0) => {
-    txCounter.inc({ app_id: appId });
-    txProcessingTime.observe(processingTime);
-    txCount++;
+  recordUnauthorizedPublish: (reason) => {
+    unauthorizedPublishes.inc({ reason });
   }
 };
\ No newline at end of file
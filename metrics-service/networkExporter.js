@@ -0,0 +1,178 @@
+const {
+  setNetworkBlock,
+  setNetworkFeeRate,
+  setNetworkMempool,
+  recordNetworkPollError
+} = require('./metrics');
+
+/**
+ * NetworkExporter publishes BSV network conditions as Prometheus gauges
+ * Polls a network provider for the chain tip, the tip block, mempool size
+ * and the mining fee rate so CERTIHASH throughput can be compared with the
+ * rest of the network
+ *
+ * A provider implements getChainInfo(), getBlock(height), getMempoolInfo()
+ * and getFeeRate(), each resolving to a { success } result
+ * (see the blockchain module's NetworkProvider and FixtureNetworkProvider).
+ */
+class NetworkExporter {
+  /**
+   * Constructor
+   * @param {Object} provider - Network provider
+   * @param {Object} options - Exporter options
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.options = {
+      pollInterval: parseInt(process.env.NETWORK_POLL_INTERVAL_MS) || 60000,
+      ...options
+    };
+    
+    this.stats = {
+      height: null,
+      block: null,
+      blockInterval: null,
+      feePerKb: null,
+      mempool: null,
+      updatedAt: null
+    };
+    this.timer = null;
+    this.polling = false;
+  }
+  
+  /**
+   * Poll immediately and then in the background
+   */
+  start() {
+    if (!this.timer) {
+      this.poll();
+      this.timer = setInterval(() => this.poll(), this.options.pollInterval);
+    }
+  }
+  
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Refresh every network gauge
+   * A failing source leaves its gauges at their last value
+   * @returns {Promise<Object>} - Latest network stats
+   */
+  async poll() {
+    if (this.polling) {
+      return this.stats;
+    }
+    
+    this.polling = true;
+    try {
+      await Promise.all([
+        this.pollChain(),
+        this.pollMempool(),
+        this.pollFeeRate()
+      ]);
+      this.stats.updatedAt = new Date().toISOString();
+    } finally {
+      this.polling = false;
+    }
+    
+    return this.stats;
+  }
+  
+  /**
+   * Update the tip gauges, fetching the tip block only when the tip moves
+   * @returns {Promise<void>}
+   */
+  async pollChain() {
+    const chain = await this.request('chain', () => this.provider.getChainInfo());
+    if (!chain || chain.height === this.stats.height) {
+      return;
+    }
+    
+    const tip = await this.request('block', () => this.provider.getBlock(chain.height));
+    if (!tip) {
+      return;
+    }
+    
+    // Reuse the previous tip as the parent when the chain advanced by one block
+    const parent = this.stats.block?.height === chain.height - 1
+      ? { block: this.stats.block }
+      : await this.request('block', () => this.provider.getBlock(chain.height - 1));
+    
+    this.stats.height = chain.height;
+    this.stats.block = tip.block;
+    this.stats.blockInterval = parent ? tip.block.time - parent.block.time : null;
+    
+    setNetworkBlock({
+      height: chain.height,
+      size: tip.block.size,
+      txCount: tip.block.txCount,
+      interval: this.stats.blockInterval
+    });
+  }
+  
+  /**
+   * Update the mempool gauges
+   * @returns {Promise<void>}
+   */
+  async pollMempool() {
+    const mempool = await this.request('mempool', () => this.provider.getMempoolInfo());
+    if (mempool) {
+      this.stats.mempool = { size: mempool.size, bytes: mempool.bytes };
+      setNetworkMempool(this.stats.mempool);
+    }
+  }
+  
+  /**
+   * Update the fee rate gauge
+   * @returns {Promise<void>}
+   */
+  async pollFeeRate() {
+    const fee = await this.request('fees', () => this.provider.getFeeRate());
+    if (fee) {
+      this.stats.feePerKb = fee.feePerKb;
+      setNetworkFeeRate(fee.feePerKb);
+    }
+  }
+  
+  /**
+   * Call the provider, counting failures per source
+   * @param {string} source - Data source for the error metric
+   * @param {Function} fn - Provider call
+   * @returns {Promise<Object|null>} - Provider result or null if it failed
+   */
+  async request(source, fn) {
+    try {
+      const result = await fn();
+      if (result.success) {
+        return result;
+      }
+      // The provider cannot serve this source at all, e.g. fees without ARC
+      if (result.unsupported) {
+        return null;
+      }
+      console.error(`Network ${source} request failed:`, result.error);
+    } catch (error) {
+      console.error(`Network ${source} request failed:`, error.message);
+    }
+    
+    recordNetworkPollError(source);
+    return null;
+  }
+  
+  /**
+   * Get the latest network stats
+   * @returns {Object} - { height, block, blockInterval, feePerKb, mempool, updatedAt }
+   */
+  getStats() {
+    return this.stats;
+  }
+}
+
+module.exports = NetworkExporter;
\ No newline at end of file
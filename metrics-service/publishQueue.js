@@ -0,0 +1,656 @@
+const crypto = require('crypto');
+const { trace, context, propagation, ROOT_CONTEXT, SpanStatusCode } = require('@opentelemetry/api');
+const { createLogger, format, transports } = require('winston');
+const QueueJournal = require('./queueJournal');
+const {
+  setPublishQueueDepth,
+  recordPublishQueueWait,
+  recordPublishQueueRejected,
+  recordPublishRetry,
+  recordDeadLetter,
+  setDeadLetterSize
+} = require('./metrics');
+
+const tracer = trace.getTracer('certihash-metrics-service');
+
+// Configure logger
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'publish-queue' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/publish-queue-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/publish-queue-combined.log' })
+  ]
+});
+
+// Failures caused by the item itself; replaying them cannot succeed, so they are not dead-lettered
+const INPUT_ERRORS = ['invalid_tx', 'invalid_payload'];
+
+/**
+ * PublishQueue sits between the HTTP API and the broadcaster
+ * Items are queued in arrival order and published by a fixed number of
+ * workers. The queue is bounded: a batch that does not fit is refused as a
+ * whole, together with an estimate of when there will be room for it.
+ *
+ * Failures with a transient reason (provider outage, timeout) are retried with
+ * exponential backoff; items that keep failing, or fail for good, move to a
+ * dead-letter list where they can be inspected, replayed or discarded. With a
+ * journal file the queue and dead-letter list survive restarts.
+ *
+ * A payload's signed transaction is journaled before its first broadcast, and
+ * retries and replays send that same transaction, so a timeout that actually
+ * reached the network never leads to a second publication.
+ */
+class PublishQueue {
+  /**
+   * Constructor
+   * @param {Function} publish - Publishes one item, resolving to a publish result
+   * @param {Object} options - Queue and retry options, an optional journal, and onRestore(item) and
+   *   onDiscard(item) hooks called for items restored from the journal and for discarded dead letters
+   */
+  constructor(publish, options = {}) {
+    this.publish = publish;
+    this.options = {
+      maxSize: parseInt(process.env.PUBLISH_QUEUE_MAX_SIZE) || 10000,
+      maxBatchSize: parseInt(process.env.PUBLISH_BATCH_MAX_SIZE) || 1000,
+      concurrency: parseInt(process.env.PUBLISH_QUEUE_CONCURRENCY) || 10,
+      retention: parseInt(process.env.PUBLISH_BATCH_RETENTION_MS) || 60 * 60 * 1000,
+      maxAttempts: parseInt(process.env.PUBLISH_RETRY_MAX_ATTEMPTS) || 5,
+      retryBaseDelay: parseInt(process.env.PUBLISH_RETRY_BASE_DELAY_MS) || 5000,
+      retryMaxDelay: parseInt(process.env.PUBLISH_RETRY_MAX_DELAY_MS) || 5 * 60 * 1000,
+      retryReasons: (process.env.PUBLISH_RETRY_REASONS || 'timeout,provider_unavailable,unknown')
+        .split(',').map(reason => reason.trim()).filter(Boolean),
+      onRestore: () => {},
+      onDiscard: () => {},
+      ...options
+    };
+    
+    this.journal = this.options.journal || new QueueJournal();
+    this.queue = [];
+    this.scheduled = new Map();
+    this.inFlight = new Map();
+    this.staged = new Map();
+    this.dead = new Map();
+    this.batches = new Map();
+    this.active = 0;
+    this.started = false;
+    // Moving average of item publishing time, used for Retry-After
+    this.averageDuration = 1000;
+  }
+  
+  /**
+   * Restore queued and dead items from the journal and start publishing
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const { pending, dead } = await this.journal.load();
+    
+    dead.forEach(entry => this.dead.set(entry.item.id, entry));
+    pending.forEach(item => this.schedule(item));
+    [...pending, ...dead.map(entry => entry.item)].forEach(item => this.options.onRestore(item));
+    await this.journal.compact(() => this.getState(), true);
+    
+    if (pending.length > 0 || dead.length > 0) {
+      logger.info(`Restored ${pending.length} queued and ${dead.length} dead-lettered publish items`);
+    }
+    
+    this.started = true;
+    this.updateGauges();
+    this.drain();
+  }
+  
+  /**
+   * Number of items waiting to be published, including scheduled retries
+   * @returns {number} - Item count
+   */
+  get size() {
+    return this.queue.length + this.scheduled.size;
+  }
+  
+  /**
+   * Queue a batch of items
+   * Resolves once the items are written to the journal
+   * @param {Array<Object>} items - Items to publish, each { appId, txHex, payload }
+   * @returns {Promise<Object>} - { accepted: true, batch }, { accepted: false, retryAfter } when the queue is full
+   *   or { accepted: false, error } when the journal cannot be written
+   */
+  async enqueue(items) {
+    this.prune();
+    
+    if (this.size + items.length > this.options.maxSize) {
+      recordPublishQueueRejected();
+      return { accepted: false, retryAfter: this.getRetryAfter(items.length) };
+    }
+    
+    const batch = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      completedAt: null,
+      remaining: items.length,
+      appIds: [...new Set(items.map(item => item.appId))],
+      attempted: new Set(),
+      results: items.map((item, index) => ({ index, status: 'queued' }))
+    };
+    batch.done = new Promise(resolve => {
+      batch.resolve = resolve;
+    });
+    
+    // Attempts run outside the request, so they carry its trace context with them
+    const traceContext = {};
+    propagation.inject(context.active(), traceContext);
+    
+    const queued = items.map((item, index) => ({
+      id: crypto.randomUUID(),
+      batchId: batch.id,
+      index,
+      appId: item.appId,
+      txHex: item.txHex,
+      payload: item.payload,
+      attempts: 0,
+      queuedAt: Date.now(),
+      nextAttemptAt: null,
+      traceContext
+    }));
+    
+    // Staged items are kept by journal compaction while their entries are written
+    queued.forEach(item => this.staged.set(item.id, item));
+    try {
+      await Promise.all(queued.map(item => this.journal.append({ op: 'enqueue', item })));
+    } catch (error) {
+      logger.error(`Publish queue journal write failed: ${error.message}`);
+      return { accepted: false, error: 'Publish queue is unavailable' };
+    } finally {
+      queued.forEach(item => this.staged.delete(item.id));
+    }
+    
+    this.batches.set(batch.id, batch);
+    queued.forEach(item => {
+      batch.results[item.index].id = item.id;
+      this.queue.push(item);
+    });
+    
+    this.updateGauges();
+    this.drain();
+    return { accepted: true, batch };
+  }
+  
+  /**
+   * Queue a single item and wait for its first attempt
+   * @param {Object} item - { appId, txHex, payload }
+   * @returns {Promise<Object>} - { accepted: true, result } or { accepted: false, retryAfter }
+   */
+  async publishOne(item) {
+    const queued = await this.enqueue([item]);
+    if (!queued.accepted) {
+      return queued;
+    }
+    
+    const batch = await this.waitForBatch(queued.batch.id);
+    return { accepted: true, result: batch.results[0] };
+  }
+  
+  /**
+   * Queue an item now or, for a retry, once its backoff has passed
+   * @param {Object} item - Queued item
+   */
+  schedule(item) {
+    const delay = (item.nextAttemptAt || 0) - Date.now();
+    if (delay <= 0) {
+      this.queue.push(item);
+      return;
+    }
+    
+    this.scheduled.set(item.id, item);
+    setTimeout(() => {
+      if (this.scheduled.delete(item.id)) {
+        this.queue.push(item);
+        this.updateGauges();
+        this.drain();
+      }
+    }, delay).unref();
+  }
+  
+  /**
+   * Start workers until the concurrency limit is reached
+   */
+  drain() {
+    while (this.started && this.active < this.options.concurrency && this.queue.length > 0) {
+      this.active++;
+      this.work().finally(() => {
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+  
+  /**
+   * Publish queued items until the queue is empty
+   * @returns {Promise<void>}
+   */
+  async work() {
+    while (this.queue.length > 0) {
+      const item = this.queue.shift();
+      this.inFlight.set(item.id, item);
+      this.updateGauges();
+      if (item.attempts === 0) {
+        recordPublishQueueWait((Date.now() - item.queuedAt) / 1000);
+      }
+      
+      this.setItemResult(item, { index: item.index, id: item.id, status: 'processing', attempts: item.attempts });
+      const startTime = Date.now();
+      
+      const result = await this.attempt(item);
+      
+      this.averageDuration = 0.9 * this.averageDuration + 0.1 * (Date.now() - startTime);
+      item.attempts++;
+      
+      // settle() moves the item to its next place before writing to the journal
+      this.inFlight.delete(item.id);
+      try {
+        await this.settle(item, result);
+      } catch (error) {
+        logger.error(`Publish queue journal write failed for ${item.id}: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Make one publishing attempt in a span that continues the trace of the request that queued the item
+   * @param {Object} item - Queued item
+   * @returns {Promise<Object>} - Publish result
+   */
+  async attempt(item) {
+    const parentContext = propagation.extract(ROOT_CONTEXT, item.traceContext || {});
+    const attributes = {
+      'certihash.app_id': item.appId || 'default',
+      'certihash.publish.item_id': item.id,
+      'certihash.publish.batch_id': item.batchId,
+      'certihash.publish.attempt': item.attempts + 1
+    };
+    
+    return tracer.startActiveSpan('publish', { attributes }, parentContext, async (span) => {
+      let result;
+      try {
+        result = await this.publish(item, { onSigned: (txHex, txid) => this.recordSigned(item, txHex, txid) });
+      } catch (error) {
+        span.recordException(error);
+        result = { success: false, outcome: 'rejected', reason: 'unknown', error: error.message };
+      }
+      
+      span.setAttribute('certihash.publish.outcome', result.outcome);
+      if (result.txid) {
+        span.setAttribute('certihash.txid', result.txid);
+      }
+      if (!result.success) {
+        span.setAttribute('certihash.publish.reason', result.reason);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: result.error });
+      }
+      span.end();
+      
+      return result;
+    });
+  }
+  
+  /**
+   * Keep the transaction an item's payload was signed into, for later attempts to send again
+   * @param {Object} item - Queued item
+   * @param {string} txHex - Signed transaction
+   * @param {string} txid - Transaction ID
+   * @returns {Promise<void>} - Resolves once the transaction is written to the journal
+   */
+  async recordSigned(item, txHex, txid) {
+    item.signedTxHex = txHex;
+    item.txid = txid;
+    await this.journal.append({ op: 'signed', id: item.id, txHex, txid });
+  }
+  
+  /**
+   * Record the outcome of an attempt: done, retry later or dead-letter
+   * @param {Object} item - Queued item
+   * @param {Object} result - Publish result
+   * @returns {Promise<void>}
+   */
+  async settle(item, result) {
+    if (result.success || INPUT_ERRORS.includes(result.reason)) {
+      this.setItemResult(item, PublishQueue.toItemResult(item, result), true);
+      await this.journal.append({ op: 'done', id: item.id });
+      await this.journal.compact(() => this.getState());
+      return;
+    }
+    
+    if (this.isRetryable(result) && item.attempts < this.options.maxAttempts) {
+      item.nextAttemptAt = Date.now() + this.getRetryDelay(item.attempts);
+      recordPublishRetry(result.reason);
+      this.setItemResult(item, {
+        ...PublishQueue.toItemResult(item, result),
+        status: 'retrying',
+        nextAttemptAt: new Date(item.nextAttemptAt).toISOString()
+      });
+      this.schedule(item);
+      this.updateGauges();
+      await this.journal.append({ op: 'retry', id: item.id, attempts: item.attempts, nextAttemptAt: item.nextAttemptAt });
+      return;
+    }
+    
+    const entry = { item, result: PublishQueue.toItemResult(item, result), failedAt: Date.now() };
+    this.dead.set(item.id, entry);
+    recordDeadLetter(result.reason);
+    this.setItemResult(item, { ...entry.result, deadLettered: true }, true);
+    this.updateGauges();
+    await this.journal.append({ op: 'dead', ...entry });
+  }
+  
+  /**
+   * Update an item's result in its batch, if the batch is still known
+   * @param {Object} item - Queued item
+   * @param {Object} result - Item result
+   * @param {boolean} final - Whether the item is done or dead-lettered
+   */
+  setItemResult(item, result, final = false) {
+    const batch = this.batches.get(item.batchId);
+    if (!batch) {
+      return;
+    }
+    
+    batch.results[item.index] = result;
+    
+    // The first attempt of every item has finished: wake up waiting requests
+    if (result.status !== 'processing' && !batch.attempted.has(item.index)) {
+      batch.attempted.add(item.index);
+      if (batch.attempted.size === batch.results.length) {
+        batch.resolve(batch);
+      }
+    }
+    if (final && --batch.remaining === 0) {
+      batch.completedAt = Date.now();
+    }
+  }
+  
+  /**
+   * Whether a failed attempt should be retried
+   * @param {Object} result - Publish result
+   * @returns {boolean} - True for transient failures
+   */
+  isRetryable(result) {
+    return this.options.retryReasons.includes(result.reason);
+  }
+  
+  /**
+   * Backoff before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.options.retryBaseDelay * Math.pow(2, attempts - 1), this.options.retryMaxDelay);
+  }
+  
+  /**
+   * Estimate how many seconds until a batch of the given size fits
+   * @param {number} size - Number of items in the batch
+   * @returns {number} - Seconds, at least 1
+   */
+  getRetryAfter(size) {
+    const excess = this.size + size - this.options.maxSize;
+    const seconds = (excess / this.options.concurrency) * this.averageDuration / 1000;
+    return Math.max(1, Math.ceil(seconds));
+  }
+  
+  /**
+   * Get a batch by ID
+   * @param {string} batchId - Batch ID
+   * @param {Array<string>} appIds - Applications the caller may see, or null for any
+   * @returns {Object|null} - Batch summary or null if unknown, expired or holding other applications' items
+   */
+  getBatch(batchId, appIds = null) {
+    const batch = this.batches.get(batchId);
+    if (!batch || (appIds && !batch.appIds.every(appId => appIds.includes(appId)))) {
+      return null;
+    }
+    
+    return PublishQueue.toSummary(batch);
+  }
+  
+  /**
+   * Wait until every item of a batch has been attempted once
+   * Items being retried are reported with status 'retrying'
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object|null>} - Batch summary or null if unknown
+   */
+  async waitForBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      return null;
+    }
+    
+    await batch.done;
+    return PublishQueue.toSummary(batch);
+  }
+  
+  /**
+   * List dead-lettered items, oldest first
+   * @param {Object} filter - { appId, reason }
+   * @returns {Array<Object>} - Dead-letter entries
+   */
+  listDeadLetters(filter = {}) {
+    return Array.from(this.dead.values())
+      .filter(({ item, result }) => (!filter.appId || item.appId === filter.appId) &&
+        (!filter.reason || result.reason === filter.reason))
+      .map(PublishQueue.toDeadLetter);
+  }
+  
+  /**
+   * Get a dead-lettered item, including its payload and raw or signed transaction
+   * @param {string} id - Item ID
+   * @returns {Object|null} - Dead-letter entry or null if unknown
+   */
+  getDeadLetter(id) {
+    const entry = this.dead.get(id);
+    return entry
+      ? { ...PublishQueue.toDeadLetter(entry), txHex: entry.item.txHex || entry.item.signedTxHex, payload: entry.item.payload }
+      : null;
+  }
+  
+  /**
+   * Queue dead-lettered items again with a fresh retry budget
+   * @param {Array<string>} ids - Item IDs
+   * @returns {Promise<Array<string>>} - IDs that were replayed
+   */
+  async replay(ids) {
+    const replayed = [];
+    
+    for (const id of ids) {
+      const entry = this.dead.get(id);
+      if (!entry) {
+        continue;
+      }
+      
+      await this.journal.append({ op: 'replay', id });
+      this.dead.delete(id);
+      const item = { ...entry.item, attempts: 0, nextAttemptAt: null };
+      
+      // Reopen the batch if its results are still kept
+      const batch = this.batches.get(item.batchId);
+      if (batch) {
+        batch.results[item.index] = { index: item.index, id, status: 'queued' };
+        batch.remaining++;
+        batch.completedAt = null;
+      }
+      
+      this.queue.push(item);
+      replayed.push(id);
+    }
+    
+    this.updateGauges();
+    this.drain();
+    return replayed;
+  }
+  
+  /**
+   * Drop dead-lettered items for good
+   * @param {Array<string>} ids - Item IDs
+   * @returns {Promise<Array<string>>} - IDs that were discarded
+   */
+  async discard(ids) {
+    const discarded = [];
+    
+    for (const id of ids) {
+      const entry = this.dead.get(id);
+      if (entry) {
+        await this.journal.append({ op: 'discard', id });
+        this.dead.delete(id);
+        this.options.onDiscard(entry.item);
+        discarded.push(id);
+      }
+    }
+    
+    this.updateGauges();
+    return discarded;
+  }
+  
+  /**
+   * Get queue statistics
+   * @returns {Object} - { depth, retrying, deadLetters, active, maxSize, concurrency, batches, durable }
+   */
+  getStats() {
+    return {
+      depth: this.queue.length,
+      retrying: this.scheduled.size,
+      deadLetters: this.dead.size,
+      active: this.active,
+      maxSize: this.options.maxSize,
+      concurrency: this.options.concurrency,
+      batches: this.batches.size,
+      durable: Boolean(this.journal.file)
+    };
+  }
+  
+  /**
+   * Items to keep when compacting the journal
+   * Items being published are still pending until their attempt settles
+   * @returns {Object} - { pending, dead }
+   */
+  getState() {
+    return {
+      pending: [...this.staged.values(), ...this.queue, ...this.scheduled.values(), ...this.inFlight.values()],
+      dead: Array.from(this.dead.values())
+    };
+  }
+  
+  /**
+   * Update the queue depth and dead-letter gauges
+   */
+  updateGauges() {
+    setPublishQueueDepth(this.size);
+    setDeadLetterSize(this.dead.size);
+  }
+  
+  /**
+   * Forget completed batches older than the retention period
+   */
+  prune() {
+    const now = Date.now();
+    for (const batch of this.batches.values()) {
+      if (batch.completedAt && now - batch.completedAt > this.options.retention) {
+        this.batches.delete(batch.id);
+      }
+    }
+  }
+  
+  /**
+   * Convert a publish result into a batch item result
+   * @param {Object} item - Queued item
+   * @param {Object} result - Publish result
+   * @returns {Object} - Item result in the format of the /publish response
+   */
+  static toItemResult(item, result) {
+    if (!result.success) {
+      return {
+        index: item.index,
+        id: item.id,
+        status: 'error',
+        attempts: item.attempts,
+        outcome: result.outcome,
+        reason: result.reason,
+        error: result.error,
+        processingTime: result.processingTime
+      };
+    }
+    
+    return {
+      index: item.index,
+      id: item.id,
+      status: 'success',
+      attempts: item.attempts,
+      txid: result.txid,
+      processingTime: result.processingTime
+    };
+  }
+  
+  /**
+   * Public view of a dead-lettered item
+   * @param {Object} entry - { item, result, failedAt }
+   * @returns {Object} - { id, batchId, index, appId, txid, attempts, outcome, reason, error, traceId, queuedAt, failedAt }
+   */
+  static toDeadLetter({ item, result, failedAt }) {
+    return {
+      id: item.id,
+      batchId: item.batchId,
+      index: item.index,
+      appId: item.appId,
+      // Transaction the payload was signed into, which a replay sends again
+      txid: item.txid || null,
+      attempts: result.attempts,
+      outcome: result.outcome,
+      reason: result.reason,
+      error: result.error,
+      // Trace of the request that queued the item, which every attempt was added to
+      traceId: item.traceContext?.traceparent?.split('-')[1] || null,
+      queuedAt: new Date(item.queuedAt).toISOString(),
+      failedAt: new Date(failedAt).toISOString()
+    };
+  }
+  
+  /**
+   * Public view of a batch
+   * @param {Object} batch - Batch
+   * @returns {Object} - { batchId, state, total, succeeded, failed, retrying, createdAt, completedAt, results }
+   */
+  static toSummary(batch) {
+    const count = status => batch.results.filter(result => result.status === status).length;
+    
+    let state = 'processing';
+    if (batch.completedAt) {
+      state = 'completed';
+    } else if (count('queued') === batch.results.length) {
+      state = 'queued';
+    }
+    
+    return {
+      batchId: batch.id,
+      state,
+      total: batch.results.length,
+      succeeded: count('success'),
+      failed: count('error'),
+      retrying: count('retrying'),
+      createdAt: new Date(batch.createdAt).toISOString(),
+      completedAt: batch.completedAt ? new Date(batch.completedAt).toISOString() : null,
+      results: batch.results
+    };
+  }
+}
+
+module.exports = PublishQueue;
\ No newline at end of file
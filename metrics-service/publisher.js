@@ -0,0 +1,244 @@
+const { trace, SpanStatusCode } = require('@opentelemetry/api');
+const BlockchainClient = require('certihash-blockchain-module');
+const ConfirmationTracker = require('./confirmationTracker');
+const NetworkExporter = require('./networkExporter');
+const PublishQueue = require('./publishQueue');
+const {
+  recordTransaction,
+  recordStage,
+  recordFailure,
+  recordProviderRequest,
+  setProviderCircuitState,
+  setNetwork
+} = require('./metrics');
+
+const tracer = trace.getTracer('certihash-metrics-service');
+
+// Per-application transaction index, when MongoDB is configured
+const transactionIndex = process.env.MONGO_URI
+  ? new BlockchainClient.TransactionIndex({ uri: process.env.MONGO_URI })
+  : null;
+
+// Block headers for SPV checks of Merkle proofs, seeded from a file
+const headerStore = process.env.HEADER_STORE_FILE
+  ? new BlockchainClient.HeaderStore({
+    file: process.env.HEADER_STORE_FILE,
+    startHeight: parseInt(process.env.HEADER_STORE_START_HEIGHT) || 0
+  })
+  : null;
+
+// Encrypted keys for publishing and signing, referenced by key ID
+const keystore = process.env.KEYSTORE_PATH
+  ? new BlockchainClient.Keystore({
+    path: process.env.KEYSTORE_PATH,
+    passphrase: process.env.KEYSTORE_PASSPHRASE
+  })
+  : null;
+
+// Broadcast client for the BSV network
+const blockchainClient = new BlockchainClient({ transactionIndex, headerStore, keystore });
+setNetwork(blockchainClient.network.name);
+
+// Provider health metrics
+blockchainClient.providerChain.on('request', recordProviderRequest);
+blockchainClient.providerChain.on('circuit', setProviderCircuitState);
+blockchainClient.providerChain.getHealth().forEach(({ name, state }) => {
+  setProviderCircuitState({ provider: name, state });
+});
+
+// Follows accepted transactions until they are mined
+const confirmationTracker = new ConfirmationTracker(blockchainClient);
+
+// Network-wide block, mempool and fee gauges, from a fixture file when one is set
+const networkExporter = new NetworkExporter(process.env.NETWORK_FIXTURE_FILE
+  ? new BlockchainClient.FixtureNetworkProvider({ file: process.env.NETWORK_FIXTURE_FILE })
+  : blockchainClient.createNetworkProvider());
+
+// Keystore ID of the key funding OP_RETURN transactions for JSON payloads
+const PUBLISH_KEY_ID = process.env.PUBLISH_KEY_ID;
+
+// One builder for the funding key so parallel publishes never spend the same UTXO
+let transactionBuilder = null;
+
+/**
+ * Load the keystore, set up the funding key's transaction builder and resume the publish queue
+ * @returns {Promise<void>}
+ */
+async function init() {
+  if (keystore) {
+    await keystore.load();
+  }
+  
+  if (PUBLISH_KEY_ID) {
+    transactionBuilder = await blockchainClient.createTransactionBuilderForKey(PUBLISH_KEY_ID);
+  }
+  
+  await publishQueue.init();
+}
+
+/**
+ * Map a failed broadcast result to a transaction outcome
+ * @param {Object} result - Broadcast result from BlockchainClient
+ * @returns {string} - 'double_spend', 'timeout' or 'rejected'
+ */
+function classifyFailure(result) {
+  const error = String(result.error || '');
+  
+  if (result.txStatus === 'DOUBLE_SPEND_ATTEMPTED' || /double.?spend|mempool-conflict|missing inputs/i.test(error)) {
+    return 'double_spend';
+  }
+  if (BlockchainClient.TransactionBuilder.isTimeoutError(result)) {
+    return 'timeout';
+  }
+  return 'rejected';
+}
+
+/**
+ * Run a stage in its own span and record how long it took
+ * @param {string} appId - Application identifier
+ * @param {string} stage - Stage name
+ * @param {Function} fn - Stage implementation
+ * @returns {Promise<any>} - Stage result
+ */
+async function timeStage(appId, stage, fn) {
+  return tracer.startActiveSpan(`publish.${stage}`, { attributes: { 'certihash.app_id': appId } }, async (span) => {
+    const startTime = Date.now();
+    try {
+      return await fn();
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      recordStage(appId, stage, Date.now() - startTime);
+      span.end();
+    }
+  });
+}
+
+/**
+ * Publish a raw transaction or a JSON payload and record its metrics
+ * A payload is signed into a transaction once: onSigned stores it with the
+ * queued item before the first broadcast, and later attempts pass it back as
+ * signedTxHex to send the same transaction again. Its inputs stay reserved
+ * until it is accepted or released, so retries never publish a payload twice
+ * or spend its inputs in a conflicting transaction.
+ * @param {Object} item - { appId, txHex, payload, signedTxHex }
+ * @param {Object} hooks - { onSigned(txHex, txid) }, resolving once the signed transaction is stored
+ * @returns {Promise<Object>} - { success, outcome, txid, error, reason, processingTime }
+ */
+async function publish({ appId = 'default', txHex, payload, signedTxHex }, { onSigned } = {}) {
+  const startTime = Date.now();
+  
+  const finish = (outcome, fields) => {
+    const processingTime = Date.now() - startTime;
+    recordTransaction(appId, processingTime, outcome, {
+      txid: tx?.id,
+      traceId: trace.getActiveSpan()?.spanContext().traceId
+    });
+    if (fields.reason) {
+      recordFailure(appId, fields.reason);
+    }
+    return { success: outcome === 'accepted', outcome, processingTime, ...fields };
+  };
+  
+  let tx;
+  
+  if (txHex) {
+    try {
+      tx = await timeStage(appId, 'validate', () => blockchainClient.parseTransaction(txHex));
+    } catch (error) {
+      return finish('rejected', { reason: 'invalid_tx', error: error.message });
+    }
+  } else if (signedTxHex) {
+    tx = blockchainClient.parseTransaction(signedTxHex);
+  } else {
+    let data;
+    try {
+      data = await timeStage(appId, 'validate', () => JSON.stringify(payload));
+    } catch (error) {
+      return finish('rejected', { reason: 'invalid_payload', error: error.message });
+    }
+    
+    try {
+      tx = await timeStage(appId, 'sign', () => transactionBuilder.buildDataTransaction(data));
+    } catch (error) {
+      return finish('rejected', { reason: 'signing_failed', error: error.message });
+    }
+    
+    try {
+      await onSigned?.(tx.toString(), tx.id);
+    } catch (error) {
+      transactionBuilder.release(tx);
+      return finish('rejected', { reason: 'unknown', error: error.message });
+    }
+  }
+  
+  const result = await timeStage(appId, 'broadcast', () => blockchainClient.broadcastTransaction(tx.toString()));
+  
+  // The queue sends a failed payload transaction again, so its inputs stay reserved
+  if (!txHex) {
+    transactionBuilder.settle(tx, result, true);
+  }
+  
+  if (!result.success) {
+    const outcome = classifyFailure(result);
+    const rejectedByProvider = result.txStatus || (result.status >= 400 && result.status < 500);
+    return finish(outcome, {
+      reason: outcome !== 'rejected' ? outcome : rejectedByProvider ? 'provider_rejected' : 'provider_unavailable',
+      error: result.error
+    });
+  }
+  
+  // The provider must acknowledge the transaction we actually sent
+  if (result.txid !== tx.id) {
+    return finish('rejected', {
+      reason: 'txid_mismatch',
+      error: `Provider returned txid ${result.txid}, expected ${tx.id}`
+    });
+  }
+  
+  confirmationTracker.track(tx.id, appId, result.txStatus);
+  
+  const accepted = finish('accepted', { txid: tx.id, txStatus: result.txStatus });
+  await blockchainClient.indexTransaction(appId, tx.id, {
+    status: 'pending',
+    processingTime: accepted.processingTime
+  });
+  
+  return accepted;
+}
+
+/**
+ * Reserve the inputs of a payload transaction signed before a restart
+ * @param {Object} item - Restored queued or dead-lettered item
+ */
+function holdItem({ signedTxHex }) {
+  if (signedTxHex && transactionBuilder) {
+    transactionBuilder.hold(blockchainClient.parseTransaction(signedTxHex));
+  }
+}
+
+/**
+ * Make the inputs of a discarded payload transaction spendable again
+ * @param {Object} item - Discarded dead-lettered item
+ */
+function releaseItem({ signedTxHex }) {
+  if (signedTxHex && transactionBuilder) {
+    transactionBuilder.release(blockchainClient.parseTransaction(signedTxHex));
+  }
+}
+
+// Durable, bounded queue between the API and the broadcaster
+const publishQueue = new PublishQueue(publish, { onRestore: holdItem, onDiscard: releaseItem });
+
+module.exports = {
+  blockchainClient,
+  confirmationTracker,
+  networkExporter,
+  publishQueue,
+  getTransactionBuilder: () => transactionBuilder,
+  isPayloadPublishingEnabled: () => Boolean(transactionBuilder),
+  init,
+  publish
+};
\ No newline at end of file
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger, format, transports } = require('winston');
+
+// Configure logger; entries go to the publish queue's logs
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'publish-queue' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/publish-queue-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/publish-queue-combined.log' })
+  ]
+});
+
+/**
+ * QueueJournal keeps the publish queue on disk as an append-only file
+ * Every change to a queued item is appended as one JSON line, so the queue and
+ * its dead-letter list can be rebuilt after a restart or crash. Without a file
+ * the journal does nothing and the queue lives in memory only.
+ *
+ * Entries:
+ * - { op: 'enqueue', item }                      item queued
+ * - { op: 'signed', id, txHex, txid }            payload signed, before its first broadcast
+ * - { op: 'retry', id, attempts, nextAttemptAt }  attempt failed, retry scheduled
+ * - { op: 'done', id }                           item published
+ * - { op: 'dead', item, result, failedAt }       item moved to the dead-letter list
+ * - { op: 'replay', id }                         dead item queued again
+ * - { op: 'discard', id }                        dead item dropped
+ */
+class QueueJournal {
+  /**
+   * Constructor
+   * @param {Object} options - { file, compactEvery }
+   */
+  constructor(options = {}) {
+    this.options = {
+      file: process.env.PUBLISH_QUEUE_FILE,
+      compactEvery: 10000,
+      ...options
+    };
+    
+    this.file = this.options.file || null;
+    this.appended = 0;
+    this.writes = Promise.resolve();
+  }
+  
+  /**
+   * Rebuild queued and dead items from the journal file
+   * @returns {Promise<Object>} - { pending: [item], dead: [{ item, result, failedAt }] }
+   */
+  async load() {
+    const pending = new Map();
+    const dead = new Map();
+    
+    if (!this.file) {
+      return { pending: [], dead: [] };
+    }
+    
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    
+    content.split('\n').filter(Boolean).forEach((line, number) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave the last line half written
+        logger.error(`Skipping unreadable publish queue entry on line ${number + 1}`, { file: this.file });
+        return;
+      }
+      
+      switch (entry.op) {
+        case 'enqueue':
+          pending.set(entry.item.id, entry.item);
+          break;
+        case 'signed':
+          if (pending.has(entry.id)) {
+            Object.assign(pending.get(entry.id), { signedTxHex: entry.txHex, txid: entry.txid });
+          }
+          break;
+        case 'retry':
+          if (pending.has(entry.id)) {
+            Object.assign(pending.get(entry.id), {
+              attempts: entry.attempts,
+              nextAttemptAt: entry.nextAttemptAt
+            });
+          }
+          break;
+        case 'done':
+          pending.delete(entry.id);
+          break;
+        case 'dead':
+          pending.delete(entry.item.id);
+          dead.set(entry.item.id, { item: entry.item, result: entry.result, failedAt: entry.failedAt });
+          break;
+        case 'replay':
+          if (dead.has(entry.id)) {
+            pending.set(entry.id, { ...dead.get(entry.id).item, attempts: 0, nextAttemptAt: null });
+            dead.delete(entry.id);
+          }
+          break;
+        case 'discard':
+          dead.delete(entry.id);
+          break;
+      }
+    });
+    
+    return { pending: Array.from(pending.values()), dead: Array.from(dead.values()) };
+  }
+  
+  /**
+   * Append an entry
+   * @param {Object} entry - Journal entry
+   * @returns {Promise<void>} - Resolves once the entry is written
+   */
+  async append(entry) {
+    if (!this.file) {
+      return;
+    }
+    
+    this.appended++;
+    const write = this.writes.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+    });
+    this.writes = write;
+    
+    return await write;
+  }
+  
+  /**
+   * Rewrite the journal with only the current items once enough entries have piled up
+   * @param {Function} getState - Returns { pending, dead } at the time of writing
+   * @param {boolean} force - Compact regardless of the number of appended entries
+   * @returns {Promise<void>}
+   */
+  async compact(getState, force = false) {
+    if (!this.file || (!force && this.appended < this.options.compactEvery)) {
+      return;
+    }
+    
+    this.appended = 0;
+    const write = this.writes.catch(() => {}).then(async () => {
+      const { pending, dead } = getState();
+      const lines = [
+        ...pending.map(item => ({ op: 'enqueue', item })),
+        ...dead.map(entry => ({ op: 'dead', ...entry }))
+      ].map(entry => JSON.stringify(entry) + '\n');
+      
+      // Replace the file atomically so a crash never leaves a partial journal
+      const tmpPath = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmpPath, lines.join(''));
+      await fs.promises.rename(tmpPath, this.file);
+    });
+    this.writes = write;
+    
+    return await write;
+  }
+}
+
+module.exports = QueueJournal;
\ No newline at end of file
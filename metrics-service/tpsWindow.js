@@ -0,0 +1,162 @@
+const Redis = require('ioredis');
+
+// Window sizes accepted in TPS_WINDOWS, in seconds
+const UNITS = { s: 1, m: 60, h: 3600 };
+
+/**
+ * TpsWindow computes transactions per second over sliding windows
+ * Transactions are counted in one-second buckets. With Redis configured the
+ * buckets are shared, so every replica reports the TPS of the whole
+ * deployment and the rate survives restarts; without Redis, or while Redis is
+ * unreachable, the replica's own buckets are used.
+ *
+ * The current, still filling second is left out, so a 1s window reports the
+ * last complete second.
+ */
+class TpsWindow {
+  /**
+   * Constructor
+   * @param {Object} options - { windows, redis, keyPrefix }
+   */
+  constructor(options = {}) {
+    this.options = {
+      windows: TpsWindow.parseWindows(process.env.TPS_WINDOWS || '1s,10s,1m'),
+      keyPrefix: 'certihash:tps',
+      ...options
+    };
+    
+    // Keep buckets a little longer than the largest window
+    this.retention = Math.max(...this.options.windows.map(window => window.seconds)) + 5;
+    this.network = 'main';
+    this.buckets = new Map();
+    
+    this.redis = this.options.redis || (process.env.REDIS_HOST
+      ? new Redis({
+        host: process.env.REDIS_HOST,
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD,
+        retryStrategy: (times) => Math.min(times * 50, 2000)
+      })
+      : null);
+    
+    if (this.redis) {
+      this.redis.on('error', (error) => {
+        console.error('TPS Redis error:', error.message);
+      });
+    }
+  }
+  
+  /**
+   * Set the network that shared buckets are kept under
+   * @param {string} network - Network name
+   */
+  setNetwork(network) {
+    this.network = network;
+  }
+  
+  /**
+   * Count transactions in the current second
+   * @param {number} count - Number of transactions
+   */
+  record(count = 1) {
+    const second = TpsWindow.currentSecond();
+    this.buckets.set(second, (this.buckets.get(second) || 0) + count);
+    this.prune(second);
+    
+    if (this.redis) {
+      const key = this.getKey(second);
+      this.redis.multi()
+        .incrby(key, count)
+        .expire(key, this.retention)
+        .exec()
+        .catch(error => console.error('TPS Redis write failed:', error.message));
+    }
+  }
+  
+  /**
+   * Compute TPS for every configured window
+   * @returns {Promise<Array<Object>>} - [{ label, seconds, tps, source }]
+   */
+  async getRates() {
+    const now = TpsWindow.currentSecond();
+    const seconds = Array.from({ length: this.retention }, (_, i) => now - 1 - i);
+    
+    let counts = seconds.map(second => this.buckets.get(second) || 0);
+    let source = 'local';
+    
+    if (this.redis && this.redis.status === 'ready') {
+      try {
+        const values = await this.redis.mget(seconds.map(second => this.getKey(second)));
+        counts = values.map(value => parseInt(value) || 0);
+        source = 'redis';
+      } catch (error) {
+        console.error('TPS Redis read failed:', error.message);
+      }
+    }
+    
+    return this.options.windows.map(({ label, seconds: size }) => ({
+      label,
+      seconds: size,
+      tps: counts.slice(0, size).reduce((sum, count) => sum + count, 0) / size,
+      source
+    }));
+  }
+  
+  /**
+   * Drop local buckets older than the largest window
+   * @param {number} now - Current second
+   */
+  prune(now) {
+    for (const second of this.buckets.keys()) {
+      if (second <= now - this.retention) {
+        this.buckets.delete(second);
+      }
+    }
+  }
+  
+  /**
+   * Redis key of a bucket
+   * @param {number} second - Unix time in seconds
+   * @returns {string} - Redis key
+   */
+  getKey(second) {
+    return `${this.options.keyPrefix}:${this.network}:${second}`;
+  }
+  
+  /**
+   * Close the Redis connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.redis) {
+      await this.redis.quit();
+    }
+  }
+  
+  /**
+   * Current Unix time in whole seconds
+   * @returns {number} - Seconds
+   */
+  static currentSecond() {
+    return Math.floor(Date.now() / 1000);
+  }
+  
+  /**
+   * Parse a window list such as "1s,10s,1m"
+   * @param {string} value - Comma separated windows
+   * @returns {Array<Object>} - [{ label, seconds }]
+   * @throws {Error} - If a window is malformed
+   */
+  static parseWindows(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean).map(label => {
+      const match = label.match(/^(\d+)([smh])$/);
+      if (!match || parseInt(match[1]) === 0) {
+        throw new Error(`Invalid TPS window: ${label}. Use e.g. 1s, 10s or 1m`);
+      }
+      
+      return { label, seconds: parseInt(match[1]) * UNITS[match[2]] };
+    });
+  }
+}
+
+module.exports = TpsWindow;
\ No newline at end of file
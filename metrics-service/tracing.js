@@ -0,0 +1,45 @@
+const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { MongoDBInstrumentation } = require('@opentelemetry/instrumentation-mongodb');
+const { IORedisInstrumentation } = require('@opentelemetry/instrumentation-ioredis');
+
+/**
+ * OpenTelemetry tracing for the metrics service
+ * Must be required before anything else so the instrumented modules are
+ * patched when they load. Incoming requests continue the caller's W3C
+ * trace context, outgoing calls to ARC, WhatsOnChain, the node RPC and
+ * auth-service carry it on, and spans are exported over OTLP to
+ * OTEL_EXPORTER_OTLP_ENDPOINT. Set OTEL_SDK_DISABLED=true to turn tracing off.
+ */
+
+// Prometheus scrapes and health checks would drown out everything else
+const UNTRACED_PATHS = ['/metrics', '/health'];
+
+const sdk = new NodeSDK({
+  serviceName: process.env.OTEL_SERVICE_NAME || 'certihash-metrics-service',
+  traceExporter: new OTLPTraceExporter(),
+  // Traces only; metrics are scraped by Prometheus from /metrics
+  metricReaders: [],
+  logRecordProcessors: [],
+  instrumentations: [
+    new HttpInstrumentation({
+      ignoreIncomingRequestHook: (req) => UNTRACED_PATHS.includes(req.url.split('?')[0])
+    }),
+    new ExpressInstrumentation(),
+    new MongoDBInstrumentation(),
+    new IORedisInstrumentation()
+  ]
+});
+
+sdk.start();
+
+// Export the spans still buffered when the service is stopped
+process.on('SIGTERM', () => {
+  sdk.shutdown()
+    .catch(error => console.error('Error shutting down tracing:', error.message))
+    .finally(() => process.exit(0));
+});
+
+module.exports = sdk;
\ No newline at end of file
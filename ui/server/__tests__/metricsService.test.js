@@ -0,0 +1,88 @@
+jest.mock('axios');
+jest.mock('../services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const axios = require('axios');
+const metricsService = require('../services/metricsService');
+const promqlGuard = require('../services/promqlGuard');
+
+/**
+ * Build an instant query response
+ * @param {Array<Object>} result - Samples
+ * @returns {Object} - Axios response
+ */
+function vector(result) {
+  return { data: { status: 'success', data: { resultType: 'vector', result } } };
+}
+
+describe('metricsService.getDashboardMetrics', () => {
+  beforeEach(() => {
+    jest.spyOn(promqlGuard, 'check').mockResolvedValue();
+    axios.get.mockReset();
+  });
+  
+  test('sums the transaction counter within the scope', async () => {
+    axios.get.mockImplementation(async (url, { params }) =>
+      vector(params.query.startsWith('sum(certihash_transactions_total')
+        ? [{ metric: {}, value: [1700000000, '42'] }]
+        : [{ metric: {}, value: [1700000000, '1.5'] }]));
+    
+    const metrics = await metricsService.getDashboardMetrics({ organization: 'org-1', appIds: ['app-1'] });
+    
+    const queries = axios.get.mock.calls.map(([, { params }]) => params.query);
+    expect(queries).toContain('sum(certihash_transactions_total{app_id=~"app-1"})');
+    expect(metrics).toEqual({ totalTransactions: 42, currentTPS: 1.5, processingTime: 1.5 });
+  });
+  
+  test('reports zeros when there are no samples', async () => {
+    axios.get.mockResolvedValue(vector([]));
+    
+    await expect(metricsService.getDashboardMetrics(null)).resolves.toEqual({
+      totalTransactions: 0,
+      currentTPS: 0,
+      processingTime: 0
+    });
+  });
+  
+  test('reports zero for a latency quantile without data', async () => {
+    axios.get.mockResolvedValue(vector([{ metric: {}, value: [1700000000, 'NaN'] }]));
+    
+    await expect(metricsService.getDashboardMetrics(null)).resolves.toMatchObject({ processingTime: 0 });
+  });
+});
+
+describe('metricsService.getSlowestTransactions', () => {
+  const now = 1700000000;
+  
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now * 1000);
+    axios.get.mockReset();
+    axios.get.mockResolvedValue({ data: { status: 'success', data: [] } });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('refuses an app_id given more than once', async () => {
+    await expect(metricsService.getSlowestTransactions({ start: now - 3600, end: now, appId: ['a', 'b'] }, null))
+      .rejects.toMatchObject({ response: { status: 400, data: { error: 'app_id must be a single application ID' } } });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+  
+  test('starts the range no earlier than the lookback limit', async () => {
+    await metricsService.getSlowestTransactions({ start: 0, end: now, appId: 'app-1' }, null);
+    
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/api/v1/query_exemplars'), {
+      params: { query: 'certihash_tx_processing_time_bucket{app_id="app-1"}', start: now - promqlGuard.MAX_LOOKBACK, end: now }
+    });
+  });
+  
+  test('refuses a range that ends before the lookback limit', async () => {
+    await expect(metricsService.getSlowestTransactions({ start: 0, end: 3600 }, null))
+      .rejects.toMatchObject({ response: { status: 400 } });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+jest.mock('../services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../services/ai/advancedAIService', () => ({
+  getAnomalyAlerts: jest.fn().mockResolvedValue([])
+}));
+
+const metricsService = require('../services/metricsService');
+const tenantService = require('../services/tenantService');
+const { resolveTopic } = require('../routes/metricsSocket');
+
+const QUERY = 'sum(rate(certihash_transactions_total[1m]))';
+
+/**
+ * Token payload of a user
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Verified token payload
+ */
+function user(fields = {}) {
+  return { id: 'user1', role: 'user', organization: 'org-1', ...fields };
+}
+
+describe('resolveTopic', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  test('refuses metrics outside the role\'s prefixes', () => {
+    expect(() => resolveTopic(user(), { query: 'rate(process_cpu_seconds_total[1m])' }))
+      .toThrow('You do not have access to metrics: process_cpu_seconds_total');
+    expect(() => resolveTopic(user(), { query: '{__name__=~".+"}' }))
+      .toThrow('You do not have access to metrics');
+    expect(() => resolveTopic(user({ role: 'analyst' }), { query: 'rate(process_cpu_seconds_total[1m])' }))
+      .not.toThrow();
+  });
+  
+  test('refuses malformed subscriptions', () => {
+    expect(() => resolveTopic(user(), {})).toThrow('query or source is required');
+    expect(() => resolveTopic(user(), { query: '  ' })).toThrow('query or source is required');
+    expect(() => resolveTopic(user(), { source: 'payroll' })).toThrow('Unknown source: payroll');
+    expect(() => resolveTopic(user({ organization: undefined }), { query: QUERY }))
+      .toThrow('Your account does not belong to an organization');
+  });
+  
+  test('keeps organizations on separate topics', () => {
+    const first = resolveTopic(user(), { query: QUERY, interval: 30 });
+    const colleague = resolveTopic(user({ id: 'user2' }), { query: QUERY, interval: 30 });
+    const other = resolveTopic(user({ organization: 'org-2' }), { query: QUERY, interval: 30 });
+    const admin = resolveTopic(user({ role: 'admin', organization: undefined }), { query: QUERY, interval: 30 });
+    
+    expect(first.key).toBe(`query:30:org-1:${QUERY}`);
+    expect(colleague.key).toBe(first.key);
+    expect(other.key).toBe(`query:30:org-2:${QUERY}`);
+    expect(admin.key).toBe(`query:30:*:${QUERY}`);
+  });
+  
+  test('evaluates in the scope of the organization', async () => {
+    const scope = { organization: 'org-2', appIds: ['app-b'] };
+    jest.spyOn(tenantService, 'getOrganizationScope').mockResolvedValue(scope);
+    jest.spyOn(metricsService, 'getMetrics').mockResolvedValue({ status: 'success', data: { result: [] } });
+    
+    const topic = resolveTopic(user({ organization: 'org-2' }), { query: QUERY, interval: 30 });
+    
+    await expect(topic.fetch()).resolves.toEqual({ result: [] });
+    expect(tenantService.getOrganizationScope).toHaveBeenCalledWith('org-2');
+    expect(metricsService.getMetrics).toHaveBeenCalledWith(QUERY, {}, 29, scope);
+  });
+  
+  test('clamps the interval', () => {
+    expect(resolveTopic(user(), { query: QUERY, interval: 1 }).interval).toBe(5);
+    expect(resolveTopic(user(), { query: QUERY, interval: 3600 }).interval).toBe(300);
+    expect(resolveTopic(user(), { query: QUERY }).interval).toBe(15);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+const metricsStream = require('../services/metricsStream');
+
+const INTERVAL = 15;
+
+/**
+ * Topic options whose fetch counts its calls
+ * @param {*} data - Data every evaluation returns
+ * @returns {Object} - { interval, fetch }
+ */
+function topic(data = { value: 1 }) {
+  return { interval: INTERVAL, fetch: jest.fn().mockResolvedValue(data) };
+}
+
+describe('metricsStream', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+  
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+  
+  test('evaluates a topic once per interval for all its listeners', async () => {
+    const options = topic();
+    const first = jest.fn();
+    const second = jest.fn();
+    
+    const unsubscribeFirst = metricsStream.subscribe('query:a', options, first);
+    await jest.advanceTimersByTimeAsync(0);
+    
+    // A late subscriber gets the latest result right away and shares the topic
+    const unsubscribeSecond = metricsStream.subscribe('query:a', topic(), second);
+    expect(second).toHaveBeenCalledWith({ data: { value: 1 }, timestamp: expect.any(Number) });
+    expect(metricsStream.getStats()).toEqual({ topics: 1, subscribers: 2 });
+    
+    await jest.advanceTimersByTimeAsync(INTERVAL * 1000);
+    expect(options.fetch).toHaveBeenCalledTimes(2);
+    expect(first).toHaveBeenCalledTimes(2);
+    expect(second).toHaveBeenCalledTimes(2);
+    expect(second).toHaveBeenLastCalledWith(first.mock.calls[1][0]);
+    
+    unsubscribeFirst();
+    unsubscribeSecond();
+  });
+  
+  test('stops a topic when its last listener unsubscribes', async () => {
+    const options = topic();
+    const unsubscribeFirst = metricsStream.subscribe('query:b', options, jest.fn());
+    const unsubscribeSecond = metricsStream.subscribe('query:b', options, jest.fn());
+    await jest.advanceTimersByTimeAsync(0);
+    
+    unsubscribeFirst();
+    expect(metricsStream.getStats()).toEqual({ topics: 1, subscribers: 1 });
+    await jest.advanceTimersByTimeAsync(INTERVAL * 1000);
+    expect(options.fetch).toHaveBeenCalledTimes(2);
+    
+    unsubscribeSecond();
+    expect(metricsStream.getStats()).toEqual({ topics: 0, subscribers: 0 });
+    await jest.advanceTimersByTimeAsync(INTERVAL * 1000 * 3);
+    expect(options.fetch).toHaveBeenCalledTimes(2);
+    
+    // Subscribing again starts a new topic
+    const restarted = topic();
+    const unsubscribe = metricsStream.subscribe('query:b', restarted, jest.fn());
+    expect(restarted.fetch).toHaveBeenCalledTimes(1);
+    unsubscribe();
+  });
+  
+  test('keeps topics with different keys apart', async () => {
+    const a = topic({ value: 'a' });
+    const b = topic({ value: 'b' });
+    const listenerA = jest.fn();
+    const listenerB = jest.fn();
+    
+    const unsubscribeA = metricsStream.subscribe('query:c', a, listenerA);
+    const unsubscribeB = metricsStream.subscribe('query:d', b, listenerB);
+    await jest.advanceTimersByTimeAsync(0);
+    
+    expect(metricsStream.getStats()).toEqual({ topics: 2, subscribers: 2 });
+    expect(listenerA).toHaveBeenCalledWith(expect.objectContaining({ data: { value: 'a' } }));
+    expect(listenerB).toHaveBeenCalledWith(expect.objectContaining({ data: { value: 'b' } }));
+    
+    unsubscribeA();
+    unsubscribeB();
+  });
+  
+  test('passes evaluation errors on to the listeners', async () => {
+    const error = Object.assign(new Error('Request failed'), {
+      response: { status: 400, data: { error: 'Query is too expensive' } }
+    });
+    const listener = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    
+    const unsubscribe = metricsStream.subscribe('query:e', { interval: INTERVAL, fetch: jest.fn().mockRejectedValue(error) }, listener);
+    await jest.advanceTimersByTimeAsync(0);
+    
+    expect(listener).toHaveBeenCalledWith({ error: 'Query is too expensive', timestamp: expect.any(Number) });
+    unsubscribe();
+  });
+});
\ No newline at end of file
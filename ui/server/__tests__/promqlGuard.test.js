@@ -0,0 +1,135 @@
+jest.mock('axios');
+jest.mock('../services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const axios = require('axios');
+const promqlGuard = require('../services/promqlGuard');
+
+/**
+ * Answer every count() query with the same number of series
+ * @param {number} count - Series per selector
+ */
+function seriesCount(count) {
+  axios.get.mockResolvedValue({ data: { data: { result: [{ value: [0, String(count)] }] } } });
+}
+
+describe('promqlGuard', () => {
+  describe('parse', () => {
+    test('finds selectors with their matchers and ranges', () => {
+      const { selectors, lookback } = promqlGuard.parse(
+        'sum by (app_id) (rate(certihash_transactions_total{outcome="accepted"}[5m])) / ignoring(le) certihash_tps offset 1h');
+      
+      expect(selectors.map(({ metric, text, range }) => ({ metric, text, range }))).toEqual([
+        { metric: 'certihash_transactions_total', text: 'certihash_transactions_total{outcome="accepted"}', range: 300 },
+        { metric: 'certihash_tps', text: 'certihash_tps', range: null }
+      ]);
+      expect(selectors[0].matchers).toEqual([{ label: 'outcome', operator: '=', value: 'accepted' }]);
+      expect(lookback).toBe(300 + 3600);
+    });
+    
+    test('names selectors by __name__ and leaves regex names open', () => {
+      const { selectors } = promqlGuard.parse('{__name__="certihash_tps"} + {__name__=~"certihash_.*"}');
+      
+      expect(selectors.map(({ metric }) => metric)).toEqual(['certihash_tps', null]);
+    });
+    
+    test('charges subqueries their range and step', () => {
+      const { subqueries, lookback } = promqlGuard.parse('max_over_time(rate(certihash_tps[1m])[1h:30s])');
+      
+      expect(subqueries).toEqual([{ range: 3600, step: 30 }]);
+      expect(lookback).toBe(60 + 3600);
+    });
+    
+    test.each([
+      ['', /empty/],
+      ['sum(certihash_tps', /Unclosed/],
+      ['certihash_tps)', /Unexpected "\)"/],
+      ['rate(certihash_tps[5])', /duration/],
+      ['sum(certihash_tps)[5m]', /must follow a metric selector/]
+    ])('rejects %j with a 400', (query, message) => {
+      let error;
+      try {
+        promqlGuard.parse(query);
+      } catch (caught) {
+        error = caught;
+      }
+      
+      expect(error.message).toMatch(message);
+      expect(error.response.status).toBe(400);
+    });
+  });
+  
+  describe('addMatcher', () => {
+    test('adds the matcher to bare selectors and ahead of existing matchers', () => {
+      expect(promqlGuard.addMatcher(
+        'sum(rate(certihash_transactions_total{outcome="accepted"}[5m])) / sum(rate(certihash_transactions_total[5m] offset 1h))',
+        'app_id="a"'
+      )).toBe(
+        'sum(rate(certihash_transactions_total{app_id="a", outcome="accepted"}[5m])) / sum(rate(certihash_transactions_total{app_id="a"}[5m] offset 1h))'
+      );
+    });
+    
+    test('adds the matcher to label-only selectors', () => {
+      expect(promqlGuard.addMatcher('{__name__=~"certihash_.*"}', 'app_id="a"'))
+        .toBe('{app_id="a", __name__=~"certihash_.*"}');
+    });
+    
+    test('leaves skipped selectors alone', () => {
+      const skip = ({ metric }) => metric.startsWith('process_');
+      
+      expect(promqlGuard.addMatcher('certihash_tps + process_cpu_seconds_total', 'app_id="a"', skip))
+        .toBe('certihash_tps{app_id="a"} + process_cpu_seconds_total');
+    });
+    
+    test('does not mistake label values for selectors', () => {
+      expect(promqlGuard.addMatcher('certihash_tps{window="certihash_tps"}', 'app_id="a"'))
+        .toBe('certihash_tps{app_id="a", window="certihash_tps"}');
+    });
+  });
+  
+  describe('findDisallowed', () => {
+    test('lists metrics outside the prefixes and regex-named selectors', () => {
+      const { selectors } = promqlGuard.parse('certihash_tps + up + {__name__=~".+"}');
+      
+      expect(promqlGuard.findDisallowed(selectors, ['certihash_'])).toEqual(['up', '{__name__=~".+"}']);
+      expect(promqlGuard.findDisallowed(selectors, ['*'])).toEqual([]);
+    });
+  });
+  
+  describe('check', () => {
+    beforeEach(() => {
+      axios.get.mockReset();
+      seriesCount(10);
+    });
+    
+    test('returns the analysis with the estimated series', async () => {
+      const analysis = await promqlGuard.check('certihash_tps + certihash_tps + up', { prefixes: ['*'] });
+      
+      // Identical selectors are counted once
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      expect(analysis.series).toBe(20);
+    });
+    
+    test('rejects metrics outside the prefixes with a 403', async () => {
+      await expect(promqlGuard.check('up', { prefixes: ['certihash_'] }))
+        .rejects.toMatchObject({ response: { status: 403 } });
+    });
+    
+    test('rejects lookbacks over the limit', async () => {
+      await expect(promqlGuard.check('rate(certihash_tps[30d])')).rejects.toThrow(/looks back/);
+    });
+    
+    test('rejects subqueries and ranges with too many points', async () => {
+      await expect(promqlGuard.check('max_over_time(certihash_tps[1d:1s])')).rejects.toThrow(/subquery/);
+      await expect(promqlGuard.check('certihash_tps', { start: 0, end: 86400, step: 1 })).rejects.toThrow(/range has more/);
+    });
+    
+    test('rejects queries selecting too many series', async () => {
+      seriesCount(20000);
+      
+      await expect(promqlGuard.check('certihash_tps')).rejects.toThrow(/selects about 20000 series/);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+jest.mock('../services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const { authClient } = require('../auth');
+const tenantService = require('../services/tenantService');
+
+const ORGANIZATION = '64b7f0c2a1e4c3d2b1a09f8e';
+
+describe('tenantService', () => {
+  describe('scopeQuery', () => {
+    const scope = { organization: ORGANIZATION, appIds: ['app-a', 'app.b'] };
+    
+    test('restricts every selector to the applications of the scope', () => {
+      expect(tenantService.scopeQuery('sum(rate(certihash_transactions_total[5m])) / sum(certihash_tx_pending)', scope))
+        .toBe('sum(rate(certihash_transactions_total{app_id=~"app-a|app\\\\.b"}[5m])) / sum(certihash_tx_pending{app_id=~"app-a|app\\\\.b"})');
+    });
+    
+    test('leaves shared metrics alone', () => {
+      expect(tenantService.scopeQuery('certihash_network_tip_height + process_cpu_seconds_total + certihash_tps', scope))
+        .toBe('certihash_network_tip_height + process_cpu_seconds_total + certihash_tps{app_id=~"app-a|app\\\\.b"}');
+    });
+    
+    test('scopes selectors that name metrics by regex', () => {
+      expect(tenantService.scopeQuery('{__name__=~"certihash_network_.*"}', scope))
+        .toBe('{app_id=~"app-a|app\\\\.b", __name__=~"certihash_network_.*"}');
+    });
+    
+    test('matches nothing for organizations without applications', () => {
+      expect(tenantService.scopeQuery('certihash_tps', { organization: ORGANIZATION, appIds: [] }))
+        .toBe('certihash_tps{app_id=~".+", app_id!~".+"}');
+    });
+    
+    test('keeps a matcher of the query from widening the scope', () => {
+      expect(tenantService.scopeQuery('certihash_tps{app_id=~".+"}', scope))
+        .toBe('certihash_tps{app_id=~"app-a|app\\\\.b", app_id=~".+"}');
+    });
+    
+    test('leaves queries of platform operators as they are', () => {
+      expect(tenantService.scopeQuery('certihash_tps', null)).toBe('certihash_tps');
+    });
+    
+    test('refuses to run without a scope', () => {
+      expect(() => tenantService.scopeQuery('certihash_tps')).toThrow(/need a tenant scope/);
+    });
+  });
+  
+  describe('getScope', () => {
+    beforeEach(() => {
+      jest.spyOn(authClient, 'getOrganizationApps').mockResolvedValue(['app-a']);
+    });
+    
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    test('resolves the applications of the user\'s organization', async () => {
+      await expect(tenantService.getScope({ role: 'user', organization: ORGANIZATION }))
+        .resolves.toEqual({ organization: ORGANIZATION, appIds: ['app-a'] });
+      expect(authClient.getOrganizationApps).toHaveBeenCalledWith(ORGANIZATION);
+    });
+    
+    test('leaves platform operators unscoped', async () => {
+      await expect(tenantService.getScope({ role: 'admin' })).resolves.toBeNull();
+    });
+    
+    test('refuses users without an organization', async () => {
+      await expect(tenantService.getScope({ role: 'analyst' }))
+        .rejects.toMatchObject({ response: { status: 403 } });
+    });
+    
+    test('reports the auth service being unreachable as a 503', async () => {
+      authClient.getOrganizationApps.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      
+      await expect(tenantService.getScope({ role: 'user', organization: ORGANIZATION }))
+        .rejects.toMatchObject({ response: { status: 503 } });
+    });
+  });
+  
+  describe('includesApp', () => {
+    test('checks an application against the scope', () => {
+      expect(tenantService.includesApp({ organization: ORGANIZATION, appIds: ['app-a'] }, 'app-a')).toBe(true);
+      expect(tenantService.includesApp({ organization: ORGANIZATION, appIds: ['app-a'] }, 'app-b')).toBe(false);
+      expect(tenantService.includesApp(null, 'app-b')).toBe(true);
+    });
+  });
+});
\ No newline at end of file
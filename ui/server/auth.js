@@ -111,13 +111,14 @@ const authClient = {
   /**
    * Generate API key
    * @param {string} token - Access token
+   * @param {Array<string>} appIds - Application IDs the key may publish for
    * @returns {Promise<Object>} - API key
    */
-  generateApiKey: async (token) => {
+  generateApiKey: async (token, appIds) => {
     try {
       const response = await axios.post(
         `${AUTH_SERVICE_URL}/api/auth/api-key`,
-        {},
+        { appIds },
         {
           headers: {
             Authorization: `Bearer ${token}`
@@ -175,6 +176,50 @@ const authClient = {
       logger.error(`Email verification error: ${error.message}`);
       throw error.response?.data || { success: false, message: 'Email verification failed' };
     }
+  },
+  
+  /**
+   * List the applications an organization owns
+   * @param {string} organization - Organization ID
+   * @returns {Promise<Array<string>>} - Application IDs
+   */
+  getOrganizationApps: async (organization) => {
+    try {
+      const response = await axios.get(
+        `${AUTH_SERVICE_URL}/internal/organizations/${encodeURIComponent(organization)}/apps`,
+        {
+          headers: {
+            Authorization: `Bearer ${process.env.INTERNAL_SERVICE_TOKEN}`
+          },
+          timeout: 5000
+        }
+      );
+      return response.data.appIds;
+    } catch (error) {
+      logger.error(`Organization apps lookup error: ${error.message}`, { organization });
+      throw error.response?.data || { success: false, message: 'Failed to list organization applications' };
+    }
+  },
+  
+  /**
+   * Look up an active user by email
+   * @param {string} email - User email
+   * @returns {Promise<Object>} - { id, email, role, organization }
+   */
+  lookupUser: async (email) => {
+    try {
+      const response = await axios.get(`${AUTH_SERVICE_URL}/internal/users/lookup`, {
+        params: { email },
+        headers: {
+          Authorization: `Bearer ${process.env.INTERNAL_SERVICE_TOKEN}`
+        },
+        timeout: 5000
+      });
+      return response.data.user;
+    } catch (error) {
+      logger.error(`User lookup error: ${error.message}`, { email });
+      throw error.response?.data || { success: false, message: 'Failed to look up user' };
+    }
   }
 };
 
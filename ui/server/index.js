@@ -1,3 +1,6 @@
+// Tracing first, so the modules it instruments are patched as they load
+const tracing = require('./tracing');
+
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
@@ -5,6 +8,7 @@ const morgan = require('morgan');
 const dotenv = require('dotenv');
 const cookieParser = require('cookie-parser');
 const compression = require('compression');
+const mongoose = require('mongoose');
 const { createLogger, format, transports } = require('winston');
 
 // Load environment variables
@@ -37,11 +41,23 @@ const logger = createLogger({
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Connect to MongoDB (API key users and certifications)
+mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/certihash')
+  .then(() => {
+    logger.info('Connected to MongoDB successfully');
+  })
+  .catch((err) => {
+    logger.error(`MongoDB connection error: ${err.message}`, { stack: err.stack });
+  });
+
 // Import routes
 const nlpRouter = require('./nlp');
 const authRouter = require('./routes/authRoutes');
 const metricsRouter = require('./routes/metricsRoutes');
 const aiRouter = require('./routes/aiRoutes');
+const certifyRouter = require('./routes/certifyRoutes');
+const prometheusProxy = require('./routes/prometheusProxy');
+const { attachMetricsSocket } = require('./routes/metricsSocket');
 const { verifyToken } = require('./auth');
 
 // Import security middleware
@@ -106,6 +122,11 @@ const authenticate = [
 app.use('/api/metrics', authenticate, rbac('metrics:view'), metricsRouter);
 app.use('/api/ai', authenticate, rbac('ai:query'), aiRouter);
 app.use('/api/nlp', authenticate, rbac('ai:query'), nlpRouter);
+app.use('/api/certify', authenticate, certifyRouter);
+
+// Prometheus API for Grafana's datasource, authenticated with the service token
+// and restricted to the organization of the signed-in Grafana user
+app.use('/api/prometheus', prometheusProxy);
 
 // Admin routes with stricter permissions
 app.use('/api/admin', authenticate, rbac('users:manage'), adminLimiter, (req, res, next) => {
@@ -172,7 +193,8 @@ app.get('/api', (req, res) => {
       ai: '/api/ai',
       nlp: '/api/nlp',
       auth: '/api/auth',
-      dashboards: '/api/dashboards'
+      dashboards: '/api/dashboards',
+      certify: '/api/certify'
     }
   });
 });
@@ -251,12 +273,22 @@ const server = app.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
 });
 
+// Live metric updates over WebSocket, sharing the HTTP server
+const metricsSocket = attachMetricsSocket(server);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  
+  // Open streams would keep the server from closing
+  metricsSocket.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
   server.close(() => {
     logger.info('Server closed');
-    process.exit(0);
+    
+    // Flush spans that have not been exported yet
+    tracing.shutdown()
+      .catch(err => logger.error(`Error shutting down tracing: ${err.message}`))
+      .finally(() => process.exit(0));
   });
   
   // Force close if graceful shutdown fails
@@ -67,7 +67,8 @@ const apiKeyAuth = async (req, res, next) => {
     req.user = {
       id: user._id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      organization: user.organization
     };
     
     // Record API key usage
@@ -0,0 +1,110 @@
+const { createLogger, format, transports } = require('winston');
+const promqlGuard = require('../services/promqlGuard');
+
+// Configure logger
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'metrics-access' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/metrics-access-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/metrics-access-combined.log' })
+  ]
+});
+
+// Metric name prefixes each role may query
+const roleMetricPrefixes = {
+  // Basic users only see CERTIHASH transaction and network metrics
+  user: ['certihash_'],
+  
+  // Analysts also see service runtime metrics
+  analyst: ['certihash_', 'process_', 'nodejs_', 'http_'],
+  
+  // Admins see everything Prometheus scrapes
+  admin: ['*'],
+  superadmin: ['*']
+};
+
+/**
+ * Get the metric prefixes a role may query
+ * @param {string} role - User role
+ * @returns {Array} - List of prefixes, '*' for all metrics
+ */
+function getMetricPrefixes(role) {
+  if (!role || !roleMetricPrefixes[role]) {
+    return roleMetricPrefixes.user; // Default to basic user prefixes
+  }
+  
+  return roleMetricPrefixes[role];
+}
+
+/**
+ * Middleware restricting the metrics in a PromQL query to the user's role
+ * Reads the query from req.query.query; requests without one are passed on
+ * for the route to reject.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function metricsAccess(req, res, next) {
+  const { query } = req.query;
+  
+  if (!query) {
+    return next();
+  }
+  
+  const userRole = req.user?.role || 'user';
+  const prefixes = getMetricPrefixes(userRole);
+  
+  if (prefixes.includes('*')) {
+    return next();
+  }
+  
+  let selectors;
+  try {
+    ({ selectors } = promqlGuard.parse(String(query)));
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid PromQL query',
+      error: error.message
+    });
+  }
+  
+  // Selectors matching metric names by regex can't be checked, so they are denied
+  const denied = promqlGuard.findDisallowed(selectors, prefixes);
+  
+  if (denied.length > 0) {
+    logger.warn('Metric access denied', {
+      userId: req.user?.id,
+      role: userRole,
+      metrics: denied,
+      path: req.path
+    });
+    
+    return res.status(403).json({
+      success: false,
+      message: `You do not have access to metrics: ${denied.join(', ')}`
+    });
+  }
+  
+  next();
+}
+
+module.exports = {
+  metricsAccess,
+  getMetricPrefixes
+};
\ No newline at end of file
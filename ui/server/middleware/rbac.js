@@ -31,6 +31,8 @@ const rolePermissions = {
     'metrics:view',
     'dashboards:view',
     'transactions:view',
+    'certify:create',
+    'certify:verify',
     'ai:query',
     'ai:anomaly:view',
     'ai:predict',
@@ -46,6 +48,8 @@ const rolePermissions = {
     'dashboards:create',
     'dashboards:edit',
     'transactions:view',
+    'certify:create',
+    'certify:verify',
     'ai:query',
     'ai:anomaly:view',
     'ai:anomaly:configure',
@@ -61,6 +65,7 @@ const rolePermissions = {
     'metrics:*',
     'dashboards:*',
     'transactions:*',
+    'certify:*',
     'ai:*',
     'user:profile:*',
     'users:*',
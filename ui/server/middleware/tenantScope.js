@@ -0,0 +1,56 @@
+const { createLogger, format, transports } = require('winston');
+const tenantService = require('../services/tenantService');
+
+// Configure logger
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'tenant-scope' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/tenant-scope-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/tenant-scope-combined.log' })
+  ]
+});
+
+/**
+ * Middleware resolving the tenant scope of the user's metrics queries
+ * Sets req.tenantScope to { organization, appIds }, or null for platform
+ * operators, for the routes to pass to metricsService.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function tenantScope(req, res, next) {
+  try {
+    req.tenantScope = await tenantService.getScope(req.user);
+    next();
+  } catch (error) {
+    logger.warn(`Could not resolve tenant scope: ${error.message}`, {
+      userId: req.user?.id,
+      organization: req.user?.organization,
+      path: req.path
+    });
+    
+    res.status(error.response?.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  tenantScope
+};
\ No newline at end of file
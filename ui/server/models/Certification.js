@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const CertificationSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: [true, 'Document hash is required'],
+    unique: true,
+    lowercase: true,
+    match: [/^[0-9a-f]{64}$/, 'Hash must be a SHA-256 hex digest']
+  },
+  algorithm: {
+    type: String,
+    default: 'sha256'
+  },
+  txid: {
+    type: String,
+    required: [true, 'Transaction ID is required'],
+    index: true
+  },
+  // Exact payload written to the OP_RETURN output
+  certificate: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  filename: {
+    type: String,
+    trim: true
+  },
+  size: Number,
+  signature: String,
+  signer: String,
+  userId: String,
+  organization: String,
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed'],
+    default: 'pending'
+  },
+  blockHash: String,
+  blockHeight: Number,
+  confirmedAt: Date
+}, {
+  timestamps: true
+});
+
+const Certification = mongoose.model('Certification', CertificationSchema);
+
+module.exports = Certification;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const axios = require('axios');
 const router = express.Router();
+const advancedAIService = require('./services/ai/advancedAIService');
 
 // LiteLLM API endpoint
 const LITELLM_URL = process.env.LITELLM_URL || 'http://litellm:4000';
@@ -28,7 +29,9 @@ router.post('/query', async (req, res) => {
           content: `You are an AI assistant for analyzing CERTIHASH blockchain data. 
                     Convert natural language queries into appropriate Prometheus queries, 
                     dashboard links, or analysis directives. CERTIHASH has metrics like 
-                    certihash_transactions_total, certihash_tps, and certihash_tx_processing_time.`
+                    certihash_transactions_total (by app_id and outcome), certihash_tps (by window: 1s, 10s, 1m), 
+                    certihash_tx_processing_time, certihash_tx_stage_duration_ms and 
+                    certihash_tx_failures_total (by app_id and reason).`
         },
         { role: 'user', content: query }
       ],
@@ -61,32 +64,9 @@ router.post('/query', async (req, res) => {
  */
 router.get('/anomalies', async (req, res) => {
   try {
-    // Call LiteLLM for anomaly detection
-    const response = await axios.post(`${LITELLM_URL}/v1/chat/completions`, {
-      model: 'anomaly-detection',
-      messages: [
-        { 
-          role: 'system', 
-          content: 'You are an AI specialized in detecting anomalies in blockchain transaction data.'
-        },
-        { 
-          role: 'user', 
-          content: 'Analyze recent CERTIHASH TPS data for anomalies and return results as JSON.'
-        }
-      ],
-      temperature: 0.1,
-      response_format: { type: "json_object" }
-    }, {
-      headers: { 
-        'Authorization': `Bearer ${process.env.LITELLM_API_KEY}`
-      }
-    });
+    const anomalies = await advancedAIService.getAnomalyAlerts();
     
-    // Extract and parse response
-    const content = response.data.choices[0].message.content;
-    const parsedResponse = JSON.parse(content);
-    
-    res.json(parsedResponse);
+    res.json(anomalies);
   } catch (error) {
     console.error('Error getting anomalies:', error.message);
     res.status(500).json({ 
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const advancedAIService = require('../services/ai/advancedAIService');
 const { verifyToken } = require('../auth');
+const { tenantScope } = require('../middleware/tenantScope');
 
 // Initialize AI service
 (async () => {
@@ -167,7 +168,7 @@ router.post('/dashboard', async (req, res) => {
  * Process natural language query
  * @route POST /api/ai/query
  */
-router.post('/query', async (req, res) => {
+router.post('/query', tenantScope, async (req, res) => {
   try {
     const { query } = req.body;
     
@@ -178,7 +179,7 @@ router.post('/query', async (req, res) => {
       });
     }
     
-    const result = await advancedAIService.processQuery(query);
+    const result = await advancedAIService.processQuery(query, req.tenantScope);
     
     res.json({
       success: true,
@@ -103,7 +103,7 @@ router.post('/logout', (req, res) => {
 router.post('/api-key', verifyToken, async (req, res) => {
   try {
     const token = req.headers.authorization.split(' ')[1];
-    const result = await authClient.generateApiKey(token);
+    const result = await authClient.generateApiKey(token, req.body.appIds);
     
     res.status(200).json(result);
   } catch (error) {
@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const certificationService = require('../services/certificationService');
+const { rbac } = require('../middleware/rbac');
+
+// Raw uploads bypass the 1mb JSON limit
+const rawUpload = express.raw({
+  type: 'application/octet-stream',
+  limit: process.env.CERTIFY_MAX_FILE_SIZE || '25mb'
+});
+
+/**
+ * Certify a document by anchoring its SHA-256 hash on-chain
+ * Accepts the raw file as application/octet-stream (options in the query string)
+ * or JSON { content (base64) | hash, filename, sign, signature, signer }
+ * @route POST /api/certify
+ */
+router.post('/', rawUpload, rbac('certify:create'), async (req, res) => {
+  try {
+    const upload = Buffer.isBuffer(req.body);
+    const options = upload ? req.query : req.body;
+    const content = upload ? req.body : options.content && Buffer.from(options.content, 'base64');
+    
+    if (!content && !options.hash) {
+      return res.status(400).json({
+        success: false,
+        message: 'Document content or hash is required'
+      });
+    }
+    
+    if (options.hash && !/^[0-9a-fA-F]{64}$/.test(options.hash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hash must be a SHA-256 hex digest'
+      });
+    }
+    
+    const hash = content ? certificationService.hashContent(content) : options.hash.toLowerCase();
+    if (content && options.hash && options.hash.toLowerCase() !== hash) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hash does not match document content'
+      });
+    }
+    
+    const { certification, created } = await certificationService.certify({
+      hash,
+      filename: options.filename,
+      size: content ? content.length : undefined,
+      signature: options.signature,
+      signer: options.signer,
+      sign: options.sign === true || options.sign === 'true'
+    }, req.user);
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      hash: certification.hash,
+      txid: certification.txid,
+      certificate: certification.certificate,
+      certifiedAt: certification.createdAt
+    });
+  } catch (error) {
+    console.error('Error certifying document:', error.message);
+    
+    res.status(error.response?.status || 500).json({
+      success: false,
+      message: 'Failed to certify document',
+      error: error.response?.data?.error || error.message
+    });
+  }
+});
+
+/**
+ * Get the transaction, block and Merkle proof for a certified hash
+ * @route GET /api/certify/:hash/verify
+ */
+router.get('/:hash/verify', rbac('certify:verify'), async (req, res) => {
+  try {
+    if (!/^[0-9a-fA-F]{64}$/.test(req.params.hash)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hash must be a SHA-256 hex digest'
+      });
+    }
+    
+    const result = await certificationService.verify(req.params.hash);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document has not been certified'
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error verifying certification:', error.message);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify certification',
+      error: error.response?.data?.error || error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
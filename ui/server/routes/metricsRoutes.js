@@ -3,17 +3,25 @@ const router = express.Router();
 const metricsService = require('../services/metricsService');
 const prometheusOptimizer = require('../services/prometheusOptimizer');
 const { verifyToken } = require('../auth');
+const { metricsAccess } = require('../middleware/metricsAccess');
+const { tenantScope } = require('../middleware/tenantScope');
 
-// All metrics routes require authentication
+// All metrics routes require authentication, and read only the applications
+// of the user's organization
 router.use(verifyToken);
+router.use(tenantScope);
 
 /**
  * Execute Prometheus query with caching
- * @route GET /api/metrics/query
+ * Returns the Prometheus response as is, so callers read data.result like
+ * they would from Prometheus. Instant queries take an optional time; range
+ * queries need start, end and step.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
  */
-router.get('/query', async (req, res) => {
+async function handleQuery(req, res) {
   try {
-    const { query, start, end, step, cache_time } = req.query;
+    const { query, time, start, end, step, timeout, cache_time } = req.query;
     
     if (!query) {
       return res.status(400).json({
@@ -24,23 +32,76 @@ router.get('/query', async (req, res) => {
     
     // Build time range object if provided
     const timeRange = {};
+    if (time) timeRange.time = time;
     if (start) timeRange.start = start;
     if (end) timeRange.end = end;
     if (step) timeRange.step = step;
+    if (timeout) timeRange.timeout = timeout;
     
     // Convert cache_time to number if provided
     const cacheTime = cache_time ? parseInt(cache_time) : 60;
     
-    const result = await metricsService.getMetrics(query, timeRange, cacheTime);
+    const result = await metricsService.getMetrics(query, timeRange, cacheTime, req.tenantScope);
     
     res.json(result);
   } catch (error) {
     console.error('Error querying metrics:', error.message);
     
-    res.status(500).json({
+    res.status(error.response?.status === 400 ? 400 : 500).json({
       success: false,
       message: 'Failed to query metrics',
-      error: error.message
+      error: error.response?.data?.error || error.message
+    });
+  }
+}
+
+/**
+ * Query gateway used by the dashboard widgets
+ * Metrics in the query are limited to the prefixes allowed for the user's role
+ * @route GET /api/metrics
+ */
+router.get('/', metricsAccess, handleQuery);
+
+/**
+ * Execute Prometheus query with caching
+ * @route GET /api/metrics/query
+ */
+router.get('/query', metricsAccess, handleQuery);
+
+/**
+ * Execute a Prometheus range query, returning series aligned to one set of timestamps
+ * @route GET /api/metrics/query_range
+ */
+router.get('/query_range', metricsAccess, async (req, res) => {
+  try {
+    const { query, start, end, step, timeout, limit, cache_time } = req.query;
+    
+    if (!query || !start || !end || !step) {
+      return res.status(400).json({
+        success: false,
+        message: 'query, start, end and step parameters are required'
+      });
+    }
+    
+    const cacheTime = cache_time ? parseInt(cache_time) : 60;
+    const result = await metricsService.queryRange(
+      query,
+      { start, end, step, timeout, limit },
+      cacheTime,
+      req.tenantScope
+    );
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error querying metrics range:', error.message);
+    
+    res.status(error.response?.status === 400 ? 400 : 500).json({
+      success: false,
+      message: 'Failed to query metrics range',
+      error: error.response?.data?.error || error.message
     });
   }
 });
@@ -51,7 +112,7 @@ router.get('/query', async (req, res) => {
  */
 router.get('/dashboard', async (req, res) => {
   try {
-    const metrics = await metricsService.getDashboardMetrics();
+    const metrics = await metricsService.getDashboardMetrics(req.tenantScope);
     
     res.json({
       success: true,
@@ -75,9 +136,13 @@ router.get('/dashboard', async (req, res) => {
 router.get('/transaction-volume', async (req, res) => {
   try {
     const { period } = req.query;
-    const result = await metricsService.getTransactionVolume(period);
+    const result = await metricsService.getTransactionVolume(period, req.tenantScope);
     
-    res.json(result);
+    res.json({
+      success: true,
+      period: period || '1d',
+      ...result
+    });
   } catch (error) {
     console.error('Error getting transaction volume:', error.message);
     
@@ -95,7 +160,7 @@ router.get('/transaction-volume', async (req, res) => {
  */
 router.get('/apps', async (req, res) => {
   try {
-    const appMetrics = await metricsService.getAppMetrics();
+    const appMetrics = await metricsService.getAppMetrics(req.tenantScope);
     
     res.json({
       success: true,
@@ -112,13 +177,41 @@ router.get('/apps', async (req, res) => {
   }
 });
 
+/**
+ * Get indexed transactions for an application
+ * @route GET /api/metrics/apps/:appId/transactions
+ */
+router.get('/apps/:appId/transactions', async (req, res) => {
+  try {
+    const { page, limit, from, to } = req.query;
+    const result = await metricsService.getAppTransactions(
+      req.params.appId,
+      { page, limit, from, to },
+      req.tenantScope
+    );
+    
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error getting app transactions:', error.message);
+    
+    res.status(error.response?.status || 500).json({
+      success: false,
+      message: 'Failed to get app transactions',
+      error: error.response?.data?.error || error.message
+    });
+  }
+});
+
 /**
  * Get processing time percentiles
  * @route GET /api/metrics/processing-time
  */
 router.get('/processing-time', async (req, res) => {
   try {
-    const percentiles = await metricsService.getProcessingTimePercentiles();
+    const percentiles = await metricsService.getProcessingTimePercentiles(req.tenantScope);
     
     res.json({
       success: true,
@@ -135,13 +228,79 @@ router.get('/processing-time', async (req, res) => {
   }
 });
 
+/**
+ * Get the 95th percentile processing time over a period
+ * @route GET /api/metrics/latency
+ */
+router.get('/latency', async (req, res) => {
+  try {
+    const period = req.query.period || '1h';
+    const series = await metricsService.getLatencyHistory(period, req.tenantScope);
+    
+    res.json({
+      success: true,
+      period,
+      series
+    });
+  } catch (error) {
+    console.error('Error getting latency history:', error.message);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get latency history',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get the slowest transactions in a time range, linked from latency exemplars
+ * @route GET /api/metrics/latency/slowest
+ */
+router.get('/latency/slowest', async (req, res) => {
+  const end = parseFloat(req.query.end) || Date.now() / 1000;
+  const start = parseFloat(req.query.start) || end - 3600;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+  
+  if (start >= end) {
+    return res.status(400).json({
+      success: false,
+      message: 'start must be before end'
+    });
+  }
+  
+  try {
+    const transactions = await metricsService.getSlowestTransactions({
+      start,
+      end,
+      limit,
+      appId: req.query.app_id
+    }, req.tenantScope);
+    
+    res.json({
+      success: true,
+      start,
+      end,
+      transactions
+    });
+  } catch (error) {
+    console.error('Error getting slowest transactions:', error.message);
+    
+    res.status(error.response?.status === 400 ? 400 : 500).json({
+      success: false,
+      message: 'Failed to get slowest transactions',
+      error: error.response?.data?.error || error.message
+    });
+  }
+});
+
 /**
  * Get current TPS
  * @route GET /api/metrics/tps
  */
 router.get('/tps', async (req, res) => {
   try {
-    const tps = await metricsService.getCurrentTPS();
+    const tps = await metricsService.getCurrentTPS(req.tenantScope);
     
     res.json({
       success: true,
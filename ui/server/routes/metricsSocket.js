@@ -0,0 +1,241 @@
+const jwt = require('jsonwebtoken');
+const { WebSocketServer, WebSocket } = require('ws');
+const metricsService = require('../services/metricsService');
+const metricsStream = require('../services/metricsStream');
+const promqlGuard = require('../services/promqlGuard');
+const tenantService = require('../services/tenantService');
+const advancedAIService = require('../services/ai/advancedAIService');
+const { getUserPermissions, hasPermission } = require('../middleware/rbac');
+const { getMetricPrefixes } = require('../middleware/metricsAccess');
+
+// Path the stream is served on, next to the REST metrics routes
+const STREAM_PATH = '/api/metrics/stream';
+
+// Shortest, longest and default interval between updates, in seconds
+const MIN_INTERVAL = 5;
+const MAX_INTERVAL = 300;
+const DEFAULT_INTERVAL = 15;
+
+// Most subscriptions one connection may hold
+const MAX_SUBSCRIPTIONS = 50;
+
+// Time a new connection has to authenticate, in milliseconds
+const AUTH_TIMEOUT = 10000;
+
+// Interval between pings that detect dead connections, in milliseconds
+const HEARTBEAT_INTERVAL = 30000;
+
+// Longest delay setTimeout supports, in milliseconds
+const MAX_TIMER_DELAY = 2147483647;
+
+// Non-PromQL sources clients may subscribe to
+const SOURCES = {
+  anomalies: {
+    permission: 'ai:anomaly:view',
+    interval: 300,
+    fetch: () => advancedAIService.getAnomalyAlerts()
+  }
+};
+
+/**
+ * Send a message if the socket is still open
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} message - Message to send as JSON
+ */
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Work out which topic a subscribe message asks for
+ * @param {Object} user - Verified token payload
+ * @param {Object} message - { query, interval } for PromQL or { source }
+ * @returns {Object} - { key, interval, fetch }
+ * @throws {Error} - If the subscription is malformed or not allowed for the user
+ */
+function resolveTopic(user, message) {
+  const permissions = getUserPermissions(user.role);
+  
+  if (message.source) {
+    const source = SOURCES[message.source];
+    if (!source) {
+      throw new Error(`Unknown source: ${message.source}`);
+    }
+    if (!hasPermission(source.permission, permissions)) {
+      throw new Error('You do not have permission to access this resource');
+    }
+    return { key: `source:${message.source}`, interval: source.interval, fetch: source.fetch };
+  }
+  
+  if (typeof message.query !== 'string' || !message.query.trim()) {
+    throw new Error('query or source is required');
+  }
+  
+  // The same checks as the REST query routes; the cost checks run when the query is evaluated
+  const { selectors } = promqlGuard.parse(message.query);
+  const denied = promqlGuard.findDisallowed(selectors, getMetricPrefixes(user.role));
+  if (denied.length > 0) {
+    throw new Error(`You do not have access to metrics: ${denied.join(', ')}`);
+  }
+  
+  const unscoped = tenantService.isUnscoped(user);
+  if (!unscoped && !user.organization) {
+    throw new Error('Your account does not belong to an organization');
+  }
+  
+  const requested = parseInt(message.interval) || DEFAULT_INTERVAL;
+  const interval = Math.min(Math.max(requested, MIN_INTERVAL), MAX_INTERVAL);
+  
+  // Only users of the same organization share a topic, so the topic runs in the
+  // organization's scope rather than that of whoever subscribed first. Cache
+  // just under the interval, so REST callers share results but each tick is
+  // fresh; the scope is resolved on every tick, so applications bound since are
+  // picked up
+  const organization = user.organization;
+  const fetch = async () => {
+    const scope = unscoped ? null : await tenantService.getOrganizationScope(organization);
+    const result = await metricsService.getMetrics(message.query, {}, Math.max(interval - 1, 1), scope);
+    return result.data;
+  };
+  
+  return { key: `query:${interval}:${unscoped ? '*' : organization}:${message.query}`, interval, fetch };
+}
+
+/**
+ * Handle a new client connection
+ * The client sends { type: 'auth', token } first, then subscribe and
+ * unsubscribe messages:
+ *   { type: 'subscribe', id, query, interval } or { type: 'subscribe', id, source }
+ *   { type: 'unsubscribe', id }
+ * and receives { type: 'ready' }, { type: 'data', id, data, timestamp } and
+ * { type: 'error', id, message }.
+ * @param {WebSocket} socket - Client socket
+ */
+function handleConnection(socket) {
+  const subscriptions = new Map();
+  let user = null;
+  let expiryTimer = null;
+  
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  
+  const authTimer = setTimeout(() => socket.close(4001, 'Authentication required'), AUTH_TIMEOUT);
+  
+  const authenticate = (token) => {
+    try {
+      user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return socket.close(4001, 'Invalid or expired token');
+    }
+    
+    if (!hasPermission('metrics:view', getUserPermissions(user.role))) {
+      return socket.close(4003, 'You do not have permission to access this resource');
+    }
+    
+    clearTimeout(authTimer);
+    
+    // Close when the token expires; the client reconnects with its refreshed token
+    if (user.exp) {
+      const remaining = Math.min(user.exp * 1000 - Date.now(), MAX_TIMER_DELAY);
+      expiryTimer = setTimeout(() => socket.close(4001, 'Token expired'), remaining);
+    }
+    
+    send(socket, { type: 'ready' });
+  };
+  
+  const subscribe = (message) => {
+    const { id } = message;
+    if (typeof id !== 'string' && typeof id !== 'number') {
+      return send(socket, { type: 'error', message: 'Subscription id is required' });
+    }
+    
+    subscriptions.get(id)?.();
+    subscriptions.delete(id);
+    
+    if (subscriptions.size >= MAX_SUBSCRIPTIONS) {
+      return send(socket, { type: 'error', id, message: `At most ${MAX_SUBSCRIPTIONS} subscriptions are allowed` });
+    }
+    
+    let topic;
+    try {
+      topic = resolveTopic(user, message);
+    } catch (error) {
+      return send(socket, { type: 'error', id, message: error.message });
+    }
+    
+    const unsubscribe = metricsStream.subscribe(topic.key, topic, ({ data, error, timestamp }) => {
+      send(socket, error
+        ? { type: 'error', id, message: error, timestamp }
+        : { type: 'data', id, data, timestamp });
+    });
+    subscriptions.set(id, unsubscribe);
+  };
+  
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return send(socket, { type: 'error', message: 'Messages must be JSON' });
+    }
+    
+    if (!user) {
+      return message.type === 'auth'
+        ? authenticate(message.token)
+        : socket.close(4001, 'Authentication required');
+    }
+    
+    switch (message.type) {
+      case 'subscribe':
+        subscribe(message);
+        break;
+      
+      case 'unsubscribe':
+        subscriptions.get(message.id)?.();
+        subscriptions.delete(message.id);
+        break;
+      
+      default:
+        send(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  });
+  
+  socket.on('close', () => {
+    clearTimeout(authTimer);
+    clearTimeout(expiryTimer);
+    subscriptions.forEach(unsubscribe => unsubscribe());
+    subscriptions.clear();
+  });
+}
+
+/**
+ * Serve live metrics over WebSocket on the HTTP server
+ * @param {http.Server} server - Server the Express app listens on
+ * @returns {WebSocketServer} - The WebSocket server
+ */
+function attachMetricsSocket(server) {
+  const wss = new WebSocketServer({ server, path: STREAM_PATH, maxPayload: 16 * 1024 });
+  
+  wss.on('connection', handleConnection);
+  
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+  
+  wss.on('close', () => clearInterval(heartbeat));
+  
+  return wss;
+}
+
+module.exports = { attachMetricsSocket, resolveTopic };
\ No newline at end of file
@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const axios = require('axios');
+const crypto = require('crypto');
+const metricsService = require('../services/metricsService');
+const promqlGuard = require('../services/promqlGuard');
+const tenantService = require('../services/tenantService');
+const { getMetricPrefixes } = require('../middleware/metricsAccess');
+
+// Prometheus URL
+const PROMETHEUS_URL = process.env.PROMETHEUS_URL || 'http://prometheus:9090';
+
+// Grafana logins querying for services that scope their own queries, such as
+// the service account of the MCP server the AI assistant queries through
+const UNSCOPED_GRAFANA_USERS = (process.env.GRAFANA_UNSCOPED_USERS || '')
+  .split(',')
+  .map(login => login.trim())
+  .filter(Boolean);
+
+// Label names allowed in /api/v1/label/:name/values
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Answer with an error in the Prometheus API format, which Grafana shows as is
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} errorType - Prometheus error type
+ * @param {string} message - Error message
+ */
+function sendError(res, status, errorType, message) {
+  res.status(status).json({ status: 'error', errorType, error: message });
+}
+
+/**
+ * Report a failed query or lookup
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from metricsService, promqlGuard or Prometheus
+ */
+function sendFailure(res, error) {
+  const status = error.response?.status || 502;
+  sendError(res, status, status < 500 ? 'bad_data' : 'unavailable', error.response?.data?.error || error.message);
+}
+
+/**
+ * Read a parameter from the query string or a form body, as Grafana sends either
+ * @param {Object} req - Express request
+ * @param {string} name - Parameter name
+ * @returns {*} - Parameter value, if any
+ */
+function param(req, name) {
+  return req.body?.[name] ?? req.query[name];
+}
+
+/**
+ * Read the match[] selectors of a series or label request
+ * @param {Object} req - Express request
+ * @returns {Array<string>} - Selectors
+ */
+function matchSelectors(req) {
+  const match = param(req, 'match[]') ?? param(req, 'match');
+  if (match === undefined) {
+    return [];
+  }
+  
+  return Array.isArray(match) ? match.map(String) : [String(match)];
+}
+
+/**
+ * Middleware authenticating Grafana and resolving the user it queries for
+ * Grafana's Prometheus datasource sends GRAFANA_PROXY_TOKEN as a bearer
+ * token and, with GF_DATAPROXY_SEND_USER_HEADER, the signed-in login as
+ * X-Grafana-User; that login is the user's CERTIHASH email. The token is
+ * accepted nowhere else, so Grafana never holds INTERNAL_SERVICE_TOKEN. Sets
+ * req.tenantScope and req.metricPrefixes.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+async function authenticateGrafana(req, res, next) {
+  const expected = Buffer.from(process.env.GRAFANA_PROXY_TOKEN || '');
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/, ''));
+  
+  if (!expected.length || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return sendError(res, 401, 'unauthorized', 'Not authorized to access this route');
+  }
+  
+  const login = req.headers['x-grafana-user'];
+  if (!login) {
+    return sendError(res, 401, 'unauthorized', 'Queries must come from a signed-in Grafana user');
+  }
+  
+  if (UNSCOPED_GRAFANA_USERS.includes(login)) {
+    req.tenantScope = null;
+    req.metricPrefixes = ['*'];
+    return next();
+  }
+  
+  const user = await tenantService.findUser(login);
+  if (!user) {
+    return sendError(res, 403, 'forbidden', `Grafana user ${login} is not a CERTIHASH user`);
+  }
+  
+  try {
+    req.tenantScope = await tenantService.getScope(user);
+    req.metricPrefixes = getMetricPrefixes(user.role);
+    next();
+  } catch (error) {
+    sendFailure(res, error);
+  }
+}
+
+/**
+ * Check the metrics of a query against the user's role
+ * @param {Object} req - Express request
+ * @param {string} query - PromQL expression
+ * @throws {Error} - With a 403 response for metrics outside the role's prefixes, or a 400
+ *   response if the query is malformed
+ */
+function checkPrefixes(req, query) {
+  const { selectors } = promqlGuard.parse(String(query));
+  const denied = promqlGuard.findDisallowed(selectors, req.metricPrefixes);
+  
+  if (denied.length > 0) {
+    const error = new Error(`You do not have access to metrics: ${denied.join(', ')}`);
+    error.response = { status: 403, data: { error: error.message } };
+    throw error;
+  }
+}
+
+/**
+ * Scope the match[] selectors of a series or label request
+ * Without selectors Prometheus would answer for every series, so scoped
+ * users get one selecting all of their applications' series.
+ * @param {Object} req - Express request
+ * @returns {URLSearchParams} - Parameters to forward, with start and end
+ */
+function scopedMatchParams(req) {
+  const params = new URLSearchParams();
+  let selectors = matchSelectors(req);
+  
+  if (selectors.length === 0 && req.tenantScope) {
+    selectors = ['{__name__=~".+"}'];
+  }
+  selectors.forEach(selector => {
+    params.append('match[]', tenantService.scopeQuery(selector, req.tenantScope));
+  });
+  
+  ['start', 'end', 'limit'].forEach(name => {
+    const value = param(req, name);
+    if (value !== undefined) {
+      params.append(name, value);
+    }
+  });
+  
+  return params;
+}
+
+/**
+ * Forward a request to Prometheus and pass its answer back
+ * @param {Object} res - Express response
+ * @param {string} path - Prometheus API path
+ * @param {URLSearchParams|Object} params - Query parameters
+ */
+async function forward(res, path, params) {
+  const response = await axios.get(`${PROMETHEUS_URL}${path}`, { params, timeout: 30000 });
+  res.json(response.data);
+}
+
+// Grafana's datasource proxy is the only caller
+router.use(authenticateGrafana);
+
+/**
+ * Instant query, restricted to the user's organization
+ * @route GET|POST /api/prometheus/api/v1/query
+ */
+router.all('/api/v1/query', async (req, res) => {
+  try {
+    const query = param(req, 'query');
+    if (!query) {
+      return sendError(res, 400, 'bad_data', 'query parameter is required');
+    }
+    
+    checkPrefixes(req, query);
+    
+    const timeRange = {};
+    if (param(req, 'time')) timeRange.time = param(req, 'time');
+    if (param(req, 'timeout')) timeRange.timeout = param(req, 'timeout');
+    
+    res.json(await metricsService.getMetrics(query, timeRange, 15, req.tenantScope));
+  } catch (error) {
+    console.error('Error proxying Grafana query:', error.message);
+    sendFailure(res, error);
+  }
+});
+
+/**
+ * Range query, restricted to the user's organization
+ * @route GET|POST /api/prometheus/api/v1/query_range
+ */
+router.all('/api/v1/query_range', async (req, res) => {
+  try {
+    const query = param(req, 'query');
+    if (!query || !param(req, 'start') || !param(req, 'end') || !param(req, 'step')) {
+      return sendError(res, 400, 'bad_data', 'query, start, end and step parameters are required');
+    }
+    
+    checkPrefixes(req, query);
+    
+    const timeRange = {
+      start: param(req, 'start'),
+      end: param(req, 'end'),
+      step: param(req, 'step'),
+      timeout: param(req, 'timeout')
+    };
+    
+    res.json(await metricsService.getMetrics(query, timeRange, 15, req.tenantScope));
+  } catch (error) {
+    console.error('Error proxying Grafana range query:', error.message);
+    sendFailure(res, error);
+  }
+});
+
+/**
+ * Exemplars, restricted to the user's organization
+ * @route GET|POST /api/prometheus/api/v1/query_exemplars
+ */
+router.all('/api/v1/query_exemplars', async (req, res) => {
+  try {
+    const query = param(req, 'query');
+    if (!query) {
+      return sendError(res, 400, 'bad_data', 'query parameter is required');
+    }
+    
+    checkPrefixes(req, query);
+    
+    await forward(res, '/api/v1/query_exemplars', {
+      query: tenantService.scopeQuery(query, req.tenantScope),
+      start: param(req, 'start'),
+      end: param(req, 'end')
+    });
+  } catch (error) {
+    console.error('Error proxying Grafana exemplars:', error.message);
+    sendFailure(res, error);
+  }
+});
+
+/**
+ * Series and label names of the user's organization, for Grafana's query editor
+ * @route GET|POST /api/prometheus/api/v1/series
+ * @route GET|POST /api/prometheus/api/v1/labels
+ */
+router.all(['/api/v1/series', '/api/v1/labels'], async (req, res) => {
+  try {
+    await forward(res, req.path, scopedMatchParams(req));
+  } catch (error) {
+    console.error('Error proxying Grafana series lookup:', error.message);
+    sendFailure(res, error);
+  }
+});
+
+/**
+ * Values of a label within the user's organization
+ * @route GET /api/prometheus/api/v1/label/:name/values
+ */
+router.get('/api/v1/label/:name/values', async (req, res) => {
+  if (!LABEL_NAME.test(req.params.name)) {
+    return sendError(res, 400, 'bad_data', `Invalid label name: ${req.params.name}`);
+  }
+  
+  try {
+    await forward(res, `/api/v1/label/${req.params.name}/values`, scopedMatchParams(req));
+  } catch (error) {
+    console.error('Error proxying Grafana label values:', error.message);
+    sendFailure(res, error);
+  }
+});
+
+/**
+ * Metric help texts and the Prometheus version, which hold no tenant data
+ * @route GET /api/prometheus/api/v1/metadata
+ * @route GET /api/prometheus/api/v1/status/buildinfo
+ */
+router.get(['/api/v1/metadata', '/api/v1/status/buildinfo'], async (req, res) => {
+  try {
+    await forward(res, req.path, req.query);
+  } catch (error) {
+    console.error('Error proxying Grafana metadata:', error.message);
+    sendFailure(res, error);
+  }
+});
+
+// Anything else Prometheus serves, such as admin and TSDB endpoints, stays unreachable
+router.use((req, res) => {
+  sendError(res, 404, 'not_found', `${req.path} is not available through the CERTIHASH metrics proxy`);
+});
+
+module.exports = router;
\ No newline at end of file
@@ -2,6 +2,8 @@ const { createLogger, format, transports } = require('winston');
 const axios = require('axios');
 const vectorStore = require('./vectorStore');
 const mcpGrafana = require('./mcpGrafana');
+const promqlGuard = require('../promqlGuard');
+const tenantService = require('../tenantService');
 
 // Configure logger
 const logger = createLogger({
@@ -31,6 +33,9 @@ const logger = createLogger({
 const LITELLM_URL = process.env.LITELLM_URL || 'http://litellm:4000';
 const LITELLM_API_KEY = process.env.LITELLM_API_KEY;
 
+// Metric namespaces generated PromQL may read
+const AI_METRIC_PREFIXES = ['certihash_'];
+
 /**
  * Advanced AI service combining LiteLLM, vector storage, and MCP-Grafana
  */
@@ -301,9 +306,11 @@ Your response should be accessible to non-technical users while still being accu
   /**
    * Process natural language query with domain-specific knowledge
    * @param {string} query - User query
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope(); generated
+   *   Prometheus queries only read its applications
    * @returns {Promise<Object>} - Query response
    */
-  async processQuery(query) {
+  async processQuery(query, scope) {
     try {
       // Search vector store for relevant knowledge
       const similarDocs = await vectorStore.searchSimilar(query, 3);
@@ -388,7 +395,7 @@ If the query requests specific metrics or data, refer to the available Prometheu
         const queryGenMessages = [
           {
             role: 'system',
-            content: 'Convert natural language queries about CERTIHASH metrics into Prometheus PromQL queries. Available metrics include: certihash_transactions_total, certihash_tps, certihash_tx_processing_time.'
+            content: 'Convert natural language queries about CERTIHASH metrics into Prometheus PromQL queries. Available metrics include: certihash_transactions_total (labels: app_id, outcome), certihash_tps (label: window, one of 1s, 10s, 1m), certihash_tx_processing_time (label: app_id), certihash_tx_stage_duration_ms (labels: app_id, stage), certihash_tx_failures_total (labels: app_id, reason).'
           },
           {
             role: 'user',
@@ -405,7 +412,11 @@ If the query requests specific metrics or data, refer to the available Prometheu
         // Execute Prometheus query if it looks valid
         if (prometheusQuery.includes('certihash_')) {
           try {
-            prometheusData = await mcpGrafana.queryPrometheus(prometheusQuery);
+            // Generated queries may only read CERTIHASH metrics of the user's
+            // organization, within the usual limits
+            const scopedQuery = tenantService.scopeQuery(prometheusQuery, scope);
+            await promqlGuard.check(scopedQuery, { prefixes: AI_METRIC_PREFIXES });
+            prometheusData = await mcpGrafana.queryPrometheus(scopedQuery);
           } catch (err) {
             logger.warn(`Error executing Prometheus query: ${err.message}`);
           }
@@ -560,6 +571,31 @@ Format the response as a JSON array.`
     }
   },
 
+  /**
+   * Get the anomaly alerts shown on the dashboard
+   * Used by GET /api/nlp/anomalies and the live metrics stream
+   * @returns {Promise<Object>} - { anomalies } as returned by the anomaly detection model
+   */
+  async getAnomalyAlerts() {
+    const messages = [
+      {
+        role: 'system',
+        content: 'You are an AI specialized in detecting anomalies in blockchain transaction data.'
+      },
+      {
+        role: 'user',
+        content: 'Analyze recent CERTIHASH TPS data for anomalies and return results as JSON.'
+      }
+    ];
+    
+    const response = await this.callLiteLLM('anomaly-detection', messages, {
+      temperature: 0.1,
+      response_format: { type: "json_object" }
+    });
+    
+    return JSON.parse(response.choices[0].message.content);
+  },
+
   /**
    * Generate predictive analytics for the AI Assistant
    * @param {string} metricType - Type of metric to predict
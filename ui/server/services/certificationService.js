@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Certification = require('../models/Certification');
+const { createLogger, format, transports } = require('winston');
+
+// Configure logger
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'certification-service' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/certification-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/certification-combined.log' })
+  ]
+});
+
+// Metrics service URL (publishes certifications on-chain)
+const METRICS_SERVICE_URL = process.env.METRICS_SERVICE_URL || 'http://metrics-service:3000';
+
+/**
+ * Service for anchoring document hashes on-chain and proving them
+ */
+const certificationService = {
+  /**
+   * Hash document content
+   * @param {Buffer} content - Document content
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  },
+  
+  /**
+   * Anchor a document hash on-chain, or return the existing certification
+   * @param {Object} document - { hash, filename, size, signature, signer, sign }
+   * @param {Object} user - Authenticated user { id, organization }
+   * @returns {Promise<Object>} - { certification, created }
+   */
+  async certify(document, user = {}) {
+    const hash = document.hash.toLowerCase();
+    
+    const existing = await Certification.findOne({ hash }).lean();
+    if (existing) {
+      return { certification: existing, created: false };
+    }
+    
+    try {
+      const response = await axios.post(`${METRICS_SERVICE_URL}/certify`, {
+        hash,
+        signature: document.signature,
+        signer: document.signer,
+        sign: document.sign,
+        app_id: 'certify'
+      }, {
+        headers: { Authorization: `Bearer ${process.env.INTERNAL_SERVICE_TOKEN}` }
+      });
+      
+      // Publishing failed for now and is retried by the metrics service; nothing to record yet
+      if (response.status === 202) {
+        const error = new Error(`Certification is queued for retry as ${response.data.id}`);
+        error.response = { status: 503, data: { error: error.message } };
+        throw error;
+      }
+      
+      const { txid, certificate } = response.data;
+      const certification = await Certification.create({
+        hash,
+        txid,
+        certificate,
+        filename: document.filename,
+        size: document.size,
+        signature: certificate.signature,
+        signer: certificate.signer,
+        userId: user.id,
+        organization: user.organization
+      });
+      
+      logger.info(`Certified document ${hash} in transaction ${txid}`, { userId: user.id });
+      
+      return { certification: certification.toObject(), created: true };
+    } catch (error) {
+      // Certified concurrently by another request
+      if (error.code === 11000) {
+        return { certification: await Certification.findOne({ hash }).lean(), created: false };
+      }
+      
+      logger.error(`Error certifying document: ${error.message}`, {
+        stack: error.stack,
+        hash
+      });
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the on-chain proof for a certified hash
+   * The Merkle proof comes from the network rather than our database, so it
+   * can be checked against any block header source
+   * @param {string} hash - SHA-256 hex digest
+   * @returns {Promise<Object|null>} - Proof or null if the hash was never certified
+   */
+  async verify(hash) {
+    const certification = await Certification.findOne({ hash: hash.toLowerCase() });
+    if (!certification) {
+      return null;
+    }
+    
+    let proof = null;
+    try {
+      const response = await axios.get(`${METRICS_SERVICE_URL}/tx/${certification.txid}/proof`);
+      proof = response.data;
+    } catch (error) {
+      // 404 means the transaction has not been mined yet
+      if (error.response?.status !== 404) {
+        logger.error(`Error getting Merkle proof: ${error.message}`, {
+          stack: error.stack,
+          txid: certification.txid
+        });
+        throw error;
+      }
+    }
+    
+    if (proof && certification.status !== 'confirmed') {
+      certification.status = 'confirmed';
+      certification.blockHash = proof.blockHash;
+      certification.blockHeight = proof.blockHeight;
+      certification.confirmedAt = new Date();
+      await certification.save();
+    }
+    
+    return {
+      hash: certification.hash,
+      algorithm: certification.algorithm,
+      txid: certification.txid,
+      certificate: certification.certificate,
+      signature: certification.signature || null,
+      signer: certification.signer || null,
+      filename: certification.filename || null,
+      certifiedAt: certification.createdAt,
+      confirmed: Boolean(proof),
+      blockHash: proof?.blockHash || null,
+      blockHeight: proof?.blockHeight || null,
+      merkleProof: proof ? { format: proof.format, proof: proof.proof } : null,
+      spv: proof?.spv || null
+    };
+  }
+};
+
+module.exports = certificationService;
\ No newline at end of file
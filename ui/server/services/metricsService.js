@@ -1,5 +1,7 @@
 const axios = require('axios');
 const cacheService = require('./cacheService');
+const promqlGuard = require('./promqlGuard');
+const tenantService = require('./tenantService');
 const { createLogger, format, transports } = require('winston');
 
 // Configure logger
@@ -29,19 +31,186 @@ const logger = createLogger({
 // Prometheus URL
 const PROMETHEUS_URL = process.env.PROMETHEUS_URL || 'http://prometheus:9090';
 
+// Metrics service URL (transaction index)
+const METRICS_SERVICE_URL = process.env.METRICS_SERVICE_URL || 'http://metrics-service:3000';
+
+// Prometheus refuses range queries with more points per series than this
+const MAX_RANGE_POINTS = 11000;
+
+// Longest query evaluation in seconds, matching Prometheus' --query.timeout
+const MAX_QUERY_TIMEOUT = 120;
+
+// Units accepted in durations such as "30s" or "1h30m", in seconds
+const DURATION_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Create an error for an invalid query, reported by the routes with its status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 response
+ */
+function createQueryError(message) {
+  const error = new Error(message);
+  error.response = { status: 400, data: { error: message } };
+  return error;
+}
+
+/**
+ * Parse a duration given in seconds or as a Prometheus duration
+ * @param {number|string} value - e.g. 60, "60", "5m" or "1h30m"
+ * @returns {number} - Seconds, or NaN when malformed
+ */
+function parseDuration(value) {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+  
+  const parts = text.match(/\d+(ms|s|m|h|d|w)/g);
+  if (!parts || parts.join('') !== text) {
+    return NaN;
+  }
+  
+  return parts.reduce((total, part) => {
+    const [, amount, unit] = part.match(/(\d+)(\w+)/);
+    return total + parseInt(amount) * DURATION_UNITS[unit];
+  }, 0);
+}
+
+/**
+ * Parse a time given as Unix seconds or RFC 3339
+ * @param {number|string} value - e.g. 1700000000 or "2023-11-14T22:13:20Z"
+ * @returns {number} - Unix seconds, or NaN when malformed
+ */
+function parseTime(value) {
+  const text = String(value).trim();
+  return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : Date.parse(text) / 1000;
+}
+
+/**
+ * Validate a query timeout
+ * @param {number|string} timeout - Timeout in seconds or as a duration, if any
+ * @returns {number|undefined} - Seconds, capped at the Prometheus limit
+ * @throws {Error} - If the timeout is malformed
+ */
+function resolveTimeout(timeout) {
+  if (timeout === undefined || timeout === '') {
+    return undefined;
+  }
+  
+  const seconds = parseDuration(timeout);
+  if (!(seconds > 0)) {
+    throw createQueryError('timeout must be a positive duration such as 30 or 30s');
+  }
+  
+  return Math.min(seconds, MAX_QUERY_TIMEOUT);
+}
+
+/**
+ * Validate a range query and align it to its step
+ * Aligned ranges make repeated queries for the same window share a cache key
+ * and let Prometheus evaluate the same timestamps every time.
+ * @param {Object} timeRange - { start, end, step }
+ * @returns {Object} - { start, end, step } in seconds
+ * @throws {Error} - If the range is malformed or has too many points
+ */
+function resolveRange({ start, end, step }) {
+  const startTime = parseTime(start);
+  const endTime = parseTime(end);
+  if (!isFinite(startTime) || !isFinite(endTime)) {
+    throw createQueryError('start and end must be Unix timestamps or RFC 3339 times');
+  }
+  if (endTime <= startTime) {
+    throw createQueryError('end must be after start');
+  }
+  
+  const stepSeconds = step === undefined ? NaN : parseDuration(step);
+  if (!(stepSeconds > 0)) {
+    throw createQueryError('step must be a positive duration such as 60 or 5m');
+  }
+  
+  const range = {
+    start: Math.floor(startTime / stepSeconds) * stepSeconds,
+    end: Math.ceil(endTime / stepSeconds) * stepSeconds,
+    step: stepSeconds
+  };
+  if ((range.end - range.start) / stepSeconds + 1 > MAX_RANGE_POINTS) {
+    throw createQueryError(`The range has more than ${MAX_RANGE_POINTS} points; use a larger step`);
+  }
+  
+  return range;
+}
+
+/**
+ * Turn a range query result into series that can be charted directly
+ * @param {Object} result - Prometheus query_range response
+ * @param {Object} range - Aligned { start, end, step }
+ * @param {number} limit - Most series to return, if any
+ * @returns {Object} - { start, end, step, timestamps, series: [{ metric, values }], truncated }
+ */
+function normalizeRange(result, { start, end, step }, limit) {
+  const timestamps = Array.from({ length: Math.round((end - start) / step) + 1 }, (_, i) => start + i * step);
+  const matrix = result.data?.result || [];
+  
+  // Every series gets a value per timestamp, null where it has no sample
+  const series = matrix.slice(0, limit || matrix.length).map(({ metric, values }) => {
+    const aligned = new Array(timestamps.length).fill(null);
+    values.forEach(([timestamp, value]) => {
+      const index = Math.round((timestamp - start) / step);
+      const number = parseFloat(value);
+      if (index >= 0 && index < aligned.length && isFinite(number)) {
+        aligned[index] = number;
+      }
+    });
+    return { metric, values: aligned };
+  });
+  
+  return { start, end, step, timestamps, series, truncated: series.length < matrix.length };
+}
+
+/**
+ * Read the value of a query expected to return a single sample
+ * @param {Object} result - Prometheus query response
+ * @returns {number} - Value of the first sample, 0 if there is none or it is not a number
+ */
+function firstValue(result) {
+  const value = parseFloat(result?.data?.result?.[0]?.value?.[1]);
+  return isFinite(value) ? value : 0;
+}
+
 /**
  * Service for fetching and caching metrics
  */
 const metricsService = {
   /**
    * Get metrics from Prometheus with caching
+   * With start and end the query is a range query, which also needs a step.
+   * The query only reads the applications of the scope.
    * @param {string} query - Prometheus query
-   * @param {Object} timeRange - Time range object { start, end }
+   * @param {Object} timeRange - { time } for an instant query or { start, end, step } for a range, plus an optional timeout
    * @param {number} cacheTime - Cache TTL in seconds (default: 60 seconds)
-   * @returns {Promise<Object>} - Query result
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
+   * @returns {Promise<Object>} - Prometheus response
+   * @throws {Error} - With a 400 response if the time range is invalid or the query is
+   *   rejected by promqlGuard
    */
-  async getMetrics(query, timeRange = {}, cacheTime = 60) {
-    const cacheKey = `metrics:${query}:${JSON.stringify(timeRange)}`;
+  async getMetrics(query, timeRange = {}, cacheTime = 60, scope) {
+    const isRange = Boolean(timeRange.start && timeRange.end);
+    const timeout = resolveTimeout(timeRange.timeout);
+    const scopedQuery = tenantService.scopeQuery(query, scope);
+    
+    // Build parameters for Prometheus query; the scoped query keeps each
+    // organization's results apart in the cache
+    const params = { query: scopedQuery };
+    if (isRange) {
+      Object.assign(params, resolveRange(timeRange));
+    } else if (timeRange.time) {
+      params.time = parseTime(timeRange.time);
+    }
+    if (timeout) {
+      params.timeout = `${timeout}s`;
+    }
+    
+    const cacheKey = `metrics:${JSON.stringify(params)}`;
     
     try {
       // Try to get from cache first
@@ -50,22 +219,15 @@ const metricsService = {
         return cachedData;
       }
       
-      // Build parameters for Prometheus query
-      const params = { query };
-      
-      // Add time range if provided
-      if (timeRange.start) {
-        params.start = timeRange.start;
-      }
-      if (timeRange.end) {
-        params.end = timeRange.end;
-      }
-      
-      // If time range is provided, use query_range endpoint
-      const endpoint = (timeRange.start && timeRange.end) ? '/api/v1/query_range' : '/api/v1/query';
+      // Turn away malformed or expensive queries before Prometheus runs them
+      await promqlGuard.check(scopedQuery, isRange ? params : {});
       
-      // Fetch from Prometheus
-      const response = await axios.get(`${PROMETHEUS_URL}${endpoint}`, { params });
+      // Fetch from Prometheus, giving up shortly after Prometheus would
+      const endpoint = isRange ? '/api/v1/query_range' : '/api/v1/query';
+      const response = await axios.get(`${PROMETHEUS_URL}${endpoint}`, {
+        params,
+        timeout: ((timeout || MAX_QUERY_TIMEOUT) + 5) * 1000
+      });
       
       // Cache the result
       const result = response.data;
@@ -82,16 +244,41 @@ const metricsService = {
     }
   },
   
+  /**
+   * Run a range query and return its series in a form charts can use directly
+   * @param {string} query - Prometheus query
+   * @param {Object} options - { start, end, step, timeout, limit }, limit being the most series to return
+   * @param {number} cacheTime - Cache TTL in seconds (default: 60 seconds)
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
+   * @returns {Promise<Object>} - { start, end, step, timestamps, series: [{ metric, values }], truncated },
+   *   with start and end aligned to the step and one value (or null) per timestamp in each series
+   * @throws {Error} - With a 400 response if the range or limit is invalid
+   */
+  async queryRange(query, options = {}, cacheTime = 60, scope) {
+    const { limit, timeout } = options;
+    
+    const maxSeries = limit === undefined || limit === '' ? undefined : parseInt(limit);
+    if (maxSeries !== undefined && !(maxSeries > 0)) {
+      throw createQueryError('limit must be a positive number of series');
+    }
+    
+    const range = resolveRange(options);
+    const result = await this.getMetrics(query, { ...range, timeout }, cacheTime, scope);
+    
+    return normalizeRange(result, range, maxSeries);
+  },
+  
   /**
    * Get multiple metrics in parallel
    * @param {Array<Object>} queries - Array of query objects { name, query, timeRange, cacheTime }
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
    * @returns {Promise<Object>} - Object with results keyed by name
    */
-  async getMultipleMetrics(queries) {
+  async getMultipleMetrics(queries, scope) {
     try {
       const results = {};
       const promises = queries.map(async ({ name, query, timeRange, cacheTime }) => {
-        const result = await this.getMetrics(query, timeRange, cacheTime);
+        const result = await this.getMetrics(query, timeRange, cacheTime, scope);
         results[name] = result;
       });
       
@@ -109,9 +296,10 @@ const metricsService = {
   /**
    * Get transaction volume metrics
    * @param {string} period - Time period ('1h', '1d', '7d', '30d', etc.)
-   * @returns {Promise<Object>} - Transaction volume data
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
+   * @returns {Promise<Object>} - Transaction rate series, see queryRange
    */
-  async getTransactionVolume(period = '1d') {
+  async getTransactionVolume(period = '1d', scope) {
     // Calculate time range based on period
     const end = Math.floor(Date.now() / 1000);
     let start;
@@ -146,10 +334,11 @@ const metricsService = {
       const cacheTime = period === '1h' ? 60 : period === '1d' ? 300 : 1800;
       
       // Get transaction rate over time
-      const result = await this.getMetrics(
+      const result = await this.queryRange(
         'rate(certihash_transactions_total[5m])',
         timeRange,
-        cacheTime
+        cacheTime,
+        scope
       );
       
       return result;
@@ -164,11 +353,14 @@ const metricsService = {
   
   /**
    * Get current TPS (Transactions Per Second)
+   * Computed from the per-application counter, since certihash_tps covers
+   * every organization's transactions
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
    * @returns {Promise<number>} - Current TPS
    */
-  async getCurrentTPS() {
+  async getCurrentTPS(scope) {
     try {
-      const result = await this.getMetrics('certihash_tps', {}, 15); // Cache for 15 seconds
+      const result = await this.getMetrics('sum(rate(certihash_transactions_total[1m]))', {}, 15, scope); // Cache for 15 seconds
       
       if (result.data?.result && result.data.result.length > 0) {
         const value = parseFloat(result.data.result[0].value[1]);
@@ -185,25 +377,67 @@ const metricsService = {
   },
   
   /**
-   * Get transaction metrics by application
+   * Get transaction metrics by application, including outcomes and error rates
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
    * @returns {Promise<Array>} - App metrics
    */
-  async getAppMetrics() {
+  async getAppMetrics(scope) {
     try {
-      const result = await this.getMetrics(
-        'sum by(app_id) (certihash_transactions_total)',
-        {},
-        300 // Cache for 5 minutes
-      );
+      const results = await this.getMultipleMetrics([
+        {
+          name: 'outcomes',
+          query: 'sum by(app_id, outcome) (certihash_transactions_total)',
+          cacheTime: 300 // Cache for 5 minutes
+        },
+        {
+          name: 'failures',
+          query: 'sum by(app_id, reason) (certihash_tx_failures_total)',
+          cacheTime: 300
+        },
+        {
+          name: 'processingTime',
+          query: 'histogram_quantile(0.95, sum by(app_id, le) (rate(certihash_tx_processing_time_bucket[5m])))',
+          cacheTime: 60
+        }
+      ], scope);
       
-      if (result.data?.result) {
-        return result.data.result.map(item => ({
-          appId: item.metric.app_id,
-          transactions: parseFloat(item.value[1]),
-        }));
-      }
+      const apps = {};
+      const getApp = (appId) => {
+        if (!apps[appId]) {
+          apps[appId] = {
+            appId,
+            transactions: 0,
+            outcomes: {},
+            failureReasons: {},
+            errorRate: 0,
+            processingTimeP95: null
+          };
+        }
+        return apps[appId];
+      };
       
-      return [];
+      (results.outcomes.data?.result || []).forEach(item => {
+        const app = getApp(item.metric.app_id);
+        const count = parseFloat(item.value[1]);
+        app.transactions += count;
+        app.outcomes[item.metric.outcome || 'accepted'] = count;
+      });
+      
+      (results.failures.data?.result || []).forEach(item => {
+        getApp(item.metric.app_id).failureReasons[item.metric.reason] = parseFloat(item.value[1]);
+      });
+      
+      (results.processingTime.data?.result || []).forEach(item => {
+        const value = parseFloat(item.value[1]);
+        getApp(item.metric.app_id).processingTimeP95 = isNaN(value) ? null : value;
+      });
+      
+      return Object.values(apps).map(app => ({
+        ...app,
+        errorRate: app.transactions > 0
+          ? (app.transactions - (app.outcomes.accepted || 0)) / app.transactions
+          : 0
+      }));
     } catch (error) {
       logger.error(`Error getting app metrics: ${error.message}`, { 
         stack: error.stack
@@ -212,11 +446,151 @@ const metricsService = {
     }
   },
   
+  /**
+   * Get indexed transactions for an application
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { page, limit, from, to }
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
+   * @returns {Promise<Object>} - { totalTransactions, averageTps, recentTransactions, page, limit, totalPages }
+   * @throws {Error} - With a 404 response if the application is outside the scope
+   */
+  async getAppTransactions(appId, options = {}, scope) {
+    // Other organizations' applications are reported as unknown, not forbidden
+    if (!tenantService.includesApp(scope, appId)) {
+      const error = new Error(`Application ${appId} not found`);
+      error.response = { status: 404, data: { error: error.message } };
+      throw error;
+    }
+    
+    try {
+      const response = await axios.get(
+        `${METRICS_SERVICE_URL}/apps/${encodeURIComponent(appId)}/transactions`,
+        {
+          params: options,
+          headers: { Authorization: `Bearer ${process.env.INTERNAL_SERVICE_TOKEN}` }
+        }
+      );
+      
+      return response.data;
+    } catch (error) {
+      logger.error(`Error getting app transactions: ${error.message}`, { 
+        stack: error.stack,
+        appId
+      });
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the 95th percentile processing time over a period
+   * @param {string} period - Time period ('1h', '6h' or '1d')
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
+   * @returns {Promise<Array<Object>>} - [{ timestamp, value }] with timestamps in Unix seconds
+   */
+  async getLatencyHistory(period = '1h', scope) {
+    const periods = {
+      '1h': { seconds: 3600, step: 60 },
+      '6h': { seconds: 21600, step: 300 },
+      '1d': { seconds: 86400, step: 900 }
+    };
+    const { seconds, step } = periods[period] || periods['1h'];
+    const end = Math.floor(Date.now() / 1000);
+    
+    try {
+      const result = await this.queryRange(
+        'histogram_quantile(0.95, sum(rate(certihash_tx_processing_time_bucket[5m])) by (le))',
+        { start: end - seconds, end, step },
+        60,
+        scope
+      );
+      
+      return result.timestamps.map((timestamp, index) => ({
+        timestamp,
+        value: result.series[0]?.values[index] ?? null
+      }));
+    } catch (error) {
+      logger.error(`Error getting latency history: ${error.message}`, { 
+        stack: error.stack,
+        period
+      });
+      throw error;
+    }
+  },
+  
+  /**
+   * Get the slowest transactions in a time range from processing time exemplars
+   * Every histogram bucket keeps the txid and trace ID of a recent observation,
+   * so these are the slowest transactions Prometheus scraped, not every one
+   * @param {Object} options - { start, end, limit, appId } with start and end in Unix seconds
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
+   * @returns {Promise<Array<Object>>} - [{ txid, traceId, appId, network, latency, timestamp }], slowest first
+   * @throws {Error} - With a 400 response if appId is not a string or the range ends before the lookback limit
+   */
+  async getSlowestTransactions({ start, end, limit = 10, appId } = {}, scope) {
+    if (appId !== undefined && typeof appId !== 'string') {
+      throw createQueryError('app_id must be a single application ID');
+    }
+    
+    // Exemplar queries bypass promqlGuard, so hold them to the same lookback
+    const earliest = Math.floor(Date.now() / 1000) - promqlGuard.MAX_LOOKBACK;
+    if (end <= earliest) {
+      throw createQueryError(`The range must end within the last ${promqlGuard.MAX_LOOKBACK}s`);
+    }
+    const from = Math.max(start, earliest);
+    
+    const selector = appId ? `{app_id="${appId.replace(/["\\]/g, '\\$&')}"}` : '';
+    const query = tenantService.scopeQuery(`certihash_tx_processing_time_bucket${selector}`, scope);
+    const cacheKey = `exemplars:${query}:${from}:${end}`;
+    
+    try {
+      let exemplars = await cacheService.get(cacheKey);
+      if (!exemplars) {
+        const response = await axios.get(`${PROMETHEUS_URL}/api/v1/query_exemplars`, {
+          params: { query, start: from, end }
+        });
+        exemplars = response.data.data || [];
+        await cacheService.set(cacheKey, exemplars, 30);
+      }
+      
+      // A retried transaction can have several exemplars; keep its slowest attempt
+      const transactions = new Map();
+      exemplars.forEach(({ seriesLabels, exemplars: items }) => {
+        items.forEach(({ labels, value, timestamp }) => {
+          const latency = parseFloat(value);
+          const known = transactions.get(labels.txid);
+          if (labels.txid && (!known || latency > known.latency)) {
+            transactions.set(labels.txid, {
+              txid: labels.txid,
+              traceId: labels.trace_id || null,
+              appId: seriesLabels.app_id,
+              network: seriesLabels.network,
+              latency,
+              timestamp
+            });
+          }
+        });
+      });
+      
+      return Array.from(transactions.values())
+        .sort((a, b) => b.latency - a.latency)
+        .slice(0, limit);
+    } catch (error) {
+      logger.error(`Error getting slowest transactions: ${error.message}`, { 
+        stack: error.stack,
+        start,
+        end,
+        appId
+      });
+      throw error;
+    }
+  },
+  
   /**
    * Get processing time percentiles
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
    * @returns {Promise<Object>} - Processing time percentiles
    */
-  async getProcessingTimePercentiles() {
+  async getProcessingTimePercentiles(scope) {
     try {
       const queries = [
         { 
@@ -236,7 +610,7 @@ const metricsService = {
         }
       ];
       
-      const results = await this.getMultipleMetrics(queries);
+      const results = await this.getMultipleMetrics(queries, scope);
       
       const percentiles = {};
       
@@ -259,19 +633,20 @@ const metricsService = {
   
   /**
    * Get dashboard metrics for home page
+   * @param {Object|null} scope - Tenant scope from tenantService.getScope()
    * @returns {Promise<Object>} - Dashboard metrics
    */
-  async getDashboardMetrics() {
+  async getDashboardMetrics(scope) {
     try {
       const queries = [
         { 
           name: 'totalTransactions', 
-          query: 'certihash_transactions_total',
+          query: 'sum(certihash_transactions_total)',
           cacheTime: 300
         },
         { 
           name: 'currentTPS', 
-          query: 'certihash_tps',
+          query: 'sum(rate(certihash_transactions_total[1m]))',
           cacheTime: 15
         },
         { 
@@ -281,30 +656,14 @@ const metricsService = {
         }
       ];
       
-      const results = await this.getMultipleMetrics(queries);
+      const results = await this.getMultipleMetrics(queries, scope);
       
-      const metrics = {
-        totalTransactions: 0,
-        currentTPS: 0,
-        processingTime: 0
+      // Sums over no series, e.g. before an organization's first transaction, return no samples
+      return {
+        totalTransactions: firstValue(results.totalTransactions),
+        currentTPS: firstValue(results.currentTPS),
+        processingTime: firstValue(results.processingTime)
       };
-      
-      // Parse total transactions
-      if (results.totalTransactions?.data?.result && results.totalTransactions.data.result.length > 0) {
-        metrics.totalTransactions = parseFloat(results.totalTransactions.data.result[0].value[1]);
-      }
-      
-      // Parse current TPS
-      if (results.currentTPS?.data?.result && results.currentTPS.data.result.length > 0) {
-        metrics.currentTPS = parseFloat(results.currentTPS.data.result[0].value[1]);
-      }
-      
-      // Parse processing time
-      if (results.processingTime?.data?.result && results.processingTime.data.result.length > 0) {
-        metrics.processingTime = parseFloat(results.processingTime.data.result[0].value[1]);
-      }
-      
-      return metrics;
     } catch (error) {
       logger.error(`Error getting dashboard metrics: ${error.message}`, { 
         stack: error.stack
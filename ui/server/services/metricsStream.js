@@ -0,0 +1,108 @@
+const { createLogger, format, transports } = require('winston');
+
+// Configure logger
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'metrics-stream' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/metrics-stream-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/metrics-stream-combined.log' })
+  ]
+});
+
+// Topics being evaluated, by key
+const topics = new Map();
+
+/**
+ * Evaluate a topic and send the result to its listeners
+ * A tick that comes while the previous evaluation is still running is skipped.
+ * @param {Object} topic - Topic to evaluate
+ */
+async function evaluate(topic) {
+  if (topic.running) {
+    return;
+  }
+  
+  topic.running = true;
+  try {
+    topic.last = { data: await topic.fetch(), timestamp: Date.now() };
+  } catch (error) {
+    logger.warn(`Error evaluating ${topic.key}: ${error.message}`);
+    topic.last = { error: error.response?.data?.error || error.message, timestamp: Date.now() };
+  } finally {
+    topic.running = false;
+  }
+  
+  topic.listeners.forEach(listener => listener(topic.last));
+}
+
+/**
+ * Hub evaluating each distinct subscription once per interval
+ * However many clients subscribe to a topic, it is fetched once per interval
+ * and every listener gets the same result.
+ */
+const metricsStream = {
+  /**
+   * Subscribe to a topic, starting its evaluation if it is new
+   * @param {string} key - Topic key; subscriptions with the same key share evaluations
+   * @param {Object} options - { interval, fetch }, interval in seconds and fetch returning the topic's data
+   * @param {Function} listener - Called with { data, timestamp } or { error, timestamp }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(key, { interval, fetch }, listener) {
+    let topic = topics.get(key);
+    
+    if (!topic) {
+      topic = { key, fetch, listeners: new Set(), last: null, running: false };
+      topic.timer = setInterval(() => evaluate(topic), interval * 1000);
+      topics.set(key, topic);
+      
+      logger.debug(`Started topic ${key} every ${interval}s`);
+      evaluate(topic);
+    } else if (topic.last) {
+      // Late subscribers get the latest result instead of waiting a full interval
+      listener(topic.last);
+    }
+    
+    topic.listeners.add(listener);
+    
+    return () => {
+      topic.listeners.delete(listener);
+      
+      if (topic.listeners.size === 0 && topics.get(key) === topic) {
+        clearInterval(topic.timer);
+        topics.delete(key);
+        logger.debug(`Stopped topic ${key}`);
+      }
+    };
+  },
+  
+  /**
+   * Get hub statistics
+   * @returns {Object} - { topics, subscribers }
+   */
+  getStats() {
+    let subscribers = 0;
+    topics.forEach(topic => {
+      subscribers += topic.listeners.size;
+    });
+    
+    return { topics: topics.size, subscribers };
+  }
+};
+
+module.exports = metricsStream;
\ No newline at end of file
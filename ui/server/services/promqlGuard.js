@@ -0,0 +1,453 @@
+const axios = require('axios');
+const cacheService = require('./cacheService');
+const { createLogger, format, transports } = require('winston');
+
+// Configure logger
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'promql-guard' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/promql-guard-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/promql-guard-combined.log' })
+  ]
+});
+
+// Prometheus URL
+const PROMETHEUS_URL = process.env.PROMETHEUS_URL || 'http://prometheus:9090';
+
+// Units accepted in PromQL durations, in seconds
+const DURATION_UNITS = { ms: 0.001, s: 1, m: 60, h: 3600, d: 86400, w: 604800, y: 31536000 };
+
+// Tokens of a PromQL expression, tried in order
+const TOKEN_PATTERNS = [
+  ['space', /^\s+/],
+  ['comment', /^#[^\n]*/],
+  ['string', /^("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`[^`]*`)/],
+  ['duration', /^(\d+(ms|[smhdwy]))+(?![\w.])/],
+  ['number', /^(0x[0-9a-f]+|(\d+\.?\d*|\.\d+)(e[+-]?\d+)?)(?![\w:.])/i],
+  ['identifier', /^[a-zA-Z_][\w:]*/],
+  ['operator', /^(==|!=|=~|!~|<=|>=|[-+*/%^<>=,()[\]{}@:])/]
+];
+
+// Keywords that take a list of label names in brackets
+const GROUPING_KEYWORDS = new Set(['by', 'without', 'on', 'ignoring', 'group_left', 'group_right']);
+
+// Other words that look like metric names but are not. Aggregations are
+// listed, since "sum by (le) (...)" doesn't put a bracket after them
+const KEYWORDS = new Set([
+  'and', 'or', 'unless', 'atan2', 'bool', 'offset', 'inf', 'nan',
+  'sum', 'min', 'max', 'avg', 'group', 'stddev', 'stdvar', 'count',
+  'count_values', 'bottomk', 'topk', 'quantile', 'limitk', 'limit_ratio'
+]);
+
+// Label matcher operators
+const MATCH_OPERATORS = new Set(['=', '!=', '=~', '!~']);
+
+/**
+ * Read a limit from the environment
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when unset or malformed
+ * @returns {number} - Limit
+ */
+function envLimit(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return value > 0 ? value : defaultValue;
+}
+
+// Furthest back a query may read: range selectors, offsets and subqueries together
+const MAX_LOOKBACK = envLimit('PROMQL_MAX_LOOKBACK_SECONDS', 7 * 86400);
+
+// Most points a range query or subquery may evaluate, i.e. its range divided by its step
+const MAX_POINTS = envLimit('PROMQL_MAX_POINTS', 11000);
+
+// Most series a query may select, as estimated before it runs
+const MAX_SERIES = envLimit('PROMQL_MAX_SERIES', 10000);
+
+// Subqueries without a step use Prometheus' evaluation interval
+const DEFAULT_SUBQUERY_STEP = 15;
+
+/**
+ * Create an error for a rejected query, reported by the routes with its status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status (default: 400)
+ * @returns {Error} - Error with a response
+ */
+function createGuardError(message, status = 400) {
+  const error = new Error(message);
+  error.response = { status, data: { error: message } };
+  return error;
+}
+
+/**
+ * Convert a PromQL duration to seconds
+ * @param {string} text - e.g. "5m" or "1h30m"
+ * @returns {number} - Seconds
+ */
+function durationSeconds(text) {
+  return text.match(/\d+(ms|[smhdwy])/g).reduce((total, part) => {
+    const [, amount, unit] = part.match(/(\d+)(\w+)/);
+    return total + parseInt(amount) * DURATION_UNITS[unit];
+  }, 0);
+}
+
+/**
+ * Split a PromQL expression into tokens
+ * @param {string} query - PromQL expression
+ * @returns {Array} - [{ type, value, start, end }], without spaces and comments
+ * @throws {Error} - With a 400 response on a character that can't start a token
+ */
+function tokenize(query) {
+  const tokens = [];
+  let position = 0;
+  
+  while (position < query.length) {
+    const rest = query.slice(position);
+    const pattern = TOKEN_PATTERNS.find(([, regex]) => regex.test(rest));
+    if (!pattern) {
+      throw createGuardError(`Unexpected character "${rest[0]}" at position ${position}`);
+    }
+    
+    const [type, regex] = pattern;
+    const value = rest.match(regex)[0];
+    if (type !== 'space' && type !== 'comment') {
+      tokens.push({ type, value, start: position, end: position + value.length });
+    }
+    position += value.length;
+  }
+  
+  return tokens;
+}
+
+/**
+ * Read the value of a string token
+ * @param {string} text - Quoted string
+ * @returns {string} - Unquoted value
+ */
+function unquote(text) {
+  if (text[0] === '"') {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Go escapes JSON doesn't know; the raw text is close enough
+    }
+  }
+  return text.slice(1, -1);
+}
+
+/**
+ * Parse the label matchers of a selector
+ * @param {Array} tokens - Expression tokens
+ * @param {number} index - Index of the opening brace
+ * @returns {Object} - { matchers: [{ label, operator, value }], end } with end the index of the closing brace
+ * @throws {Error} - With a 400 response if the matchers are malformed
+ */
+function parseMatchers(tokens, index) {
+  const matchers = [];
+  let i = index + 1;
+  
+  while (tokens[i]?.value !== '}') {
+    const [label, operator, value] = [tokens[i], tokens[i + 1], tokens[i + 2]];
+    if (label?.type !== 'identifier' || !MATCH_OPERATORS.has(operator?.value) || value?.type !== 'string') {
+      throw createGuardError(`Malformed label matcher at position ${(label || tokens[index]).start}`);
+    }
+    
+    matchers.push({ label: label.value, operator: operator.value, value: unquote(value.value) });
+    i += 3;
+    
+    if (tokens[i]?.value === ',') {
+      i++;
+    } else if (tokens[i]?.value !== '}') {
+      throw createGuardError(`Expected "," or "}" at position ${tokens[i]?.start ?? tokens[index].start}`);
+    }
+  }
+  
+  return { matchers, end: i };
+}
+
+/**
+ * Service checking PromQL before it reaches Prometheus
+ * Queries typed by users or written by the AI assistant are parsed, held to
+ * metric namespaces and lookback and resolution limits, and have the series
+ * they select counted, so a single query can't overload Prometheus.
+ */
+const promqlGuard = {
+  // Furthest back a query may read, in seconds, for callers building their own time ranges
+  MAX_LOOKBACK,
+  
+  /**
+   * Parse a PromQL expression into what determines its cost
+   * @param {string} query - PromQL expression
+   * @returns {Object} - { selectors: [{ metric, matchers, text, start, end, range }], subqueries: [{ range, step }], offsets, lookback },
+   *   durations in seconds and start and end the selector's position in the query. metric is null when a
+   *   selector matches names by regex.
+   * @throws {Error} - With a 400 response if the expression is malformed
+   */
+  parse(query) {
+    const tokens = tokenize(query);
+    const selectors = [];
+    const subqueries = [];
+    const offsets = [];
+    const brackets = [];
+    
+    if (tokens.length === 0) {
+      throw createGuardError('Query is empty');
+    }
+    
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const next = tokens[i + 1];
+      
+      if (token.type === 'identifier') {
+        const word = token.value.toLowerCase();
+        
+        // Label lists, e.g. "by (app_id, le)"
+        if (GROUPING_KEYWORDS.has(word)) {
+          if (next?.value === '(') {
+            i += 2;
+            while (tokens[i]?.type === 'identifier' || tokens[i]?.value === ',') {
+              i++;
+            }
+            if (tokens[i]?.value !== ')') {
+              throw createGuardError(`Malformed label list after "${token.value}"`);
+            }
+          }
+          continue;
+        }
+        
+        if (word === 'offset') {
+          const negative = next?.value === '-';
+          const duration = tokens[i + (negative ? 2 : 1)];
+          if (duration?.type !== 'duration') {
+            throw createGuardError(`Expected a duration after "offset" at position ${token.start}`);
+          }
+          offsets.push(negative ? 0 : durationSeconds(duration.value));
+          i += negative ? 2 : 1;
+          continue;
+        }
+        
+        // Functions and aggregations; their brackets are checked below
+        if (KEYWORDS.has(word) || next?.value === '(') {
+          continue;
+        }
+        
+        const selector = { metric: token.value, matchers: [], start: token.start, end: token.end, range: null };
+        if (next?.value === '{') {
+          const { matchers, end } = parseMatchers(tokens, i + 1);
+          selector.matchers = matchers;
+          selector.end = tokens[end].end;
+          i = end;
+        }
+        selectors.push(selector);
+        continue;
+      }
+      
+      switch (token.value) {
+        case '{': {
+          // Selector by labels only, e.g. {__name__=~"certihash_.*"}
+          const { matchers, end } = parseMatchers(tokens, i);
+          const name = matchers.find(m => m.label === '__name__' && m.operator === '=');
+          selectors.push({ metric: name ? name.value : null, matchers, start: token.start, end: tokens[end].end, range: null });
+          i = end;
+          break;
+        }
+        
+        case '[': {
+          // Range selector "[5m]" or subquery "[1h:1m]"
+          const range = tokens[i + 1];
+          if (range?.type !== 'duration') {
+            throw createGuardError(`Expected a duration at position ${token.start}`);
+          }
+          
+          if (tokens[i + 2]?.value === ':') {
+            const step = tokens[i + 3]?.type === 'duration' ? tokens[i + 3] : null;
+            const close = i + (step ? 4 : 3);
+            if (tokens[close]?.value !== ']') {
+              throw createGuardError(`Expected "]" at position ${token.start}`);
+            }
+            subqueries.push({
+              range: durationSeconds(range.value),
+              step: step ? durationSeconds(step.value) : DEFAULT_SUBQUERY_STEP
+            });
+            i = close;
+          } else {
+            const selector = selectors[selectors.length - 1];
+            if (tokens[i + 2]?.value !== ']') {
+              throw createGuardError(`Expected "]" at position ${token.start}`);
+            }
+            if (!selector || selector.end !== tokens[i - 1].end) {
+              throw createGuardError(`Range at position ${token.start} must follow a metric selector`);
+            }
+            selector.range = durationSeconds(range.value);
+            i += 2;
+          }
+          break;
+        }
+        
+        case '(':
+          brackets.push(token);
+          break;
+        
+        case ')':
+          if (!brackets.pop()) {
+            throw createGuardError(`Unexpected ")" at position ${token.start}`);
+          }
+          break;
+        
+        case '}':
+        case ']':
+          throw createGuardError(`Unexpected "${token.value}" at position ${token.start}`);
+        
+        default:
+          break;
+      }
+    }
+    
+    if (brackets.length > 0) {
+      throw createGuardError(`Unclosed "(" at position ${brackets[brackets.length - 1].start}`);
+    }
+    
+    // Every selector is charged the widest range and offset, and subqueries
+    // push the window back further since they may nest
+    const lookback = Math.max(0, ...selectors.map(s => s.range || 0)) +
+      Math.max(0, ...offsets) +
+      subqueries.reduce((total, subquery) => total + subquery.range, 0);
+    
+    return {
+      selectors: selectors.map(selector => ({ ...selector, text: query.slice(selector.start, selector.end) })),
+      subqueries,
+      offsets,
+      lookback
+    };
+  },
+  
+  /**
+   * Add a label matcher to every selector of a query
+   * The matcher goes first in the braces, so it holds whatever else the
+   * selector matches, and before any range, offset or "@" that follows.
+   * @param {string} query - PromQL expression
+   * @param {string} matcher - Matcher text, e.g. 'app_id=~"a|b"'
+   * @param {Function} skip - Called with each selector from parse(); selectors it returns true for are left alone
+   * @returns {string} - The query with the matcher added
+   * @throws {Error} - With a 400 response if the expression is malformed
+   */
+  addMatcher(query, matcher, skip = () => false) {
+    const { selectors } = this.parse(String(query));
+    
+    // From the last selector back, so earlier positions stay valid
+    return selectors.reverse().reduce((scoped, selector) => {
+      if (skip(selector)) {
+        return scoped;
+      }
+      
+      const open = selector.text.indexOf('{');
+      const text = open === -1
+        ? `${selector.text}{${matcher}}`
+        : `${selector.text.slice(0, open + 1)}${matcher}${selector.matchers.length > 0 ? ', ' : ''}${selector.text.slice(open + 1)}`;
+      
+      return scoped.slice(0, selector.start) + text + scoped.slice(selector.end);
+    }, String(query));
+  },
+  
+  /**
+   * Find the metrics a query selects outside the allowed namespaces
+   * @param {Array} selectors - Selectors from parse()
+   * @param {Array} prefixes - Allowed metric name prefixes, '*' for all metrics
+   * @returns {Array} - Metric names, or selector text where the name is a regex
+   */
+  findDisallowed(selectors, prefixes) {
+    if (prefixes.includes('*')) {
+      return [];
+    }
+    
+    return [...new Set(selectors
+      .filter(({ metric }) => !metric || !prefixes.some(prefix => metric.startsWith(prefix)))
+      .map(({ metric, text }) => metric || text))];
+  },
+  
+  /**
+   * Count the series a query's selectors match right now
+   * Each selector is counted with count(), cached for a minute
+   * @param {Array} selectors - Selectors from parse()
+   * @returns {Promise<number>} - Estimated number of series
+   */
+  async estimateSeries(selectors) {
+    const texts = [...new Set(selectors.map(selector => selector.text))];
+    
+    const counts = await Promise.all(texts.map(async (text) => {
+      const cacheKey = `promql:series:${text}`;
+      const cached = await cacheService.get(cacheKey);
+      if (cached !== null && cached !== undefined) {
+        return cached;
+      }
+      
+      const response = await axios.get(`${PROMETHEUS_URL}/api/v1/query`, {
+        params: { query: `count(${text})`, timeout: '10s' },
+        timeout: 15000
+      });
+      
+      const count = parseFloat(response.data.data?.result?.[0]?.value?.[1]) || 0;
+      await cacheService.set(cacheKey, count, 60);
+      return count;
+    }));
+    
+    return counts.reduce((total, count) => total + count, 0);
+  },
+  
+  /**
+   * Check a query before running it
+   * @param {string} query - PromQL expression
+   * @param {Object} options - { prefixes, start, end, step }; prefixes limits the metric
+   *   namespaces, start, end and step (in seconds) describe a range query
+   * @returns {Promise<Object>} - The parsed query plus its estimated series
+   * @throws {Error} - With a 403 response for metrics outside the namespaces, or a 400
+   *   response if the query is malformed or over a limit
+   */
+  async check(query, options = {}) {
+    const { prefixes, start, end, step } = options;
+    const analysis = this.parse(String(query));
+    
+    if (prefixes) {
+      const disallowed = this.findDisallowed(analysis.selectors, prefixes);
+      if (disallowed.length > 0) {
+        throw createGuardError(`Metrics outside the allowed namespaces: ${disallowed.join(', ')}`, 403);
+      }
+    }
+    
+    if (analysis.lookback > MAX_LOOKBACK) {
+      throw createGuardError(`The query looks back ${analysis.lookback}s; the limit is ${MAX_LOOKBACK}s`);
+    }
+    
+    const subquery = analysis.subqueries.find(({ range, step }) => range / step > MAX_POINTS);
+    if (subquery) {
+      throw createGuardError(`A subquery evaluates more than ${MAX_POINTS} points; use a larger step`);
+    }
+    
+    if (step && (end - start) / step + 1 > MAX_POINTS) {
+      throw createGuardError(`The range has more than ${MAX_POINTS} points; use a larger step`);
+    }
+    
+    const series = await this.estimateSeries(analysis.selectors);
+    if (series > MAX_SERIES) {
+      logger.warn('Query rejected for cardinality', { query, series, limit: MAX_SERIES });
+      throw createGuardError(`The query selects about ${series} series; the limit is ${MAX_SERIES}`);
+    }
+    
+    return { ...analysis, series };
+  }
+};
+
+module.exports = promqlGuard;
\ No newline at end of file
@@ -0,0 +1,209 @@
+const cacheService = require('./cacheService');
+const promqlGuard = require('./promqlGuard');
+const { authClient } = require('../auth');
+const { createLogger, format, transports } = require('winston');
+
+// Configure logger
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: format.combine(
+    format.timestamp({
+      format: 'YYYY-MM-DD HH:mm:ss'
+    }),
+    format.errors({ stack: true }),
+    format.splat(),
+    format.json()
+  ),
+  defaultMeta: { service: 'tenant-service' },
+  transports: [
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    }),
+    new transports.File({ filename: 'logs/tenant-error.log', level: 'error' }),
+    new transports.File({ filename: 'logs/tenant-combined.log' })
+  ]
+});
+
+// Roles operating the platform, who see every organization's metrics
+const UNSCOPED_ROLES = ['admin', 'superadmin'];
+
+// Metrics without per-application data, which every organization may read:
+// public blockchain data and the services' own runtime metrics
+const SHARED_METRIC_PREFIXES = ['certihash_network_', 'process_', 'nodejs_'];
+
+// How long organization application lists and user lookups are cached, in seconds
+const LOOKUP_CACHE_TIME = 60;
+
+// Matches no series at all, for organizations without applications
+const NO_APPS_MATCHER = 'app_id=~".+", app_id!~".+"';
+
+/**
+ * Create an error reported by the routes with its status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with a response
+ */
+function createTenantError(message, status) {
+  const error = new Error(message);
+  error.response = { status, data: { error: message } };
+  return error;
+}
+
+/**
+ * Escape a value for use in a Prometheus (RE2) regex
+ * @param {string} value - Literal value
+ * @returns {string} - Escaped value
+ */
+function escapeRegex(value) {
+  return value.replace(/[\\^$.|?*+()[\]{}]/g, '\\$&');
+}
+
+/**
+ * Build the matcher restricting a query to some applications
+ * @param {Array<string>} appIds - Application IDs
+ * @returns {string} - Label matcher text
+ */
+function appMatcher(appIds) {
+  if (appIds.length === 0) {
+    return NO_APPS_MATCHER;
+  }
+  
+  return `app_id=~${JSON.stringify(appIds.map(escapeRegex).join('|'))}`;
+}
+
+/**
+ * Service keeping each organization to its own applications' metrics
+ * A scope is { organization, appIds } for users seeing one organization, or
+ * null for platform operators seeing all of them. Metrics queries take the
+ * scope explicitly, so forgetting one fails instead of returning every
+ * organization's data.
+ */
+const tenantService = {
+  /**
+   * Check whether a user sees every organization's metrics
+   * @param {Object} user - Authenticated user ({ role, organization })
+   * @returns {boolean} - True for platform operators
+   */
+  isUnscoped(user) {
+    return UNSCOPED_ROLES.includes(user?.role);
+  },
+  
+  /**
+   * Get the applications an organization owns, cached briefly
+   * @param {string} organization - Organization ID
+   * @returns {Promise<Array<string>>} - Application IDs
+   * @throws {Error} - With a 503 response if the auth service can't be asked
+   */
+  async getAppIds(organization) {
+    const cacheKey = `tenant:apps:${organization}`;
+    
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    
+    let appIds;
+    try {
+      appIds = await authClient.getOrganizationApps(organization);
+    } catch (error) {
+      logger.error(`Error listing apps of ${organization}: ${error.message}`);
+      throw createTenantError('Failed to resolve the applications of your organization', 503);
+    }
+    
+    await cacheService.set(cacheKey, appIds, LOOKUP_CACHE_TIME);
+    return appIds;
+  },
+  
+  /**
+   * Find an active user by email, cached briefly
+   * @param {string} email - User email
+   * @returns {Promise<Object|null>} - { id, email, role, organization }, or null if unknown or unreachable
+   */
+  async findUser(email) {
+    const cacheKey = `tenant:user:${email}`;
+    
+    const cached = await cacheService.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+    
+    try {
+      const user = await authClient.lookupUser(email);
+      await cacheService.set(cacheKey, user, LOOKUP_CACHE_TIME);
+      return user;
+    } catch (error) {
+      logger.warn(`Could not look up user ${email}: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Get the scope a user's metrics queries run in
+   * @param {Object} user - Authenticated user ({ role, organization })
+   * @returns {Promise<Object|null>} - { organization, appIds }, or null for platform operators
+   * @throws {Error} - With a 403 response if the user has no organization
+   */
+  async getScope(user) {
+    if (this.isUnscoped(user)) {
+      return null;
+    }
+    
+    if (!user?.organization) {
+      throw createTenantError('Your account does not belong to an organization', 403);
+    }
+    
+    return await this.getOrganizationScope(user.organization);
+  },
+  
+  /**
+   * Get the scope of an organization, for work shared by its users
+   * @param {string} organization - Organization ID
+   * @returns {Promise<Object>} - { organization, appIds }
+   * @throws {Error} - With a 503 response if the auth service can't be asked
+   */
+  async getOrganizationScope(organization) {
+    return {
+      organization,
+      appIds: await this.getAppIds(organization)
+    };
+  },
+  
+  /**
+   * Restrict a query to the applications of a scope
+   * Every selector gets an app_id matcher, except those of shared metrics
+   * @param {string} query - PromQL expression
+   * @param {Object|null} scope - Scope from getScope()
+   * @returns {string} - Scoped query; the query itself for a null scope
+   * @throws {Error} - If no scope is given, or with a 400 response if the query is malformed
+   */
+  scopeQuery(query, scope) {
+    if (scope === undefined) {
+      throw new Error('Metrics queries need a tenant scope');
+    }
+    if (scope === null) {
+      return query;
+    }
+    
+    return promqlGuard.addMatcher(query, appMatcher(scope.appIds), ({ metric }) =>
+      Boolean(metric) && SHARED_METRIC_PREFIXES.some(prefix => metric.startsWith(prefix)));
+  },
+  
+  /**
+   * Check whether an application is within a scope
+   * @param {Object|null} scope - Scope from getScope()
+   * @param {string} appId - Application ID
+   * @returns {boolean} - True if the scope may see the application
+   */
+  includesApp(scope, appId) {
+    if (scope === undefined) {
+      throw new Error('Metrics queries need a tenant scope');
+    }
+    
+    return scope === null || scope.appIds.includes(appId);
+  }
+};
+
+module.exports = tenantService;
\ No newline at end of file
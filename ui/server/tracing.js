@@ -0,0 +1,46 @@
+const dotenv = require('dotenv');
+const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+const { MongoDBInstrumentation } = require('@opentelemetry/instrumentation-mongodb');
+const { IORedisInstrumentation } = require('@opentelemetry/instrumentation-ioredis');
+const { RedisInstrumentation } = require('@opentelemetry/instrumentation-redis');
+const { WinstonInstrumentation } = require('@opentelemetry/instrumentation-winston');
+
+// OTEL_* settings may come from .env, which index.js has not loaded yet
+dotenv.config();
+
+/**
+ * OpenTelemetry tracing for the UI backend
+ * Loaded before any other module so Express, HTTP, MongoDB and Redis are
+ * instrumented. Outgoing calls to LiteLLM, Prometheus, MCP-Grafana,
+ * auth-service and the metrics service carry the W3C traceparent header, so
+ * a question asked in the UI can be followed through every service it
+ * touches. Log records get trace_id and span_id fields.
+ *
+ * Spans are exported over OTLP to OTEL_EXPORTER_OTLP_ENDPOINT;
+ * OTEL_SDK_DISABLED=true turns tracing off.
+ */
+const sdk = new NodeSDK({
+  serviceName: process.env.OTEL_SERVICE_NAME || 'certihash-ui-backend',
+  traceExporter: new OTLPTraceExporter(),
+  // Traces only; metrics come from Prometheus and logs stay with winston
+  metricReaders: [],
+  logRecordProcessors: [],
+  instrumentations: [
+    new HttpInstrumentation({
+      ignoreIncomingRequestHook: (req) => req.url === '/api/health'
+    }),
+    new ExpressInstrumentation(),
+    new MongoDBInstrumentation(),
+    new IORedisInstrumentation(),
+    new RedisInstrumentation(),
+    // Correlate logs with traces only; logs are not shipped over OTLP
+    new WinstonInstrumentation({ disableLogSending: true })
+  ]
+});
+
+sdk.start();
+
+module.exports = sdk;
\ No newline at end of file
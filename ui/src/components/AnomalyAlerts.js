@@ -17,6 +17,7 @@ import {
 } from '@mui/material';
 import RefreshIcon from '@mui/icons-material/Refresh';
 import axios from 'axios';
+import { useMetricStream } from '../hooks/useMetricStream';
 
 // Import components
 import GrafanaEmbed from './GrafanaEmbed';
@@ -48,14 +49,23 @@ const AnomalyAlerts = () => {
     }
   };
   
+  // Detected by the server every 5 minutes and shared by all open dashboards
+  const { data, error: streamError, timestamp } = useMetricStream({ source: 'anomalies' });
+  
   useEffect(() => {
-    fetchAnomalies();
-    
-    // Refresh every 5 minutes
-    const intervalId = setInterval(fetchAnomalies, 300000);
-    
-    return () => clearInterval(intervalId);
-  }, []);
+    if (data) {
+      setAnomalies(data.anomalies || generateFallbackAnomalies());
+      setLastUpdated(new Date(timestamp));
+      setError(null);
+      setLoading(false);
+    } else if (streamError) {
+      console.error('Error streaming anomalies:', streamError);
+      setAnomalies(generateFallbackAnomalies());
+      setError('Failed to fetch live data. Showing sample data.');
+      setLastUpdated(new Date());
+      setLoading(false);
+    }
+  }, [data, streamError, timestamp]);
   
   // Generate fallback data when API is unavailable
   const generateFallbackAnomalies = () => {
@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  CircularProgress,
+  Box,
+  Chip,
+  Typography
+} from '@mui/material';
+import axios from 'axios';
+
+/**
+ * Dialog listing the indexed transactions of a single application
+ */
+const AppTransactionsDialog = ({ appId, open, onClose }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  
+  useEffect(() => {
+    if (!open || !appId) {
+      return;
+    }
+    
+    const fetchTransactions = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get(`/api/metrics/apps/${encodeURIComponent(appId)}/transactions`, {
+          params: {
+            page: page + 1,
+            limit: rowsPerPage
+          }
+        });
+        
+        setTransactions(response.data.recentTransactions || []);
+        setSummary({
+          totalTransactions: response.data.totalTransactions,
+          averageTps: response.data.averageTps
+        });
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching app transactions:', err);
+        setTransactions([]);
+        setSummary(null);
+        setError(err.response?.data?.error || 'Failed to load transactions');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchTransactions();
+  }, [appId, open, page, rowsPerPage]);
+  
+  // Reset paging when switching applications
+  useEffect(() => {
+    setPage(0);
+  }, [appId]);
+  
+  // Get status chip color
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'confirmed':
+        return 'success';
+      case 'pending':
+        return 'info';
+      case 'rejected':
+      case 'expired':
+        return 'error';
+      default:
+        return 'default';
+    }
+  };
+  
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Transactions for {appId}</DialogTitle>
+      <DialogContent>
+        {summary && (
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            {summary.totalTransactions.toLocaleString()} indexed transactions, {summary.averageTps.toFixed(2)} TPS on average
+          </Typography>
+        )}
+        
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Typography variant="body2" color="error">
+            {error}
+          </Typography>
+        ) : (
+          <>
+            <TableContainer>
+              <Table size="small" aria-label="application transactions table">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Transaction ID</TableCell>
+                    <TableCell>Published</TableCell>
+                    <TableCell align="right">Block</TableCell>
+                    <TableCell align="center">Status</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {transactions.map((tx) => (
+                    <TableRow key={tx.txid} hover>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>
+                        {`${tx.txid.substring(0, 16)}…${tx.txid.substring(48)}`}
+                      </TableCell>
+                      <TableCell>{new Date(tx.timestamp).toLocaleString()}</TableCell>
+                      <TableCell align="right">{tx.blockHeight ?? '-'}</TableCell>
+                      <TableCell align="center">
+                        <Chip
+                          label={tx.status}
+                          color={getStatusColor(tx.status)}
+                          size="small"
+                          variant="outlined"
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            
+            <TablePagination
+              rowsPerPageOptions={[10, 25, 50]}
+              component="div"
+              count={summary?.totalTransactions || 0}
+              rowsPerPage={rowsPerPage}
+              page={page}
+              onPageChange={(event, newPage) => setPage(newPage)}
+              onRowsPerPageChange={(event) => {
+                setRowsPerPage(parseInt(event.target.value, 10));
+                setPage(0);
+              }}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AppTransactionsDialog;
\ No newline at end of file
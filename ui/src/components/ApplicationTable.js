@@ -15,6 +15,10 @@ import {
   Chip
 } from '@mui/material';
 import axios from 'axios';
+import AppTransactionsDialog from './AppTransactionsDialog';
+
+// Share of failed transactions over the last 5 minutes that marks an app as warning
+const FAILURE_WARNING_RATIO = 0.05;
 
 /**
  * Component to display transaction data by application
@@ -27,25 +31,39 @@ const ApplicationTable = () => {
   const [rowsPerPage, setRowsPerPage] = useState(5);
   const [orderBy, setOrderBy] = useState('transactions');
   const [order, setOrder] = useState('desc');
+  const [selectedApp, setSelectedApp] = useState(null);
   
   useEffect(() => {
     const fetchAppData = async () => {
       try {
-        const response = await axios.get('/api/metrics', {
-          params: {
-            query: 'sum by(app_id) (certihash_transactions_total)'
-          }
-        });
+        const [response, tpsResponse, failureResponse] = await Promise.all([
+          axios.get('/api/metrics', { params: { query: 'sum by(app_id) (certihash_transactions_total)' } }),
+          axios.get('/api/metrics', { params: { query: 'sum by(app_id) (rate(certihash_transactions_total[5m]))' } }),
+          axios.get('/api/metrics', { params: { query: 'sum by(app_id) (rate(certihash_tx_failures_total[5m]))' } })
+        ]);
+        
+        // Index per-app rates by app_id
+        const byApp = (result = []) => Object.fromEntries(
+          result.map(item => [item.metric.app_id, parseFloat(item.value[1])])
+        );
         
         // Extract data from Prometheus response
         if (response.data.data?.result) {
           const results = response.data.data.result;
-          const formattedData = results.map(item => ({
-            appId: item.metric.app_id,
-            transactions: parseFloat(item.value[1]),
-            tps: Math.random() * 100,
-            status: Math.random() > 0.8 ? 'warning' : 'healthy'
-          }));
+          const tpsByApp = byApp(tpsResponse.data.data?.result);
+          const failuresByApp = byApp(failureResponse.data.data?.result);
+          
+          const formattedData = results.map(item => {
+            const tps = tpsByApp[item.metric.app_id] || 0;
+            const failures = failuresByApp[item.metric.app_id] || 0;
+            
+            return {
+              appId: item.metric.app_id,
+              transactions: parseFloat(item.value[1]),
+              tps,
+              status: tps > 0 && failures / tps > FAILURE_WARNING_RATIO ? 'warning' : 'healthy'
+            };
+          });
           setAppData(formattedData);
         } else {
           // Use fallback data if real data not available
@@ -188,7 +206,12 @@ const ApplicationTable = () => {
               </TableHead>
               <TableBody>
                 {paginatedData.map((app) => (
-                  <TableRow key={app.appId} hover>
+                  <TableRow
+                    key={app.appId}
+                    hover
+                    onClick={() => setSelectedApp(app.appId)}
+                    sx={{ cursor: 'pointer' }}
+                  >
                     <TableCell component="th" scope="row">
                       {app.appId}
                     </TableCell>
@@ -223,6 +246,12 @@ const ApplicationTable = () => {
               {error}
             </Typography>
           )}
+          
+          <AppTransactionsDialog
+            appId={selectedApp}
+            open={Boolean(selectedApp)}
+            onClose={() => setSelectedApp(null)}
+          />
         </>
       )}
     </Paper>
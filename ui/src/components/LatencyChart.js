@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import axios from 'axios';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip);
+
+/**
+ * 95th percentile processing time over time
+ * Clicking a point reports the timestamp, so the caller can show the
+ * transactions behind it
+ */
+const LatencyChart = ({ onSelect }) => {
+  const [period, setPeriod] = useState('1h');
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    const fetchLatency = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get('/api/metrics/latency', { params: { period } });
+        setSeries(response.data.series || []);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching latency history:', err);
+        setSeries([]);
+        setError('Latency history is unavailable');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchLatency();
+  }, [period]);
+  
+  const data = {
+    labels: series.map(point => new Date(point.timestamp * 1000).toLocaleTimeString()),
+    datasets: [
+      {
+        label: 'p95 latency (ms)',
+        data: series.map(point => point.value),
+        borderColor: '#1976d2',
+        backgroundColor: '#1976d2',
+        pointRadius: 2,
+        pointHoverRadius: 6,
+        tension: 0.2
+      }
+    ]
+  };
+  
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'nearest', intersect: false },
+    scales: {
+      y: { beginAtZero: true, title: { display: true, text: 'ms' } }
+    },
+    onClick: (event, elements) => {
+      if (elements.length > 0 && onSelect) {
+        onSelect(series[elements[0].index].timestamp);
+      }
+    },
+    onHover: (event, elements) => {
+      event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+    }
+  };
+  
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="body2" color="text.secondary">
+          Click a point to see the slowest transactions behind it
+        </Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={period}
+          onChange={(event, value) => value && setPeriod(value)}
+          aria-label="latency period"
+        >
+          <ToggleButton value="1h">1h</ToggleButton>
+          <ToggleButton value="6h">6h</ToggleButton>
+          <ToggleButton value="1d">1d</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+      
+      <Box sx={{ height: '250px', position: 'relative' }}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', pt: 10 }}>
+            <CircularProgress size={30} />
+          </Box>
+        ) : error ? (
+          <Typography variant="body2" color="error" align="center" sx={{ pt: 10 }}>
+            {error}
+          </Typography>
+        ) : (
+          <Line data={data} options={options} />
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default LatencyChart;
\ No newline at end of file
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  CircularProgress,
+  Box,
+  Link,
+  Typography
+} from '@mui/material';
+import axios from 'axios';
+
+/**
+ * Dialog listing the slowest transactions in a time range
+ * Transactions come from the exemplars of the processing time histogram,
+ * each with the trace of the request that published it
+ */
+const SlowTransactionsDialog = ({ start, end, open, onClose }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  
+  const jaegerUrl = process.env.REACT_APP_JAEGER_URL || 'http://localhost:16686';
+  
+  useEffect(() => {
+    if (!open || !start || !end) {
+      return;
+    }
+    
+    const fetchTransactions = async () => {
+      setLoading(true);
+      try {
+        const response = await axios.get('/api/metrics/latency/slowest', {
+          params: { start, end, limit: 20 }
+        });
+        
+        setTransactions(response.data.transactions || []);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching slowest transactions:', err);
+        setTransactions([]);
+        setError(err.response?.data?.message || 'Failed to load transactions');
+      } finally {
+        setLoading(false);
+      }
+    };
+    
+    fetchTransactions();
+  }, [start, end, open]);
+  
+  const formatTime = (seconds) => new Date(seconds * 1000).toLocaleTimeString();
+  
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        Slowest transactions {start && end ? `${formatTime(start)} – ${formatTime(end)}` : ''}
+      </DialogTitle>
+      <DialogContent>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
+            <CircularProgress />
+          </Box>
+        ) : error ? (
+          <Typography variant="body2" color="error">
+            {error}
+          </Typography>
+        ) : transactions.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No transactions were recorded in this range
+          </Typography>
+        ) : (
+          <TableContainer>
+            <Table size="small" aria-label="slowest transactions table">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Transaction ID</TableCell>
+                  <TableCell>Application</TableCell>
+                  <TableCell align="right">Latency</TableCell>
+                  <TableCell>Time</TableCell>
+                  <TableCell align="center">Trace</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {transactions.map((tx) => (
+                  <TableRow key={tx.txid} hover>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>
+                      {`${tx.txid.substring(0, 16)}…${tx.txid.substring(48)}`}
+                    </TableCell>
+                    <TableCell>{tx.appId}</TableCell>
+                    <TableCell align="right">{Math.round(tx.latency)} ms</TableCell>
+                    <TableCell>{formatTime(tx.timestamp)}</TableCell>
+                    <TableCell align="center">
+                      {tx.traceId ? (
+                        <Link href={`${jaegerUrl}/trace/${tx.traceId}`} target="_blank" rel="noopener noreferrer">
+                          View
+                        </Link>
+                      ) : '-'}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SlowTransactionsDialog;
\ No newline at end of file
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Paper, Typography, Box, CircularProgress } from '@mui/material';
-import axios from 'axios';
+import { useMetricStream } from '../hooks/useMetricStream';
 
 /**
  * Component to display current TPS (Transactions Per Second) gauge
@@ -10,40 +10,34 @@ const TpsGauge = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
+  // Updated by the server every 5 seconds. Computed from the per-application
+  // counter, since certihash_tps counts every organization's transactions
+  const { data, error: streamError } = useMetricStream({
+    query: 'sum(rate(certihash_transactions_total[1m]))',
+    interval: 5
+  });
+  
   useEffect(() => {
-    const fetchTps = async () => {
-      try {
-        const response = await axios.get('/api/metrics', {
-          params: {
-            query: 'certihash_tps'
-          }
-        });
-        
-        // Extract value from Prometheus response
-        if (response.data.data?.result && response.data.data.result.length > 0) {
-          const value = response.data.data.result[0].value[1];
-          setTps(parseFloat(value).toFixed(1));
-        } else {
-          // Use fallback value if real data not available
-          setTps((Math.random() * 1200 + 500).toFixed(1));
-        }
-        setLoading(false);
-      } catch (err) {
-        console.error('Error fetching TPS:', err);
-        // Use fallback value
+    if (data) {
+      // Extract value from Prometheus response
+      if (data.result && data.result.length > 0) {
+        setTps(parseFloat(data.result[0].value[1]).toFixed(1));
+      } else {
+        // Use fallback value if real data not available
         setTps((Math.random() * 1200 + 500).toFixed(1));
-        setError('Using simulated data');
-        setLoading(false);
       }
-    };
-    
-    fetchTps();
-    
-    // Refresh every 5 seconds
-    const intervalId = setInterval(fetchTps, 5000);
+      setError(null);
+      setLoading(false);
+    }
     
-    return () => clearInterval(intervalId);
-  }, []);
+    if (streamError) {
+      console.error('Error streaming TPS:', streamError);
+      // Keep the last value, or use a fallback one
+      setTps(value => value || (Math.random() * 1200 + 500).toFixed(1));
+      setError('Using simulated data');
+      setLoading(false);
+    }
+  }, [data, streamError]);
   
   // Determine color based on TPS value
   const getGaugeColor = (value) => {
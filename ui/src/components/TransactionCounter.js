@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Paper, Typography, Box, CircularProgress } from '@mui/material';
-import axios from 'axios';
+import { useMetricStream } from '../hooks/useMetricStream';
 
 /**
  * Component to display total transaction count from CERTIHASH
@@ -10,40 +10,33 @@ const TransactionCounter = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
+  // Updated by the server every 30 seconds
+  const { data, error: streamError } = useMetricStream({
+    query: 'sum(certihash_transactions_total)',
+    interval: 30
+  });
+  
   useEffect(() => {
-    const fetchTxCount = async () => {
-      try {
-        const response = await axios.get('/api/metrics', {
-          params: {
-            query: 'certihash_transactions_total'
-          }
-        });
-        
-        // Extract value from Prometheus response
-        if (response.data.data?.result && response.data.data.result.length > 0) {
-          const value = response.data.data.result[0].value[1];
-          setTxCount(Math.round(parseFloat(value)));
-        } else {
-          // Use fallback value if real data not available
-          setTxCount(17793793);
-        }
-        setLoading(false);
-      } catch (err) {
-        console.error('Error fetching transaction count:', err);
-        // Use fallback value
+    if (data) {
+      // Extract value from Prometheus response
+      if (data.result && data.result.length > 0) {
+        setTxCount(Math.round(parseFloat(data.result[0].value[1])));
+      } else {
+        // Use fallback value if real data not available
         setTxCount(17793793);
-        setError('Using cached data');
-        setLoading(false);
       }
-    };
-    
-    fetchTxCount();
-    
-    // Refresh every 30 seconds
-    const intervalId = setInterval(fetchTxCount, 30000);
+      setError(null);
+      setLoading(false);
+    }
     
-    return () => clearInterval(intervalId);
-  }, []);
+    if (streamError) {
+      console.error('Error streaming transaction count:', streamError);
+      // Keep the last count, or use a fallback one
+      setTxCount(count => count ?? 17793793);
+      setError('Using cached data');
+      setLoading(false);
+    }
+  }, [data, streamError]);
   
   // Format number with commas
   const formatNumber = (num) => {
@@ -13,6 +13,11 @@ import axios from 'axios';
 
 // Import components
 import GrafanaEmbed from './GrafanaEmbed';
+import LatencyChart from './LatencyChart';
+import SlowTransactionsDialog from './SlowTransactionsDialog';
+
+// Latency points are computed over the preceding 5 minutes
+const LATENCY_WINDOW_SECONDS = 300;
 
 /**
  * Component for displaying in-depth transaction statistics
@@ -24,13 +29,14 @@ const TransactionStats = () => {
   const [tabValue, setTabValue] = useState(0);
   const [aiPrediction, setAiPrediction] = useState(null);
   const [predictionLoading, setPredictionLoading] = useState(true);
+  const [latencyRange, setLatencyRange] = useState(null);
   
   useEffect(() => {
     const fetchStats = async () => {
       try {
         const response = await axios.get('/api/metrics', {
           params: {
-            query: 'certihash_transactions_total'
+            query: 'sum(certihash_transactions_total)'
           }
         });
         
@@ -40,7 +46,7 @@ const TransactionStats = () => {
           
           // Get more metrics for comprehensive stats
           const [tpsResponse, latencyResponse] = await Promise.all([
-            axios.get('/api/metrics', { params: { query: 'certihash_tps' } }),
+            axios.get('/api/metrics', { params: { query: 'sum(rate(certihash_transactions_total[1m]))' } }),
             axios.get('/api/metrics', { params: { query: 'histogram_quantile(0.95, sum(rate(certihash_tx_processing_time_bucket[5m])) by (le))' } })
           ]);
           
@@ -123,6 +129,11 @@ const TransactionStats = () => {
     };
   };
   
+  // Show the slowest transactions behind a latency point
+  const handleLatencySelect = (timestamp) => {
+    setLatencyRange({ start: timestamp - LATENCY_WINDOW_SECONDS, end: timestamp });
+  };
+  
   // Handle tab change
   const handleTabChange = (event, newValue) => {
     setTabValue(newValue);
@@ -217,6 +228,21 @@ const TransactionStats = () => {
             </Grid>
           </Grid>
           
+          {/* Latency over time, linked to the transactions behind it */}
+          <Paper sx={{ p: 3, mb: 4 }}>
+            <Typography variant="h6" gutterBottom>
+              Processing Latency
+            </Typography>
+            <LatencyChart onSelect={handleLatencySelect} />
+          </Paper>
+          
+          <SlowTransactionsDialog
+            start={latencyRange?.start}
+            end={latencyRange?.end}
+            open={Boolean(latencyRange)}
+            onClose={() => setLatencyRange(null)}
+          />
+          
           {/* Comparative values */}
           <Paper sx={{ p: 3, mb: 4 }}>
             <Typography variant="h6" gutterBottom>
@@ -0,0 +1,182 @@
+import { useState, useEffect } from 'react';
+
+// Delays before reconnecting after a dropped connection, in milliseconds
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+// Close code the server uses when the token is missing, invalid or expired
+const AUTH_CLOSE_CODE = 4001;
+
+/**
+ * One WebSocket per tab, shared by every component using the hook
+ * Components subscribing to the same query share one server subscription,
+ * and subscriptions are sent again after a reconnect.
+ */
+const stream = {
+  socket: null,
+  ready: false,
+  retries: 0,
+  reconnectTimer: null,
+  nextId: 1,
+  subscriptions: new Map()
+};
+
+/**
+ * Get the URL of the metrics stream
+ * @returns {string} - WebSocket URL on the same host as the page, unless overridden
+ */
+const getStreamUrl = () => {
+  if (process.env.REACT_APP_METRICS_STREAM_URL) {
+    return process.env.REACT_APP_METRICS_STREAM_URL;
+  }
+  
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}/api/metrics/stream`;
+};
+
+/**
+ * Send a message once the connection is authenticated
+ * @param {Object} message - Message to send as JSON
+ */
+const send = (message) => {
+  if (stream.socket && stream.ready) {
+    stream.socket.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Pass an update to every component using a subscription
+ * @param {Object} subscription - Shared subscription
+ * @param {Object} update - { data, error, timestamp }
+ */
+const publish = (subscription, update) => {
+  subscription.last = { ...subscription.last, ...update };
+  subscription.listeners.forEach(listener => listener(subscription.last));
+};
+
+/**
+ * Open the connection and authenticate with the stored token
+ */
+const connect = () => {
+  const token = localStorage.getItem('token');
+  if (!token || stream.socket) {
+    return;
+  }
+  
+  const socket = new WebSocket(getStreamUrl());
+  stream.socket = socket;
+  
+  socket.onopen = () => {
+    socket.send(JSON.stringify({ type: 'auth', token }));
+  };
+  
+  socket.onmessage = (event) => {
+    const message = JSON.parse(event.data);
+    
+    if (message.type === 'ready') {
+      stream.ready = true;
+      stream.retries = 0;
+      stream.subscriptions.forEach(subscription => send(subscription.message));
+      return;
+    }
+    
+    const subscription = [...stream.subscriptions.values()].find(s => s.message.id === message.id);
+    if (!subscription) {
+      return;
+    }
+    
+    if (message.type === 'data') {
+      publish(subscription, { data: message.data, error: null, timestamp: message.timestamp });
+    } else if (message.type === 'error') {
+      publish(subscription, { error: message.message });
+    }
+  };
+  
+  socket.onclose = (event) => {
+    stream.socket = null;
+    stream.ready = false;
+    
+    stream.subscriptions.forEach(subscription => {
+      publish(subscription, { error: 'Live updates disconnected' });
+    });
+    
+    // Keep trying while something is subscribed; after an auth failure the
+    // next attempt picks up a refreshed token
+    if (stream.subscriptions.size > 0) {
+      const delay = event.code === AUTH_CLOSE_CODE
+        ? RECONNECT_DELAYS[RECONNECT_DELAYS.length - 1]
+        : RECONNECT_DELAYS[Math.min(stream.retries, RECONNECT_DELAYS.length - 1)];
+      stream.retries++;
+      stream.reconnectTimer = setTimeout(() => {
+        stream.reconnectTimer = null;
+        connect();
+      }, delay);
+    }
+  };
+};
+
+/**
+ * Add a component's listener to a shared subscription
+ * @param {string} key - Subscription key
+ * @param {Object} topic - { query, interval } or { source }
+ * @param {Function} listener - Called with { data, error, timestamp }
+ * @returns {Function} - Function removing the listener
+ */
+const addListener = (key, topic, listener) => {
+  let subscription = stream.subscriptions.get(key);
+  
+  if (!subscription) {
+    subscription = {
+      message: { type: 'subscribe', id: stream.nextId++, ...topic },
+      listeners: new Set(),
+      last: null
+    };
+    stream.subscriptions.set(key, subscription);
+    send(subscription.message);
+  } else if (subscription.last) {
+    listener(subscription.last);
+  }
+  
+  subscription.listeners.add(listener);
+  connect();
+  
+  return () => {
+    subscription.listeners.delete(listener);
+    if (subscription.listeners.size > 0) {
+      return;
+    }
+    
+    stream.subscriptions.delete(key);
+    send({ type: 'unsubscribe', id: subscription.message.id });
+    
+    // Nothing left to stream, so let the connection go
+    if (stream.subscriptions.size === 0) {
+      clearTimeout(stream.reconnectTimer);
+      stream.reconnectTimer = null;
+      stream.socket?.close(1000);
+    }
+  };
+};
+
+/**
+ * Hook streaming live metric updates from the server
+ * The server evaluates each distinct query once per interval for all clients,
+ * so widgets don't need to poll.
+ * @param {Object} topic - { query, interval } for a PromQL query, interval in seconds,
+ *   or { source } for a named source such as 'anomalies'
+ * @returns {Object} - { data, error, timestamp }, data being the Prometheus result
+ *   ({ resultType, result }) for queries
+ */
+export const useMetricStream = ({ query, interval, source }) => {
+  const [state, setState] = useState({ data: null, error: null, timestamp: null });
+  
+  useEffect(() => {
+    const topic = source ? { source } : { query, interval };
+    const key = JSON.stringify(topic);
+    
+    return addListener(key, topic, setState);
+  }, [query, interval, source]);
+  
+  return state;
+};
+
+export default useMetricStream;
\ No newline at end of file
@@ -154,14 +154,18 @@ const Register = () => {
           
           <TextField
             fullWidth
-            label="Organization"
+            label="Invitation Code (optional)"
             variant="outlined"
             margin="normal"
-            {...register('organization', { 
-              required: 'Organization is required'
+            {...register('inviteToken', { 
+              setValueAs: value => value.trim() || undefined,
+              pattern: {
+                value: /^[0-9a-f]+$/i,
+                message: 'Invalid invitation code'
+              }
             })}
-            error={!!errors.organization}
-            helperText={errors.organization?.message}
+            error={!!errors.inviteToken}
+            helperText={errors.inviteToken?.message || 'From your organization\'s invitation; without one, an administrator adds you to your organization'}
             disabled={isLoading}
           />
           